@@ -0,0 +1,358 @@
+import * as THREE from 'three';
+import { BURETTE_CAPACITY_ML, BURETTE_DROP_ML, BURETTE_DROP_INTERVAL_S, BURETTE_STREAM_ML_S } from './lib/constants.js';
+import { getReagent } from './lib/reagents.js';
+// Byretti telineessä (titraus): asteikko 0–50 mL ylhäältä alas, hana ja kapeneva kärki lasin yläpuolella
+// - Byretin klikkaus avaa mittaliuosvalikon; täyttö (fill) asettaa aineen, pitoisuuden ja lukeman 0.00 mL
+// - Hanan klikkaus: kiinni → tipoittain → virtaus → kiinni; kärjen klikkaus päästää yhden tipan
+// - Lukema (mL, 0,05 mL tarkkuus kuten oikeassa byretissä) näkyy telineen jalan näytöllä
+// - update(dt, surfaceWorldY) palauttaa lasiin osuneet annokset: [{ ml, at, kind: 'drop' | 'stream' }]
+
+const GRAD_LENGTH = 2.7;   // asteikon pituus (0 → 50 mL)
+const TUBE_RADIUS = 0.07;
+const TIP_LENGTH = 0.35;
+const DROP_GRAVITY = 9.0;
+const MAX_DROPS = 8;
+
+// Asteikko canvas-tekstuurina: pitkä viiva joka mL, keskipitkä 0,5 mL, lyhyt 0,1 mL; numerot 5 mL välein
+function createGraduationTexture(pad) {
+	const canvas = document.createElement('canvas');
+	canvas.width = 128;
+	canvas.height = 2048;
+	const ctx = canvas.getContext('2d');
+	const total = GRAD_LENGTH + 2 * pad;
+	const pxPerMl = (canvas.height * GRAD_LENGTH / total) / BURETTE_CAPACITY_ML;
+	const y0 = canvas.height * pad / total;
+	ctx.strokeStyle = 'rgba(20,30,60,0.9)';
+	ctx.fillStyle = 'rgba(20,30,60,0.95)';
+	ctx.font = 'bold 30px Arial';
+	ctx.textBaseline = 'middle';
+	for (let i = 0; i <= BURETTE_CAPACITY_ML * 10; i++) {
+		const y = y0 + i / 10 * pxPerMl;
+		const major = i % 10 === 0;
+		const half = i % 5 === 0;
+		ctx.lineWidth = major ? 3 : 1.5;
+		ctx.beginPath();
+		ctx.moveTo(0, y);
+		ctx.lineTo(major ? 56 : half ? 40 : 24, y);
+		ctx.stroke();
+		if (major && (i / 10) % 5 === 0) ctx.fillText(String(i / 10), 62, y);
+	}
+	const tex = new THREE.CanvasTexture(canvas);
+	tex.colorSpace = THREE.SRGBColorSpace;
+	return tex;
+}
+
+function drawDisplay(ctx, { reading, label }) {
+	const w = ctx.canvas.width, h = ctx.canvas.height;
+	ctx.fillStyle = '#b9c9a3';
+	ctx.fillRect(0, 0, w, h);
+	ctx.strokeStyle = '#55624a';
+	ctx.lineWidth = 6;
+	ctx.strokeRect(6, 6, w - 12, h - 12);
+	ctx.fillStyle = '#1c2418';
+	ctx.textBaseline = 'middle';
+	ctx.textAlign = 'right';
+	ctx.font = 'bold 64px monospace';
+	ctx.fillText(reading, w - 84, h * 0.4);
+	ctx.textAlign = 'left';
+	ctx.font = 'bold 34px Arial';
+	ctx.fillText('mL', w - 76, h * 0.42);
+	ctx.font = 'bold 26px Arial';
+	ctx.fillText(label, 20, h - 30);
+}
+
+/**
+ * @param {THREE.Scene} scene
+ * @param {{ position?: THREE.Vector3, tipY?: number }} opts position = byretin akselin paikka (x, z), tipY = kärjen korkeus
+ */
+export function createByretti(scene, { position = new THREE.Vector3(0.3, 0, -3.05), tipY = 2.85 } = {}) {
+	const buretteGroup = new THREE.Group();
+	buretteGroup.name = 'buretteGroup';
+
+	// Teline: jalka, pystytanko ja puristin (tanko byretin takana)
+	const standMat = new THREE.MeshStandardMaterial({ color: 0xc0c0c0, metalness: 0.8, roughness: 0.3 });
+	const baseMat = new THREE.MeshStandardMaterial({ color: 0x2f3437, metalness: 0.1, roughness: 0.6 });
+	const rodPos = new THREE.Vector3(-0.6, 0, -1.1);
+	const stopcockY = tipY + TIP_LENGTH;
+	const gradBottomY = stopcockY + 0.25;
+	const gradTopY = gradBottomY + GRAD_LENGTH;
+	const tubeTopY = gradTopY + 0.3;
+	const rodHeight = tubeTopY + 0.2;
+	const base = new THREE.Mesh(new THREE.BoxGeometry(1.0, 0.08, 0.8), baseMat);
+	base.position.set(rodPos.x, 0.04, rodPos.z);
+	base.castShadow = true;
+	const rod = new THREE.Mesh(new THREE.CylinderGeometry(0.035, 0.035, rodHeight, 12), standMat);
+	rod.position.set(rodPos.x, rodHeight / 2, rodPos.z);
+	rod.castShadow = true;
+	const clampY = (gradBottomY + gradTopY) / 2;
+	const armLength = Math.hypot(rodPos.x, rodPos.z);
+	const arm = new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.05, armLength), standMat);
+	arm.position.set(rodPos.x / 2, clampY, rodPos.z / 2);
+	arm.rotation.y = Math.atan2(rodPos.x, rodPos.z);
+	const clamp = new THREE.Mesh(new THREE.TorusGeometry(TUBE_RADIUS + 0.02, 0.02, 8, 20), standMat);
+	clamp.rotation.x = Math.PI / 2;
+	clamp.position.y = clampY;
+	buretteGroup.add(base, rod, arm, clamp);
+
+	// Lukemanäyttö telineen jalassa
+	const displayCanvas = document.createElement('canvas');
+	displayCanvas.width = 384;
+	displayCanvas.height = 192;
+	const displayCtx = displayCanvas.getContext('2d');
+	const displayTex = new THREE.CanvasTexture(displayCanvas);
+	const displayMesh = new THREE.Mesh(new THREE.PlaneGeometry(0.8, 0.4), new THREE.MeshBasicMaterial({ map: displayTex }));
+	displayMesh.name = 'buretteDisplay';
+	displayMesh.position.set(rodPos.x, 0.19, rodPos.z + 0.21);
+	displayMesh.rotation.x = -Math.PI / 2 + 0.5;
+	buretteGroup.add(displayMesh);
+
+	// Lasiputki, asteikko ja neste
+	const glassMat = new THREE.MeshStandardMaterial({ color: 0xffffff, transparent: true, opacity: 0.28, roughness: 0.05, metalness: 0.0, depthWrite: false, side: THREE.DoubleSide });
+	const tubeLength = tubeTopY - stopcockY;
+	const tube = new THREE.Mesh(new THREE.CylinderGeometry(TUBE_RADIUS, TUBE_RADIUS, tubeLength, 20, 1, true), glassMat);
+	tube.name = 'buretteTube';
+	tube.position.y = stopcockY + tubeLength / 2;
+	tube.renderOrder = 5;
+	const pad = 0.1;
+	const arc = 1.6;
+	const graduations = new THREE.Mesh(
+		new THREE.CylinderGeometry(TUBE_RADIUS + 0.003, TUBE_RADIUS + 0.003, GRAD_LENGTH + 2 * pad, 12, 1, true, -arc / 2, arc),
+		new THREE.MeshBasicMaterial({ map: createGraduationTexture(pad), transparent: true, depthWrite: false })
+	);
+	graduations.name = 'buretteGraduations';
+	graduations.position.y = (gradBottomY + gradTopY) / 2;
+	graduations.renderOrder = 6;
+	const liquidMat = new THREE.MeshStandardMaterial({ color: 0xeef6ff, transparent: true, opacity: 0.55, roughness: 0.1, depthWrite: false });
+	const liquid = new THREE.Mesh(new THREE.CylinderGeometry(TUBE_RADIUS - 0.012, TUBE_RADIUS - 0.012, 1, 16), liquidMat);
+	liquid.name = 'buretteLiquid';
+	liquid.renderOrder = 4;
+	liquid.visible = false;
+
+	// Hana (kahva kääntyy: poikittain = kiinni, pystyssä = auki) ja kapeneva kärki
+	const stopcockBody = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.06, 0.22, 12), glassMat);
+	stopcockBody.rotation.z = Math.PI / 2;
+	stopcockBody.position.y = stopcockY;
+	const stopcock = new THREE.Group();
+	stopcock.name = 'buretteStopcock';
+	const handleMat = new THREE.MeshStandardMaterial({ color: 0x1d4ed8, roughness: 0.5 });
+	const handle = new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.05, 0.34), handleMat);
+	const key = new THREE.Mesh(new THREE.CylinderGeometry(0.035, 0.035, 0.12, 10), handleMat);
+	key.rotation.z = Math.PI / 2;
+	key.position.x = -0.06;
+	handle.position.x = -0.14;
+	stopcock.add(handle, key);
+	stopcock.position.set(-0.05, stopcockY, 0);
+	const tip = new THREE.Mesh(new THREE.CylinderGeometry(0.035, 0.012, TIP_LENGTH, 12), glassMat);
+	tip.name = 'buretteTip';
+	tip.position.y = tipY + TIP_LENGTH / 2;
+	buretteGroup.add(tube, graduations, liquid, stopcockBody, stopcock, tip);
+	buretteGroup.position.set(position.x, 0, position.z);
+	scene.add(buretteGroup);
+
+	// Tipat ja suihku maailmakoordinaateissa
+	const dropMat = new THREE.MeshStandardMaterial({ color: 0xdbeafe, transparent: true, opacity: 0.8, roughness: 0.05 });
+	const drops = [];
+	for (let i = 0; i < MAX_DROPS; i++) {
+		const m = new THREE.Mesh(new THREE.SphereGeometry(0.028, 10, 8), dropMat);
+		m.visible = false;
+		m.userData.vy = 0;
+		m.userData.ml = 0;
+		scene.add(m);
+		drops.push(m);
+	}
+	const stream = new THREE.Mesh(new THREE.CylinderGeometry(0.012, 0.01, 1, 8, 1, true), dropMat);
+	stream.name = 'buretteStream';
+	stream.visible = false;
+	scene.add(stream);
+	const tipWorld = new THREE.Vector3(position.x, tipY, position.z);
+
+	const MODES = ['closed', 'drops', 'stream'];
+	const HANDLE_ANGLE = { closed: 0, drops: Math.PI / 5, stream: Math.PI / 2 };
+	const state = {
+		code: null,        // mittaliuos (reagenssikatalogin 'solution')
+		concMolL: 0,
+		volumeMl: 0,       // jäljellä oleva liuos (lukema = tilavuus - jäljellä)
+		mode: 'closed',
+		dropTimer: 0
+	};
+
+	function isFilled() { return !!state.code && state.volumeMl > 1e-6; }
+	function isOpen() { return state.mode !== 'closed'; }
+	// Lukema ylhäältä (0.00 täynnä); tyhjällä byretillä null
+	function getReading() { return state.code ? BURETTE_CAPACITY_ML - state.volumeMl : null; }
+	// Luettu lukema 0,05 mL tarkkuudella (byretin lukutarkkuus)
+	function readScale() {
+		const r = getReading();
+		return r === null ? null : Math.round(r * 20) / 20;
+	}
+
+	function setStopcock(mode) {
+		state.mode = MODES.includes(mode) ? mode : 'closed';
+		stopcock.rotation.x = HANDLE_ANGLE[state.mode];
+		if (state.mode !== 'stream') stream.visible = false;
+		return state.mode;
+	}
+	// Kiinni → tipoittain → virtaus → kiinni
+	function cycleStopcock() {
+		return setStopcock(MODES[(MODES.indexOf(state.mode) + 1) % MODES.length]);
+	}
+
+	let lastDisplay = '';
+	function refresh() {
+		const level = state.volumeMl / BURETTE_CAPACITY_ML;
+		liquid.visible = state.volumeMl > 1e-6;
+		// Neste täyttää hanan yläpuolisen osan asteikon alapäähän asti ja asteikolla lukeman kohdalle
+		const topY = gradBottomY + level * GRAD_LENGTH;
+		const h = Math.max(0.001, topY - stopcockY);
+		liquid.scale.y = h;
+		liquid.position.y = stopcockY + h / 2;
+		const r = getReagent(state.code);
+		if (r) liquidMat.color.setHex(r.color);
+		const reading = readScale();
+		const text = reading === null ? '--.--' : reading.toFixed(2);
+		const label = r ? `${r.formula} ${state.concMolL.toFixed(3)} M` : 'Tyhjä';
+		if (text + label === lastDisplay) return;
+		lastDisplay = text + label;
+		drawDisplay(displayCtx, { reading: text, label });
+		displayTex.needsUpdate = true;
+	}
+
+	/**
+	 * Täytä byretti mittaliuoksella (lukema 0.00 mL, hana kiinni).
+	 * @param {string} code katalogin mittaliuos (kind 'solution')
+	 * @param {number} concMolL pitoisuus (mol/L)
+	 */
+	function fill(code, concMolL) {
+		const r = getReagent(code);
+		if (!r || r.kind !== 'solution') return false;
+		state.code = code;
+		state.concMolL = Math.max(0, concMolL);
+		state.volumeMl = BURETTE_CAPACITY_ML;
+		setStopcock('closed');
+		refresh();
+		return true;
+	}
+
+	// Ota byretistä liuosta (rajattu jäljellä olevaan); palauttaa otetun määrän (mL)
+	function take(ml) {
+		const out = Math.min(ml, state.volumeMl);
+		if (!(out > 0)) return 0;
+		state.volumeMl = Math.max(0, state.volumeMl - out);
+		return out;
+	}
+
+	function spawnDrop(ml) {
+		const d = drops.find(m => !m.visible);
+		if (!d) return false;
+		d.position.copy(tipWorld);
+		d.userData.vy = 0;
+		d.userData.ml = ml;
+		d.visible = true;
+		return true;
+	}
+
+	// Yksi tippa (kärjen klikkaus)
+	function releaseDrop() {
+		if (!isFilled()) return false;
+		const ml = take(BURETTE_DROP_ML);
+		if (!(ml > 0)) return false;
+		spawnDrop(ml);
+		refresh();
+		return true;
+	}
+
+	/**
+	 * Per-frame päivitys.
+	 * @param {number} dt
+	 * @param {number|null} surfaceWorldY kohdelasin vedenpinnan korkeus kärjen alla (null = ei lasia, tipat putoavat pöydälle)
+	 * @returns {{ delivered: Array<{ ml: number, at: THREE.Vector3, kind: string }>, emptied: boolean }}
+	 */
+	function update(dt, surfaceWorldY = null) {
+		const delivered = [];
+		let emptied = false;
+		if (!(dt > 0)) return { delivered, emptied };
+		const floorY = typeof surfaceWorldY === 'number' ? surfaceWorldY : 0;
+		if (state.mode === 'drops') {
+			state.dropTimer += dt;
+			if (state.dropTimer >= BURETTE_DROP_INTERVAL_S) {
+				state.dropTimer = 0;
+				const ml = take(BURETTE_DROP_ML);
+				if (ml > 0) spawnDrop(ml);
+			}
+		} else {
+			state.dropTimer = 0;
+		}
+		if (state.mode === 'stream') {
+			const ml = take(BURETTE_STREAM_ML_S * dt);
+			const len = Math.max(0.01, tipWorld.y - floorY);
+			stream.visible = ml > 0;
+			stream.scale.set(1, len, 1);
+			stream.position.set(tipWorld.x, tipWorld.y - len / 2, tipWorld.z);
+			if (ml > 0 && typeof surfaceWorldY === 'number') delivered.push({ ml, at: new THREE.Vector3(tipWorld.x, floorY, tipWorld.z), kind: 'stream' });
+		}
+		for (const d of drops) {
+			if (!d.visible) continue;
+			d.userData.vy -= DROP_GRAVITY * dt;
+			d.position.y += d.userData.vy * dt;
+			if (d.position.y <= floorY) {
+				d.visible = false;
+				if (typeof surfaceWorldY === 'number') delivered.push({ ml: d.userData.ml, at: new THREE.Vector3(d.position.x, floorY, d.position.z), kind: 'drop' });
+			}
+		}
+		if (isOpen() && !(state.volumeMl > 1e-6)) {
+			setStopcock('closed');
+			emptied = true;
+		}
+		refresh();
+		return { delivered, emptied };
+	}
+
+	function reset() {
+		state.code = null;
+		state.concMolL = 0;
+		state.volumeMl = 0;
+		state.dropTimer = 0;
+		setStopcock('closed');
+		drops.forEach(d => { d.visible = false; });
+		stream.visible = false;
+		refresh();
+	}
+
+	function getSnapshot() {
+		return { code: state.code, concMolL: state.concMolL, volumeMl: state.volumeMl, mode: state.mode };
+	}
+
+	function restoreSnapshot(s = {}) {
+		reset();
+		if (s.code && getReagent(s.code)) {
+			state.code = s.code;
+			state.concMolL = Number.isFinite(s.concMolL) ? s.concMolL : 0;
+			state.volumeMl = Math.min(BURETTE_CAPACITY_ML, Math.max(0, s.volumeMl || 0));
+			setStopcock(s.mode);
+		}
+		refresh();
+	}
+
+	refresh();
+
+	return {
+		buretteGroup,
+		tube,
+		stopcock,
+		tip,
+		state,
+		fill,
+		isFilled,
+		isOpen,
+		setStopcock,
+		cycleStopcock,
+		releaseDrop,
+		getReading,
+		readScale,
+		getTitrant: () => (state.code ? { code: state.code, concMolL: state.concMolL } : null),
+		update,
+		reset,
+		getSnapshot,
+		restoreSnapshot
+	};
+}
@@ -2,10 +2,20 @@ import * as THREE from 'three';
 // Legacy ripple & water imports removed (unified water replaces them)
 import { createDiffusionManager } from './lib/diffusion.js';
 import { createUnifiedWater } from './lib/unifiedWater.js';
+import { createChemistry, indicatorScoreFromPH, ION_DATA } from './lib/chemistry.js';
+import { createPrecipitate } from './lib/precipitate.js';
+import { createStirField } from './lib/stirField.js';
+import { createWaterTemperature } from './lib/temperature.js';
+import { createHeadspace } from './lib/headspace.js';
+import { indicatorColorAt, DEFAULT_INDICATOR } from './lib/indicators.js';
+import { LITERS_PER_CUBIC_UNIT, GAS_MOL_PER_BUBBLE, SCOOP_MASS_G, BEAKER_DRAIN_ML_S, GRADUATION_STEP_ML, ION_VIEW_REF_MOL_L, ION_VIEW_PER_REF, ION_VIEW_MAX_PER_ION, ION_VIEW_REFRESH_S } from './lib/constants.js';
 // Dekantterilasin luonti ja logiikka
-export function createDekantterilasi(scene) {
+// baseY: lasin pohjan korkeus (esim. keittolevyn pinta); kaikki lasin sisäiset y-arvot ovat paikallisia
+// id/label: astian tunnus (lib/vessels.js) ja kylkeen piirrettävä nimi; jokaisella lasilla oma vesi, kemia ja diffuusio
+export function createDekantterilasi(scene, { baseY = 0, renderer = null, position = null, id = 'A', label = '' } = {}) {
 	const beakerGroup = new THREE.Group();
 	beakerGroup.name = 'beakerGroup';
+	beakerGroup.userData.vesselId = id;
 	const beakerHeight = 2.5;
 	const beakerRadius = 1.0;
 	const beakerGeo = new THREE.CylinderGeometry(beakerRadius, beakerRadius, beakerHeight, 32, 1, true);
@@ -44,17 +54,42 @@ export function createDekantterilasi(scene) {
 	// Nostetaan hieman jotta ei leikkaa lattiaa pienten numeeristen virheiden vuoksi
 	beaker.position.y = beakerHeight / 2 + 0.01;
 	beaker.castShadow = true;
-	const waterHeight = beakerHeight / 2;
+	const waterHeight = beakerHeight / 2; // alkutäyttö; todellinen pinta on waterLevel (täyttö / valutus)
+	// Vaihteleva vesimäärä: mL korkeusyksikköä kohden ja suurin täyttö (reunaan jää tilaa)
+	const ML_PER_UNIT = Math.PI * beakerRadius * beakerRadius * LITERS_PER_CUBIC_UNIT * 1000;
+	const maxWaterLevel = beakerHeight - 0.3;
+	let waterLevel = waterHeight;
 	// Diffuusio- ja partikkelihallinta kapseloituna
-	const diffusion = createDiffusionManager({ beakerGroup, beakerRadius, waterSurfaceY: waterHeight, waterHeight });
-	// Chemistry: use a single pH score and indicator flag
-	// pHScore < 0 => basic (blue), 0 => neutral (green), > 0 => acidic (yellow)
-	// We keep a separate visual display value that drives shader uniforms (displayPH),
+	const diffusion = createDiffusionManager({ beakerGroup, beakerRadius, waterSurfaceY: waterHeight, waterHeight, renderer });
+	// Kemia: ainemäärät ja todellinen pH lasketaan chemistry-moduulissa veden tilavuudelle
+	const waterVolumeL = Math.PI * beakerRadius * beakerRadius * waterHeight * LITERS_PER_CUBIC_UNIT;
+	const chem = createChemistry({ volumeL: waterVolumeL });
+	// Sakka: kemian saostamat suolat partikkeleina (laskeutuvat, pyörivät sekoitettaessa)
+	const precipitate = createPrecipitate({ beakerGroup, beakerRadius, waterSurfaceY: waterHeight, waterHeight });
+	// Sekoituskenttä: sauvan liike pyörittää vettä; sakka, plumet ja indikaattori (sekä jauhe ja kuplat) lukevat sitä
+	const stirField = createStirField({ beakerGroup, radius: beakerRadius - 0.05, getWaterSurfaceY: () => waterLevel });
+	diffusion.setStirField(stirField);
+	precipitate.setStirField(stirField);
+	const solidsAdded = new Set(); // lisätyt kiinteät aineet (esim. CaO) tilatietoa varten
+	// Veden lämpötila (keittolevy lämmittää, kiehuessa vesi haihtuu)
+	const temperature = createWaterTemperature();
+	// currentPH is the computed pH; pHScore is derived from it (BTS scale) for modules that only
+	// need acidic/neutral/basic: pHScore < 0 => basic, 0 => neutral, > 0 => acidic.
+	// We keep a separate visual display pH that drives shader uniforms (displayPH),
 	// so we can animate color changes or defer them until stirring.
-	let pHScore = 0;          // logical state
-	let displayPH = 0;        // visual state shown in shaders
+	let currentPH = chem.getPH();                    // logical state
+	let pHScore = indicatorScoreFromPH(currentPH);   // logical state (score)
+	let displayPH = currentPH; // visual state shown in shaders (pH units)
+	// Indikaattorit: tippapullossa valittu vs. vedessä oleva (viimeksi lisätty määrää värin)
+	let dropperIndicator = DEFAULT_INDICATOR;
+	let activeIndicator = DEFAULT_INDICATOR;
 	let hasIndicator = false;
 	let baseRevealPending = false; // holds back base-induced color change until stirring
+	// Sekoituksen perusteellisuus: odottava väri paljastuu sitä mukaa kuin liuosta sekoitetaan (sekoitusannos = ∫ voimakkuus dt)
+	const FULL_MIX_DOSE = 3.0;
+	let mixDose = 0;
+	let revealFromPH = displayPH; // näytetty pH sekoitusta odottamaan jäätäessä
+	let revealProgress = 0;       // 0..1 paljastettu osuus
 	let _phTween = null;      // active tween for smooth transitions
 
 	// Will hold unified water (new single mesh surface + sides)
@@ -63,17 +98,19 @@ export function createDekantterilasi(scene) {
 	function syncUnifiedChem() {
 		if (!unifiedWaterObj) return;
 		const uu = unifiedWaterObj.uniforms;
-		uu.uPHScore.value = displayPH;
+		uu.uPH.value = displayPH;
+		uu.uPHScore.value = indicatorScoreFromPH(displayPH);
 		uu.uGlobalConc.value = waterUniforms.uGlobalConc.value;
 		uu.uIndicatorEnabled.value = waterUniforms.uIndicatorEnabled.value;
 	}
 
-	function setDisplayPH(v) {
-		displayPH = v;
-		// push to legacy uniforms
-		waterUniforms.uPHScore.value = displayPH;
-		meniscusUniforms.uPHScore.value = displayPH;
-		if (meniscusUnderUniforms && meniscusUnderUniforms.uPHScore) meniscusUnderUniforms.uPHScore.value = displayPH;
+	function setDisplayPH(pH) {
+		displayPH = pH;
+		// push to legacy uniforms (score scale)
+		const score = indicatorScoreFromPH(displayPH);
+		waterUniforms.uPHScore.value = score;
+		meniscusUniforms.uPHScore.value = score;
+		if (meniscusUnderUniforms && meniscusUnderUniforms.uPHScore) meniscusUnderUniforms.uPHScore.value = score;
 		syncUnifiedChem();
 	}
 	// Legacy water/meniscus removed: unified water handles both volume & surface
@@ -86,13 +123,14 @@ export function createDekantterilasi(scene) {
 	unifiedWaterObj = createUnifiedWater({
 		radius: beakerRadius - 0.015,
 		height: waterHeight,
-		indicatorTex: diffusion.indicatorTex
+		indicatorTex: diffusion.indicatorTex,
+		indicator: activeIndicator
 	});
 	// Rollback: ei pakoteta render mode 2, jätetään default (mode 0) harnessiin
 	const unifiedWater = unifiedWaterObj.mesh;
 	// Expose ripple trigger to external modules via userData
-	unifiedWater.userData.triggerRipple = (worldPos) => {
-		try { unifiedWaterObj.triggerRipple(worldPos, beakerGroup); } catch {}
+	unifiedWater.userData.triggerRipple = (worldPos, strength) => {
+		try { unifiedWaterObj.triggerRipple(worldPos, beakerGroup, strength); } catch {}
 	};
 	// Legacy compatibility alias so external modules referencing `water` don't crash
 	const water = unifiedWater;
@@ -103,7 +141,7 @@ export function createDekantterilasi(scene) {
 	const meniscusUnder = null;
 	const meniscusPositions = null;
 	const originalMeniscusPositions = null;
-	const waterSurfaceY = waterHeight;
+	const waterSurfaceY = waterHeight; // alkuarvo (vanha API); elävä pinta: getWaterSurfaceY()
 	const beakerTapGroup = new THREE.Group();
 	const nozzleMat = new THREE.MeshStandardMaterial({ color: 0xdddddd, metalness: 0.8, roughness: 0.4 });
 	const beakerNozzle = new THREE.Mesh(new THREE.CylinderGeometry(0.08, 0.08, 0.6, 16), nozzleMat);
@@ -112,6 +150,7 @@ export function createDekantterilasi(scene) {
 	beakerNozzle.position.x = beakerRadius + 0.3;
 	const beakerTapHandle = new THREE.Group();
 	beakerTapHandle.name = 'beakerTapHandle';
+	beakerTapHandle.userData.vesselId = id;
 	// Venttiilin kahva (harmaa sylinteri)
 	const handleCylinder = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 0.1, 16), nozzleMat);
 	beakerTapHandle.add(handleCylinder);
@@ -126,11 +165,105 @@ export function createDekantterilasi(scene) {
 	beakerTapHandle.position.set(beakerRadius + 0.3, 0.09, 0);
 	beakerTapGroup.add(beakerNozzle, beakerTapHandle);
 	beakerTapGroup.position.y = 0.4;
+	// Hanan korkeus: valutus tyhjentää lasin vain tähän asti
+	const drainOutletY = beakerTapGroup.position.y;
+	// Valuva vesisuihku hanan suulta pöydälle (näkyy kun hana on auki ilman letkua)
+	const drainFall = drainOutletY + baseY;
+	const drainStream = new THREE.Mesh(
+		new THREE.CylinderGeometry(0.035, 0.025, drainFall, 12, 1, true),
+		new THREE.MeshStandardMaterial({ color: 0xcfe9ff, transparent: true, opacity: 0.55, roughness: 0.1, depthWrite: false })
+	);
+	drainStream.name = 'beakerDrainStream';
+	drainStream.position.set(beakerRadius + 0.58, drainOutletY - drainFall / 2, 0);
+	drainStream.visible = false;
+
+	// Asteikko lasin kyljessä (mL): canvas-tekstuuri kapealla sylinterikaistaleella kameran puolella
+	// (ryhmä on käännetty π:n verran, joten paikallinen -z eli theta = π osoittaa kameraan)
+	function createGraduations() {
+		const arc = 0.9;
+		const canvas = document.createElement('canvas');
+		canvas.width = 256;
+		canvas.height = Math.round(canvas.width * beakerHeight / (beakerRadius * arc));
+		const ctx = canvas.getContext('2d');
+		const pxPerUnit = canvas.height / beakerHeight;
+		const yOf = (ml) => canvas.height - (ml / ML_PER_UNIT + 0.01) * pxPerUnit;
+		ctx.strokeStyle = 'rgba(255,255,255,0.92)';
+		ctx.fillStyle = 'rgba(255,255,255,0.92)';
+		ctx.font = 'bold 26px Arial';
+		ctx.textBaseline = 'middle';
+		const maxMl = Math.floor(maxWaterLevel * ML_PER_UNIT / GRADUATION_STEP_ML) * GRADUATION_STEP_ML;
+		for (let ml = GRADUATION_STEP_ML; ml <= maxMl; ml += GRADUATION_STEP_ML) {
+			const major = ml % 100 === 0;
+			const y = yOf(ml);
+			ctx.lineWidth = major ? 5 : 3;
+			ctx.beginPath();
+			ctx.moveTo(40, y);
+			ctx.lineTo(major ? 120 : 90, y);
+			ctx.stroke();
+			if (major) ctx.fillText(String(ml), 130, y);
+		}
+		ctx.fillText('mL', 130, yOf(maxMl) - 40);
+		// Astian nimi asteikon yläpuolelle (useampi lasi pöydällä)
+		if (label) {
+			ctx.font = 'bold 56px Arial';
+			ctx.fillText(label, 40, yOf(maxMl) - 110);
+		}
+		const tex = new THREE.CanvasTexture(canvas);
+		tex.colorSpace = THREE.SRGBColorSpace;
+		const mesh = new THREE.Mesh(
+			new THREE.CylinderGeometry(beakerRadius + 0.004, beakerRadius + 0.004, beakerHeight, 16, 1, true, Math.PI - arc / 2, arc),
+			new THREE.MeshBasicMaterial({ map: tex, transparent: true, depthWrite: false })
+		);
+		mesh.name = 'beakerGraduations';
+		mesh.position.y = beakerHeight / 2 + 0.01;
+		mesh.renderOrder = 6; // lasin päälle
+		return mesh;
+	}
+	const graduations = createGraduations();
+
+	// Kaasutila veden pinnan ja reunan välissä (lib/headspace.js): värillinen kaasu (NO2) näkyy sumuna.
+	// Avoimessa lasissa kaasu ohenee reunaa kohti (karkaa); kellolasin alla täyttää tilan tasaisesti.
+	const headspace = createHeadspace();
+	let hasLidOn = false;
+	const headspaceUniforms = {
+		uColor: { value: new THREE.Color(0xffffff) },
+		uOpacity: { value: 0.0 },
+		uOpen: { value: 1.0 }
+	};
+	const headspaceMesh = new THREE.Mesh(
+		new THREE.CylinderGeometry(beakerRadius * 0.985, beakerRadius * 0.985, 1, 32, 1, false),
+		new THREE.ShaderMaterial({
+			uniforms: headspaceUniforms,
+			vertexShader: `
+				varying float vY;
+				void main() {
+					vY = position.y + 0.5;
+					gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+				}`,
+			fragmentShader: `
+				uniform vec3 uColor;
+				uniform float uOpacity;
+				uniform float uOpen;
+				varying float vY;
+				void main() {
+					float fade = mix(1.0, 1.0 - 0.85 * smoothstep(0.3, 1.0, vY), uOpen);
+					gl_FragColor = vec4(uColor, uOpacity * fade);
+				}`,
+			transparent: true,
+			depthWrite: false,
+			side: THREE.DoubleSide
+		})
+	);
+	headspaceMesh.name = 'beakerHeadspace';
+	headspaceMesh.renderOrder = 3; // veden jälkeen, ennen lasia
+	headspaceMesh.visible = false;
 	// Asetetaan piirtämisjärjestys: ensin sisäosat, viimeiseksi lasi
 	beaker.renderOrder = 5;
 	innerShell.visible = false; // palautetaan kirkas oletus
-	beakerGroup.add(beaker, innerShell, unifiedWater, beakerTapGroup);
-	beakerGroup.position.x = 4;
+	beakerGroup.add(beaker, innerShell, unifiedWater, beakerTapGroup, drainStream, graduations, headspaceMesh);
+	beakerGroup.position.x = position ? position.x : 4;
+	beakerGroup.position.y = baseY;
+	beakerGroup.position.z = position ? position.z : 0;
 	beakerGroup.rotation.y = Math.PI;
 	scene.add(beakerGroup);
 	// Kytke uniformit diffuusio-manageriin, jotta uIndicatorMap ja uGlobalConc pysyvät synkassa
@@ -138,36 +271,193 @@ export function createDekantterilasi(scene) {
 	diffusion.bindUniforms({ water: unifiedWaterObj.uniforms });
 
 
-	// Acidic gas pushes pHScore positive (towards yellow). If indicator present,
-	// animate the visual change slowly for realism.
-	function addAcidicGas() {
-		// Update logical pH
-		if (!hasIndicator) {
-			pHScore = Math.max(pHScore + 1, 1);
-			// No indicator: keep display as-is (gated in shaders)
-			return;
+	// --- Vesimäärä: pinta, yhtenäinen vesimesh, diffuusio ja sakka seuraavat elävää tasoa ---
+	function applyWaterLevel(level) {
+		waterLevel = Math.min(maxWaterLevel, Math.max(0, level));
+		unifiedWaterObj.setHeight(waterLevel);
+		unifiedWater.position.y = waterLevel / 2;
+		unifiedWater.visible = waterLevel > 0.005;
+		diffusion.setWaterLevel(waterLevel);
+		precipitate.setWaterLevel(waterLevel);
+	}
+	function getWaterSurfaceY() { return waterLevel; }
+	function getWaterVolumeMl() { return waterLevel * ML_PER_UNIT; }
+	function getMaxWaterVolumeMl() { return maxWaterLevel * ML_PER_UNIT; }
+
+	// Tislattua vettä (pesupullo): ainemäärät pysyvät, tilavuus kasvaa -> laimennus. Palauttaa lisätyn määrän (mL).
+	function addWater(ml) {
+		const before = getWaterVolumeMl();
+		const added = Math.min(ml, getMaxWaterVolumeMl() - before);
+		if (!(added > 0)) return 0;
+		applyWaterLevel(waterLevel + added / ML_PER_UNIT);
+		chem.setVolume(getWaterVolumeMl() / 1000);
+		updateLogicalPH();
+		// Indikaattori laimenee samassa suhteessa; suihku sekoittaa, joten uusi pH näkyy heti
+		const factor = before / getWaterVolumeMl();
+		diffusion.dilute(factor);
+		waterUniforms.uGlobalConc.value *= factor;
+		if (!baseRevealPending) revealPendingPH();
+		syncUnifiedChem();
+		return added;
+	}
+
+	// Valutus: liuosta poistuu, pitoisuudet ja pH eivät muutu (sakka jää pohjalle). Palauttaa poistetun määrän (mL).
+	function drainWater(ml, minLevel = 0) {
+		const removed = Math.min(ml, (waterLevel - minLevel) * ML_PER_UNIT);
+		if (!(removed > 0)) return 0;
+		chem.removeSolution(removed / 1000);
+		applyWaterLevel(waterLevel - removed / ML_PER_UNIT);
+		updateLogicalPH();
+		return removed;
+	}
+
+	// Kaato toiseen astiaan: liuosta lähtee (liuenneet ainemäärät samassa suhteessa, pitoisuudet, pH ja indikaattorin
+	// pitoisuus eivät muutu, sakka jää pohjalle). Palauttaa annoksen kohdelasin receiveSolution-kutsulle tai null.
+	function pourOut(ml) {
+		const removed = Math.min(ml, getWaterVolumeMl());
+		if (!(removed > 0)) return null;
+		const solution = chem.takeSolution(removed / 1000);
+		applyWaterLevel(waterLevel - removed / ML_PER_UNIT);
+		updateLogicalPH();
+		return {
+			ml: removed,
+			solution,
+			tempC: temperature.getTemperature(),
+			indicator: hasIndicator ? activeIndicator : null,
+			indicatorMean: hasIndicator ? diffusion.getIndicatorMean() : 0,
+			globalConc: hasIndicator ? waterUniforms.uGlobalConc.value : 0
+		};
+	}
+
+	// Kaadettu liuos toisesta lasista (pourOut-annos): ainemäärät, lämpö ja indikaattori sekoittuvat tilavuussuhteessa.
+	// Tuleva indikaattori lisätään suihkun osumakohtaan; suihku sekoittaa, joten uusi pH näkyy heti. Palauttaa lisätyn määrän (mL).
+	function receiveSolution(portion, impactWorld = null) {
+		if (!portion || !(portion.ml > 0)) return 0;
+		const added = Math.min(portion.ml, getMaxWaterVolumeMl() - getWaterVolumeMl());
+		if (!(added > 0)) return 0;
+		chem.addSolution(portion.solution, added / portion.ml);
+		applyWaterLevel(waterLevel + added / ML_PER_UNIT);
+		chem.setVolume(getWaterVolumeMl() / 1000);
+		updateLogicalPH();
+		const share = added / getWaterVolumeMl();
+		temperature.mixIn(portion.tempC, share);
+		// Indikaattori tulee liuoksen mukana (viimeksi lisätty määrää värin, kuten tippapullossa)
+		if (portion.indicator) {
+			if (!hasIndicator || activeIndicator !== portion.indicator) {
+				activeIndicator = portion.indicator;
+				if (unifiedWaterObj) unifiedWaterObj.setIndicator(activeIndicator);
+			}
+			hasIndicator = true;
+			waterUniforms.uIndicatorEnabled.value = 1.0;
+			meniscusUniforms.uIndicatorEnabled && (meniscusUniforms.uIndicatorEnabled.value = 1.0);
 		}
-		if (pHScore < 0) {
-			pHScore = 0; // blue -> green
-		} else {
-			pHScore = Math.max(1, pHScore + 1); // green -> yellow (or stay yellow)
+		const local = impactWorld ? beakerGroup.worldToLocal(impactWorld.clone()) : new THREE.Vector3();
+		diffusion.addPouredIndicator(local.x, local.z, portion.indicatorMean || 0, share);
+		waterUniforms.uGlobalConc.value = waterUniforms.uGlobalConc.value * (1 - share) + (portion.globalConc || 0) * share;
+		if (!baseRevealPending) revealPendingPH();
+		syncUnifiedChem();
+		return added;
+	}
+
+	// Hana auki ilman letkua: vesi valuu hanan korkeudelle asti (Torricelli: virtaus ~ √korkeus hanan yläpuolella)
+	function updateTapDrain(dt, open) {
+		const head = waterLevel - drainOutletY;
+		const flowing = !!open && head > 0.005 && dt > 0;
+		drainStream.visible = flowing;
+		if (!flowing) return 0;
+		const rate = BEAKER_DRAIN_ML_S * Math.sqrt(head / (maxWaterLevel - drainOutletY));
+		drainStream.scale.set(0.5 + 0.5 * rate / BEAKER_DRAIN_ML_S, 1, 0.5 + 0.5 * rate / BEAKER_DRAIN_ML_S);
+		return drainWater(rate * dt, drainOutletY);
+	}
+
+	// Lämmitys: levyn lämpötila -> veden lämpötila; kiehuva vesi haihtuu (ainemäärät jäävät -> väkevöityy).
+	// Palauttaa veden lämpötilan (°C).
+	function updateTemperature(dt, plateC) {
+		const { tempC, evaporatedMl } = temperature.update(dt, { plateC, volumeL: getWaterVolumeMl() / 1000 });
+		if (evaporatedMl > 0 && waterLevel > 0.05) {
+			applyWaterLevel(waterLevel - Math.min(evaporatedMl, getWaterVolumeMl() - 0.05 * ML_PER_UNIT) / ML_PER_UNIT);
+			chem.setVolume(getWaterVolumeMl() / 1000);
+			updateLogicalPH();
 		}
-		// Smoothly tween the displayed pH towards the new logical pH
+		diffusion.setConvection(temperature.getConvection());
+		return tempC;
+	}
+	function getWaterTemperature() { return temperature.getTemperature(); }
+
+	// Liuennut kaasu lisätään kemiaan (komponentit reagenssikatalogista; happamat ja NH3 emäksisenä) ja pHScore johdetaan lasketusta pH:sta.
+	// If indicator present, animate the visual change slowly for realism.
+	function addAcidicGas(gas = 'SO2', mol = GAS_MOL_PER_BUBBLE) {
+		// Update logical pH
+		if (!chem.addGas(gas, mol)) return;
+		updateLogicalPH();
+		// No indicator: keep display as-is (gated in shaders)
+		if (!hasIndicator) return;
+		tweenDisplayPH(1500);
+	}
+
+	// Liukenematta jäänyt kaasu (kuplat) kaasutilaan; kellolasi (setLid) pitää sen lasissa
+	function addHeadspaceGas(gas, mol) { headspace.add(gas, mol); }
+	function setLid(on) { hasLidOn = !!on; }
+	function getHeadVolumeL() { return Math.max(0, beakerHeight - waterLevel) * ML_PER_UNIT / 1000; }
+
+	function updateHeadspace(dt) {
+		const headVolumeL = getHeadVolumeL();
+		headspace.update(dt, {
+			headVolumeL,
+			waterVolumeL: getWaterVolumeMl() / 1000,
+			chemistry: chem,
+			tempC: temperature.getTemperature(),
+			lid: hasLidOn,
+			onAbsorb: addAcidicGas
+		});
+		const { color, opacity } = headspace.getVisual(headVolumeL);
+		headspaceMesh.visible = opacity > 0.01 && headVolumeL > 0.01;
+		if (!headspaceMesh.visible) return;
+		const h = beakerHeight - waterLevel;
+		headspaceMesh.scale.y = h;
+		headspaceMesh.position.y = waterLevel + h / 2;
+		headspaceUniforms.uColor.value.setHex(color);
+		headspaceUniforms.uOpacity.value = opacity;
+		headspaceUniforms.uOpen.value = hasLidOn ? 0.0 : 1.0;
+	}
+
+	// Smoothly tween the displayed pH towards the new logical pH
+	function tweenDisplayPH(durationMs) {
 		try {
 			const T = (typeof window !== 'undefined' && window.TWEEN) ? window.TWEEN : null;
 			if (T) {
 				if (_phTween && _phTween.stop) _phTween.stop();
 				const obj = { v: displayPH };
 				_phTween = new T.Tween(obj)
-					.to({ v: pHScore }, 1500)
+					.to({ v: currentPH }, durationMs)
 					.easing(T.Easing.Quadratic.Out)
 					.onUpdate(() => setDisplayPH(obj.v))
-					.onComplete(() => { setDisplayPH(pHScore); _phTween = null; })
+					.onComplete(() => { setDisplayPH(currentPH); _phTween = null; })
 					.start();
 			} else {
-				setDisplayPH(pHScore);
+				setDisplayPH(currentPH);
 			}
-		} catch { setDisplayPH(pHScore); }
+		} catch { setDisplayPH(currentPH); }
+	}
+
+	// Byretistä tullut mittaliuos (code = katalogin 'solution', C · V mooleina): tilavuus kasvaa, indikaattori laimenee
+	// tilavuussuhteessa ja pH siirtyy lisätyn ainemäärän mukaan. Tipat ovat pieniä, joten väri seuraa ilman erillistä sekoitusta
+	// (kuten kaasukuplilla); odottava emäsväri paljastetaan samalla. Palauttaa lisätyn määrän (mL).
+	function addTitrant(code, concMolL, ml) {
+		const added = Math.min(ml, getMaxWaterVolumeMl() - getWaterVolumeMl());
+		if (!(added > 0)) return 0;
+		if (!chem.addReagentSolution(code, concMolL, added / 1000)) return 0;
+		applyWaterLevel(waterLevel + added / ML_PER_UNIT);
+		chem.setVolume(getWaterVolumeMl() / 1000);
+		updateLogicalPH();
+		const keep = 1 - added / getWaterVolumeMl();
+		diffusion.dilute(keep);
+		waterUniforms.uGlobalConc.value *= keep;
+		syncUnifiedChem();
+		if (!hasIndicator) return added;
+		if (baseRevealPending) revealPendingPH();
+		else tweenDisplayPH(600);
+		return added;
 	}
 
 	// Function to reset water to initial state
@@ -179,16 +469,29 @@ export function createDekantterilasi(scene) {
 		waterUniforms.uGlobalConc.value = 0.0;
 		meniscusUniforms.uGlobalConc && (meniscusUniforms.uGlobalConc.value = 0.0);
 		
-		// Reset chemistry
-		pHScore = 0;
-		displayPH = 0;
+		// Reset chemistry (ja alkuperäinen vesimäärä)
+		chem.reset();
+		chem.setVolume(waterVolumeL);
+		applyWaterLevel(waterHeight);
+		drainStream.visible = false;
+		temperature.reset();
+		diffusion.setConvection(0);
+		updateLogicalPH();
+		precipitate.reset();
+		stirField.reset();
+		solidsAdded.clear();
+		headspace.reset();
+		headspaceMesh.visible = false;
+		if (unifiedWaterObj) unifiedWaterObj.setChem({ turbidity: 0.0 });
 		hasIndicator = false;
 		baseRevealPending = false;
+		mixDose = 0;
+		revealProgress = 0;
 		if (_phTween && _phTween.stop) { try { _phTween.stop(); } catch {} _phTween = null; }
 		waterUniforms.uIndicatorEnabled.value = 0.0;
 		// Ensure meniscus layers also drop indicator influence
 		meniscusUniforms.uIndicatorEnabled && (meniscusUniforms.uIndicatorEnabled.value = 0.0);
-		setDisplayPH(0.0);
+		setDisplayPH(currentPH);
 		syncUnifiedChem();
 		
 			// Diffusion manager handled particle clearing
@@ -196,6 +499,11 @@ export function createDekantterilasi(scene) {
 
 	// Modified addIndicatorAt to handle acidity
 	function addIndicatorAtModified(u, v) {
+		// Tippapullon indikaattori korvaa veden värin (yksinkertaistus: ei sekoiteta indikaattoreita)
+		if (!hasIndicator || activeIndicator !== dropperIndicator) {
+			activeIndicator = dropperIndicator;
+			if (unifiedWaterObj) unifiedWaterObj.setIndicator(activeIndicator);
+		}
 		hasIndicator = true;
 		waterUniforms.uIndicatorEnabled.value = 1.0;
 		meniscusUniforms.uIndicatorEnabled && (meniscusUniforms.uIndicatorEnabled.value = 1.0);
@@ -207,25 +515,22 @@ export function createDekantterilasi(scene) {
 		if (meniscusUniforms.uGlobalConc) meniscusUniforms.uGlobalConc.value = waterUniforms.uGlobalConc.value;
 		// Heijasta nykyinen pH-tila välittömästi nyt kun indikaattori on päällä
 		if (_phTween && _phTween.stop) { try { _phTween.stop(); } catch {} _phTween = null; }
-		setDisplayPH(pHScore);
+		setDisplayPH(currentPH);
 		syncUnifiedChem();
 		return true;
 	}
 
-	// Emäksinen jauhe työntää pHScore negatiiviseen suuntaan (sininen). Jos hapan, ensin neutraloi (keltainen->vihreä), sitten peräkkäiset lisäykset siniseksi.
-	function addBasicPowderEffect() {
+	// Kiinteä aine (esim. oksidi -> hydroksidi, NaHCO3 puskurina) muuttaa pH:ta massan mukaan; palauttaa ainemäärän (mol).
+	function addBasicPowderEffect(solidCode = 'CaO', grams = SCOOP_MASS_G) {
 		// Päivitä pHScore aina, vaikka indikaattoria ei olisi vielä lisätty.
 		// Indikaattorin väri ei kuitenkaan muutu heti; vaatii sekoituksen.
-		if (pHScore > 0) {
-			// Neutraloi hapan ensin vihreäksi (pHScore=0)
-			pHScore = 0;
-		} else {
-			// Muuten siirry emäksiseen (siniseen) vähintään tasolle -1
-			pHScore = Math.min(pHScore - 1, -1);
-		}
+		const mol = chem.addSolidMass(solidCode, grams);
+		updateLogicalPH();
+		if (!baseRevealPending) { revealFromPH = displayPH; revealProgress = 0; mixDose = 0; }
 		baseRevealPending = true; // pidä visuaalinen muutos odottamassa sekoitusta
 		// Älä muuta displayPH:tä vielä; pidä nykyinen väri
 		syncChemUniforms();
+		return mol;
 	}
 
 
@@ -235,35 +540,131 @@ export function createDekantterilasi(scene) {
 		syncUnifiedChem();
 	}
 
-	// Reveal pending pH visually (e.g., when stirring begins)
-	function revealPendingPH() {
+	/**
+	 * Paljasta sekoitusta odottava pH-väri.
+	 * @param {number} [thoroughness=1] sekoituksen perusteellisuus 0..1: osittain sekoitetussa liuoksessa väri
+	 *   siirtyy vain osan matkaa kohti todellista pH:ta ja loppu odottaa lisää sekoitusta
+	 */
+	function revealPendingPH(thoroughness = 1) {
 		if (!hasIndicator) return; // ei näkyvää vaikutusta ilman indikaattoria
-		if (!baseRevealPending && Math.abs(displayPH - pHScore) < 1e-3) return;
-		baseRevealPending = false;
+		if (!baseRevealPending && Math.abs(displayPH - currentPH) < 1e-3) return;
+		if (!baseRevealPending) { revealFromPH = displayPH; revealProgress = 0; }
+		const k = Math.min(1, Math.max(revealProgress, thoroughness));
+		revealProgress = k;
+		baseRevealPending = k < 1;
+		// Näkyvä väri: lineaarinen sekoitus odotusta edeltäneen ja todellisen pH:n välillä
+		const targetPH = revealFromPH + (currentPH - revealFromPH) * k;
+		if (k >= 1) { revealProgress = 0; mixDose = 0; }
 		try {
 			const T = (typeof window !== 'undefined' && window.TWEEN) ? window.TWEEN : null;
 			if (T) {
 				if (_phTween && _phTween.stop) _phTween.stop();
 				const obj = { v: displayPH };
 				_phTween = new T.Tween(obj)
-					.to({ v: pHScore }, 1200)
+					.to({ v: targetPH }, k >= 1 ? 1200 : 600)
 					.easing(T.Easing.Quadratic.InOut)
 					.onUpdate(() => setDisplayPH(obj.v))
-					.onComplete(() => { setDisplayPH(pHScore); _phTween = null; })
+					.onComplete(() => { setDisplayPH(targetPH); _phTween = null; })
 					.start();
 			} else {
-				setDisplayPH(pHScore);
+				setDisplayPH(targetPH);
 			}
-		} catch { setDisplayPH(pHScore); }
+		} catch { setDisplayPH(targetPH); }
 	}
 
-	// Post-mix color helper for plumes (match final BTS color after stirring)
+	// Sekoituskenttä kerryttää sekoitusannosta; väri paljastuu 10 %:n askelin
+	function updateMixing(dt) {
+		if (!baseRevealPending || !hasIndicator || !(dt > 0)) return;
+		const intensity = stirField.getIntensity();
+		if (!(intensity > 0)) return;
+		mixDose += intensity * dt;
+		const k = Math.min(1, mixDose / FULL_MIX_DOSE);
+		if (k >= 1 || k - revealProgress >= 0.1) revealPendingPH(k);
+	}
+
+	// Kuinka perusteellisesti liuos on sekoitettu (1 = ei odottavaa värimuutosta)
+	function getMixedness() {
+		return baseRevealPending ? Math.min(1, mixDose / FULL_MIX_DOSE) : 1;
+	}
+
+	// Post-mix color helper for plumes: valitun indikaattorin lopullinen väri sekoituksen jälkeen
 	function getPostMixColorHex() {
-		// Map current logical pHScore to final color:
-		// <= -0.5 => basic blue; 0 => neutral green; (>0 not used for base, but default to yellow)
-		if (pHScore < 0) return 0x0b3c88; // blue
-		if (pHScore === 0) return 0x12d65c; // green
-		return 0xe6d619; // yellow (fallback, not expected here)
+		return indicatorColorAt(activeIndicator, currentPH).hex;
+	}
+
+	// Päivitä looginen pH (ja pHScore) kemiasta
+	function updateLogicalPH() {
+		currentPH = chem.getPH();
+		pHScore = indicatorScoreFromPH(currentPH);
+	}
+
+	// Tippapullon indikaattorin valinta (otetaan käyttöön seuraavasta tipasta)
+	function selectIndicator(id) {
+		dropperIndicator = id || DEFAULT_INDICATOR;
+	}
+
+	// Kiinteän aineen lisäys kirjataan (kemia on jo päivitetty addBasicPowderEffectissä)
+	function noteSolidAdded(code) {
+		if (code) solidsAdded.add(code);
+	}
+
+	// Sakan per-frame päivitys: synkkaa partikkelit kemian sakkamääriin ja sameus shaderiin
+	function precipitateUpdate(dt) {
+		precipitate.sync(chem.getPrecipitates());
+		precipitate.update(dt);
+		if (unifiedWaterObj) unifiedWaterObj.setChem({ turbidity: precipitate.getTurbidity() });
+	}
+
+	// Vanha ajastettu sakan pyörre (sekoituskenttä hoitaa sauvasekoituksen)
+	function startPrecipitateSwirl(opts = {}) {
+		precipitate.startSwirl(opts);
+	}
+
+	// Tilan tallennus: kemia, indikaattori (myös diffuusiokanvaasi), lisätyt kiinteät ja näytetty pH
+	function getSnapshot() {
+		return {
+			chemistry: chem.getSnapshot(),
+			hasIndicator,
+			activeIndicator,
+			dropperIndicator,
+			displayPH,
+			baseRevealPending,
+			indicatorEnabled: waterUniforms.uIndicatorEnabled.value,
+			globalConc: waterUniforms.uGlobalConc.value,
+			solids: [...solidsAdded],
+			temperature: temperature.getSnapshot(),
+			headspace: headspace.getSnapshot(),
+			indicatorMap: diffusion.getIndicatorSnapshot()
+		};
+	}
+
+	function restoreSnapshot(s = {}) {
+		resetWater();
+		if (s.chemistry) chem.restoreSnapshot(s.chemistry);
+		// Vesimäärä kulkee kemian tilavuuden mukana
+		applyWaterLevel(chem.getVolume() * 1000 / ML_PER_UNIT);
+		if (s.temperature) temperature.restoreSnapshot(s.temperature);
+		if (s.headspace) headspace.restoreSnapshot(s.headspace);
+		diffusion.setConvection(temperature.getConvection());
+		updateLogicalPH();
+		(s.solids || []).forEach(code => solidsAdded.add(code));
+		dropperIndicator = s.dropperIndicator || DEFAULT_INDICATOR;
+		activeIndicator = s.activeIndicator || DEFAULT_INDICATOR;
+		if (unifiedWaterObj) unifiedWaterObj.setIndicator(activeIndicator);
+		hasIndicator = !!s.hasIndicator;
+		baseRevealPending = !!s.baseRevealPending;
+		mixDose = 0;
+		revealProgress = 0;
+		const enabled = hasIndicator ? (s.indicatorEnabled ?? 1.0) : 0.0;
+		waterUniforms.uIndicatorEnabled.value = enabled;
+		meniscusUniforms.uIndicatorEnabled && (meniscusUniforms.uIndicatorEnabled.value = enabled);
+		waterUniforms.uGlobalConc.value = s.globalConc || 0.0;
+		meniscusUniforms.uGlobalConc && (meniscusUniforms.uGlobalConc.value = waterUniforms.uGlobalConc.value);
+		precipitate.restoreSettled(chem.getPrecipitates());
+		setDisplayPH(typeof s.displayPH === 'number' ? s.displayPH : currentPH);
+		revealFromPH = displayPH;
+		const done = s.indicatorMap ? diffusion.restoreIndicatorSnapshot(s.indicatorMap) : Promise.resolve();
+		return done.then(() => syncUnifiedChem());
 	}
 
 	// Diffuusiopartikkelit diffuusio-managerin kautta
@@ -275,12 +676,51 @@ export function createDekantterilasi(scene) {
 		function getChemState() {
 			return {
 				hasIndicator,
-				pHScore
+				pHScore,
+				pH: chem.getPH(),
+				indicator: hasIndicator ? activeIndicator : null,
+				indicatorConc: hasIndicator ? diffusion.getIndicatorMean() : 0,
+				conductivity: chem.getConductivity(),
+				ionicStrength: chem.getIonicStrength(),
+				volumeL: chem.getVolume(),
+				volumeMl: Math.round(getWaterVolumeMl()),
+				tempC: Math.round(temperature.getTemperature() * 10) / 10,
+				boiling: temperature.isBoiling(),
+				solids: [...solidsAdded],
+				precipitates: chem.getPrecipitates(),
+				turbidity: precipitate.getTurbidity()
 			};
 		}
 
 	// Per-frame update helper: call from main loop
+	// Ioninäkymä: liuenneet ionit partikkeleina, määrä ~ √pitoisuus (ION_VIEW_PER_REF kpl pitoisuudella ION_VIEW_REF_MOL_L),
+	// jotta sekä H3O+ happamassa että suolojen ionit näkyvät; sakkaan sitoutuneet ionit poistuvat näkymästä
+	let ionViewTimer = 0;
+	function ionViewGroups() {
+		return Object.entries(chem.getIons()).map(([key, c]) => ({
+			key,
+			count: Math.min(ION_VIEW_MAX_PER_ION, Math.round(ION_VIEW_PER_REF * Math.sqrt(c / ION_VIEW_REF_MOL_L))),
+			color: ION_DATA[key].color,
+			size: Math.abs(ION_DATA[key].charge) > 1 ? 1.35 : 1.0
+		})).filter(g => g.count > 0);
+	}
+	function setIonView(on) {
+		diffusion.setIonView(on);
+		ionViewTimer = 0;
+		if (on) diffusion.setIons(ionViewGroups());
+	}
+	function updateIonView(dt) {
+		if (!diffusion.isIonView()) return;
+		ionViewTimer += dt;
+		if (ionViewTimer < ION_VIEW_REFRESH_S) return;
+		ionViewTimer = 0;
+		diffusion.setIons(ionViewGroups());
+	}
+
 	function updateWater(dt, elapsedSeconds) {
+		updateMixing(dt);
+		updateIonView(dt);
+		updateHeadspace(dt);
 		// Advance diffusion (spreads indicator & updates global conc)
 		diffusion.step(dt);
 		// Advance ripple time in unified water
@@ -291,28 +731,29 @@ export function createDekantterilasi(scene) {
 	// Store reference for external loop discovery
 	beakerGroup.userData.updateWater = updateWater;
 
-	  // Expose unified water control object for debugging / console (render mode cycling etc.)
-	  if (typeof window !== 'undefined') {
-		window.unifiedWaterObj = unifiedWaterObj;
-	  }
+	// Vesiolio on lasikohtainen: konsolista window._vessels.get(id).beaker.unifiedWaterObj
 	return { 
-		beakerGroup, beakerNozzle, water, unifiedWater: unifiedWaterObj ? unifiedWaterObj.mesh : null, unifiedWaterObj, waterHeight, meniscus, meniscusUnder, 
+		id, label, beakerGroup, beakerNozzle, beakerTapHandle, water, unifiedWater: unifiedWaterObj ? unifiedWaterObj.mesh : null, unifiedWaterObj, waterHeight, meniscus, meniscusUnder, 
 		meniscusPositions, originalMeniscusPositions, waterSurfaceY, beakerRadius, beakerHeight, 
-	    	addIndicatorAt: addIndicatorAtModified, stepIndicator: diffusion.step, addAcidicGas, resetWater, addDiffusionSource, particlesUpdate: diffusion.update, addBasicPowderEffect, revealPendingPH, addEventPlume: diffusion.addEventPlume, clearEvents: diffusion.clearEvents, getPostMixColorHex, getChemState, updateWater, diffusionManager: diffusion 
+	    	addIndicatorAt: addIndicatorAtModified, stepIndicator: diffusion.step, addAcidicGas, resetWater, addDiffusionSource, particlesUpdate: diffusion.update, addBasicPowderEffect, revealPendingPH, addEventPlume: diffusion.addEventPlume, clearEvents: diffusion.clearEvents, getPostMixColorHex, getChemState, updateWater, diffusionManager: diffusion, chemistry: chem, 
+	    	noteSolidAdded, precipitateUpdate, startPrecipitateSwirl, precipitate, selectIndicator, getSnapshot, restoreSnapshot,
+	    	getWaterSurfaceY, getWaterVolumeMl, getMaxWaterVolumeMl, addWater, drainWater, pourOut, receiveSolution, addTitrant, updateTapDrain,
+	    	updateTemperature, getWaterTemperature, stirField, getMixedness, setIonView, isIonView: diffusion.isIonView,
+	    	headspace, addHeadspaceGas, setLid, hasLid: () => hasLidOn
 	};
 }
 
-// Global keyboard controls for chemistry functions
+// Global keyboard controls for chemistry functions (kohteena aktiivinen astia, ks. lib/vessels.js)
 if (typeof window !== 'undefined') {
 	window.addEventListener('keydown', (event) => {
-		// Get beaker reference from global scope if available
-		if (window.currentBeaker) {
+		const beaker = window._vessels?.getActive?.()?.beaker;
+		if (beaker) {
 			switch(event.key.toLowerCase()) {
 				case 'r':
-					window.currentBeaker.resetWater();
+					beaker.resetWater();
 					break;
 				case 'g':
-					window.currentBeaker.addAcidicGas();
+					beaker.addAcidicGas();
 					// Debug-logi poistettu
 					break;
 			}
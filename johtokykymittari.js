@@ -0,0 +1,279 @@
+import * as THREE from 'three';
+// Johtokykymittari: näyttöyksikkö + johtokykykenno (kaksi platinarengasta) johdolla, kuten pH-mittari
+// - Kenno lepää telineessä; klikkaus valitsee sen ja dekantterilasin klikkaus upottaa sen veteen
+// - Lukema on liuoksen sähkönjohtavuus (µS/cm tai mS/cm, automaattinen alue) lämpötilakompensoituna 25 °C:seen
+// - Ilmassa lukema putoaa nollaan (kennon elektrodien välissä ei ole johdetta)
+// - ION-painike näyttöyksikössä kytkee ioninäkymän (liuenneet ionit partikkeleina laseissa)
+
+// Kennon vaste on nopea (ei lasikalvoa kuten pH-elektrodissa)
+const RESPONSE_TAU = 0.6;
+const DISPLAY_REFRESH_SEC = 0.2;
+
+// Automaattinen mittausalue: 0–199.9 µS/cm, 200–1999 µS/cm, 2.00–199.9 mS/cm
+function formatConductivity(us) {
+	if (us < 200) return { text: us.toFixed(1), unit: 'µS/cm' };
+	if (us < 2000) return { text: us.toFixed(0), unit: 'µS/cm' };
+	const ms = us / 1000;
+	return { text: ms < 20 ? ms.toFixed(2) : ms.toFixed(1), unit: 'mS/cm' };
+}
+
+function drawDisplay(ctx, { text, unit, stable, ionView }) {
+	const w = ctx.canvas.width, h = ctx.canvas.height;
+	ctx.fillStyle = '#b9c9a3';
+	ctx.fillRect(0, 0, w, h);
+	ctx.strokeStyle = '#55624a';
+	ctx.lineWidth = 6;
+	ctx.strokeRect(8, 8, w - 16, h - 16);
+	ctx.fillStyle = '#1c2418';
+	ctx.textBaseline = 'middle';
+	ctx.textAlign = 'right';
+	ctx.font = 'bold 104px monospace';
+	ctx.fillText(text, w - 150, h * 0.42);
+	ctx.textAlign = 'left';
+	ctx.font = 'bold 36px Arial';
+	ctx.fillText(unit, w - 142, h * 0.46);
+	ctx.font = 'bold 30px monospace';
+	ctx.fillText('κ25 ATC', 28, h - 40);
+	ctx.textAlign = 'right';
+	ctx.fillText(`${ionView ? 'ION ' : ''}${stable ? 'STAB' : ''}`, w - 28, h - 40);
+}
+
+export function createJohtokykymittari(scene, { position = new THREE.Vector3(6.4, 0, -3.4) } = {}) {
+	const meterGroup = new THREE.Group();
+	meterGroup.name = 'conductivityMeterGroup';
+
+	// Näyttöyksikkö
+	const caseMat = new THREE.MeshStandardMaterial({ color: 0x2b3a4a, metalness: 0.1, roughness: 0.6 });
+	const unitW = 1.0, unitH = 0.45, unitD = 0.7;
+	const unit = new THREE.Mesh(new THREE.BoxGeometry(unitW, unitH, unitD), caseMat);
+	unit.name = 'conductivityMeterUnit';
+	unit.position.y = unitH / 2;
+	unit.castShadow = true;
+	meterGroup.add(unit);
+
+	const displayCanvas = document.createElement('canvas');
+	displayCanvas.width = 512;
+	displayCanvas.height = 256;
+	const displayCtx = displayCanvas.getContext('2d');
+	drawDisplay(displayCtx, { text: '0.0', unit: 'µS/cm', stable: false, ionView: false });
+	const displayTex = new THREE.CanvasTexture(displayCanvas);
+	const displayMesh = new THREE.Mesh(
+		new THREE.PlaneGeometry(unitW * 0.8, unitW * 0.4),
+		new THREE.MeshBasicMaterial({ map: displayTex })
+	);
+	displayMesh.name = 'conductivityMeterDisplay';
+	displayMesh.position.set(0, unitH + 0.062, -0.04);
+	displayMesh.rotation.x = -Math.PI / 2 + 0.35;
+	meterGroup.add(displayMesh);
+
+	// ION-painike näytön edessä
+	const ionButtonMat = new THREE.MeshStandardMaterial({ color: 0x7c3aed, roughness: 0.4, emissive: 0x000000 });
+	const ionButton = new THREE.Mesh(new THREE.BoxGeometry(0.22, 0.05, 0.12), ionButtonMat);
+	ionButton.name = 'conductivityIonButton';
+	ionButton.position.set(0.3, unitH + 0.02, unitD / 2 - 0.09);
+	meterGroup.add(ionButton);
+
+	// Kennoteline
+	const standMat = new THREE.MeshStandardMaterial({ color: 0xc0c0c0, metalness: 0.8, roughness: 0.3 });
+	const stand = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.03, 2.0, 12), standMat);
+	stand.position.set(-0.75, 1.0, 0);
+	stand.castShadow = true;
+	const standBase = new THREE.Mesh(new THREE.CylinderGeometry(0.22, 0.25, 0.06, 24), caseMat);
+	standBase.position.set(-0.75, 0.03, 0);
+	const clamp = new THREE.Mesh(new THREE.BoxGeometry(0.22, 0.06, 0.08), standMat);
+	clamp.position.set(-0.85, 1.8, 0);
+	meterGroup.add(stand, standBase, clamp);
+
+	meterGroup.position.copy(position);
+	meterGroup.position.y += 0.01;
+	scene.add(meterGroup);
+
+	// Kenno: muovirunko, alapäässä avoin mittausaukko ja kaksi platinarengasta
+	const probeLength = 2.4;
+	const probe = new THREE.Group();
+	probe.name = 'conductivityProbe';
+	const probeBodyMat = new THREE.MeshStandardMaterial({ color: 0x334155, metalness: 0.0, roughness: 0.5 });
+	const probeBody = new THREE.Mesh(new THREE.CylinderGeometry(0.065, 0.065, probeLength * 0.85, 16), probeBodyMat);
+	probeBody.position.y = probeLength * 0.075;
+	probeBody.castShadow = true;
+	const shroudMat = new THREE.MeshStandardMaterial({ color: 0x1f2937, roughness: 0.5, side: THREE.DoubleSide });
+	const shroud = new THREE.Mesh(new THREE.CylinderGeometry(0.07, 0.07, probeLength * 0.15, 16, 1, true), shroudMat);
+	shroud.position.y = -probeLength * 0.425;
+	const ringMat = new THREE.MeshStandardMaterial({ color: 0x9ca3af, metalness: 0.9, roughness: 0.25 });
+	const rings = [-0.38, -0.46].map((k) => {
+		const ring = new THREE.Mesh(new THREE.TorusGeometry(0.055, 0.008, 6, 20), ringMat);
+		ring.rotation.x = Math.PI / 2;
+		ring.position.y = probeLength * k;
+		return ring;
+	});
+	const probeTip = new THREE.Object3D();
+	probeTip.name = 'conductivityProbeTip';
+	probeTip.position.y = -probeLength / 2;
+	const probeTop = new THREE.Object3D();
+	probeTop.position.y = probeLength / 2;
+	probe.add(probeBody, shroud, ...rings, probeTip, probeTop);
+	const probeRestPosition = new THREE.Vector3(-0.85, 1.8 - 0.35, 0.12).add(meterGroup.position);
+	probe.position.copy(probeRestPosition);
+	scene.add(probe);
+
+	// Johto näyttöyksiköstä kennon yläpäähän (taipuva käyrä)
+	const cableSegments = 24;
+	const cableGeo = new THREE.BufferGeometry();
+	cableGeo.setAttribute('position', new THREE.BufferAttribute(new Float32Array((cableSegments + 1) * 3), 3));
+	const cable = new THREE.Line(cableGeo, new THREE.LineBasicMaterial({ color: 0x111111 }));
+	cable.name = 'conductivityMeterCable';
+	cable.frustumCulled = false;
+	scene.add(cable);
+	const cablePort = new THREE.Object3D();
+	cablePort.position.set(-unitW / 2, unitH * 0.6, -unitD * 0.25);
+	meterGroup.add(cablePort);
+	const _a = new THREE.Vector3(), _b = new THREE.Vector3(), _c = new THREE.Vector3(), _p = new THREE.Vector3();
+	function updateCable() {
+		cablePort.getWorldPosition(_a);
+		probeTop.getWorldPosition(_b);
+		_c.addVectors(_a, _b).multiplyScalar(0.5);
+		_c.y = Math.min(_a.y, _b.y) - 0.3;
+		const curve = new THREE.QuadraticBezierCurve3(_a, _c, _b);
+		const arr = cableGeo.attributes.position.array;
+		for (let i = 0; i <= cableSegments; i++) {
+			curve.getPoint(i / cableSegments, _p);
+			arr[i * 3] = _p.x; arr[i * 3 + 1] = _p.y; arr[i * 3 + 2] = _p.z;
+		}
+		cableGeo.attributes.position.needsUpdate = true;
+	}
+	updateCable();
+
+	// Kennon tila
+	let reading = 0;
+	let dipped = false;
+	let ionView = false;
+	let refreshTimer = 0;
+	let stableTimer = 0;
+	let lastShown = null;
+
+	function getReading() { return reading; }
+
+	/**
+	 * Per-frame päivitys.
+	 * @param {number} dt
+	 * @param {number|null} sampleUS Mitattavan liuoksen johtokyky (µS/cm, null jos ei saatavilla)
+	 */
+	function update(dt, sampleUS = null) {
+		updateCable();
+		if (!(dt > 0)) return;
+		const measuring = dipped && typeof sampleUS === 'number' && isFinite(sampleUS);
+		const target = measuring ? Math.max(0, sampleUS) : 0;
+		const prev = reading;
+		reading += (target - reading) * (1 - Math.exp(-dt / RESPONSE_TAU));
+		const rel = Math.abs(reading - prev) / Math.max(1, reading) / dt;
+		stableTimer = (measuring && rel < 0.002) ? stableTimer + dt : 0;
+		refreshTimer += dt;
+		if (refreshTimer < DISPLAY_REFRESH_SEC) return;
+		refreshTimer = 0;
+		// Pieni kohina viimeisessä numerossa (±0,2 %)
+		const noisy = reading * (1 + (measuring ? (Math.random() - 0.5) * 0.004 : 0));
+		const { text, unit } = formatConductivity(noisy);
+		const stable = stableTimer > 1.0;
+		const key = text + unit + (stable ? 's' : '') + (ionView ? 'i' : '');
+		if (key === lastShown) return;
+		lastShown = key;
+		drawDisplay(displayCtx, { text, unit, stable, ionView });
+		displayTex.needsUpdate = true;
+	}
+
+	function tweenProbe(to, duration, easing) {
+		return new Promise((resolve) => {
+			new TWEEN.Tween(probe.position)
+				.to({ x: to.x, y: to.y, z: to.z }, duration)
+				.easing(easing || TWEEN.Easing.Quadratic.InOut)
+				.onComplete(resolve)
+				.start();
+		});
+	}
+
+	// Nosta kenno hieman telineestä (valittu-tila)
+	function lift(deltaY = 0.4, duration = 200) {
+		return tweenProbe(probeRestPosition.clone().setY(probeRestPosition.y + deltaY), duration, TWEEN.Easing.Quadratic.Out);
+	}
+
+	/**
+	 * Upota kenno dekantterilasiin (eri kohtaan kuin pH-anturi ja lämpömittari).
+	 * @param {{ beakerGroup: THREE.Object3D, beakerHeight: number, beakerRadius: number, waterSurfaceY: number }} opts
+	 */
+	async function dipInto({ beakerGroup, beakerHeight, beakerRadius, waterSurfaceY }) {
+		const base = new THREE.Vector3();
+		beakerGroup.getWorldPosition(base);
+		const spot = new THREE.Vector3(base.x - beakerRadius * 0.5, 0, base.z + beakerRadius * 0.45);
+		const clearY = base.y + beakerHeight + 0.3 + probeLength / 2;
+		// Renkaiden on oltava veden alla: kennon pää lähelle pohjaa
+		const dipY = base.y + Math.max(0.2, Math.min(waterSurfaceY - 0.9, 0.35)) + probeLength / 2;
+		await tweenProbe(probe.position.clone().setY(clearY), 350, TWEEN.Easing.Quadratic.Out);
+		await tweenProbe(spot.clone().setY(clearY), 700);
+		await tweenProbe(spot.clone().setY(dipY), 450, TWEEN.Easing.Quadratic.In);
+		dipped = true;
+	}
+
+	async function returnToRest() {
+		dipped = false;
+		const clearY = Math.max(probe.position.y, probeRestPosition.y) + 1.4;
+		await tweenProbe(probe.position.clone().setY(clearY), 350, TWEEN.Easing.Quadratic.Out);
+		await tweenProbe(probeRestPosition.clone().setY(clearY), 700);
+		await tweenProbe(probeRestPosition, 350, TWEEN.Easing.Quadratic.In);
+	}
+
+	// ION-painikkeen tila (näytön merkki + painikkeen hehku); itse näkymä on laseissa
+	function setIonView(on) {
+		ionView = !!on;
+		ionButtonMat.emissive.setHex(ionView ? 0x5b21b6 : 0x000000);
+		lastShown = null;
+		refreshTimer = DISPLAY_REFRESH_SEC;
+	}
+
+	function reset() {
+		dipped = false;
+		probe.position.copy(probeRestPosition);
+		reading = 0;
+		stableTimer = 0;
+		setIonView(false);
+		updateCable();
+	}
+
+	// Tilan tallennus / palautus (lab state)
+	function getSnapshot() {
+		return { dipped, position: probe.position.toArray(), reading, ionView };
+	}
+
+	function restoreSnapshot(s = {}) {
+		dipped = !!s.dipped;
+		if (Array.isArray(s.position)) probe.position.fromArray(s.position);
+		else probe.position.copy(probeRestPosition);
+		if (typeof s.reading === 'number') reading = s.reading;
+		stableTimer = 0;
+		setIonView(!!s.ionView);
+		updateCable();
+	}
+
+	function setHighlight(on) {
+		probeBodyMat.emissive.setHex(on ? 0x1f6f1f : 0x000000);
+	}
+
+	return {
+		meterGroup,
+		probe,
+		probeTip,
+		ionButton,
+		probeRestPosition,
+		update,
+		getReading,
+		isDipped: () => dipped,
+		isIonView: () => ionView,
+		setIonView,
+		lift,
+		dipInto,
+		returnToRest,
+		setHighlight,
+		reset,
+		getSnapshot,
+		restoreSnapshot
+	};
+}
@@ -1,5 +1,14 @@
 import * as THREE from 'three';
+import { GAS_FLOW_MAX_ML_S, GAS_GAUGE_MAX_BAR, GAS_LOW_PRESSURE_BAR, GAS_CYLINDER_START_BAR } from './lib/constants.js';
 // Kaasupullon luonti ja logiikka
+// Venttiilin kahva: 0 rad = kiinni, GAS_VALVE_MAX_ANGLE = täysin auki
+export const GAS_VALVE_MAX_ANGLE = Math.PI / 2;
+// Virtausnopeus (mL/s) venttiilin kahvan kulmasta; seuraa kahvaa jatkuvasti myös kääntöanimaation aikana
+export function flowRateFromValve(valveHandle) {
+	if (!valveHandle) return 0;
+	const opening = Math.min(Math.max(valveHandle.rotation.y / GAS_VALVE_MAX_ANGLE, 0), 1);
+	return opening * GAS_FLOW_MAX_ML_S;
+}
 // Yleisapu: smoothstep (CPU-puolella käytettävä)
 function smoothstep(edge0, edge1, x) {
 	const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
@@ -214,25 +223,117 @@ function createPaintedMetalTextures({
 	return { colorMap, normalMap, roughnessMap, metalnessMap };
 }
 
-export function createKaasupullo(scene) {
+// Paineenalentimen painemittari: asteikko 0..maxBar (270° kaari), punainen alue matalan paineen rajaan asti, neula canvasiin
+function drawPressureGauge(ctx, bar, { maxBar = GAS_GAUGE_MAX_BAR, lowBar = GAS_LOW_PRESSURE_BAR } = {}) {
+	const s = ctx.canvas.width, c = s / 2, r = s * 0.44;
+	const a0 = Math.PI * 0.75, span = Math.PI * 1.5;
+	const angleOf = (v) => a0 + span * Math.min(Math.max(v / maxBar, 0), 1);
+	ctx.clearRect(0, 0, s, s);
+	ctx.fillStyle = '#f8f8f4';
+	ctx.beginPath(); ctx.arc(c, c, r + s * 0.04, 0, Math.PI * 2); ctx.fill();
+	ctx.strokeStyle = '#333';
+	ctx.lineWidth = s * 0.02;
+	ctx.stroke();
+	// Punainen alue (pullo vaihdettava)
+	ctx.strokeStyle = '#dc2626';
+	ctx.lineWidth = s * 0.05;
+	ctx.beginPath(); ctx.arc(c, c, r * 0.86, angleOf(0), angleOf(lowBar)); ctx.stroke();
+	// Asteikko: pääjaot 50 bar välein, väliviivat 10 bar
+	ctx.strokeStyle = '#111';
+	ctx.fillStyle = '#111';
+	ctx.textAlign = 'center';
+	ctx.textBaseline = 'middle';
+	ctx.font = `bold ${Math.round(s * 0.085)}px Arial`;
+	for (let v = 0; v <= maxBar; v += 10) {
+		const a = angleOf(v);
+		const major = v % 50 === 0;
+		const r1 = r * (major ? 0.72 : 0.8);
+		ctx.lineWidth = major ? s * 0.014 : s * 0.007;
+		ctx.beginPath();
+		ctx.moveTo(c + Math.cos(a) * r1, c + Math.sin(a) * r1);
+		ctx.lineTo(c + Math.cos(a) * r * 0.92, c + Math.sin(a) * r * 0.92);
+		ctx.stroke();
+		if (major) ctx.fillText(String(v), c + Math.cos(a) * r * 0.55, c + Math.sin(a) * r * 0.55);
+	}
+	ctx.font = `bold ${Math.round(s * 0.08)}px Arial`;
+	ctx.fillText('bar', c, c + r * 0.45);
+	// Neula
+	const a = angleOf(bar);
+	ctx.strokeStyle = '#b91c1c';
+	ctx.lineWidth = s * 0.022;
+	ctx.lineCap = 'round';
+	ctx.beginPath();
+	ctx.moveTo(c - Math.cos(a) * r * 0.12, c - Math.sin(a) * r * 0.12);
+	ctx.lineTo(c + Math.cos(a) * r * 0.84, c + Math.sin(a) * r * 0.84);
+	ctx.stroke();
+	ctx.fillStyle = '#222';
+	ctx.beginPath(); ctx.arc(c, c, s * 0.04, 0, Math.PI * 2); ctx.fill();
+}
+
+// Metallitekstuurit lasketaan kerran ja jaetaan kaikkien pullojen kesken (telineessä useita pulloja)
+let wornTextures = null;
+function getWornMetalTextures() {
+	if (!wornTextures) wornTextures = createWornMetalTextures({ size: 128, normalStrength: 1.75, repeat: new THREE.Vector2(10, 6), seed: 4242 });
+	return wornTextures;
+}
+
+/**
+ * Yksi kaasupullo: runko, olkapää tunnusvärissä (EN 1089-3), tarra, venttiililohko, suutin ja venttiilin kahva.
+ * Suuttimen päässä on kiinnityskohta (regulatorMount), johon paineenalennin kiinnitetään.
+ * @param {THREE.Scene} scene
+ * @param {{ gas?: string|null, position?: THREE.Vector3, scale?: number, shoulderColor?: number, bodyColor?: number,
+ *           bandColor?: number|null, labelTexture?: THREE.Texture|null, rotationY?: number }} opts
+ */
+export function createKaasupullo(scene, {
+	gas = null,
+	position = new THREE.Vector3(-4, 0, 0),
+	scale = 1,
+	shoulderColor = 0x0077be,
+	bodyColor = 0x0077be,
+	bandColor = null,
+	labelTexture = null,
+	rotationY = 0
+} = {}) {
 	const gasCylinderGroup = new THREE.Group();
 	gasCylinderGroup.name = 'gasCylinderGroup';
+	gasCylinderGroup.userData.gas = gas;
 	const cylinderRadius = 1.0;
 	const cylinderHeight = 3.0;
 	const cylinderBodyGeo = new THREE.CylinderGeometry(cylinderRadius, cylinderRadius, cylinderHeight, 32);
-	const cylinderBodyMat = new THREE.MeshStandardMaterial({ color: 0x0077be, metalness: 0.5, roughness: 0.6 });
+	const cylinderBodyMat = new THREE.MeshStandardMaterial({ color: bodyColor, metalness: 0.5, roughness: 0.6 });
 	const cylinderBody = new THREE.Mesh(cylinderBodyGeo, cylinderBodyMat);
 	cylinderBody.position.y = cylinderHeight / 2;
 	cylinderBody.castShadow = true;
+	// Olkapää (kupu) kaasun tunnusvärissä; toinen vaaraväri renkaana olkapään alla
+	const shoulderMat = new THREE.MeshStandardMaterial({ color: shoulderColor, metalness: 0.4, roughness: 0.55 });
 	const cylinderTopGeo = new THREE.SphereGeometry(cylinderRadius, 32, 16, 0, Math.PI * 2, 0, Math.PI / 2);
-	const cylinderTop = new THREE.Mesh(cylinderTopGeo, cylinderBodyMat);
+	const cylinderTop = new THREE.Mesh(cylinderTopGeo, shoulderMat);
 	cylinderTop.position.y = cylinderHeight;
 	cylinderTop.castShadow = true;
+	gasCylinderGroup.add(cylinderBody, cylinderTop);
+	if (bandColor !== null && bandColor !== undefined) {
+		const band = new THREE.Mesh(
+			new THREE.CylinderGeometry(cylinderRadius * 1.005, cylinderRadius * 1.005, 0.3, 32, 1, true),
+			new THREE.MeshStandardMaterial({ color: bandColor, metalness: 0.4, roughness: 0.55 })
+		);
+		band.position.y = cylinderHeight - 0.15;
+		gasCylinderGroup.add(band);
+	}
+	// Tarra rungon suutinpuolella (paikallinen +x, kaava)
+	if (labelTexture) {
+		const label = new THREE.Mesh(
+			new THREE.CylinderGeometry(cylinderRadius * 1.01, cylinderRadius * 1.01, 1.0, 32, 1, true, Math.PI / 6, (Math.PI * 2) / 3),
+			new THREE.MeshStandardMaterial({ map: labelTexture, metalness: 0.0, roughness: 0.8 })
+		);
+		label.name = 'gasCylinderLabel';
+		label.position.y = cylinderHeight * 0.55;
+		gasCylinderGroup.add(label);
+	}
 	const valveBlockGroup = new THREE.Group();
 	valveBlockGroup.position.y = cylinderHeight + cylinderRadius + 0.1;
 	const valveBlockGeo = new THREE.CylinderGeometry(0.4, 0.4, 0.5, 24);
-	// Luo kuluneen metallin tekstuurit harmaalle osalle (venttiililohko ja suutin)
-	const worn = createWornMetalTextures({ size: 128, normalStrength: 1.75, repeat: new THREE.Vector2(10, 6), seed: 4242 });
+	// Kuluneen metallin tekstuurit harmaalle osalle (venttiililohko ja suutin)
+	const worn = getWornMetalTextures();
 	const valveBlockMat = new THREE.MeshStandardMaterial({
 		color: 0xaaaaaa,
 		metalness: 0.7,
@@ -259,6 +360,10 @@ export function createKaasupullo(scene) {
 	const gasHoseAttachmentPoint = new THREE.Object3D();
 	gasHoseAttachmentPoint.position.x = 0.0;
 	nozzle.add(gasHoseAttachmentPoint);
+	// Paineenalentimen kiinnityskohta suuttimen päässä (paikallinen +x = ulospäin)
+	const regulatorMount = new THREE.Object3D();
+	regulatorMount.name = 'gasRegulatorMount';
+	regulatorMount.position.x = 0.6;
 	const valveHandle = new THREE.Group();
 	valveHandle.name = 'gasValveHandle';
 	const valveBaseGeo = new THREE.CylinderGeometry(0.2, 0.2, 0.1, 16);
@@ -267,29 +372,206 @@ export function createKaasupullo(scene) {
 	const valveBase = new THREE.Mesh(valveBaseGeo, spoonLikeMat);
 	valveBase.rotation.x = Math.PI/2;
 	const valveTapGeo = new THREE.BoxGeometry(0.8, 0.15, 0.15);
-	// Punainen maalattu metalli: clearcoat + hienovarainen oranssinkuori + reuna-kulumaa
-	const paint = createPaintedMetalTextures({
-		size: 128,
-		baseColor: new THREE.Color(0xd32f2f), // hieman tummempi, realistinen punainen
-		repeat: new THREE.Vector2(4, 2),
-		normalStrength: 0.55,
-		edgeWidth: 0.12,
-		edgeWearIntensity: 0.22,
-		seed: 10071
-	});
-	// Replace handle material with spoon-like metal (env-map independent)
 	const valveTap = new THREE.Mesh(valveTapGeo, spoonLikeMat);
 	valveTap.rotation.y = Math.PI/2;
 	valveTap.position.z = 0.0;
 	valveHandle.add(valveBase, valveTap);
 	valveHandle.position.y = 0.44;
-	valveBlockGroup.add(valveBlock, nozzle, valveHandle);
-	gasCylinderGroup.add(cylinderBody, cylinderTop, valveBlockGroup);
-	gasCylinderGroup.position.x = -4;
+	valveBlockGroup.add(valveBlock, nozzle, valveHandle, regulatorMount);
+	gasCylinderGroup.add(valveBlockGroup);
+	gasCylinderGroup.position.copy(position);
+	gasCylinderGroup.rotation.y = rotationY;
+	gasCylinderGroup.scale.setScalar(scale);
 	// Slight lift to avoid z-fighting/sinking into the table
 	gasCylinderGroup.position.y += 0.01;
 	scene.add(gasCylinderGroup);
-	return { gasCylinderGroup, gasHoseAttachmentPoint, cylinderBody };
+	return { gas, gasCylinderGroup, gasHoseAttachmentPoint, cylinderBody, valveHandle, regulatorMount };
+}
+
+/**
+ * Paineenalennin: runko, pullon painetta näyttävä mittari (neula piirretään canvasiin) ja letkun ulostulo.
+ * Kiinnitetään pullon suuttimeen (regulatorMount); letku lähtee ulostulosta (hoseOutlet, paikallinen +x = letkun suunta).
+ */
+export function createPaineenalennin() {
+	const regulatorGroup = new THREE.Group();
+	regulatorGroup.name = 'gasRegulator';
+	const bodyMat = new THREE.MeshStandardMaterial({ color: 0xc9a227, metalness: 0.85, roughness: 0.3 });
+	const steelMat = new THREE.MeshStandardMaterial({ color: 0xc0c0c0, metalness: 0.8, roughness: 0.2 });
+	const nut = new THREE.Mesh(new THREE.CylinderGeometry(0.13, 0.13, 0.12, 6), bodyMat);
+	nut.rotation.z = Math.PI / 2;
+	nut.position.x = 0.06;
+	const body = new THREE.Mesh(new THREE.CylinderGeometry(0.2, 0.2, 0.26, 24), bodyMat);
+	body.rotation.z = Math.PI / 2;
+	body.position.x = 0.25;
+	body.castShadow = true;
+	// Mittari rungon päällä, kallistettuna ulospäin ja ylöspäin (näkyy kameralle pullon edestä)
+	const gaugeGroup = new THREE.Group();
+	gaugeGroup.position.set(0.25, 0.3, 0);
+	gaugeGroup.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), new THREE.Vector3(1, 0.8, 0).normalize());
+	const gaugeStem = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, 0.2, 12), steelMat);
+	gaugeStem.position.set(0.25, 0.17, 0);
+	const gaugeHousing = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.3, 0.12, 32), steelMat);
+	gaugeHousing.rotation.x = Math.PI / 2;
+	gaugeHousing.castShadow = true;
+	const gaugeCanvas = document.createElement('canvas');
+	gaugeCanvas.width = 256;
+	gaugeCanvas.height = 256;
+	const gaugeCtx = gaugeCanvas.getContext('2d');
+	const gaugeTex = new THREE.CanvasTexture(gaugeCanvas);
+	gaugeTex.colorSpace = THREE.SRGBColorSpace;
+	const gaugeFace = new THREE.Mesh(new THREE.CircleGeometry(0.28, 40), new THREE.MeshBasicMaterial({ map: gaugeTex, transparent: true }));
+	gaugeFace.name = 'gasPressureGauge';
+	gaugeFace.position.z = 0.065;
+	gaugeGroup.add(gaugeHousing, gaugeFace);
+	// Letkun ulostulo rungon alapuolella
+	const outletPipe = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.06, 0.2, 12), steelMat);
+	outletPipe.position.set(0.3, -0.28, 0);
+	const hoseOutlet = new THREE.Object3D();
+	hoseOutlet.name = 'gasRegulatorOutlet';
+	hoseOutlet.position.set(0.3, -0.38, 0);
+	hoseOutlet.rotation.z = -Math.PI / 2;
+	regulatorGroup.add(nut, body, gaugeStem, gaugeGroup, outletPipe, hoseOutlet);
+
+	// Neula piirretään uudelleen vain, kun se liikkuu näkyvästi (~0,1 % asteikosta)
+	let gaugeShown = null;
+	function setGaugePressure(bar) {
+		const v = Math.max(0, Number(bar) || 0);
+		if (gaugeShown !== null && Math.abs(v - gaugeShown) < GAS_GAUGE_MAX_BAR / 1000) return;
+		gaugeShown = v;
+		drawPressureGauge(gaugeCtx, v);
+		gaugeTex.needsUpdate = true;
+	}
+	setGaugePressure(GAS_CYLINDER_START_BAR);
+
+	return { regulatorGroup, hoseOutlet, gaugeFace, setGaugePressure };
+}
+
+/**
+ * Kaasupulloteline: jokaiselle kaasulle oma pullo rivissä ja yksi paineenalennin, joka siirretään valitun kaasun pulloon.
+ * Letku lähtee paineenalentimen ulostulosta (getHoseOutlet), joten se seuraa paineenalenninta pullosta toiseen.
+ * @param {THREE.Scene} scene
+ * @param {{ gases: Array<{ gas: string, shoulderColor: number, bodyColor: number, bandColor?: number, labelTexture?: THREE.Texture }>,
+ *           connected?: string, position?: THREE.Vector3, spacing?: number, scale?: number }} opts
+ */
+export function createKaasuteline(scene, { gases = [], connected = null, position = new THREE.Vector3(-3.0, 0, -0.6), spacing = 1.3, scale = 0.55 } = {}) {
+	const rackGroup = new THREE.Group();
+	rackGroup.name = 'gasRack';
+	const length = Math.max(1, gases.length - 1) * spacing + spacing;
+	const rackMat = new THREE.MeshStandardMaterial({ color: 0x4b5563, metalness: 0.6, roughness: 0.45 });
+	// Pohjalevy, takatolpat ja kaksi tukikiskoa (pullot rivissä -x-suuntaan)
+	const base = new THREE.Mesh(new THREE.BoxGeometry(length, 0.06, spacing * 0.9), rackMat);
+	base.position.set(-length / 2 + spacing / 2, 0.03, 0);
+	base.receiveShadow = true;
+	rackGroup.add(base);
+	const backZ = -spacing * 0.45;
+	[spacing / 2, -length + spacing / 2].forEach((x) => {
+		const post = new THREE.Mesh(new THREE.BoxGeometry(0.08, 2.0 * scale * 1.25, 0.08), rackMat);
+		post.position.set(x, 1.25 * scale, backZ);
+		rackGroup.add(post);
+	});
+	[0.9, 2.1].forEach((h) => {
+		const rail = new THREE.Mesh(new THREE.BoxGeometry(length, 0.06, 0.06), rackMat);
+		rail.position.set(-length / 2 + spacing / 2, h * scale, backZ);
+		rail.castShadow = true;
+		rackGroup.add(rail);
+	});
+	rackGroup.position.copy(position);
+	scene.add(rackGroup);
+
+	// Pullot: suutin osoittaa pöydän etureunaa kohti (+z), jotta paineenalennin ja letku eivät osu naapuripulloon
+	const cylinders = new Map();
+	gases.forEach((g, i) => {
+		const cyl = createKaasupullo(scene, {
+			gas: g.gas,
+			position: new THREE.Vector3(position.x - i * spacing, position.y + 0.06, position.z),
+			scale,
+			shoulderColor: g.shoulderColor,
+			bodyColor: g.bodyColor,
+			bandColor: g.bandColor ?? null,
+			labelTexture: g.labelTexture || null,
+			rotationY: -Math.PI / 2
+		});
+		cylinders.set(g.gas, cyl);
+	});
+
+	const regulator = createPaineenalennin();
+	let connectedGas = cylinders.has(connected) ? connected : (gases[0] ? gases[0].gas : null);
+	let moving = false;
+	function attachTo(gas) {
+		const cyl = cylinders.get(gas);
+		if (!cyl) return;
+		cyl.regulatorMount.add(regulator.regulatorGroup);
+		regulator.regulatorGroup.position.set(0, 0, 0);
+		regulator.regulatorGroup.quaternion.identity();
+		regulator.regulatorGroup.scale.setScalar(1);
+	}
+	attachTo(connectedGas);
+
+	function tweenPos(obj, to, duration, easing) {
+		return new Promise((resolve) => {
+			new TWEEN.Tween(obj.position)
+				.to({ x: to.x, y: to.y, z: to.z }, duration)
+				.easing(easing || TWEEN.Easing.Quadratic.InOut)
+				.onComplete(resolve)
+				.start();
+		});
+	}
+
+	/**
+	 * Siirrä paineenalennin (ja letku sen mukana) toisen kaasun pulloon.
+	 * @param {string} gas
+	 * @param {{ animate?: boolean }} [opts] animate:false = heti (tilan palautus, istunnon toiston alku)
+	 */
+	async function connect(gas, { animate = true } = {}) {
+		if (!cylinders.has(gas) || gas === connectedGas) return;
+		const from = connectedGas;
+		connectedGas = gas;
+		if (!animate || !from) { attachTo(gas); return; }
+		moving = true;
+		const rg = regulator.regulatorGroup;
+		scene.attach(rg);
+		const target = new THREE.Vector3();
+		cylinders.get(gas).regulatorMount.getWorldPosition(target);
+		const liftY = Math.max(rg.position.y, target.y) + 0.6;
+		await tweenPos(rg, rg.position.clone().setY(liftY), 300, TWEEN.Easing.Quadratic.Out);
+		await tweenPos(rg, target.clone().setY(liftY), 250 + 120 * Math.abs(target.x - rg.position.x), TWEEN.Easing.Quadratic.InOut);
+		await tweenPos(rg, target, 300, TWEEN.Easing.Quadratic.In);
+		attachTo(gas);
+		moving = false;
+	}
+
+	const getCylinder = (gas) => cylinders.get(gas) || null;
+	// Klikattu pullo (mikä tahansa sen osa)
+	function cylinderFromObject(object) {
+		let cur = object;
+		while (cur) {
+			if (cur.name === 'gasCylinderGroup' && cylinders.has(cur.userData.gas)) return cylinders.get(cur.userData.gas);
+			cur = cur.parent;
+		}
+		return null;
+	}
+
+	// Kaikki venttiilit kiinni (alustus); vain paineenalentimella varustetun pullon venttiiliä käytetään
+	function closeValves() {
+		cylinders.forEach((c) => { c.valveHandle.rotation.y = 0; });
+	}
+
+	return {
+		rackGroup,
+		cylinders,
+		regulator,
+		gaugeFace: regulator.gaugeFace,
+		setGaugePressure: regulator.setGaugePressure,
+		getHoseOutlet: () => regulator.hoseOutlet,
+		getConnectedGas: () => connectedGas,
+		getConnectedCylinder: () => cylinders.get(connectedGas) || null,
+		getValveHandle: () => (cylinders.get(connectedGas) || {}).valveHandle || null,
+		getCylinder,
+		cylinderFromObject,
+		connect,
+		isMoving: () => moving,
+		closeValves
+	};
 }
 // Kaasupullon luonti ja logiikka
 // ...täydennetään myöhemmin...
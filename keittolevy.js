@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+import { AMBIENT_TEMP_C, HOT_PLATE_STEPS, HOT_PLATE_MAX_C, HOT_PLATE_TOP_Y, HEATING_SPEEDUP } from './lib/constants.js';
+// Keittolevy: emaloitu runko, keraaminen lämmityslevy ja säätönuppi etupaneelissa
+// - Nupin klikkaus kääntää tehoa askeleen eteenpäin (0 → 1 → 2 → 3 → 0), ks. HOT_PLATE_STEPS
+// - Levyn lämpötila lähestyy asetusta aikavakiolla (lämpömassa); kuuma levy hehkuu punaisena
+// - "HOT"-merkkivalo palaa niin kauan kuin levy on kuuma, myös virran katkaisun jälkeen
+
+// Levyn lämpenemisen aikavakio (s, todellinen aika; nopeutettu HEATING_SPEEDUP:lla)
+const PLATE_TAU = 150;
+const HOT_WARNING_C = 50;
+
+export function createKeittolevy(scene, { position = new THREE.Vector3(4, 0, 0) } = {}) {
+	const plateGroup = new THREE.Group();
+	plateGroup.name = 'hotPlateGroup';
+
+	const bodyW = 2.6, bodyD = 2.6;
+	const topThickness = 0.05;
+	const bodyH = HOT_PLATE_TOP_Y - topThickness;
+	const bodyMat = new THREE.MeshStandardMaterial({ color: 0xe8e6e1, roughness: 0.45, metalness: 0.1 });
+	const panelMat = new THREE.MeshStandardMaterial({ color: 0x30363d, roughness: 0.6, metalness: 0.1 });
+	const topMat = new THREE.MeshStandardMaterial({ color: 0x2b2b2b, roughness: 0.35, metalness: 0.2, emissive: 0x000000 });
+
+	const body = new THREE.Mesh(new THREE.BoxGeometry(bodyW, bodyH, bodyD), bodyMat);
+	body.name = 'hotPlateBody';
+	body.position.y = bodyH / 2;
+	body.castShadow = true;
+	body.receiveShadow = true;
+	// Keraaminen lämmityslevy (pyöreä, hieman lasin pohjaa suurempi)
+	const top = new THREE.Mesh(new THREE.CylinderGeometry(1.15, 1.15, topThickness, 48), topMat);
+	top.name = 'hotPlateTop';
+	top.position.y = bodyH + topThickness / 2;
+	top.receiveShadow = true;
+
+	// Etupaneeli (+z kohti kameraa): säätönuppi, merkkivalot ja asteikko
+	const panel = new THREE.Mesh(new THREE.PlaneGeometry(bodyW * 0.9, bodyH * 0.8), panelMat);
+	panel.position.set(0, bodyH / 2, bodyD / 2 + 0.002);
+	const dial = new THREE.Group();
+	dial.name = 'hotPlateDial';
+	const knob = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.11, 0.08, 24), new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 0.4 }));
+	knob.rotation.x = Math.PI / 2;
+	const pointer = new THREE.Mesh(new THREE.BoxGeometry(0.025, 0.09, 0.01), new THREE.MeshBasicMaterial({ color: 0xffffff }));
+	pointer.position.set(0, 0.045, 0.045);
+	dial.add(knob, pointer);
+	dial.position.set(0.7, bodyH / 2, bodyD / 2 + 0.04);
+	const powerLed = new THREE.Mesh(new THREE.SphereGeometry(0.03, 12, 8), new THREE.MeshStandardMaterial({ color: 0x333333, emissive: 0x000000 }));
+	powerLed.position.set(-0.9, bodyH / 2, bodyD / 2 + 0.01);
+	const hotLed = new THREE.Mesh(new THREE.SphereGeometry(0.03, 12, 8), new THREE.MeshStandardMaterial({ color: 0x333333, emissive: 0x000000 }));
+	hotLed.position.set(-0.7, bodyH / 2, bodyD / 2 + 0.01);
+
+	plateGroup.add(body, top, panel, dial, powerLed, hotLed);
+	plateGroup.position.copy(position);
+	plateGroup.position.y = 0;
+	scene.add(plateGroup);
+
+	// Nupin kulma askeleittain: 0 ylhäällä, täysi teho 270° myötäpäivään
+	const dialAngle = (index) => -(index / (HOT_PLATE_STEPS.length - 1)) * Math.PI * 1.5;
+
+	let levelIndex = 0;
+	let plateC = AMBIENT_TEMP_C;
+
+	function getSetting() { return HOT_PLATE_STEPS[levelIndex] || 0; }
+	function getTargetTemperature() { return AMBIENT_TEMP_C + getSetting() * (HOT_PLATE_MAX_C - AMBIENT_TEMP_C); }
+
+	function applyVisuals() {
+		const glow = Math.min(1, Math.max(0, (plateC - 120) / (HOT_PLATE_MAX_C - 120)));
+		topMat.emissive.setRGB(0.55 * glow, 0.08 * glow, 0.0);
+		powerLed.material.emissive.setHex(levelIndex > 0 ? 0x22c55e : 0x000000);
+		hotLed.material.emissive.setHex(plateC > HOT_WARNING_C ? 0xf97316 : 0x000000);
+	}
+	applyVisuals();
+
+	/**
+	 * Käännä nuppia askeleen eteenpäin (viimeisestä takaisin nollaan).
+	 * @returns {{ level: number, setting: number, targetC: number }}
+	 */
+	function cycleLevel() {
+		levelIndex = (levelIndex + 1) % HOT_PLATE_STEPS.length;
+		dial.rotation.z = dialAngle(levelIndex);
+		applyVisuals();
+		return { level: levelIndex, setting: getSetting(), targetC: getTargetTemperature() };
+	}
+
+	// Per-frame: levyn lämpötila kohti asetusta (1. kertaluvun viive)
+	function update(dt) {
+		if (!(dt > 0)) return plateC;
+		const target = getTargetTemperature();
+		plateC += (target - plateC) * (1 - Math.exp(-dt * HEATING_SPEEDUP / PLATE_TAU));
+		applyVisuals();
+		return plateC;
+	}
+
+	function reset() {
+		levelIndex = 0;
+		plateC = AMBIENT_TEMP_C;
+		dial.rotation.z = 0;
+		applyVisuals();
+	}
+
+	function getSnapshot() {
+		return { level: levelIndex, plateC };
+	}
+
+	function restoreSnapshot(s = {}) {
+		reset();
+		if (Number.isInteger(s.level) && s.level >= 0 && s.level < HOT_PLATE_STEPS.length) levelIndex = s.level;
+		if (typeof s.plateC === 'number' && isFinite(s.plateC)) plateC = s.plateC;
+		dial.rotation.z = dialAngle(levelIndex);
+		applyVisuals();
+	}
+
+	return {
+		plateGroup,
+		dial,
+		topY: HOT_PLATE_TOP_Y,
+		cycleLevel,
+		update,
+		getLevel: () => levelIndex,
+		getSetting,
+		getPlateTemperature: () => plateC,
+		isHot: () => plateC > HOT_WARNING_C,
+		reset,
+		getSnapshot,
+		restoreSnapshot
+	};
+}
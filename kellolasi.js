@@ -0,0 +1,130 @@
+import * as THREE from 'three';
+// Kellolasi: matala lasikupu, jolla dekantterilasi peitetään (kaasut pysyvät lasin kaasutilassa, ks. lib/headspace.js)
+// - Lepää pöydällä kupera puoli alaspäin; klikkaus valitsee sen ja dekantterilasin klikkaus laskee sen lasin reunalle
+// - Lasin päällä olevan kellolasin klikkaus palauttaa sen pöydälle
+// - Ryhmän origo on kuvun alin kohta
+
+const RIM_RADIUS = 1.12;   // hieman dekantterilasia (r = 1.0) leveämpi
+const SAG = 0.12;          // kuvun syvyys keskeltä
+const SPHERE_RADIUS = (RIM_RADIUS * RIM_RADIUS + SAG * SAG) / (2 * SAG);
+
+// Kuvun korkeus alimman kohdan yläpuolella etäisyydellä rho keskeltä
+function sagAt(rho) {
+	return SPHERE_RADIUS - Math.sqrt(SPHERE_RADIUS * SPHERE_RADIUS - rho * rho);
+}
+
+export function createKellolasi(scene, { position = new THREE.Vector3(3.4, 0, 2.6) } = {}) {
+	const group = new THREE.Group();
+	group.name = 'watchGlassGroup';
+
+	const glassMat = new THREE.MeshPhysicalMaterial({
+		color: 0xffffff,
+		metalness: 0.0,
+		roughness: 0.08,
+		transparent: true,
+		opacity: 0.55,
+		transmission: 0.9,
+		ior: 1.46,
+		thickness: 0.03,
+		side: THREE.DoubleSide,
+		depthWrite: false,
+		emissive: 0x000000
+	});
+	// Pallon yläkalotti käännettynä: kupera puoli alas, reuna korkeudella SAG
+	const thetaMax = Math.asin(RIM_RADIUS / SPHERE_RADIUS);
+	const glass = new THREE.Mesh(new THREE.SphereGeometry(SPHERE_RADIUS, 48, 6, 0, Math.PI * 2, 0, thetaMax), glassMat);
+	glass.name = 'watchGlass';
+	glass.rotation.x = Math.PI;
+	glass.position.y = SPHERE_RADIUS;
+	glass.renderOrder = 7; // dekantterilasin päälle
+	group.add(glass);
+
+	// Hiottu reuna erottuu ohuena renkaana
+	const rim = new THREE.Mesh(
+		new THREE.TorusGeometry(RIM_RADIUS, 0.012, 6, 64),
+		new THREE.MeshStandardMaterial({ color: 0xe5f3ff, roughness: 0.3, transparent: true, opacity: 0.6 })
+	);
+	rim.name = 'watchGlassRim';
+	rim.rotation.x = Math.PI / 2;
+	rim.position.y = SAG;
+	group.add(rim);
+
+	const restPosition = position.clone();
+	group.position.copy(restPosition);
+	scene.add(group);
+
+	let placed = false;
+
+	function tweenGroup(to, duration, easing) {
+		return new Promise((resolve) => {
+			new TWEEN.Tween(group.position)
+				.to({ x: to.x, y: to.y, z: to.z }, duration)
+				.easing(easing || TWEEN.Easing.Quadratic.InOut)
+				.onComplete(resolve)
+				.start();
+		});
+	}
+
+	// Nosta kellolasi hieman pöydästä (valittu-tila)
+	function lift(deltaY = 0.4, duration = 200) {
+		return tweenGroup(restPosition.clone().setY(restPosition.y + deltaY), duration, TWEEN.Easing.Quadratic.Out);
+	}
+
+	/**
+	 * Laske kellolasi dekantterilasin reunalle (kupu painuu hieman suun sisään).
+	 * @param {{ beakerGroup: THREE.Object3D, beakerHeight: number, beakerRadius: number }} opts
+	 */
+	async function placeOn({ beakerGroup, beakerHeight, beakerRadius }) {
+		const base = new THREE.Vector3();
+		beakerGroup.getWorldPosition(base);
+		const restY = base.y + beakerHeight + 0.01 - sagAt(Math.min(beakerRadius, RIM_RADIUS * 0.98));
+		const clearY = base.y + beakerHeight + 0.5;
+		await tweenGroup(group.position.clone().setY(Math.max(clearY, group.position.y)), 300, TWEEN.Easing.Quadratic.Out);
+		await tweenGroup(new THREE.Vector3(base.x, clearY, base.z), 700);
+		await tweenGroup(new THREE.Vector3(base.x, restY, base.z), 350, TWEEN.Easing.Quadratic.In);
+		placed = true;
+	}
+
+	async function returnToRest() {
+		placed = false;
+		const clearY = Math.max(group.position.y, restPosition.y) + 0.5;
+		await tweenGroup(group.position.clone().setY(clearY), 300, TWEEN.Easing.Quadratic.Out);
+		await tweenGroup(restPosition.clone().setY(clearY), 700);
+		await tweenGroup(restPosition, 350, TWEEN.Easing.Quadratic.In);
+	}
+
+	function reset() {
+		placed = false;
+		group.position.copy(restPosition);
+		setHighlight(false);
+	}
+
+	// Tilan tallennus / palautus (lab state)
+	function getSnapshot() {
+		return { placed, position: group.position.toArray() };
+	}
+
+	function restoreSnapshot(s = {}) {
+		placed = !!s.placed;
+		if (placed && Array.isArray(s.position)) group.position.fromArray(s.position);
+		else group.position.copy(restPosition);
+		setHighlight(false);
+	}
+
+	function setHighlight(on) {
+		glassMat.emissive.setHex(on ? 0x1f6f1f : 0x000000);
+	}
+
+	return {
+		group,
+		restPosition,
+		isPlaced: () => placed,
+		lift,
+		placeOn,
+		returnToRest,
+		setHighlight,
+		reset,
+		getSnapshot,
+		restoreSnapshot
+	};
+}
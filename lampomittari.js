@@ -0,0 +1,236 @@
+import * as THREE from 'three';
+import { AMBIENT_TEMP_C } from './lib/constants.js';
+// Lämpömittari (nestelasilämpömittari, -10…110 °C) telineessä
+// - Klikkaus valitsee mittarin (nousee telineestä), dekantterilasin klikkaus upottaa sen veteen (kuten pH-anturi)
+// - Punainen nestepatsas seuraa mitattavaa lämpötilaa viiveellä (lasin ja nesteen lämpömassa)
+// - Lukema näytetään pienenä "suurennoksena" mittarin yläpuolella (canvas-sprite)
+
+const SCALE_MIN_C = -10;
+const SCALE_MAX_C = 110;
+const RESPONSE_TAU = 4.0;     // s
+const LABEL_REFRESH_SEC = 0.25;
+
+function drawLabel(ctx, tempC) {
+	const w = ctx.canvas.width, h = ctx.canvas.height;
+	ctx.clearRect(0, 0, w, h);
+	ctx.fillStyle = 'rgba(255,255,255,0.88)';
+	ctx.fillRect(0, 0, w, h);
+	ctx.strokeStyle = '#b91c1c';
+	ctx.lineWidth = 6;
+	ctx.strokeRect(3, 3, w - 6, h - 6);
+	ctx.fillStyle = '#111827';
+	ctx.textAlign = 'center';
+	ctx.textBaseline = 'middle';
+	ctx.font = 'bold 54px Arial';
+	ctx.fillText(`${tempC.toFixed(1)} °C`, w / 2, h / 2 + 2);
+}
+
+// Asteikkoviivat tekstuurina putken kyljessä (10 °C välein, numerot 20 °C välein)
+function createScaleTexture() {
+	const canvas = document.createElement('canvas');
+	canvas.width = 64;
+	canvas.height = 512;
+	const ctx = canvas.getContext('2d');
+	ctx.strokeStyle = '#111111';
+	ctx.fillStyle = '#111111';
+	ctx.font = 'bold 22px Arial';
+	ctx.textBaseline = 'middle';
+	for (let c = SCALE_MIN_C; c <= SCALE_MAX_C; c += 10) {
+		const y = canvas.height - ((c - SCALE_MIN_C) / (SCALE_MAX_C - SCALE_MIN_C)) * canvas.height;
+		const major = c % 20 === 0;
+		ctx.lineWidth = major ? 3 : 2;
+		ctx.beginPath();
+		ctx.moveTo(0, y);
+		ctx.lineTo(major ? 22 : 14, y);
+		ctx.stroke();
+		if (major) ctx.fillText(String(c), 26, Math.min(canvas.height - 10, Math.max(10, y)));
+	}
+	const tex = new THREE.CanvasTexture(canvas);
+	tex.colorSpace = THREE.SRGBColorSpace;
+	return tex;
+}
+
+export function createLampomittari(scene, { position = new THREE.Vector3(6.2, 0, 0.6) } = {}) {
+	// Teline: jalka, tanko ja pidike (kuten pH-anturin teline)
+	const standGroup = new THREE.Group();
+	standGroup.name = 'thermometerStand';
+	const standMat = new THREE.MeshStandardMaterial({ color: 0xc0c0c0, metalness: 0.8, roughness: 0.3 });
+	const baseMat = new THREE.MeshStandardMaterial({ color: 0x2f3437, metalness: 0.1, roughness: 0.6 });
+	const standBase = new THREE.Mesh(new THREE.CylinderGeometry(0.22, 0.25, 0.06, 24), baseMat);
+	standBase.position.y = 0.03;
+	const stand = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.03, 2.2, 12), standMat);
+	stand.position.y = 1.1;
+	stand.castShadow = true;
+	const clamp = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.06, 0.24), standMat);
+	clamp.position.set(0, 2.0, 0.1);
+	standGroup.add(standBase, stand, clamp);
+	standGroup.position.copy(position);
+	standGroup.position.y += 0.01;
+	scene.add(standGroup);
+
+	// Mittari: oma ryhmä sceneen, keskipiste putken puolivälissä
+	const length = 2.8;
+	const thermometer = new THREE.Group();
+	thermometer.name = 'thermometer';
+	const glassMat = new THREE.MeshPhysicalMaterial({ color: 0xf4fbff, roughness: 0.05, transmission: 0.85, transparent: true, opacity: 0.9, thickness: 0.04, ior: 1.5, depthWrite: false });
+	const liquidMat = new THREE.MeshStandardMaterial({ color: 0xc81e1e, roughness: 0.4 });
+	const tube = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, length - 0.1, 16), glassMat);
+	tube.position.y = 0.05;
+	tube.renderOrder = 7;
+	const bulb = new THREE.Mesh(new THREE.SphereGeometry(0.055, 16, 12), liquidMat);
+	bulb.position.y = -length / 2 + 0.055;
+	const capTop = new THREE.Mesh(new THREE.SphereGeometry(0.04, 12, 8, 0, Math.PI * 2, 0, Math.PI / 2), glassMat);
+	capTop.position.y = length / 2;
+	// Asteikon alue putkessa (alhaalta ylös)
+	const scaleBottom = -length / 2 + 0.25;
+	const scaleTop = length / 2 - 0.2;
+	const columnGeo = new THREE.CylinderGeometry(0.014, 0.014, 1, 8);
+	columnGeo.translate(0, 0.5, 0); // pohja origossa -> scale.y = korkeus
+	const column = new THREE.Mesh(columnGeo, liquidMat);
+	column.position.y = -length / 2 + 0.08;
+	const scaleStrip = new THREE.Mesh(
+		new THREE.CylinderGeometry(0.042, 0.042, scaleTop - scaleBottom, 12, 1, true, -0.6, 1.2),
+		new THREE.MeshBasicMaterial({ map: createScaleTexture(), transparent: true, depthWrite: false })
+	);
+	scaleStrip.position.y = (scaleTop + scaleBottom) / 2;
+	scaleStrip.renderOrder = 8;
+	const tip = new THREE.Object3D();
+	tip.name = 'thermometerTip';
+	tip.position.y = -length / 2;
+
+	// Lukema-sprite mittarin yläpuolella
+	const labelCanvas = document.createElement('canvas');
+	labelCanvas.width = 256;
+	labelCanvas.height = 96;
+	const labelCtx = labelCanvas.getContext('2d');
+	drawLabel(labelCtx, AMBIENT_TEMP_C);
+	const labelTex = new THREE.CanvasTexture(labelCanvas);
+	labelTex.colorSpace = THREE.SRGBColorSpace;
+	const label = new THREE.Sprite(new THREE.SpriteMaterial({ map: labelTex, depthTest: false }));
+	label.name = 'thermometerLabel';
+	label.scale.set(0.8, 0.3, 1);
+	label.position.y = length / 2 + 0.3;
+	label.renderOrder = 10;
+
+	thermometer.add(tube, bulb, capTop, column, scaleStrip, tip, label);
+	const restPosition = new THREE.Vector3(0, 2.0 - 0.35, 0.16).add(standGroup.position);
+	thermometer.position.copy(restPosition);
+	scene.add(thermometer);
+
+	let readingC = AMBIENT_TEMP_C;
+	let dipped = false;
+	let refreshTimer = 0;
+	let lastShown = null;
+
+	function applyColumn() {
+		const k = Math.min(1, Math.max(0, (readingC - SCALE_MIN_C) / (SCALE_MAX_C - SCALE_MIN_C)));
+		column.scale.y = Math.max(0.01, (scaleBottom - column.position.y) + k * (scaleTop - scaleBottom));
+	}
+	applyColumn();
+
+	/**
+	 * Per-frame päivitys.
+	 * @param {number} dt
+	 * @param {number|null} sampleC Mitattavan veden lämpötila (null -> mittari on ilmassa)
+	 */
+	function update(dt, sampleC = null) {
+		if (!(dt > 0)) return;
+		const measuring = dipped && typeof sampleC === 'number' && isFinite(sampleC);
+		const target = measuring ? sampleC : AMBIENT_TEMP_C;
+		readingC += (target - readingC) * (1 - Math.exp(-dt / RESPONSE_TAU));
+		applyColumn();
+		refreshTimer += dt;
+		if (refreshTimer < LABEL_REFRESH_SEC) return;
+		refreshTimer = 0;
+		const text = readingC.toFixed(1);
+		if (text === lastShown) return;
+		lastShown = text;
+		drawLabel(labelCtx, readingC);
+		labelTex.needsUpdate = true;
+	}
+
+	function tweenThermometer(to, duration, easing) {
+		return new Promise((resolve) => {
+			new TWEEN.Tween(thermometer.position)
+				.to({ x: to.x, y: to.y, z: to.z }, duration)
+				.easing(easing || TWEEN.Easing.Quadratic.InOut)
+				.onComplete(resolve)
+				.start();
+		});
+	}
+
+	// Nosta mittari hieman telineestä (valittu-tila)
+	function lift(deltaY = 0.4, duration = 200) {
+		return tweenThermometer(restPosition.clone().setY(restPosition.y + deltaY), duration, TWEEN.Easing.Quadratic.Out);
+	}
+
+	/**
+	 * Upota mittari dekantterilasiin: nosto reunan yli -> siirto -> lasku (pallo lähelle pohjaa).
+	 * @param {{ beakerGroup: THREE.Object3D, beakerHeight: number, beakerRadius: number }} opts
+	 */
+	async function dipInto({ beakerGroup, beakerHeight, beakerRadius }) {
+		const base = new THREE.Vector3();
+		beakerGroup.getWorldPosition(base);
+		// Takareunalle pH-anturia vastapäätä, ettei osu sekoitussauvaan
+		const spot = new THREE.Vector3(base.x - beakerRadius * 0.45, 0, base.z - beakerRadius * 0.5);
+		const clearY = base.y + beakerHeight + 0.3 + length / 2;
+		const dipY = base.y + 0.15 + length / 2;
+		await tweenThermometer(thermometer.position.clone().setY(clearY), 350, TWEEN.Easing.Quadratic.Out);
+		await tweenThermometer(spot.clone().setY(clearY), 700);
+		await tweenThermometer(spot.clone().setY(dipY), 450, TWEEN.Easing.Quadratic.In);
+		dipped = true;
+	}
+
+	async function returnToRest() {
+		dipped = false;
+		const clearY = Math.max(thermometer.position.y, restPosition.y) + 1.4;
+		await tweenThermometer(thermometer.position.clone().setY(clearY), 350, TWEEN.Easing.Quadratic.Out);
+		await tweenThermometer(restPosition.clone().setY(clearY), 700);
+		await tweenThermometer(restPosition, 350, TWEEN.Easing.Quadratic.In);
+	}
+
+	// Palauta heti lepoon (reset)
+	function reset() {
+		dipped = false;
+		thermometer.position.copy(restPosition);
+		readingC = AMBIENT_TEMP_C;
+		lastShown = null;
+		refreshTimer = LABEL_REFRESH_SEC;
+		applyColumn();
+	}
+
+	// Tilan tallennus / palautus (lab state)
+	function getSnapshot() {
+		return { dipped, position: thermometer.position.toArray(), readingC };
+	}
+
+	function restoreSnapshot(s = {}) {
+		dipped = !!s.dipped;
+		if (Array.isArray(s.position)) thermometer.position.fromArray(s.position);
+		if (typeof s.readingC === 'number' && isFinite(s.readingC)) readingC = s.readingC;
+		lastShown = null;
+		refreshTimer = LABEL_REFRESH_SEC;
+		applyColumn();
+	}
+
+	function setHighlight(on) {
+		liquidMat.emissive.setHex(on ? 0x1f6f1f : 0x000000);
+	}
+
+	return {
+		thermometer,
+		standGroup,
+		tip,
+		restPosition,
+		update,
+		getReading: () => readingC,
+		isDipped: () => dipped,
+		lift,
+		dipInto,
+		returnToRest,
+		setHighlight,
+		reset,
+		getSnapshot,
+		restoreSnapshot
+	};
+}
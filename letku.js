@@ -1,7 +1,13 @@
 import * as THREE from 'three';
 
+// gasNozzle: letkun lähtökohta (objekti, jonka paikallinen +x osoittaa letkun suuntaan) tai funktio, joka palauttaa sen
+//   (kaasutelineessä paineenalentimen ulostulo siinä pullossa, johon paineenalennin on kiinnitetty)
+// beakerNozzle: suutinobjekti tai funktio, joka palauttaa sen lasin suuttimen, johon letku on kiinnitetty
 export function createLetku(scene, gasNozzle, beakerNozzle, hoseRestingPoint, isHoseAttached) {
     let hoseMesh;
+    const getGasNozzle = typeof gasNozzle === 'function' ? gasNozzle : () => gasNozzle;
+    const getNozzle = typeof beakerNozzle === 'function' ? beakerNozzle : () => beakerNozzle;
+    const outDir = new THREE.Vector3();
 
     function updateHose(hoseEndPoint, isHoseAttached) {
         if (hoseMesh) {
@@ -9,18 +15,20 @@ export function createLetku(scene, gasNozzle, beakerNozzle, hoseRestingPoint, is
             hoseMesh.geometry.dispose();
             hoseMesh.material.dispose();
         }
-        // Kiinnitetään letku kaasupullon vaakasylinterin päähän, hieman sylinterin sisälle
+        // Kiinnitetään letku lähtökohtaan, hieman liittimen sisälle
+        const source = getGasNozzle();
+        source.updateWorldMatrix(true, false);
+        outDir.set(1, 0, 0).transformDirection(source.matrixWorld);
         const startPoint = new THREE.Vector3();
-        gasNozzle.getWorldPosition(startPoint);
-        startPoint.x -= 0.1;
+        source.getWorldPosition(startPoint);
+        startPoint.addScaledVector(outDir, -0.1);
 
         const endPointTarget = new THREE.Vector3();
-        beakerNozzle.getWorldPosition(endPointTarget);
+        getNozzle().getWorldPosition(endPointTarget);
         const currentEndPoint = isHoseAttached ? endPointTarget : hoseEndPoint;
 
-        // Ylimääräinen kontrollipiste kaasupullon suuttimen tasolle, irti kaasupullosta keitinlasiin päin
-        const extraControl = startPoint.clone();
-        extraControl.x += 1.0; // Säädä tarvittaessa, vie irti pullosta
+        // Ylimääräinen kontrollipiste liittimen suuntaan, irti kaasupullosta
+        const extraControl = startPoint.clone().addScaledVector(outDir, 1.0);
 
         // Normaalin käyrän kontrollipiste
         const controlPoint = new THREE.Vector3().lerpVectors(startPoint, currentEndPoint, 0.5);
@@ -11,6 +11,7 @@ export function createAndAnimateDrops({
   water,
   beakerGroup,
   waterHeight,
+  getWaterSurfaceY,
   beakerRadius,
   // meniscus / meniscusUnder ignored (legacy) but kept optional for backwards compatibility
   meniscus = null,
@@ -29,7 +30,9 @@ export function createAndAnimateDrops({
   const dropRadius = modelScale * 0.15;
   // Reuse geometry and material across all drops to reduce allocations
   const dropGeo = new THREE.SphereGeometry(dropRadius, 24, 24);
-  const dropMat = createDropMaterial(0x004d00);
+  // Drops take the color of the pipette liquid (depends on selected indicator)
+  const liquidColor = liquidMeshes[0] && liquidMeshes[0].material && liquidMeshes[0].material.color;
+  const dropMat = createDropMaterial(liquidColor ? liquidColor.getHex() : 0x004d00);
 
   // Animate liquid meshes (live clone + original in bottle) shrinking
   const duration = 1500;
@@ -74,7 +77,7 @@ export function createAndAnimateDrops({
         .repeat(1)
         .start();
 
-      const targetY = water.position.y + waterHeight / 2;
+      const targetY = beakerGroup.position.y + (typeof getWaterSurfaceY === 'function' ? getWaterSurfaceY() : water.position.y + waterHeight / 2);
       const yDist = Math.max(0.1, drop.position.y - targetY);
       const durationFall = Math.min(1300, Math.max(450, 180 * yDist));
       const baseX = drop.position.x;
@@ -56,5 +56,10 @@ export function createAnimationManager() {
     queues.delete(actorKey);
   }
 
-  return { run, isRunning, clearQueue };
+  // Currently running actor keys (snapshot)
+  function activeActors() {
+    return Array.from(active.keys());
+  }
+
+  return { run, isRunning, clearQueue, activeActors };
 }
@@ -1,73 +1,330 @@
 import * as THREE from 'three';
+import { LITERS_PER_CUBIC_UNIT } from './constants.js';
+
+// Manages the gas and vapor bubbles of one beaker, drawn as a single InstancedMesh (plus one for splash droplets).
+// Bubble state lives in preallocated typed arrays (no per-bubble objects); positions are offsets from the beaker
+// centre, so the bubbles follow the beaker.
+// - Size: the gas amount is stored as the radius at surface pressure; the drawn radius follows the hydrostatic
+//   pressure (ideal gas, r ~ (P_atm / P)^(1/3)), so a bubble grows as it rises
+// - Rise: terminal velocity by size (Stokes for small bubbles blended with Mendelson's wave analogy for large ones),
+//   water viscosity and surface tension by temperature; larger bubbles zigzag
+// - Coalescence: touching gas bubbles occasionally merge (volume is conserved)
+// - Surface: a bubble bursts with a small ripple (triggerRipple) and throws a jet droplet up
+// getWaterSurfaceY (optional): live water level (local y) when the volume changes; otherwise waterSurfaceY is fixed
+// getWaterTemperature (optional): water temperature (°C). Warm water: gas bubbles are larger (V ~ T) and rise
+// faster (lower viscosity); near boiling, vapor bubbles form at the bottom and collapse on the way up (<100 °C).
+// stirField (optional): shared stirring field (lib/stirField.js); rising bubbles drift with the vortex.
+// triggerRipple (optional): (worldPos, strength) ripple on the water surface where a bubble bursts
+const VAPOR_ONSET_C = 90;
+const MAX_BUBBLES = 400;
+const MAX_DROPLETS = 64;
+
+// Fysiikka SI-yksiköissä; 1 scene-yksikkö = 5 cm (LITERS_PER_CUBIC_UNIT = 0,125 L)
+const M_PER_UNIT = Math.cbrt(LITERS_PER_CUBIC_UNIT) / 10;
+const G = 9.81;
+const RHO_WATER = 1000;
+const P_ATM = 101325;
+// Demo: 6 cm vesipatsas paisuttaa kuplaa todellisuudessa vain ~0,2 %; paineen vaikutusta liioitellaan, jotta kasvu näkyy
+const DEPTH_PRESSURE_EXAGGERATION = 40;
+const ACCEL_TAU = 0.04;             // s, kupla saavuttaa rajanopeuden lähes heti
+const ZIGZAG_MIN_RADIUS = 0.018;    // scene-yksikköä (~0,9 mm): tätä suuremmat kuplat heilahtelevat
+const COALESCE_RATE = 6;            // 1/s, yhdistymisen todennäköisyys kosketuksissa olevilla kuplilla
+const VAPOR_COLLAPSE_RATE = 2.4;    // 1/s, höyrykuplan tiivistyminen alijäähtyneessä vedessä
+const RIPPLE_MIN_INTERVAL_S = 0.25; // puhkeamisväreet harvennetaan (shaderissa on yksi väre kerrallaan)
+
+// Veden viskositeetti (Pa·s, Vogel) ja pintajännitys (N/m) lämpötilan funktiona
+function waterViscosity(tempC) {
+  return 2.414e-5 * Math.pow(10, 247.8 / (tempC + 273.15 - 140));
+}
+function waterSurfaceTension(tempC) {
+  return 0.0757 - 0.000165 * tempC;
+}
+
+// Kuplan rajanopeus (m/s) säteellä rM (m): pienillä Stokes, suurilla Mendelson; sulautetaan 1/v² -summana
+function terminalVelocity(rM, mu, sigma) {
+  const d = 2 * rM;
+  const vStokes = (2 / 9) * RHO_WATER * G * rM * rM / mu;
+  const vWave = Math.sqrt(2.14 * sigma / (RHO_WATER * d) + 0.505 * G * d);
+  return 1 / Math.sqrt(1 / (vStokes * vStokes) + 1 / (vWave * vWave));
+}
+
+// Paineen suhde P_atm / P syvyydellä depth (scene-yksikköä)
+function pressureRatio(depth) {
+  return P_ATM / (P_ATM + RHO_WATER * G * Math.max(0, depth) * M_PER_UNIT * DEPTH_PRESSURE_EXAGGERATION);
+}
+
+export function createBubblesManager({ scene, beakerGroup, beakerRadius, waterSurfaceY, getWaterSurfaceY, getWaterTemperature, stirField = null, triggerRipple = null }) {
+  // Kuplat: keskipisteen siirtymä lasin keskeltä (cx, cz), korkeus lasin pohjasta (y), piirretty paikka (px, pz)
+  const cx = new Float32Array(MAX_BUBBLES);
+  const cz = new Float32Array(MAX_BUBBLES);
+  const y = new Float32Array(MAX_BUBBLES);
+  const px = new Float32Array(MAX_BUBBLES);
+  const pz = new Float32Array(MAX_BUBBLES);
+  const vy = new Float32Array(MAX_BUBBLES);
+  const gasR = new Float32Array(MAX_BUBBLES);    // säde ilmanpaineessa (kaasumäärä); höyrykuplalla nykyinen säde
+  const startR = new Float32Array(MAX_BUBBLES);  // höyrykuplan alkusäde (tiivistyminen)
+  const rad = new Float32Array(MAX_BUBBLES);     // piirretty säde
+  const phase = new Float32Array(MAX_BUBBLES);
+  const wobbleSpeed = new Float32Array(MAX_BUBBLES);
+  const wobbleAmount = new Float32Array(MAX_BUBBLES);
+  const vapor = new Uint8Array(MAX_BUBBLES);
+  let count = 0;
+
+  // Roiskepisarat (ballistinen lento takaisin pintaan)
+  const dx = new Float32Array(MAX_DROPLETS);
+  const dy = new Float32Array(MAX_DROPLETS);
+  const dz = new Float32Array(MAX_DROPLETS);
+  const dvx = new Float32Array(MAX_DROPLETS);
+  const dvy = new Float32Array(MAX_DROPLETS);
+  const dvz = new Float32Array(MAX_DROPLETS);
+  const dr = new Float32Array(MAX_DROPLETS);
+  let dropletCount = 0;
 
-// Manages creation and updates of bubbles in the beaker
-export function createBubblesManager({ scene, beakerGroup, beakerRadius, waterSurfaceY }) {
-  const bubbles = [];
   let lastBubbleTime = 0;
+  let vaporAccum = 0;
+  let clock = 0;
+  let lastRippleTime = -1;
+  const flow = new THREE.Vector3();
+  const beakerWorldPos = new THREE.Vector3();
+  const scratch = new THREE.Vector3();
+  const matrix = new THREE.Matrix4();
 
-  function createBubble() {
-    const bubbleGeo = new THREE.SphereGeometry(0.04, 16, 16);
-    const bubbleMat = new THREE.MeshStandardMaterial({ color: 0xffffff, transparent: true, opacity: 0.7, roughness: 0.1 });
-    const bubble = new THREE.Mesh(bubbleGeo, bubbleMat);
+  const bubbleMesh = new THREE.InstancedMesh(
+    new THREE.SphereGeometry(1, 12, 8),
+    new THREE.MeshStandardMaterial({ color: 0xffffff, transparent: true, opacity: 0.7, roughness: 0.1 }),
+    MAX_BUBBLES
+  );
+  bubbleMesh.name = 'bubbles';
+  bubbleMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  bubbleMesh.frustumCulled = false; // instanssit liikkuvat, geometrian rajaus ei päde
+  bubbleMesh.count = 0;
+  const dropletMesh = new THREE.InstancedMesh(
+    new THREE.SphereGeometry(1, 8, 6),
+    new THREE.MeshStandardMaterial({ color: 0xdff3ff, transparent: true, opacity: 0.8, roughness: 0.05 }),
+    MAX_DROPLETS
+  );
+  dropletMesh.name = 'bubbleDroplets';
+  dropletMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  dropletMesh.frustumCulled = false;
+  dropletMesh.count = 0;
+  scene.add(bubbleMesh, dropletMesh);
 
-    const beakerWorldPos = new THREE.Vector3();
-    beakerGroup.getWorldPosition(beakerWorldPos);
+  function waterTemp() {
+    const t = typeof getWaterTemperature === 'function' ? getWaterTemperature() : 25;
+    return typeof t === 'number' && isFinite(t) ? t : 25;
+  }
+  function surfaceLevel() {
+    return typeof getWaterSurfaceY === 'function' ? getWaterSurfaceY() : waterSurfaceY;
+  }
 
-    const randomRadius = Math.random() * (beakerRadius * 0.85);
+  // radius: säde syntyhetkellä pohjalla (scene-yksikköä)
+  function createBubble(radius = 0.04, { vapor: isVapor = false } = {}) {
+    if (count >= MAX_BUBBLES) return;
+    const tempC = waterTemp();
+    // Kaasukupla laajenee lämpimässä (säde ~ T^(1/3)); höyrykupla on sellaisenaan
+    if (!isVapor) radius *= Math.cbrt((tempC + 273.15) / 298.15);
+    const i = count++;
+    const randomRadius = Math.random() * (beakerRadius * (isVapor ? 0.6 : 0.85));
     const randomAngle = Math.random() * Math.PI * 2;
-    const startX = beakerWorldPos.x + Math.cos(randomAngle) * randomRadius;
-    const startZ = beakerWorldPos.z + Math.sin(randomAngle) * randomRadius;
-    const startY = beakerWorldPos.y + 0.05; // near bottom
-    bubble.position.set(startX, startY, startZ);
-    bubble.userData.centerX = startX;
-    bubble.userData.centerZ = startZ;
-    bubble.userData.velocityY = 2.0 + Math.random() * 1.0;
-    bubble.userData.wobbleSpeed = 2 + Math.random() * 2;
-    bubble.userData.wobbleAmount = 0.05 + Math.random() * 0.1;
-
-    scene.add(bubble);
-    bubbles.push(bubble);
+    cx[i] = px[i] = Math.cos(randomAngle) * randomRadius;
+    cz[i] = pz[i] = Math.sin(randomAngle) * randomRadius;
+    y[i] = 0.05; // near bottom
+    vy[i] = 0;
+    vapor[i] = isVapor ? 1 : 0;
+    gasR[i] = isVapor ? radius : radius / Math.cbrt(pressureRatio(surfaceLevel() - y[i]));
+    startR[i] = radius;
+    rad[i] = radius;
+    phase[i] = Math.random() * Math.PI * 2;
+    wobbleSpeed[i] = 25 + Math.random() * 15;
+    wobbleAmount[i] = 0.02 + Math.random() * 0.03;
   }
 
-  // Conditionally spawn bubbles based on flow; also trigger acidity when appropriate
-  function spawnIf({ flowOn, elapsedTime, selectedGas, onAcidic }) {
-    if (!flowOn) return;
-    if (elapsedTime - lastBubbleTime > 0.1) {
-      createBubble();
-      lastBubbleTime = elapsedTime;
+  function removeBubble(i) {
+    const last = --count;
+    if (i === last) return;
+    cx[i] = cx[last]; cz[i] = cz[last]; y[i] = y[last]; px[i] = px[last]; pz[i] = pz[last];
+    vy[i] = vy[last]; gasR[i] = gasR[last]; startR[i] = startR[last]; rad[i] = rad[last];
+    phase[i] = phase[last]; wobbleSpeed[i] = wobbleSpeed[last]; wobbleAmount[i] = wobbleAmount[last]; vapor[i] = vapor[last];
+  }
 
-      const acidicGases = ['SO2', 'NO2', 'CO2'];
-      if (acidicGases.includes(selectedGas) && typeof onAcidic === 'function') {
-        onAcidic();
+  function removeDroplet(i) {
+    const last = --dropletCount;
+    if (i === last) return;
+    dx[i] = dx[last]; dy[i] = dy[last]; dz[i] = dz[last];
+    dvx[i] = dvx[last]; dvy[i] = dvy[last]; dvz[i] = dvz[last]; dr[i] = dr[last];
+  }
+
+  // Puhkeaminen pinnassa: pieni väre ja ylös singahtava pisara (korkeus ~ kuplan koko)
+  function burst(i, surfaceY) {
+    const r = rad[i];
+    if (typeof triggerRipple === 'function' && clock - lastRippleTime >= RIPPLE_MIN_INTERVAL_S) {
+      lastRippleTime = clock;
+      scratch.set(beakerWorldPos.x + px[i], beakerWorldPos.y + surfaceY, beakerWorldPos.z + pz[i]);
+      try { triggerRipple(scratch, Math.min(0.35, 0.08 + 3 * r)); } catch {}
+    }
+    if (dropletCount >= MAX_DROPLETS) return;
+    const j = dropletCount++;
+    const jetHeight = Math.min(0.5, Math.max(0.08, 6 * r));
+    dx[j] = px[i]; dy[j] = surfaceY; dz[j] = pz[i];
+    dvy[j] = Math.sqrt(2 * (G / M_PER_UNIT) * jetHeight);
+    dvx[j] = (Math.random() - 0.5) * 0.6;
+    dvz[j] = (Math.random() - 0.5) * 0.6;
+    dr[j] = Math.max(0.006, 0.2 * r);
+  }
+
+  // Spawn bubbles from the gas flow: frequency (1/s) and radius come from the flow model (gasFlow.getBubbleParams)
+  function spawnIf({ flowOn, elapsedTime, ratePerSec = 10, radius = 0.04 }) {
+    if (!flowOn || !(ratePerSec > 0) || !(radius > 0)) { lastBubbleTime = elapsedTime; return; }
+    const interval = 1 / ratePerSec;
+    let spawned = 0;
+    while (elapsedTime - lastBubbleTime > interval && spawned < 4) {
+      createBubble(radius * (0.85 + Math.random() * 0.3));
+      lastBubbleTime += interval;
+      spawned++;
+    }
+    if (elapsedTime - lastBubbleTime > interval) lastBubbleTime = elapsedTime;
+  }
+
+  // Höyrykuplat pohjalta kiehumisen lähestyessä: tiheys kasvaa jyrkästi 90 -> 100 °C
+  function spawnVapor(dt) {
+    const tempC = waterTemp();
+    if (!(dt > 0) || tempC < VAPOR_ONSET_C) { vaporAccum = 0; return; }
+    if (!(surfaceLevel() > 0.05)) return;
+    const x = Math.min(1, (tempC - VAPOR_ONSET_C) / (100 - VAPOR_ONSET_C));
+    vaporAccum += dt * x * x * 15;
+    let spawned = 0;
+    while (vaporAccum >= 1 && spawned < 4) {
+      createBubble(0.02 + Math.random() * 0.03 * (0.5 + x), { vapor: true });
+      vaporAccum -= 1;
+      spawned++;
+    }
+    if (vaporAccum > 4) vaporAccum = 0;
+  }
+
+  // Kosketuksissa olevat kaasukuplat yhdistyvät satunnaisesti (tilavuus säilyy, paikka ja nopeus tilavuuspainotettuna)
+  function coalesce(dt) {
+    const pMerge = 1 - Math.exp(-COALESCE_RATE * dt);
+    for (let i = 0; i < count; i++) {
+      if (vapor[i]) continue;
+      let j = i + 1;
+      while (j < count) {
+        const reach = rad[i] + rad[j];
+        if (vapor[j] || Math.abs(y[i] - y[j]) > reach) { j++; continue; }
+        const ddx = px[i] - px[j], ddz = pz[i] - pz[j], ddy = y[i] - y[j];
+        if (ddx * ddx + ddy * ddy + ddz * ddz > reach * reach || Math.random() > pMerge) { j++; continue; }
+        const vi = gasR[i] * gasR[i] * gasR[i];
+        const vj = gasR[j] * gasR[j] * gasR[j];
+        const wi = vi / (vi + vj), wj = 1 - wi;
+        cx[i] = cx[i] * wi + cx[j] * wj;
+        cz[i] = cz[i] * wi + cz[j] * wj;
+        y[i] = y[i] * wi + y[j] * wj;
+        vy[i] = vy[i] * wi + vy[j] * wj;
+        gasR[i] = Math.cbrt(vi + vj);
+        removeBubble(j); // viimeinen siirtyi paikalle j -> verrataan sitä seuraavaksi
       }
     }
   }
 
-  // Update bubble positions and cleanup when they reach surface
-  function update(elapsedTime) {
-    const waterSurfaceWorldY = beakerGroup.position.y + waterSurfaceY;
-    for (let i = bubbles.length - 1; i >= 0; i--) {
-      const bubble = bubbles[i];
-      bubble.position.y += bubble.userData.velocityY * 0.016;
-      bubble.position.x = bubble.userData.centerX + Math.sin(elapsedTime * bubble.userData.wobbleSpeed) * bubble.userData.wobbleAmount;
-      bubble.position.z = bubble.userData.centerZ + Math.cos(elapsedTime * (bubble.userData.wobbleSpeed * 0.9)) * bubble.userData.wobbleAmount;
-      if (bubble.position.y > waterSurfaceWorldY) {
-        scene.remove(bubble);
-        bubble.geometry.dispose();
-        bubble.material.dispose();
-        bubbles.splice(i, 1);
+  function draw() {
+    for (let i = 0; i < count; i++) {
+      const r = rad[i];
+      matrix.makeScale(r, r, r);
+      matrix.setPosition(beakerWorldPos.x + px[i], beakerWorldPos.y + y[i], beakerWorldPos.z + pz[i]);
+      bubbleMesh.setMatrixAt(i, matrix);
+    }
+    bubbleMesh.count = count;
+    bubbleMesh.instanceMatrix.needsUpdate = true;
+    for (let j = 0; j < dropletCount; j++) {
+      const r = dr[j];
+      matrix.makeScale(r, r, r);
+      matrix.setPosition(beakerWorldPos.x + dx[j], beakerWorldPos.y + dy[j], beakerWorldPos.z + dz[j]);
+      dropletMesh.setMatrixAt(j, matrix);
+    }
+    dropletMesh.count = dropletCount;
+    dropletMesh.instanceMatrix.needsUpdate = true;
+  }
+
+  // Per-frame update with the real frame time: rise, growth, drift, coalescence, bursting and droplets
+  function update(dt) {
+    if (!(dt > 0)) return;
+    dt = Math.min(dt, 0.05); // välilehti taustalla -> ei hyppyä
+    clock += dt;
+    beakerGroup.getWorldPosition(beakerWorldPos);
+    const surfaceY = surfaceLevel();
+    const tempC = waterTemp();
+    const mu = waterViscosity(tempC);
+    const sigma = waterSurfaceTension(tempC);
+    // Alle kiehumispisteen höyrykupla tiivistyy noustessaan viileämpään pintaveteen
+    const collapse = Math.max(0, (100 - tempC) / (100 - VAPOR_ONSET_C));
+    const stirring = !!stirField && stirField.getOmega() !== 0;
+    const maxR = beakerRadius * 0.85;
+    const accel = 1 - Math.exp(-dt / ACCEL_TAU);
+    // Takaperin: poistettavan paikalle siirtyy jo päivitetty viimeinen kupla
+    for (let i = count - 1; i >= 0; i--) {
+      let r;
+      if (vapor[i]) {
+        if (collapse > 0) gasR[i] *= Math.exp(-VAPOR_COLLAPSE_RATE * collapse * dt);
+        r = gasR[i];
+      } else {
+        r = gasR[i] * Math.cbrt(pressureRatio(surfaceY - y[i]));
+      }
+      rad[i] = r;
+      const vTerm = terminalVelocity(r * M_PER_UNIT, mu, sigma) / M_PER_UNIT;
+      vy[i] += (vTerm - vy[i]) * accel;
+      y[i] += vy[i] * dt;
+      if (stirring) {
+        // Pyörre kuljettaa kuplan heilahtelun keskipistettä (pysyy lasin sisällä)
+        scratch.set(beakerWorldPos.x + px[i], beakerWorldPos.y + y[i], beakerWorldPos.z + pz[i]);
+        stirField.velocityAtWorld(scratch, flow);
+        let ox = cx[i] + flow.x * dt;
+        let oz = cz[i] + flow.z * dt;
+        const d = Math.hypot(ox, oz);
+        if (d > maxR) { ox *= maxR / d; oz *= maxR / d; }
+        cx[i] = ox;
+        cz[i] = oz;
+      }
+      // Isot kuplat nousevat siksakkia, pienet suoraan
+      const zigzag = Math.min(1, Math.max(0, (r - ZIGZAG_MIN_RADIUS) / ZIGZAG_MIN_RADIUS));
+      phase[i] += wobbleSpeed[i] * dt;
+      px[i] = cx[i] + Math.sin(phase[i]) * wobbleAmount[i] * zigzag;
+      pz[i] = cz[i] + Math.cos(phase[i] * 0.9) * wobbleAmount[i] * zigzag;
+      if (vapor[i] && gasR[i] < 0.15 * startR[i]) {
+        removeBubble(i);
+      } else if (y[i] + r * 0.5 >= surfaceY) {
+        burst(i, surfaceY);
+        removeBubble(i);
       }
     }
+    coalesce(dt);
+    // Pisarat: painovoima, poistuvat pudotessaan takaisin pintaan
+    const g = G / M_PER_UNIT;
+    for (let j = dropletCount - 1; j >= 0; j--) {
+      dvy[j] -= g * dt;
+      dx[j] += dvx[j] * dt;
+      dy[j] += dvy[j] * dt;
+      dz[j] += dvz[j] * dt;
+      if (dvy[j] < 0 && dy[j] <= surfaceY) removeDroplet(j);
+    }
+    draw();
+  }
+
+  // Kaikki kuplat ja pisarat pois (esim. alustus)
+  function clear() {
+    count = 0;
+    dropletCount = 0;
+    vaporAccum = 0;
+    bubbleMesh.count = 0;
+    dropletMesh.count = 0;
   }
 
   function dispose() {
-    for (const bubble of bubbles) {
-      scene.remove(bubble);
-      bubble.geometry.dispose();
-      bubble.material.dispose();
-    }
-    bubbles.length = 0;
+    clear();
+    scene.remove(bubbleMesh, dropletMesh);
+    bubbleMesh.geometry.dispose();
+    bubbleMesh.material.dispose();
+    dropletMesh.geometry.dispose();
+    dropletMesh.material.dispose();
   }
 
-  return { spawnIf, update, dispose };
+  return { spawnIf, spawnVapor, update, clear, getCount: () => count, dispose };
 }
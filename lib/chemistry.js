@@ -0,0 +1,437 @@
+import { getReagent } from './reagents.js';
+
+/**
+ * Happo–emäs kemia (kvantitatiivinen)
+ * ------------------------------------------------------------
+ * Pitää kirjaa liuenneiden komponenttien ainemääristä (mol) dekantterilasin vesitilavuudessa
+ * ja laskee todellisen pH:n varaustasapainosta.
+ *
+ * Komponentit (kokonaismäärät, mol):
+ *  - carbonate : H2CO3* + HCO3- + CO3^2-   (CO2 liukeneminen)
+ *  - sulfite   : H2SO3 + HSO3- + SO3^2-    (SO2 liukeneminen)
+ *  - nitrite   : HNO2 + NO2-               (NO2 disproportionaatio, puolet)
+ *  - nitrate   : NO3-                      (NO2 disproportionaatio, puolet; vahva happo)
+ *  - chloride  : Cl-                       (HCl, vahva happo)
+ *  - ammonium  : NH4+ + NH3                (NH3 liukeneminen; kationihappo)
+ *  - acetate   : CH3COOH + CH3COO-         (etikkahappo byretistä; heikko happo)
+ *  - Ca, Na, Mg: emäksisten oksidien / hydroksidien / suolojen kationit
+ *
+ * Aineet (kaasut, kiinteät ja byretin mittaliuokset) ja niiden komponenttistoikiometria tulevat reagenssikatalogista (reagents.js).
+ *
+ * Saostuminen: niukkaliukoiset suolat (CaSO3, CaCO3) saostetaan kun ionitulo ylittää Ksp:n,
+ * ja sakka liukenee takaisin jos liuos muuttuu alikylläiseksi (esim. happoa lisättäessä).
+ *
+ * pH ratkaistaan bisektiolla yhtälöstä
+ *   [H3O+] + 2[Ca2+] + [Na+] + 2[Mg2+] + [NH4+] = [OH-] + Σ anionien varaus
+ * jossa heikkojen happojen jakautuminen lasketaan pKa-arvoista (25 °C).
+ *
+ * Käyttö:
+ *   const chem = createChemistry({ volumeL: 0.49 });
+ *   chem.addGas('SO2', 2e-5);
+ *   chem.addSolid('CaO', 1.8e-3);
+ *   chem.getPH();        // -> esim. 11.6
+ *   chem.getSpecies();   // -> { 'H3O+': mol, 'OH-': mol, 'HSO3-': mol, ... }
+ *   chem.getPrecipitates(); // -> { CaSO3: mol, CaCO3: mol }
+ *   chem.setVolume(0.6);     // laimennus (vettä lisätty), chem.removeSolution(0.05) valutus
+ *   chem.getIons();          // -> { 'Na+': mol/L, 'OH-': mol/L, ... } (vain varatut lajit)
+ *   chem.getIonicStrength(); // -> I (mol/L)
+ *   chem.getConductivity();  // -> µS/cm (25 °C, Kohlrausch-korjaus ionivahvuudella)
+ */
+
+const KW = 1.0e-14;
+
+// Heikot hapot: pKa-arvot järjestyksessä (ensimmäinen protolyysi ensin); charge = täysin protonoituneen
+// muodon varaus (oletus 0, esim. NH4+ = +1), jokainen protolyysi vähentää varausta yhdellä
+const ACID_SYSTEMS = {
+  carbonate: { pKa: [6.35, 10.33], species: ['H2CO3', 'HCO3-', 'CO3^2-'] },
+  sulfite: { pKa: [1.86, 7.20], species: ['H2SO3', 'HSO3-', 'SO3^2-'] },
+  nitrite: { pKa: [3.35], species: ['HNO2', 'NO2-'] },
+  ammonium: { pKa: [9.25], species: ['NH4+', 'NH3'], charge: 1 },
+  acetate: { pKa: [4.76], species: ['CH3COOH', 'CH3COO-'] }
+};
+// Vahvojen happojen anionit (täysin protolysoituneet) ja niiden varaus
+const STRONG_ANIONS = {
+  nitrate: { charge: 1, species: 'NO3-' },
+  chloride: { charge: 1, species: 'Cl-' }
+};
+// Kationit (vahvat emäkset) ja niiden varaus
+const CATIONS = {
+  Ca: { charge: 2, species: 'Ca2+' },
+  Na: { charge: 1, species: 'Na+' },
+  Mg: { charge: 2, species: 'Mg2+' }
+};
+
+// Ionien varaus, rajamolaarinen johtokyky λ° (S·cm²/mol ionia kohti, 25 °C) johtokykymittarille ja väri ioninäkymässä
+export const ION_DATA = {
+  'H3O+': { charge: 1, lambda: 349.8, color: 0xff3b30 },
+  'OH-': { charge: -1, lambda: 198.6, color: 0x2f6bff },
+  'Na+': { charge: 1, lambda: 50.1, color: 0xffb020 },
+  'Ca2+': { charge: 2, lambda: 119.0, color: 0xf5f5f5 },
+  'Mg2+': { charge: 2, lambda: 106.1, color: 0xd9f99d },
+  'NH4+': { charge: 1, lambda: 73.5, color: 0xff7ad9 },
+  'Cl-': { charge: -1, lambda: 76.3, color: 0x34d399 },
+  'NO3-': { charge: -1, lambda: 71.4, color: 0xa78bfa },
+  'NO2-': { charge: -1, lambda: 71.8, color: 0xc4b5fd },
+  'HCO3-': { charge: -1, lambda: 44.5, color: 0x67e8f9 },
+  'CO3^2-': { charge: -2, lambda: 138.6, color: 0x0ea5e9 },
+  'HSO3-': { charge: -1, lambda: 58.0, color: 0xfde047 },
+  'SO3^2-': { charge: -2, lambda: 144.0, color: 0xeab308 },
+  'CH3COO-': { charge: -1, lambda: 40.9, color: 0x94a3b8 }
+};
+// Kohlrausch-tyyppinen vaimennus: Λ = Λ° / (1 + k·√I) (vahvoille elektrolyyteille ±5 % välillä 0,001–0,1 M)
+const CONDUCTIVITY_DAMPING = 0.5;
+
+// Niukkaliukoiset suolat: kationi + heikon hapon täysin deprotonoitunut anioni (25 °C)
+const MINERALS = {
+  CaSO3: { cation: 'Ca', anion: 'sulfite', Ksp: 3.1e-7 },
+  CaCO3: { cation: 'Ca', anion: 'carbonate', Ksp: 3.36e-9 }
+};
+
+function emptyComponents() {
+  const c = {};
+  for (const k of Object.keys(ACID_SYSTEMS)) c[k] = 0;
+  for (const k of Object.keys(STRONG_ANIONS)) c[k] = 0;
+  for (const k of Object.keys(CATIONS)) c[k] = 0;
+  return c;
+}
+
+// Heikon hapon jakautumiskertoimet (alpha_0..alpha_n) annetulla [H3O+]
+function acidFractions(h, pKa) {
+  const ka = pKa.map(p => Math.pow(10, -p));
+  const n = ka.length;
+  const terms = new Array(n + 1);
+  let prod = 1;
+  for (let i = 0; i <= n; i++) {
+    if (i > 0) prod *= ka[i - 1];
+    terms[i] = Math.pow(h, n - i) * prod;
+  }
+  const sum = terms.reduce((s, t) => s + t, 0);
+  return terms.map(t => t / sum);
+}
+
+// Varaustasapainon jäännös (positiivinen - negatiivinen) annetulla pH:lla; pienenee pH:n kasvaessa
+function chargeBalance(pH, conc) {
+  const h = Math.pow(10, -pH);
+  let positive = h;
+  for (const [k, cat] of Object.entries(CATIONS)) positive += cat.charge * conc[k];
+  let negative = KW / h;
+  for (const [k, sys] of Object.entries(ACID_SYSTEMS)) {
+    const c = conc[k];
+    if (!(c > 0)) continue;
+    const alpha = acidFractions(h, sys.pKa);
+    const z0 = sys.charge || 0;
+    for (let i = 0; i < alpha.length; i++) {
+      const z = z0 - i;
+      if (z > 0) positive += z * alpha[i] * c;
+      else if (z < 0) negative -= z * alpha[i] * c;
+    }
+  }
+  for (const [k, an] of Object.entries(STRONG_ANIONS)) negative += an.charge * conc[k];
+  return positive - negative;
+}
+
+/**
+ * Ratkaise pH konsentraatioista (mol/L).
+ * @param {Object<string, number>} conc Komponenttien konsentraatiot
+ * @returns {number} pH
+ */
+export function solvePH(conc) {
+  let lo = -1.0, hi = 15.0;
+  for (let i = 0; i < 60; i++) {
+    const mid = 0.5 * (lo + hi);
+    if (chargeBalance(mid, conc) > 0) lo = mid; else hi = mid;
+  }
+  return 0.5 * (lo + hi);
+}
+
+/**
+ * Bromitymolisinisen (BTS) väriasteikko: muuntaa pH:n shaderien pHScore-arvoksi.
+ * > 0 hapan (keltainen), 0 neutraali (vihreä), < 0 emäksinen (sininen). Vaihtoalue 6.0–7.6 (BTB, lib/indicators.js).
+ */
+export function indicatorScoreFromPH(pH) {
+  const score = (6.9 - pH) / 0.8;
+  return Math.max(-1.5, Math.min(1.5, score));
+}
+
+/**
+ * Kaasun liukoisuusdata (reagenssikatalogin solubility) tai null tuntemattomalle kaasulle.
+ * Lämpötila korjaa Henryn vakion (van 't Hoff: lämmin vesi liuottaa huonommin) ja
+ * massansiirron (diffuusio nopeutuu ~2 %/K).
+ * @param {string} gas
+ * @param {number} [tempC=25]
+ */
+export function getGasSolubility(gas, tempC = 25) {
+  const r = getReagent(gas);
+  const data = r && r.kind === 'gas' ? r.solubility : null;
+  if (!data) return null;
+  const invT = 1 / (tempC + 273.15) - 1 / 298.15;
+  return {
+    ...data,
+    henry: data.henry * Math.exp(data.vantHoff * invT),
+    transfer: data.transfer * Math.max(0.5, 1 + 0.02 * (tempC - 25))
+  };
+}
+
+export function getSolidMolarMass(code) {
+  const r = getReagent(code);
+  return r && r.kind === 'solid' ? r.molarMass : null;
+}
+
+function emptyPrecipitates() {
+  const p = {};
+  for (const k of Object.keys(MINERALS)) p[k] = 0;
+  return p;
+}
+
+export function createChemistry({ volumeL = 0.5 } = {}) {
+  let volume = Math.max(1e-6, volumeL);
+  const moles = emptyComponents();
+  const solids = emptyPrecipitates();
+  let cachedPH = 7.0;
+  let dirty = true;
+
+  function concentrations() {
+    const c = {};
+    for (const k of Object.keys(moles)) c[k] = moles[k] / volume;
+    return c;
+  }
+
+  // Ionitulo kun x mol suolaa on saostettu lisää (x < 0 = liukenee)
+  function ionProduct(m, x) {
+    const conc = concentrations();
+    conc[m.cation] = Math.max(0, moles[m.cation] - x) / volume;
+    conc[m.anion] = Math.max(0, moles[m.anion] - x) / volume;
+    const h = Math.pow(10, -solvePH(conc));
+    const alpha = acidFractions(h, ACID_SYSTEMS[m.anion].pKa);
+    return conc[m.cation] * conc[m.anion] * alpha[alpha.length - 1];
+  }
+
+  // Saostus/liukeneminen tasapainoon; kaksi kierrosta kytkeytyneille suoloille (sama kationi)
+  function equilibrate() {
+    for (let pass = 0; pass < 2; pass++) {
+      for (const [name, m] of Object.entries(MINERALS)) {
+        const maxUp = Math.min(moles[m.cation], moles[m.anion]);
+        const maxDown = solids[name];
+        if (maxUp <= 0 && maxDown <= 0) continue;
+        const iap0 = ionProduct(m, 0);
+        if (iap0 > m.Ksp ? maxUp <= 0 : maxDown <= 0) continue;
+        // IAP(x) pienenee monotonisesti x:n kasvaessa -> bisektio
+        let lo = -maxDown, hi = maxUp;
+        if (iap0 > m.Ksp) lo = 0; else hi = 0;
+        for (let i = 0; i < 40; i++) {
+          const mid = 0.5 * (lo + hi);
+          if (ionProduct(m, mid) > m.Ksp) lo = mid; else hi = mid;
+        }
+        const x = 0.5 * (lo + hi);
+        moles[m.cation] = Math.max(0, moles[m.cation] - x);
+        moles[m.anion] = Math.max(0, moles[m.anion] - x);
+        solids[name] = solids[name] + x > 1e-15 ? solids[name] + x : 0;
+      }
+    }
+  }
+
+  function getPH() {
+    if (dirty) {
+      equilibrate();
+      cachedPH = solvePH(concentrations());
+      dirty = false;
+    }
+    return cachedPH;
+  }
+
+  // Lisää komponentteja stoikiometriakertoimilla
+  function addComponents(components, mol) {
+    if (!(mol > 0)) return;
+    for (const [k, f] of Object.entries(components)) {
+      if (k in moles) moles[k] += f * mol;
+    }
+    dirty = true;
+  }
+
+  /**
+   * Liuenneen kaasun lisäys (komponentit katalogista, esim. SO2 -> sulfite, NH3 -> ammonium).
+   * @param {string} gas Katalogin kaasu, esim. 'SO2'
+   * @param {number} mol Liuennut ainemäärä (mol)
+   */
+  function addGas(gas, mol) {
+    const r = getReagent(gas);
+    if (!r || r.kind !== 'gas') return false;
+    addComponents(r.components, mol);
+    return true;
+  }
+
+  /**
+   * Kiinteän aineen lisäys (liukenee / reagoi veden kanssa katalogin komponenteiksi).
+   * @param {string} code Katalogin kiinteä aine, esim. 'CaO'
+   * @param {number} mol Ainemäärä (mol)
+   */
+  function addSolid(code, mol) {
+    const r = getReagent(code);
+    if (!r || r.kind !== 'solid') return false;
+    addComponents(r.components, mol);
+    return true;
+  }
+
+  function addSolidMass(code, grams) {
+    const molarMass = getSolidMolarMass(code);
+    if (!molarMass) return 0;
+    const mol = grams / molarMass;
+    addSolid(code, mol);
+    return mol;
+  }
+
+  // Ainemäärät lajeittain (mol) nykyisessä pH:ssa
+  function getSpecies() {
+    const pH = getPH();
+    const h = Math.pow(10, -pH);
+    const out = { 'H3O+': h * volume, 'OH-': (KW / h) * volume };
+    for (const [k, sys] of Object.entries(ACID_SYSTEMS)) {
+      const alpha = acidFractions(h, sys.pKa);
+      sys.species.forEach((name, i) => { out[name] = alpha[i] * moles[k]; });
+    }
+    for (const [k, an] of Object.entries(STRONG_ANIONS)) out[an.species] = moles[k];
+    for (const [k, cat] of Object.entries(CATIONS)) out[cat.species] = moles[k];
+    return out;
+  }
+
+  function getComponents() { getPH(); return { ...moles }; }
+
+  // Liuenneet ionit (mol/L); sakkaan sitoutuneet ionit eivät ole mukana
+  function getIons() {
+    const species = getSpecies();
+    const out = {};
+    for (const name of Object.keys(ION_DATA)) {
+      const c = (species[name] || 0) / volume;
+      if (c > 0) out[name] = c;
+    }
+    return out;
+  }
+
+  // Ionivahvuus I = ½ Σ c·z² (mol/L)
+  function getIonicStrength() {
+    let sum = 0;
+    for (const [name, c] of Object.entries(getIons())) sum += c * ION_DATA[name].charge * ION_DATA[name].charge;
+    return 0.5 * sum;
+  }
+
+  // Sähkönjohtavuus κ (µS/cm) = Σ λ°·c / (1 + k·√I); puhdas vesi ~0,055 µS/cm
+  function getConductivity() {
+    const ions = getIons();
+    let sum = 0, strength = 0;
+    for (const [name, c] of Object.entries(ions)) {
+      sum += ION_DATA[name].lambda * c;
+      strength += 0.5 * c * ION_DATA[name].charge * ION_DATA[name].charge;
+    }
+    return (sum * 1000) / (1 + CONDUCTIVITY_DAMPING * Math.sqrt(strength));
+  }
+
+  // Saostuneet suolat (mol)
+  function getPrecipitates() { getPH(); return { ...solids }; }
+
+  function setVolume(L) {
+    volume = Math.max(1e-6, L);
+    dirty = true;
+  }
+  function getVolume() { return volume; }
+
+  /**
+   * Liuoksen poisto (esim. valutus hanasta): liuenneet ainemäärät pienenevät samassa suhteessa
+   * kuin tilavuus, pitoisuudet ja pH eivät muutu. Sakka jää astiaan.
+   * @param {number} L Poistettu tilavuus (L)
+   * @returns {number} Poistettu osuus 0..1
+   */
+  function removeSolution(L) {
+    if (!(L > 0)) return 0;
+    const fraction = Math.min(1, L / volume);
+    for (const k of Object.keys(moles)) moles[k] *= (1 - fraction);
+    volume = Math.max(1e-6, volume - L);
+    dirty = true;
+    return fraction;
+  }
+
+  /**
+   * Liuoksen kaato toiseen astiaan: poistaa liuosta kuten removeSolution ja palauttaa poistetut ainemäärät
+   * (addSolution kohdeastian kemialle). Sakka jää astiaan.
+   * @param {number} L Kaadettu tilavuus (L)
+   * @returns {{ volumeL: number, moles: Object }}
+   */
+  function takeSolution(L) {
+    if (!(L > 0)) return { volumeL: 0, moles: {} };
+    const takenL = Math.min(L, volume); // ei enempää kuin astiassa on
+    const fraction = takenL / volume;
+    const taken = {};
+    for (const k of Object.keys(moles)) taken[k] = moles[k] * fraction;
+    removeSolution(L);
+    return { volumeL: takenL, moles: taken };
+  }
+
+  /**
+   * Toisesta astiasta kaadettu liuos: tilavuus ja ainemäärät lisätään (takeSolution-tulos).
+   * @param {{ volumeL: number, moles: Object }} solution
+   * @param {number} [share=1] Vastaanotettu osuus (loput läikkyi)
+   */
+  function addSolution(solution, share = 1) {
+    if (!solution || !(solution.volumeL > 0) || !(share > 0)) return;
+    volume += solution.volumeL * share;
+    for (const [k, v] of Object.entries(solution.moles || {})) if (k in moles && Number.isFinite(v)) moles[k] += v * share;
+    dirty = true;
+  }
+
+  /**
+   * Mittaliuos (byretti): tilavuus kasvaa ja liuenneen aineen komponentit lisätään (C · V).
+   * @param {string} code Katalogin mittaliuos, esim. 'NaOHaq'
+   * @param {number} concMolL Pitoisuus (mol/L)
+   * @param {number} L Lisätty tilavuus (L)
+   * @returns {number} Lisätty ainemäärä (mol), 0 jos tuntematon
+   */
+  function addReagentSolution(code, concMolL, L) {
+    const r = getReagent(code);
+    if (!r || r.kind !== 'solution' || !(L > 0)) return 0;
+    const mol = Math.max(0, concMolL) * L;
+    volume += L;
+    addComponents(r.components, mol);
+    dirty = true;
+    return mol;
+  }
+
+  function reset() {
+    Object.assign(moles, emptyComponents());
+    Object.assign(solids, emptyPrecipitates());
+    dirty = true;
+  }
+
+  // Tallennettava tila (ainemäärät + sakat + tilavuus)
+  function getSnapshot() {
+    return { volumeL: volume, moles: { ...moles }, solids: { ...solids } };
+  }
+
+  function restoreSnapshot(s = {}) {
+    reset();
+    if (typeof s.volumeL === 'number') volume = Math.max(1e-6, s.volumeL);
+    for (const [k, v] of Object.entries(s.moles || {})) if (k in moles && Number.isFinite(v)) moles[k] = v;
+    for (const [k, v] of Object.entries(s.solids || {})) if (k in solids && Number.isFinite(v)) solids[k] = v;
+    dirty = true;
+  }
+
+  return {
+    addGas,
+    addSolid,
+    addSolidMass,
+    getPH,
+    getSpecies,
+    getComponents,
+    getIons,
+    getIonicStrength,
+    getConductivity,
+    getPrecipitates,
+    setVolume,
+    getVolume,
+    removeSolution,
+    takeSolution,
+    addSolution,
+    addReagentSolution,
+    reset,
+    getSnapshot,
+    restoreSnapshot
+  };
+}
@@ -6,3 +6,62 @@ export const MOVE_UP_MS = 350;
 export const MOVE_ACROSS_MS = 800;
 export const MOVE_DOWN_MS = 350;
 export const RETURN_LOWER_MS = 300;
+// Kemian mittakaava: 1 scene-yksikkö = 5 cm -> 1 yksikkö³ = 0.125 L
+export const LITERS_PER_CUBIC_UNIT = 0.125;
+// Yksi kaasukupla (kiinteä nopeus) ja yksi lusikallinen jauhetta
+export const GAS_MOL_PER_BUBBLE = 2e-5;
+export const SCOOP_MASS_G = 0.1;
+// Lusikallisen vaihteluväli (g) matalasta syvään kauhaisuun ja jauhepurkin täyttö (g / aine)
+export const SCOOP_MIN_G = 0.05;
+export const SCOOP_MAX_G = 0.6;
+export const JAR_FILL_G = 10;
+// Kaasuvirtaus: venttiilin täysi avaus (mL/s), klikkausaskeleet (avausaste 0..1) ja moolitilavuus 25 °C
+export const GAS_FLOW_MAX_ML_S = 5.0;
+export const GAS_VALVE_STEPS = [0, 0.25, 0.5, 1.0];
+export const GAS_MOLAR_VOLUME_ML = 24465;
+// Kaasupullo: vesitilavuus (mL, demoa varten pienennetty -> paine laskee nähtävästi), oletusalkupaine, opettajan valittavat
+// alkupaineet, matalan paineen varoitusraja, paineenalentimen ulostulopaine ja mittarin asteikon maksimi (bar)
+export const GAS_CYLINDER_VOLUME_ML = 10;
+export const GAS_CYLINDER_START_BAR = 150;
+export const GAS_CYLINDER_PRESSURES = [200, 150, 100, 50, 20, 5];
+export const GAS_LOW_PRESSURE_BAR = 20;
+export const GAS_REGULATOR_OUTLET_BAR = 2.0;
+export const GAS_GAUGE_MAX_BAR = 250;
+// Kaasutila lasissa veden yläpuolella: karkaamisen aikavakio avoimesta lasista ja kellolasin alta (s), takaisin liukenemisen
+// nopeus (1/s massansiirtokerrointa kohden) ja värillisen kaasun pitoisuus (mol/L), jolla väri on selvästi näkyvissä
+export const HEADSPACE_ESCAPE_TAU_S = 20;
+export const HEADSPACE_LID_LEAK_TAU_S = 600;
+export const HEADSPACE_ABSORB_PER_TRANSFER = 0.05;
+export const HEADSPACE_COLOR_REF_MOL_L = 2e-3;
+// Vesimäärä: pesupullon suihkaus (mL), sen virtaus (mL/s), hanan valutus täydestä lasista (mL/s) ja asteikon väli (mL)
+export const WASH_BOTTLE_SQUIRT_ML = 50;
+export const WASH_BOTTLE_FLOW_ML_S = 40;
+export const BEAKER_DRAIN_ML_S = 25;
+export const GRADUATION_STEP_ML = 50;
+// Kaato lasista toiseen: annos (mL), virtaus (mL/s) ja lasin nostokorkeus (yksikköä)
+export const POUR_ML = 100;
+export const POUR_FLOW_ML_S = 45;
+export const POUR_LIFT = 0.8;
+// Byretti: tilavuus (mL), yksi tippa (mL), tipoitusväli (s), virtaus hana auki (mL/s) ja mittaliuosten pitoisuudet (mol/L)
+export const BURETTE_CAPACITY_ML = 50;
+export const BURETTE_DROP_ML = 0.05;
+export const BURETTE_DROP_INTERVAL_S = 0.6;
+export const BURETTE_STREAM_ML_S = 1.0;
+export const TITRANT_CONCENTRATIONS = [0.01, 0.05, 0.1, 0.5];
+export const DEFAULT_TITRANT_CONC = 0.1;
+// Mittausloki: näytteenottoväli (s), rivien enimmäismäärä (vanhimmat pois) ja kuvaajan päivitysväli (s)
+export const DATA_LOGGER_INTERVAL_S = 0.1;
+export const DATA_LOGGER_MAX_ROWS = 20000;
+export const DATA_LOGGER_REDRAW_S = 0.25;
+// Ioninäkymä: partikkeleita pitoisuudella ION_VIEW_REF_MOL_L (määrä ~ √c), yhden ionin enimmäismäärä ja päivitysväli (s)
+export const ION_VIEW_REF_MOL_L = 0.01;
+export const ION_VIEW_PER_REF = 40;
+export const ION_VIEW_MAX_PER_ION = 120;
+export const ION_VIEW_REFRESH_S = 0.4;
+// Lämpötila: huoneen lämpötila (°C), keittolevyn säätöaskeleet (0..1) ja maksimilämpö, lämpenemisen nopeutus (demo)
+export const AMBIENT_TEMP_C = 25.0;
+export const HOT_PLATE_STEPS = [0, 0.33, 0.67, 1.0];
+export const HOT_PLATE_MAX_C = 320;
+export const HEATING_SPEEDUP = 10;
+// Keittolevyn pinnan korkeus (dekantterilasi seisoo levyn päällä)
+export const HOT_PLATE_TOP_Y = 0.32;
@@ -0,0 +1,228 @@
+// Mittausloki (data logger): lasin kemia näytteinä loopin jokaisella tickillä, kuvaaja ja CSV-vienti
+// ------------------------------------------------------------
+// read() palauttaa seurattavan lasin hetkellisen tilan ja kaikki kaasutettavat lasit (gasVessels); loki integroi
+// kaasutusajan jokaiselle lasille (myös muille kuin seurattavalle) ja tallentaa rivin DATA_LOGGER_INTERVAL_S välein. Tapahtumat (jauheen lisäys, alustus) ovat merkkejä aikajanalla.
+//
+//   const logger = createDataLogger({ read: () => ({ vessel: 'A', pH, pHScore, indicatorConc, gasVessels: ['B'], buretteMl, tempC }) });
+//   logger.update(dt);                       // createLoop-päivityksistä
+//   logger.mark('A', 'powder', 'CaO 0,250 g');
+//   drawLoggerPlot(canvas, logger.getRows(), logger.getMarkers(), { xAxis: 'time' });   // 'time' | 'buretteMl' | 'gasSec'
+//   logger.download();                       // -> mittaus-<aika>.csv
+
+import { DATA_LOGGER_INTERVAL_S, DATA_LOGGER_MAX_ROWS } from './constants.js';
+
+/**
+ * @param {{ read: () => Object, intervalSec?: number, maxRows?: number }} opts
+ */
+export function createDataLogger({ read, intervalSec = DATA_LOGGER_INTERVAL_S, maxRows = DATA_LOGGER_MAX_ROWS } = {}) {
+  let rows = [];
+  let markers = [];
+  let running = true;
+  let t = 0;
+  let sinceSample = Infinity; // ensimmäinen tick tallentaa heti
+  let startedAt = new Date().toISOString();
+  const gasSec = {};          // lasin id -> kumulatiivinen kaasutusaika (s)
+
+  /**
+   * Per-tick: kaasutusaika kertyy jokaisella tickillä, rivi tallennetaan näytteenottovälein.
+   * @param {number} dt
+   */
+  function update(dt) {
+    if (!running || !(dt > 0) || typeof read !== 'function') return;
+    let s = null;
+    try { s = read(); } catch {}
+    if (!s) return;
+    t += dt;
+    const id = s.vessel || '';
+    for (const g of s.gasVessels || []) gasSec[g] = (gasSec[g] || 0) + dt;
+    sinceSample += dt;
+    if (sinceSample < intervalSec) return;
+    sinceSample = 0;
+    rows.push({
+      t,
+      vessel: id,
+      pH: s.pH,
+      pHScore: s.pHScore,
+      indicatorConc: s.indicatorConc,
+      gasSec: gasSec[id] || 0,
+      buretteMl: s.buretteMl ?? null,
+      tempC: s.tempC
+    });
+    if (rows.length > maxRows) rows.splice(0, rows.length - maxRows);
+  }
+
+  // Tapahtumamerkki nykyhetkeen (type esim. 'powder', label näkyy kuvaajassa ja CSV:ssä)
+  function mark(vessel, type, label = '') {
+    if (!running) return;
+    markers.push({ t, vessel: vessel || '', type, label });
+  }
+
+  function clear() {
+    rows = [];
+    markers = [];
+    t = 0;
+    sinceSample = Infinity;
+    Object.keys(gasSec).forEach(k => { delete gasSec[k]; });
+    startedAt = new Date().toISOString();
+  }
+
+  // Rivien ja merkkien yhdistelmä aikajärjestyksessä; erotin ';' ja desimaalipilkku (suomalainen taulukkolaskenta)
+  function toCSV() {
+    const num = (v, d) => (typeof v === 'number' && Number.isFinite(v) ? v.toFixed(d).replace('.', ',') : '');
+    const cell = (v) => (/[;"\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+    const lines = ['aika_s;lasi;pH;pH_pisteet;indikaattori;kaasutus_s;byretti_ml;lampotila_C;tapahtuma'];
+    let mi = 0;
+    const flushMarkers = (until) => {
+      while (mi < markers.length && markers[mi].t <= until) {
+        const m = markers[mi++];
+        lines.push([num(m.t, 2), cell(m.vessel), '', '', '', '', '', '', cell(`${m.type}${m.label ? ': ' + m.label : ''}`)].join(';'));
+      }
+    };
+    for (const r of rows) {
+      flushMarkers(r.t);
+      lines.push([num(r.t, 2), cell(r.vessel), num(r.pH, 3), num(r.pHScore, 2), num(r.indicatorConc, 4), num(r.gasSec, 2), num(r.buretteMl, 2), num(r.tempC, 1), ''].join(';'));
+    }
+    flushMarkers(Infinity);
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  function download(filename) {
+    const name = filename || `mittaus-${startedAt.replace(/[:.]/g, '-')}.csv`;
+    // BOM: Excel tunnistaa UTF-8:n (ä, ö)
+    const blob = new Blob(['\uFEFF' + toCSV()], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  return {
+    update,
+    mark,
+    clear,
+    start: () => { running = true; },
+    stop: () => { running = false; },
+    isRunning: () => running,
+    getRows: () => rows,
+    getMarkers: () => markers,
+    toCSV,
+    download
+  };
+}
+
+const X_AXES = {
+  time: { key: 't', label: 'aika (s)' },
+  buretteMl: { key: 'buretteMl', label: 'byretti (mL)' },
+  gasSec: { key: 'gasSec', label: 'kaasutus (s)' }
+};
+
+/**
+ * Piirrä pH (vasen asteikko 0–14) ja indikaattorin pitoisuus (oikea asteikko, skaalattu maksimiin) valitun x-akselin funktiona.
+ * Merkit piirretään pystyviivoina aika-akselilla; muilla akseleilla merkin kohta haetaan lähimmästä rivistä.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array} rows logger.getRows()
+ * @param {Array} markers logger.getMarkers()
+ * @param {{ xAxis?: 'time'|'buretteMl'|'gasSec', vessel?: string }} opts vessel rajaa rivit yhteen lasiin (yleiset merkit näkyvät aina)
+ */
+export function drawLoggerPlot(canvas, rows, markers = [], { xAxis = 'time', vessel = null } = {}) {
+  if (!canvas) return;
+  const ctx = canvas.getContext('2d');
+  const w = canvas.width, h = canvas.height;
+  const pad = { l: 34, r: 40, t: 10, b: 24 };
+  const pw = w - pad.l - pad.r, ph = h - pad.t - pad.b;
+  const axis = X_AXES[xAxis] || X_AXES.time;
+  const data = rows.filter(r => (!vessel || r.vessel === vessel) && typeof r[axis.key] === 'number');
+  const marks = markers.filter(m => !vessel || !m.vessel || m.vessel === vessel);
+
+  ctx.fillStyle = '#111827';
+  ctx.fillRect(0, 0, w, h);
+  ctx.font = '10px monospace';
+  ctx.textBaseline = 'middle';
+
+  let x0 = 0, x1 = 1, cMax = 0;
+  if (data.length) {
+    x0 = Infinity; x1 = -Infinity;
+    for (const r of data) {
+      const x = r[axis.key];
+      if (x < x0) x0 = x;
+      if (x > x1) x1 = x;
+      if (r.indicatorConc > cMax) cMax = r.indicatorConc;
+    }
+    if (x1 - x0 < 1e-6) x1 = x0 + 1;
+  }
+  if (!(cMax > 0)) cMax = 1;
+  const sx = (x) => pad.l + ((x - x0) / (x1 - x0)) * pw;
+  const syPH = (v) => pad.t + (1 - Math.min(14, Math.max(0, v)) / 14) * ph;
+  const syC = (v) => pad.t + (1 - Math.max(0, v) / cMax) * ph;
+
+  // Ruudukko ja asteikot (pH 0, 2, ..., 14)
+  ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+  ctx.fillStyle = '#9ca3af';
+  ctx.lineWidth = 1;
+  ctx.textAlign = 'right';
+  for (let v = 0; v <= 14; v += 2) {
+    const y = syPH(v);
+    ctx.beginPath(); ctx.moveTo(pad.l, y); ctx.lineTo(pad.l + pw, y); ctx.stroke();
+    ctx.fillText(String(v), pad.l - 4, y);
+  }
+  ctx.textAlign = 'left';
+  ctx.fillStyle = '#f59e0b';
+  ctx.fillText(cMax.toPrecision(2), pad.l + pw + 4, pad.t + 4);
+  ctx.fillText('0', pad.l + pw + 4, pad.t + ph);
+  ctx.fillStyle = '#9ca3af';
+  ctx.textAlign = 'center';
+  ctx.fillText(`${x0.toFixed(1)}`, pad.l, h - 10);
+  ctx.fillText(`${x1.toFixed(1)}`, pad.l + pw, h - 10);
+  ctx.fillText(axis.label, pad.l + pw / 2, h - 10);
+
+  // Tapahtumamerkit
+  ctx.strokeStyle = 'rgba(16,185,129,0.7)';
+  ctx.fillStyle = '#10b981';
+  ctx.setLineDash([3, 3]);
+  ctx.textAlign = 'left';
+  for (const m of marks) {
+    let x = m.t;
+    if (axis.key !== 't') {
+      const near = data.find(r => r.t >= m.t) || data[data.length - 1];
+      if (!near) continue;
+      x = near[axis.key];
+    }
+    const px = sx(x);
+    if (px < pad.l - 0.5 || px > pad.l + pw + 0.5) continue;
+    ctx.beginPath(); ctx.moveTo(px, pad.t); ctx.lineTo(px, pad.t + ph); ctx.stroke();
+    ctx.fillText(m.label || m.type, px + 2, pad.t + 8);
+  }
+  ctx.setLineDash([]);
+
+  if (!data.length) {
+    ctx.fillStyle = '#9ca3af';
+    ctx.textAlign = 'center';
+    ctx.fillText('Ei mittauksia', pad.l + pw / 2, pad.t + ph / 2);
+    return;
+  }
+  // Harvennus: enintään ~2 pistettä pikseliä kohti
+  const step = Math.max(1, Math.floor(data.length / (pw * 2)));
+  const line = (color, y) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    for (let i = 0; i < data.length; i += step) {
+      const r = data[i];
+      const px = sx(r[axis.key]), py = y(r);
+      if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+    }
+    const last = data[data.length - 1];
+    ctx.lineTo(sx(last[axis.key]), y(last));
+    ctx.stroke();
+  };
+  line('#f59e0b', r => syC(r.indicatorConc || 0));
+  line('#60a5fa', r => syPH(r.pH));
+  const last = data[data.length - 1];
+  ctx.fillStyle = '#60a5fa';
+  ctx.textAlign = 'left';
+  ctx.fillText(`pH ${last.pH.toFixed(2)}`, pad.l + 4, pad.t + ph - 8);
+}
@@ -1,10 +1,11 @@
 import * as THREE from 'three';
+import { createDiffusionSolver } from './diffusionSolver.js';
 
 /**
  * Diffusion / Plume järjestelmä
  * ------------------------------------------------------------
  * Vastaa kahdesta asiasta:
- *  1) Indikaattorin leviämisestä (canvas -> texture blur, uGlobalConc kasvu)
+ *  1) Indikaattorin leviämisestä (GPU advektio–diffuusio, ks. diffusionSolver.js; uGlobalConc seuraa keskiarvoa)
  *  2) Plume partikkelipilvistä (pohja- ja pintalähteet) jotka visualisoivat paikallisia kemiallisia vaikutuksia.
  *
  * Plume arkkitehtuuri lyhyesti:
@@ -38,32 +39,46 @@ import * as THREE from 'three';
  *  - plume.setConfig({ spawnRate, maxActive, baselineEmissionRate, ageSpreadStrength, requireIndicator, ... })
  *  - plume.setStyle({ opacity, saturation, brightness, edgeSoftness, lifePow, additive })
  *  - isIndicatorEnabled()
+ *  - setWaterLevel(surfaceY)  (vaihteleva vesimäärä, paikallinen y), dilute(factor) (laimennus)
+ *  - addPouredIndicator(x,z,mean,share)  (kaato toisesta astiasta: laimennus + tuleva indikaattori), getIndicatorMean()
+ *  - setConvection(0..1)      (lämmitys: pohjalta nouseva konvektiokierto kuljettaa plumeja ja sekoittaa indikaattoria)
+ *  - setStirField(field)      (lib/stirField.js: sauvan pyörre kuljettaa plumeja ja advektoi indikaattoria)
+ *  - setDiffusionConfig({ diffusivity, backgroundMixing, timeScale })  (m²/s; oletus väriaine 5e-10 + taustasekoitus 2e-6)
+ *  - setRenderer(renderer)    (indikaattorisolveri tarvitsee WebGLRendererin)
+ *  - setIonView(on), setIons([{ key, count, color }])  (ioninäkymä: pysyvät värilliset ionipartikkelit vedessä,
+ *                              sama Points-rakenne kuin plumeilla; poistuvat ionit vajoavat ja hiipuvat, esim. saostuessa)
  *  - clearPlume(), debugPlumeBurst(), enablePlumeDebug(), primePlumeDebug()
  *
  * Suorituskyky:
+ *  - Indikaattori: 128² HalfFloat ping-pong render target, ~30 Hz askel (max 8 aliaskelta), ei GPU→CPU lukua
+ *    (kokonaismäärä seurataan CPU:lla splat/scale-kutsuista).
  *  - maxParticles = 1000, aktiivinen cap säädettävissä (oletus ~500) → kevyet uniform & attribuuttipäivitykset per frame.
  */
 
-// Diffusion manager: encapsulates indicator canvas/texture diffusion and particle plumes
-export function createDiffusionManager({ beakerGroup, beakerRadius, waterSurfaceY, waterHeight }) {
-  // Indicator diffusion (canvas-based)
-  const indicatorSize = 256;
-  const indicatorCanvas = document.createElement('canvas');
-  indicatorCanvas.width = indicatorSize;
-  indicatorCanvas.height = indicatorSize;
-  const indicatorCtx = indicatorCanvas.getContext('2d');
-  indicatorCtx.clearRect(0, 0, indicatorSize, indicatorSize);
-  const indicatorTex = new THREE.CanvasTexture(indicatorCanvas);
-  indicatorTex.wrapS = THREE.ClampToEdgeWrapping;
-  indicatorTex.wrapT = THREE.ClampToEdgeWrapping;
-  indicatorTex.minFilter = THREE.LinearFilter;
-  indicatorTex.magFilter = THREE.LinearFilter;
-  indicatorTex.needsUpdate = true;
-
-  const tmpCanvas = document.createElement('canvas');
-  tmpCanvas.width = indicatorSize;
-  tmpCanvas.height = indicatorSize;
-  const tmpCtx = tmpCanvas.getContext('2d');
+// Indikaattorin diffuusio: molekyylidiffuusio (m²/s) + huomaamattomien virtausten sekoitus.
+// Seisovassa vedessä väri leviää senttejä minuutissa; lämpökonvektio ja sekoitus nopeuttavat (ks. effectiveDiffusivity).
+const INDICATOR_DIFFUSIVITY = 5e-10;   // väriainemolekyyli (esim. BTB) vedessä
+const BACKGROUND_MIXING = 2e-6;         // lämpötilaerojen ja tärinän aiheuttama pyörresekoitus
+const CONVECTION_MIXING = 2e-5;         // täysi konvektio (kiehuva vesi)
+const STIR_MIXING = 2e-4;               // sauvasekoitus (ω = 1 rad/s)
+const AGITATION_MIXING = 1e-3;          // sauvan heiluttelu ilman kiertoa (täysi turbulenssi)
+const METERS_PER_UNIT = 0.05;           // 1 yksikkö = 5 cm
+const INDICATOR_CHANNEL = 1;            // g-kanava (vesishaderit lukevat .g)
+const SNAPSHOT_RANGE = 2.0;
+
+// Diffusion manager: encapsulates indicator diffusion (GPU advection–diffusion solver) and particle plumes
+// renderer (optional): WebGLRenderer for the solver; can also be given later with setRenderer()
+export function createDiffusionManager({ beakerGroup, beakerRadius, waterSurfaceY, waterHeight, renderer = null }) {
+  // Indicator diffusion: concentration field in a render target (top view, uv = 0.5 + xz / (2 r))
+  const indicatorSize = 128;
+  const solver = createDiffusionSolver({ size: indicatorSize, domainSizeM: 2 * beakerRadius * METERS_PER_UNIT, renderer });
+  const indicatorTex = solver.texture;
+  const diffusionConfig = { diffusivity: INDICATOR_DIFFUSIVITY, backgroundMixing: BACKGROUND_MIXING, timeScale: 1.0 };
+  // Yhteinen sekoituskenttä (lib/stirField.js): pyörre advektoi indikaattoria ja kuljettaa plumeja
+  let stirField = null;
+  const _stirVel = new THREE.Vector3();
+
+  function setRenderer(r) { solver.setRenderer(r); }
 
   // Unified water uniforms (bound later)
   let waterUniforms = null;
@@ -75,9 +90,9 @@ export function createDiffusionManager({ beakerGroup, beakerRadius, waterSurface
     // If plume already exists, rewire its color uniforms to water so pH toggles propagate
     if (points && waterUniforms) {
       const u = points.material.uniforms;
-      if (waterUniforms.uGreenColor) u.uGreenColor = waterUniforms.uGreenColor;
-      if (waterUniforms.uYellowColor) u.uYellowColor = waterUniforms.uYellowColor;
-      if (waterUniforms.uPHScore) u.uPHScore = waterUniforms.uPHScore;
+      if (waterUniforms.uIndicatorRamp) u.uIndicatorRamp = waterUniforms.uIndicatorRamp;
+      if (waterUniforms.uPHRange) u.uPHRange = waterUniforms.uPHRange;
+      if (waterUniforms.uPH) u.uPH = waterUniforms.uPH;
       if (waterUniforms.uIndicatorEnabled) u.uIndicatorEnabled = waterUniforms.uIndicatorEnabled;
     }
   }
@@ -87,73 +102,62 @@ export function createDiffusionManager({ beakerGroup, beakerRadius, waterSurface
     const r = (waterUniforms && waterUniforms.uRadius) ? waterUniforms.uRadius.value : (beakerRadius - 0.05);
     const u = 0.5 + (localX / (2.0 * r));
     const v = 0.5 + (localZ / (2.0 * r));
-    const x = Math.floor(u * indicatorSize);
-    const y = Math.floor(v * indicatorSize);
-    const splatRadius = Math.floor(indicatorSize * 0.12);
-    const grad = indicatorCtx.createRadialGradient(x, y, 1, x, y, splatRadius);
-    grad.addColorStop(0, 'rgba(0,255,120,1.0)');
-    grad.addColorStop(0.5, 'rgba(0,255,120,0.8)');
-    grad.addColorStop(1, 'rgba(0,0,0,0.0)');
-    indicatorCtx.globalCompositeOperation = 'lighter';
-    indicatorCtx.fillStyle = grad;
-    indicatorCtx.beginPath();
-    indicatorCtx.arc(x, y, splatRadius, 0, Math.PI * 2);
-    indicatorCtx.fill();
-    indicatorCtx.globalCompositeOperation = 'source-over';
-    indicatorTex.needsUpdate = true;
-  }
-
-  // Throttled diffusion/bleed into water color and global concentration
+    const amount = [0, 0, 0, 0];
+    amount[INDICATOR_CHANNEL] = 1.0;
+    solver.splat(u, v, { amount, radius: 0.05 });
+  }
+
+  // Tehollinen diffuusiokerroin (m²/s): molekyylidiffuusio + taustasekoitus + konvektio + sekoitus
+  function effectiveDiffusivity() {
+    return diffusionConfig.diffusivity + diffusionConfig.backgroundMixing
+      + convection * CONVECTION_MIXING
+      + (stirField ? Math.abs(stirField.getOmega()) * STIR_MIXING + stirField.getAgitation() * AGITATION_MIXING : 0);
+  }
+
+  function setStirField(field) { stirField = field || null; }
+
+  // Throttled advection–diffusion step; uGlobalConc follows the well-mixed mean (known from the injected amount)
   let _diffuseAccum = 0;
-  let _concAccum = 0;
   let _lastMean = 0;
+  let convection = 0; // 0..1, keittolevyn lämmittämä kierto (ks. setConvection)
   function step(dt) {
     _diffuseAccum += dt;
     if (_diffuseAccum < (1 / 30)) return; // ~30 Hz
-    const dtStep = _diffuseAccum; _diffuseAccum = 0;
-    const decay = Math.pow(0.999, Math.max(1.0, dtStep * 60.0));
-
-    tmpCtx.clearRect(0, 0, indicatorSize, indicatorSize);
-    tmpCtx.filter = 'blur(3.5px)';
-    tmpCtx.drawImage(indicatorCanvas, 0, 0);
-    tmpCtx.filter = 'blur(6.0px)';
-    tmpCtx.globalAlpha = 0.3;
-    tmpCtx.drawImage(indicatorCanvas, 0, 0);
-    tmpCtx.globalAlpha = 1.0;
-    tmpCtx.filter = 'blur(8.0px)';
-    tmpCtx.globalAlpha = 0.15;
-    tmpCtx.drawImage(indicatorCanvas, 0, 0);
-    tmpCtx.globalAlpha = 1.0;
-    tmpCtx.filter = 'none';
-
-    indicatorCtx.globalAlpha = Math.max(decay, 0.998);
-    indicatorCtx.clearRect(0, 0, indicatorSize, 0 + indicatorSize);
-    indicatorCtx.drawImage(tmpCanvas, 0, 0);
-    indicatorCtx.globalAlpha = 1.0;
-    indicatorTex.needsUpdate = true;
-
-    _concAccum += dtStep;
-    let mean = _lastMean;
-    if (_concAccum >= 0.25) {
-      _concAccum = 0;
-      const img = indicatorCtx.getImageData(0, 0, indicatorSize, indicatorSize);
-      let sum = 0; const data = img.data;
-      for (let i = 0; i < data.length; i += 4) sum += data[i + 1];
-      mean = sum / (255.0 * (indicatorSize * indicatorSize));
-      _lastMean = mean;
-    }
+    const dtStep = _diffuseAccum * diffusionConfig.timeScale; _diffuseAccum = 0;
+
+    const D = effectiveDiffusivity();
+    const omega = stirField ? stirField.getOmega() : 0;
+    const r = (waterUniforms && waterUniforms.uRadius) ? waterUniforms.uRadius.value : (beakerRadius - 0.05);
+    solver.step(dtStep, {
+      diffusivity: [D, D, D, D],
+      swirl: omega ? { omega, center: [0.5, 0.5], core: stirField.getCoreRadius() / (2 * r) } : null
+    });
+
+    const mean = solver.getMean(INDICATOR_CHANNEL);
+    _lastMean = mean;
     const target = Math.min(1.0, mean * 2.5);
     if (waterUniforms) {
-      if (mean > 0.01) {
-        const growthRate = 0.985;
-        waterUniforms.uGlobalConc.value = waterUniforms.uGlobalConc.value * growthRate + target * (1 - growthRate);
-      } else {
-        waterUniforms.uGlobalConc.value = Math.max(waterUniforms.uGlobalConc.value * 0.999, target);
-      }
+      // Tasaisen värin osuus kasvaa sekoittumisajan mukaan (τ ≈ R² / 5D, lasin säteen yli leviäminen)
+      const radiusM = beakerRadius * METERS_PER_UNIT;
+      const tauMix = Math.max(0.8, (radiusM * radiusM) / (5 * D));
+      const k = 1 - Math.exp(-dtStep / tauMix);
+      const cur = waterUniforms.uGlobalConc.value;
+      waterUniforms.uGlobalConc.value = mean > 0.001 ? cur + (target - cur) * k : Math.max(cur * 0.999, target);
     }
   // unified: no secondary uniforms
   }
 
+  /**
+   * Diffuusion asetukset.
+   * @param {{ diffusivity?: number, backgroundMixing?: number, timeScale?: number }} cfg m²/s; timeScale nopeuttaa simulaatiota
+   */
+  function setDiffusionConfig(cfg = {}) {
+    if (typeof cfg.diffusivity === 'number' && cfg.diffusivity >= 0) diffusionConfig.diffusivity = cfg.diffusivity;
+    if (typeof cfg.backgroundMixing === 'number' && cfg.backgroundMixing >= 0) diffusionConfig.backgroundMixing = cfg.backgroundMixing;
+    if (typeof cfg.timeScale === 'number' && cfg.timeScale > 0) diffusionConfig.timeScale = cfg.timeScale;
+    return { ...diffusionConfig };
+  }
+
   // Particle plumes inside water volume
   const maxParticles = 1000;
   const positions = new Float32Array(maxParticles * 3);
@@ -190,9 +194,9 @@ export function createDiffusionManager({ beakerGroup, beakerRadius, waterSurface
     const mat = new THREE.ShaderMaterial({
       uniforms: {
         // Link to water uniforms if available for color consistency
-        uGreenColor: waterUniforms && waterUniforms.uGreenColor ? waterUniforms.uGreenColor : { value: new THREE.Color(0x00b15a) },
-        uYellowColor: waterUniforms && waterUniforms.uYellowColor ? waterUniforms.uYellowColor : { value: new THREE.Color(0xffc107) },
-        uPHScore: waterUniforms && waterUniforms.uPHScore ? waterUniforms.uPHScore : { value: 0.0 },
+        uIndicatorRamp: waterUniforms && waterUniforms.uIndicatorRamp ? waterUniforms.uIndicatorRamp : { value: null },
+        uPHRange: waterUniforms && waterUniforms.uPHRange ? waterUniforms.uPHRange : { value: new THREE.Vector2(0, 14) },
+        uPH: waterUniforms && waterUniforms.uPH ? waterUniforms.uPH : { value: 7.0 },
         uIndicatorEnabled: waterUniforms && waterUniforms.uIndicatorEnabled ? waterUniforms.uIndicatorEnabled : { value: 0.0 },
         uRequireIndicator: { value: 1.0 }, // if 1 respects indicator toggle; if 0 always visible (debug / baseline haze)
         uSize: { value: 8.0 },
@@ -224,7 +228,8 @@ export function createDiffusionManager({ beakerGroup, beakerRadius, waterSurface
         }
       `,
       fragmentShader: `
-        uniform vec3 uGreenColor; uniform vec3 uYellowColor; uniform vec3 uOverrideColor; uniform float uPHScore; uniform float uIndicatorEnabled; uniform float uRequireIndicator;
+        uniform sampler2D uIndicatorRamp; uniform vec2 uPHRange; uniform float uPH;
+        uniform vec3 uOverrideColor; uniform float uIndicatorEnabled; uniform float uRequireIndicator;
         uniform float uOpacity;
         uniform float uSaturation;
         uniform float uBrightness;
@@ -252,9 +257,10 @@ export function createDiffusionManager({ beakerGroup, beakerRadius, waterSurface
           if (vGate < 0.5) {
             baseCol = vCol; // custom per-particle color (bottom plume, reaction hue independent of current water color)
           } else {
-            float acid = step(0.0001, uPHScore);
-            vec3 indicator = mix(uGreenColor, uYellowColor, acid);
-            baseCol = (uUseOverride > 0.5) ? uOverrideColor : indicator;
+            // Valitun indikaattorin väri nykyisessä pH:ssa (sama ramppi kuin vedellä); väritön -> ei näy
+            vec4 ramp = texture2D(uIndicatorRamp, vec2(clamp((uPH - uPHRange.x) / max(0.001, uPHRange.y - uPHRange.x), 0.0, 1.0), 0.5));
+            baseCol = (uUseOverride > 0.5) ? uOverrideColor : ramp.rgb;
+            if (uUseOverride < 0.5) alpha *= ramp.a;
           }
           // Desaturate towards luminance
           float lum = dot(baseCol, vec3(0.299,0.587,0.114));
@@ -389,7 +395,158 @@ export function createDiffusionManager({ beakerGroup, beakerRadius, waterSurface
 
   let _debugForce = false; let _debugT = 0;
   let _spawnAccum = 0; // fractional spawn accumulator
+  // --- Ioninäkymä: pysyvät ionipartikkelit (oma Points-kerros plumejen rinnalla) ---
+  const ION_MAX = 480;
+  const ION_FADE_SEC = 1.2;
+  const ionPositions = new Float32Array(ION_MAX * 3);
+  const ionColors = new Float32Array(ION_MAX * 3);
+  const ionLife = new Float32Array(ION_MAX);      // 1 = näkyvä, 0 = vapaa; poistuva ioni hiipuu kohti nollaa
+  const ionSizes = new Float32Array(ION_MAX);
+  const ionKeys = new Array(ION_MAX).fill(null);  // laji (esim. 'Na+'); null = vapaa
+  const ionLeaving = new Uint8Array(ION_MAX);
+  const ionGeometry = new THREE.BufferGeometry();
+  ionGeometry.setAttribute('position', new THREE.BufferAttribute(ionPositions, 3));
+  ionGeometry.setAttribute('aColor', new THREE.BufferAttribute(ionColors, 3));
+  ionGeometry.setAttribute('aLife', new THREE.BufferAttribute(ionLife, 1));
+  ionGeometry.setAttribute('aSize', new THREE.BufferAttribute(ionSizes, 1));
+  let ionPoints = null;
+  let ionViewOn = false;
+  const _ionColor = new THREE.Color();
+
+  function ensureIonPoints() {
+    if (ionPoints) return;
+    const mat = new THREE.ShaderMaterial({
+      uniforms: { uSize: { value: 7.0 } },
+      vertexShader: `
+        uniform float uSize;
+        attribute float aLife; attribute vec3 aColor; attribute float aSize;
+        varying float vLife; varying vec3 vCol;
+        void main() {
+          vLife = aLife;
+          vCol = aColor;
+          vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+          gl_PointSize = min(uSize * aSize * (300.0 / max(1.0, -mvPosition.z)), 14.0);
+          gl_Position = projectionMatrix * mvPosition;
+        }
+      `,
+      fragmentShader: `
+        varying float vLife; varying vec3 vCol;
+        void main() {
+          if (vLife <= 0.0) discard;
+          float r = length(gl_PointCoord - vec2(0.5));
+          if (r > 0.5) discard;
+          // Pallomainen sävytys: kirkas keskusta, tummempi reuna
+          vec3 col = vCol * (1.1 - 0.6 * r);
+          gl_FragColor = vec4(col, clamp(vLife, 0.0, 1.0) * 0.9);
+        }
+      `,
+      transparent: true,
+      depthWrite: false,
+      depthTest: true
+    });
+    ionPoints = new THREE.Points(ionGeometry, mat);
+    ionPoints.name = 'ionView';
+    ionPoints.frustumCulled = false;
+    ionPoints.renderOrder = 2.6;
+    ionPoints.visible = ionViewOn;
+    beakerGroup.add(ionPoints);
+  }
+
+  function setIonView(on) {
+    ionViewOn = !!on;
+    if (ionViewOn) ensureIonPoints();
+    if (ionPoints) ionPoints.visible = ionViewOn;
+  }
+
+  function randomIonPosition(j) {
+    const r = (beakerRadius - 0.1) * Math.sqrt(Math.random());
+    const a = Math.random() * Math.PI * 2;
+    ionPositions[j] = Math.cos(a) * r;
+    ionPositions[j + 1] = 0.05 + Math.random() * Math.max(0.01, waterSurfaceY - 0.1);
+    ionPositions[j + 2] = Math.sin(a) * r;
+  }
+
+  /**
+   * Ioninäkymän tavoitemäärät lajeittain: olemassa olevat ionit säilyvät, puuttuvat ilmestyvät satunnaisiin
+   * kohtiin ja ylimääräiset vajoavat ja hiipuvat (liukeneminen / saostuminen näkyy määrän muutoksena).
+   * @param {Array<{ key: string, count: number, color: number, size?: number }>} groups
+   */
+  function setIons(groups = []) {
+    const want = new Map(groups.map(g => [g.key, g]));
+    const have = new Map();
+    for (let i = 0; i < ION_MAX; i++) {
+      if (!ionKeys[i] || ionLeaving[i]) continue;
+      const list = have.get(ionKeys[i]) || [];
+      list.push(i);
+      have.set(ionKeys[i], list);
+    }
+    // Ylimääräiset ja poistuneet lajit poistumaan
+    for (const [key, list] of have) {
+      const keep = want.has(key) ? Math.max(0, Math.round(want.get(key).count)) : 0;
+      for (let k = keep; k < list.length; k++) ionLeaving[list[k]] = 1;
+    }
+    // Puuttuvat lisätään vapaisiin paikkoihin
+    let free = 0;
+    for (const g of groups) {
+      const missing = Math.max(0, Math.round(g.count)) - (have.get(g.key)?.length || 0);
+      _ionColor.setHex(g.color);
+      for (let n = 0; n < missing; n++) {
+        while (free < ION_MAX && ionKeys[free]) free++;
+        if (free >= ION_MAX) break;
+        const j = free * 3;
+        ionKeys[free] = g.key;
+        ionLeaving[free] = 0;
+        ionLife[free] = 1.0;
+        ionSizes[free] = g.size || 1.0;
+        ionColors[j] = _ionColor.r; ionColors[j + 1] = _ionColor.g; ionColors[j + 2] = _ionColor.b;
+        randomIonPosition(j);
+      }
+    }
+    ionGeometry.attributes.aColor.needsUpdate = true;
+    ionGeometry.attributes.aSize.needsUpdate = true;
+  }
+
+  // Ionien lämpöliike (satunnaiskävely) + sekoituspyörre; poistuvat vajoavat pohjalle ja hiipuvat
+  function updateIons(dt) {
+    if (!ionPoints || !ionViewOn || !(dt > 0)) return;
+    const stirActive = !!stirField && stirField.getOmega() !== 0;
+    const step = 0.35 * Math.sqrt(dt) * (1 + convection);
+    const rMax = beakerRadius - 0.06;
+    const yTop = Math.max(0.06, waterSurfaceY - 0.04);
+    for (let i = 0; i < ION_MAX; i++) {
+      if (!ionKeys[i]) continue;
+      const j = i * 3;
+      ionPositions[j] += (Math.random() - 0.5) * step;
+      ionPositions[j + 1] += (Math.random() - 0.5) * step;
+      ionPositions[j + 2] += (Math.random() - 0.5) * step;
+      if (stirActive) {
+        stirField.velocityAt(ionPositions[j], ionPositions[j + 1], ionPositions[j + 2], _stirVel);
+        ionPositions[j] += _stirVel.x * dt;
+        ionPositions[j + 1] += _stirVel.y * dt;
+        ionPositions[j + 2] += _stirVel.z * dt;
+      }
+      if (ionLeaving[i]) {
+        ionPositions[j + 1] -= 0.6 * dt;
+        ionLife[i] -= dt / ION_FADE_SEC;
+        if (ionLife[i] <= 0) { ionLife[i] = 0; ionKeys[i] = null; ionLeaving[i] = 0; }
+      }
+      ionPositions[j + 1] = Math.min(yTop, Math.max(0.04, ionPositions[j + 1]));
+      const r = Math.hypot(ionPositions[j], ionPositions[j + 2]);
+      if (r > rMax) { const k = rMax / r; ionPositions[j] *= k; ionPositions[j + 2] *= k; }
+    }
+    ionGeometry.attributes.position.needsUpdate = true;
+    ionGeometry.attributes.aLife.needsUpdate = true;
+  }
+
+  function clearIons() {
+    ionKeys.fill(null);
+    ionLife.fill(0);
+    ionLeaving.fill(0);
+    ionGeometry.attributes.aLife.needsUpdate = true;
+  }
+
   function update(dt) {
+    updateIons(dt);
     if (_debugForce) {
       _debugT += dt; if (_debugT > 0.12) { _debugT = 0; addSource(0,0,30); }
     }
@@ -494,6 +651,7 @@ export function createDiffusionManager({ beakerGroup, beakerRadius, waterSurface
         if (req.count <= 0) spawnQueue.shift();
       }
       const damping = Math.pow(0.96, Math.max(1.0, dt * 60.0));
+      const stirActive = !!stirField && stirField.getOmega() !== 0;
       for (let i = 0; i < maxParticles; i++) {
         if (life[i] <= 0.0) continue;
         const j = i * 3; const di = i * 2;
@@ -511,6 +669,26 @@ export function createDiffusionManager({ beakerGroup, beakerRadius, waterSurface
           positions[j + 2] += expandDirs[di + 1] * radialSpeed * dt;
         }
         velocities[j + 1] += 0.025 * dt;
+        // Konvektiokierto (toroidi): ylös keskeltä, ulos pinnalla, alas seinämiä pitkin ja sisään pohjalla
+        if (convection > 0.01 && waterSurfaceY > 0.05) {
+          const rr = Math.hypot(positions[j], positions[j + 2]);
+          const rn = Math.min(1, rr / beakerRadius);
+          const yn = Math.min(1, Math.max(0, positions[j + 1] / waterSurfaceY));
+          const speed = 0.45 * convection;
+          positions[j + 1] += speed * Math.cos(Math.PI * rn) * Math.sin(Math.PI * yn) * dt;
+          if (rr > 1e-4) {
+            const vr = -0.6 * speed * Math.sin(Math.PI * rn) * Math.cos(Math.PI * yn) * dt;
+            positions[j] += (positions[j] / rr) * vr;
+            positions[j + 2] += (positions[j + 2] / rr) * vr;
+          }
+        }
+        // Sekoituspyörre kuljettaa plumeja (sama kenttä kuin jauheella ja sakalla)
+        if (stirActive) {
+          stirField.velocityAt(positions[j], positions[j + 1], positions[j + 2], _stirVel);
+          positions[j] += _stirVel.x * dt;
+          positions[j + 1] += _stirVel.y * dt;
+          positions[j + 2] += _stirVel.z * dt;
+        }
         const jitter = 0.02 * dt;
         velocities[j] += (Math.random() - 0.5) * jitter;
         velocities[j + 2] += (Math.random() - 0.5) * jitter;
@@ -558,14 +736,60 @@ export function createDiffusionManager({ beakerGroup, beakerRadius, waterSurface
   function spawnEventParticle() { /* removed */ }
   }
 
+  // Indikaattorikentän tallennus (8-bit PNG data-URL, arvot 0..SNAPSHOT_RANGE) ja palautus
+  function getIndicatorSnapshot() {
+    return {
+      image: solver.toDataURL(SNAPSHOT_RANGE),
+      range: SNAPSHOT_RANGE,
+      mass: solver.getMass(),
+      globalConc: waterUniforms ? waterUniforms.uGlobalConc.value : 0,
+      mean: _lastMean
+    };
+  }
+
+  function restoreIndicatorSnapshot(s = {}) {
+    solver.clear();
+    if (typeof s.mean === 'number') _lastMean = s.mean;
+    if (waterUniforms && typeof s.globalConc === 'number') waterUniforms.uGlobalConc.value = s.globalConc;
+    if (!s.image) return Promise.resolve();
+    return solver.fromImage(s.image, { range: s.range || SNAPSHOT_RANGE, mass: s.mass });
+  }
+
+  // Laimennus (vettä lisätty): indikaattorin määrä pienenee tilavuussuhteessa (factor = V_ennen / V_jälkeen)
+  function dilute(factor) {
+    if (!(factor > 0 && factor < 1)) return;
+    solver.scale(factor);
+    _lastMean *= factor;
+    if (waterUniforms) waterUniforms.uGlobalConc.value *= factor;
+  }
+
+  // Indikaattorin keskipitoisuus (kaadettaessa liuos vie sen mukanaan)
+  function getIndicatorMean() { return solver.getMean(INDICATOR_CHANNEL); }
+
+  // Kaadettu liuos toisesta astiasta: vanha indikaattori laimenee (share = tulevan liuoksen osuus uudesta tilavuudesta)
+  // ja tuleva indikaattori (keskipitoisuus meanIn) lisätään läiskänä suihkun osumakohtaan; sekoittuminen hoituu diffuusiolla
+  function addPouredIndicator(localX, localZ, meanIn, share) {
+    if (!(share > 0 && share < 1)) return;
+    dilute(1 - share);
+    if (!(meanIn > 0)) return;
+    const r = (waterUniforms && waterUniforms.uRadius) ? waterUniforms.uRadius.value : (beakerRadius - 0.05);
+    const radius = 0.08;
+    // Keskipitoisuuden lisäys massana: alue π/4 (uv), Gaussin läiskän integraali 2πr² · huippu
+    const amount = [0, 0, 0, 0];
+    amount[INDICATOR_CHANNEL] = meanIn * share * (Math.PI / 4) / (2 * Math.PI * radius * radius);
+    solver.splat(0.5 + localX / (2.0 * r), 0.5 + localZ / (2.0 * r), { amount, radius });
+  }
+
   function reset() {
-    indicatorCtx.clearRect(0, 0, indicatorSize, indicatorSize);
-    indicatorTex.needsUpdate = true;
+    solver.clear();
+    _lastMean = 0;
     if (waterUniforms) waterUniforms.uGlobalConc.value = 0.0;
   // unified: no secondary uniforms
     for (let i = 0; i < maxParticles; i++) { life[i] = 0.0; const j = i * 3; positions[j] = positions[j + 1] = positions[j + 2] = 0; velocities[j] = velocities[j + 1] = velocities[j + 2] = 0; }
     if (points) { geometry.attributes.position.needsUpdate = true; geometry.attributes.aLife.needsUpdate = true; }
 
+    clearIons();
+
     // Clear event plumes
     for (let i = 0; i < evMaxParticles; i++) { evLife[i] = 0.0; const j = i * 3; evPositions[j] = evPositions[j + 1] = evPositions[j + 2] = 0; evVelocities[j] = evVelocities[j + 1] = evVelocities[j + 2] = 0; }
     // No event plumes to clear
@@ -575,9 +799,13 @@ export function createDiffusionManager({ beakerGroup, beakerRadius, waterSurface
     if (points && points.parent) points.parent.remove(points);
     if (geometry) geometry.dispose();
     if (points && points.material) points.material.dispose();
+    if (ionPoints && ionPoints.parent) ionPoints.parent.remove(ionPoints);
+    ionGeometry.dispose();
+    if (ionPoints) ionPoints.material.dispose();
     if (evPoints && evPoints.parent) evPoints.parent.remove(evPoints);
     if (evGeometry) evGeometry.dispose();
     if (evPoints && evPoints.material) evPoints.material.dispose();
+    solver.dispose();
   }
 
   function clearEvents() {
@@ -761,7 +989,15 @@ export function createDiffusionManager({ beakerGroup, beakerRadius, waterSurface
     bottomPlumeOffset.z = z || 0;
   }
   function getBottomPlumeOffset() { return { x: bottomPlumeOffset.x, z: bottomPlumeOffset.z }; }
-  const api = { indicatorTex, bindUniforms, addIndicatorAt, step, addSource, addBottomSource, update, reset, dispose, addEventPlume, clearEvents, setPlumeStyle, setPlumeColor, setPlumeConfig, plume, initPlumeDefaults, clearPlume, clearBottomPlumeParticles, debugPlumeBurst, getActivePlumeCount, enablePlumeDebug, disablePlumeDebug, primePlumeDebug, isIndicatorEnabled, disableBottomPlumes, enableBottomPlumes, setBottomPlumeOffset, getBottomPlumeOffset, fadeOutBottomPlumes };
+  // Vesimäärä muuttuu (täyttö / valutus): pintalähteet ja partikkelien yläraja seuraavat pintaa
+  function setWaterLevel(surfaceY) {
+    if (typeof surfaceY === 'number' && isFinite(surfaceY)) waterSurfaceY = surfaceY;
+  }
+  // Lämmityksen konvektion voimakkuus (0 = tyyni vesi, 1 = kiehuva)
+  function setConvection(strength) {
+    convection = Math.min(1, Math.max(0, Number(strength) || 0));
+  }
+  const api = { indicatorTex, bindUniforms, setRenderer, setWaterLevel, setConvection, setStirField, setDiffusionConfig, dilute, addIndicatorAt, getIndicatorMean, addPouredIndicator, step, addSource, addBottomSource, update, reset, dispose, getIndicatorSnapshot, restoreIndicatorSnapshot, addEventPlume, clearEvents, setPlumeStyle, setPlumeColor, setPlumeConfig, plume, initPlumeDefaults, clearPlume, clearBottomPlumeParticles, debugPlumeBurst, getActivePlumeCount, enablePlumeDebug, disablePlumeDebug, primePlumeDebug, isIndicatorEnabled, disableBottomPlumes, enableBottomPlumes, setBottomPlumeOffset, getBottomPlumeOffset, fadeOutBottomPlumes, setIonView, setIons, isIonView: () => ionViewOn };
   if (typeof window !== 'undefined') window.diffusion = api;
   return api;
 }
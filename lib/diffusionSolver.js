@@ -0,0 +1,319 @@
+import * as THREE from 'three';
+
+/**
+ * Advektio–diffuusio-ratkaisija (GPU, render target ping-pong)
+ * ------------------------------------------------------------
+ * Ratkaisee ylhäältä katsotussa ympyräalueessa (lasin poikkileikkaus, uv 0..1, reuna r = 0.5) yhtälön
+ *   ∂c/∂t + v·∇c = D ∇²c
+ * neljälle liuenneelle lajille kerralla (RGBA-kanavat, kullakin oma diffuusiokerroin).
+ *  - Advektio: semi-Lagrange (jäljitys taaksepäin nopeuskentässä), nopeuskenttä = sekoituspyörre
+ *    (Rankinen pyörre: jäykkä pyöriminen ytimessä, ω·rc²/r ulkopuolella) + vakiovirtaus.
+ *  - Diffuusio: eksplisiittinen 5-pisteen Laplace; aika-askel jaetaan osa-askeliin niin että D·dt/dx² ≤ 0.2.
+ *  - Reuna: lasin seinä ei päästä ainetta läpi (naapuri seinän takana = solun oma arvo).
+ * Keskipitoisuus (getMean) on kirjanpitoa lisätyistä (splat) ja skaalatuista (scale) määristä, ei kentästä mitattu:
+ * semi-Lagrange-advektio, negatiivisten arvojen leikkaus ja seinäreuna eivät säilytä kokonaismäärää tarkasti.
+ *
+ * Yksiköt: D annetaan m²/s; domainSizeM = alueen halkaisija metreinä (1 yksikkö = 5 cm).
+ *
+ *   const solver = createDiffusionSolver({ size: 128, domainSizeM: 0.1 });
+ *   solver.setRenderer(renderer);
+ *   solver.splat(0.3, 0.6, { amount: [0, 1, 0, 0], radius: 0.05 });
+ *   solver.step(dt, { diffusivity: [1e-6, 1e-6, 1e-6, 1e-6], swirl: { omega: 3, center: [0.5, 0.5], core: 0.25 } });
+ *   material.uniforms.uMap.value = solver.texture;   // vakio tekstuuri (tulos kopioidaan aina samaan kohteeseen)
+ */
+
+const VERT = /* glsl */`
+  varying vec2 vUv;
+  void main() { vUv = uv; gl_Position = vec4(position.xy, 0.0, 1.0); }
+`;
+
+const STEP_FRAG = /* glsl */`
+  precision highp float;
+  uniform sampler2D uField;
+  uniform vec2 uTexel;
+  uniform float uDt;
+  uniform vec4 uDiff;        // D·dt/dx² per kanava (osa-askeleelle)
+  uniform float uOmega;      // pyörteen kulmanopeus (rad/s)
+  uniform vec2 uCenter;      // pyörteen keskipiste (uv)
+  uniform float uCore;       // pyörteen ydinsäde (uv)
+  uniform vec2 uFlow;        // vakiovirtaus (uv/s)
+  varying vec2 vUv;
+
+  bool inside(vec2 p) { return length(p - 0.5) <= 0.5; }
+  vec4 neighbour(vec2 p, vec4 self) { return inside(p) ? texture2D(uField, p) : self; }
+
+  void main() {
+    if (length(vUv - 0.5) > 0.5 + uTexel.x) { gl_FragColor = vec4(0.0); return; }
+    vec2 rel = vUv - uCenter;
+    float r = length(rel);
+    float vt = uOmega * (r < uCore ? r : uCore * uCore / max(r, 1e-5));
+    vec2 vel = (r > 1e-5 ? vec2(-rel.y, rel.x) / r * vt : vec2(0.0)) + uFlow;
+    vec2 p = vUv - vel * uDt;
+    vec2 d = p - 0.5;
+    float lim = 0.5 - uTexel.x;
+    if (length(d) > lim) p = 0.5 + normalize(d) * lim;
+    vec4 c = texture2D(uField, p);
+    vec4 lap = neighbour(p + vec2(uTexel.x, 0.0), c) + neighbour(p - vec2(uTexel.x, 0.0), c)
+             + neighbour(p + vec2(0.0, uTexel.y), c) + neighbour(p - vec2(0.0, uTexel.y), c) - 4.0 * c;
+    gl_FragColor = max(c + uDiff * lap, vec4(0.0));
+  }
+`;
+
+const SPLAT_FRAG = /* glsl */`
+  precision highp float;
+  uniform sampler2D uField;
+  uniform vec2 uPoint;
+  uniform float uRadius;
+  uniform vec4 uAmount;
+  varying vec2 vUv;
+  void main() {
+    vec4 c = texture2D(uField, vUv);
+    if (length(vUv - 0.5) > 0.5) { gl_FragColor = c; return; }
+    vec2 d = vUv - uPoint;
+    gl_FragColor = c + uAmount * exp(-dot(d, d) / (2.0 * uRadius * uRadius));
+  }
+`;
+
+// Kopio kertoimella (laimennus, tallennus 8-bittiseksi, palautus kuvasta)
+const COPY_FRAG = /* glsl */`
+  precision highp float;
+  uniform sampler2D uField;
+  uniform vec4 uScale;
+  varying vec2 vUv;
+  void main() { gl_FragColor = texture2D(uField, vUv) * uScale; }
+`;
+
+const MAX_SUBSTEPS = 8;
+const MAX_DIFF_NUMBER = 0.2;
+
+export function createDiffusionSolver({ size = 128, domainSizeM = 0.1, renderer = null } = {}) {
+  const rtOpts = {
+    type: THREE.HalfFloatType,
+    format: THREE.RGBAFormat,
+    minFilter: THREE.LinearFilter,
+    magFilter: THREE.LinearFilter,
+    wrapS: THREE.ClampToEdgeWrapping,
+    wrapT: THREE.ClampToEdgeWrapping,
+    depthBuffer: false,
+    stencilBuffer: false
+  };
+  // rtA = tulos (vakio, shaderit lukevat tätä), rtB = työpuskuri
+  const rtA = new THREE.WebGLRenderTarget(size, size, rtOpts);
+  const rtB = new THREE.WebGLRenderTarget(size, size, rtOpts);
+  const texel = new THREE.Vector2(1 / size, 1 / size);
+
+  const quadScene = new THREE.Scene();
+  const quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+  quad.frustumCulled = false;
+  quadScene.add(quad);
+
+  const stepMat = new THREE.ShaderMaterial({
+    vertexShader: VERT,
+    fragmentShader: STEP_FRAG,
+    uniforms: {
+      uField: { value: null },
+      uTexel: { value: texel },
+      uDt: { value: 0 },
+      uDiff: { value: new THREE.Vector4() },
+      uOmega: { value: 0 },
+      uCenter: { value: new THREE.Vector2(0.5, 0.5) },
+      uCore: { value: 0.25 },
+      uFlow: { value: new THREE.Vector2() }
+    },
+    depthTest: false,
+    depthWrite: false
+  });
+  const splatMat = new THREE.ShaderMaterial({
+    vertexShader: VERT,
+    fragmentShader: SPLAT_FRAG,
+    uniforms: {
+      uField: { value: null },
+      uPoint: { value: new THREE.Vector2() },
+      uRadius: { value: 0.05 },
+      uAmount: { value: new THREE.Vector4() }
+    },
+    depthTest: false,
+    depthWrite: false
+  });
+  const copyMat = new THREE.ShaderMaterial({
+    vertexShader: VERT,
+    fragmentShader: COPY_FRAG,
+    uniforms: { uField: { value: null }, uScale: { value: new THREE.Vector4(1, 1, 1, 1) } },
+    depthTest: false,
+    depthWrite: false
+  });
+
+  // Ainemäärä kanavittain (uv²-yksiköissä, ∫c dA) -> keskipitoisuus = määrä / alueen pinta-ala
+  const DOMAIN_AREA = Math.PI * 0.25;
+  const mass = [0, 0, 0, 0];
+  let needsClear = true;
+
+  function setRenderer(r) { renderer = r || null; }
+
+  function pass(material, target) {
+    const prevTarget = renderer.getRenderTarget();
+    const prevXr = renderer.xr.enabled;
+    renderer.xr.enabled = false;
+    quad.material = material;
+    renderer.setRenderTarget(target);
+    renderer.render(quadScene, quadCamera);
+    renderer.setRenderTarget(prevTarget);
+    renderer.xr.enabled = prevXr;
+  }
+
+  function clearTargets() {
+    if (!renderer) return;
+    const prevTarget = renderer.getRenderTarget();
+    const prevColor = renderer.getClearColor(new THREE.Color());
+    const prevAlpha = renderer.getClearAlpha();
+    renderer.setClearColor(0x000000, 0);
+    for (const rt of [rtA, rtB]) { renderer.setRenderTarget(rt); renderer.clear(true, false, false); }
+    renderer.setRenderTarget(prevTarget);
+    renderer.setClearColor(prevColor, prevAlpha);
+    needsClear = false;
+  }
+
+  function ready() {
+    if (!renderer) return false;
+    if (needsClear) clearTargets();
+    return true;
+  }
+
+  // B -> A kopio (tulos pysyy aina rtA:ssa)
+  function copyBack() {
+    copyMat.uniforms.uField.value = rtB.texture;
+    copyMat.uniforms.uScale.value.set(1, 1, 1, 1);
+    pass(copyMat, rtA);
+  }
+
+  /**
+   * Lisää ainetta Gaussin läiskänä.
+   * @param {number} u 0..1
+   * @param {number} v 0..1
+   * @param {{ amount: number[], radius?: number }} opts amount = huippupitoisuus kanavittain [r,g,b,a]
+   */
+  function splat(u, v, { amount = [0, 1, 0, 0], radius = 0.05 } = {}) {
+    if (!ready()) return false;
+    const a = splatMat.uniforms.uAmount.value.set(amount[0] || 0, amount[1] || 0, amount[2] || 0, amount[3] || 0);
+    splatMat.uniforms.uField.value = rtA.texture;
+    splatMat.uniforms.uPoint.value.set(u, v);
+    splatMat.uniforms.uRadius.value = radius;
+    pass(splatMat, rtB);
+    copyBack();
+    // Gaussin integraali (reunan yli menevä osa jätetään huomiotta)
+    const m = 2 * Math.PI * radius * radius;
+    mass[0] += a.x * m; mass[1] += a.y * m; mass[2] += a.z * m; mass[3] += a.w * m;
+    return true;
+  }
+
+  /**
+   * Aika-askel.
+   * @param {number} dt
+   * @param {{ diffusivity: number[], swirl?: { omega:number, center?:number[], core?:number }, flow?: number[] }} opts
+   *   diffusivity: m²/s kanavittain; flow: uv/s
+   */
+  function step(dt, { diffusivity = [0, 0, 0, 0], swirl = null, flow = null } = {}) {
+    if (!(dt > 0) || !ready()) return 0;
+    const toUv = 1 / (domainSizeM * domainSizeM);
+    const dx2 = texel.x * texel.x;
+    const numbers = [0, 1, 2, 3].map(i => Math.max(0, diffusivity[i] || 0) * toUv * dt / dx2);
+    const substeps = Math.min(MAX_SUBSTEPS, Math.max(1, Math.ceil(Math.max(...numbers) / MAX_DIFF_NUMBER)));
+    const u = stepMat.uniforms;
+    // Ylisuuret kertoimet rajataan vakaalle alueelle (nopea sekoitus hoituu silloin advektiolla)
+    u.uDiff.value.set(...numbers.map(n => Math.min(MAX_DIFF_NUMBER, n / substeps)));
+    u.uDt.value = dt / substeps;
+    u.uOmega.value = swirl ? (swirl.omega || 0) : 0;
+    u.uCenter.value.set(swirl?.center?.[0] ?? 0.5, swirl?.center?.[1] ?? 0.5);
+    u.uCore.value = swirl?.core ?? 0.25;
+    u.uFlow.value.set(flow?.[0] || 0, flow?.[1] || 0);
+    for (let i = 0; i < substeps; i++) {
+      u.uField.value = rtA.texture;
+      pass(stepMat, rtB);
+      copyBack();
+    }
+    return substeps;
+  }
+
+  // Kerro kaikki pitoisuudet (laimennus: factor = V_ennen / V_jälkeen)
+  function scale(factor) {
+    if (!(factor >= 0) || !ready()) return;
+    const f = Array.isArray(factor) ? factor : [factor, factor, factor, factor];
+    copyMat.uniforms.uField.value = rtA.texture;
+    copyMat.uniforms.uScale.value.set(f[0], f[1], f[2], f[3]);
+    pass(copyMat, rtB);
+    copyBack();
+    for (let i = 0; i < 4; i++) mass[i] *= f[i];
+  }
+
+  function clear() {
+    for (let i = 0; i < 4; i++) mass[i] = 0;
+    if (renderer) clearTargets();
+    else needsClear = true;
+  }
+
+  function getMass() { return mass.slice(); }
+  function getMean(channel = 1) { return mass[channel] / DOMAIN_AREA; }
+
+  /**
+   * Tallennus: kanavat r,g,b 8-bittisenä PNG-kuvana (arvot / range), rivit alhaalta ylös (v = 0 ensin).
+   * Alfa on aina 1 (kanvaasi esikertoo alfan, jolloin a = 0 hävittäisi värit), joten a-kanavaa ei tallenneta.
+   * GPU-luku tehdään vain tallennettaessa.
+   */
+  function toDataURL(range = 2.0) {
+    if (!ready()) return null;
+    const rt8 = new THREE.WebGLRenderTarget(size, size, { depthBuffer: false, stencilBuffer: false });
+    copyMat.uniforms.uField.value = rtA.texture;
+    copyMat.uniforms.uScale.value.set(1 / range, 1 / range, 1 / range, 1 / range);
+    pass(copyMat, rt8);
+    const pixels = new Uint8Array(size * size * 4);
+    renderer.readRenderTargetPixels(rt8, 0, 0, size, size, pixels);
+    rt8.dispose();
+    for (let i = 3; i < pixels.length; i += 4) pixels[i] = 255;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    const img = ctx.createImageData(size, size);
+    img.data.set(pixels);
+    ctx.putImageData(img, 0, 0);
+    return canvas.toDataURL('image/png');
+  }
+
+  /**
+   * Palautus kuvasta (ks. toDataURL).
+   * @returns {Promise<void>}
+   */
+  function fromImage(src, { range = 2.0, mass: savedMass = null } = {}) {
+    return new Promise((resolve) => {
+      const img = new Image();
+      img.onload = () => {
+        if (ready()) {
+          const tex = new THREE.Texture(img);
+          tex.flipY = false;
+          tex.colorSpace = THREE.NoColorSpace;
+          tex.needsUpdate = true;
+          copyMat.uniforms.uField.value = tex;
+          copyMat.uniforms.uScale.value.set(range, range, range, 0);
+          pass(copyMat, rtA);
+          tex.dispose();
+        }
+        if (Array.isArray(savedMass)) for (let i = 0; i < 4; i++) mass[i] = savedMass[i] || 0;
+        resolve();
+      };
+      img.onerror = () => resolve();
+      img.src = src;
+    });
+  }
+
+  function dispose() {
+    rtA.dispose();
+    rtB.dispose();
+    quad.geometry.dispose();
+    stepMat.dispose();
+    splatMat.dispose();
+    copyMat.dispose();
+  }
+
+  return { texture: rtA.texture, size, setRenderer, splat, step, scale, clear, getMass, getMean, toDataURL, fromImage, dispose };
+}
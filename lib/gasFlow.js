@@ -0,0 +1,108 @@
+import { getGasSolubility } from './chemistry.js';
+import { GAS_FLOW_MAX_ML_S, GAS_MOLAR_VOLUME_ML } from './constants.js';
+
+/**
+ * Kaasuvirtaus ja liukeneminen
+ * ------------------------------------------------------------
+ * Venttiili antaa jatkuvan virtausnopeuden (mL/s). Tästä johdetaan:
+ *  - kuplien koko ja taajuus (getBubbleParams) visuaalista kuplitusta varten
+ *  - veteen liukeneva ainemäärä kaasun oman liukoisuuden mukaan:
+ *      tehokkuus = 1 - exp(-transfer * rRef / r)   (pienet kuplat liukenevat paremmin)
+ *      ajava voima = 1 - c / (henry * 1 atm)      (neutraali liuennut muoto kyllästyy, esim. CO2)
+ *    SO2 liukenee lähes kokonaan -> happamoittaa nopeasti, CO2 vain osittain -> hitaasti.
+ *    Veden lämpötila (tempC) muuttaa Henryn vakiota ja massansiirtoa (getGasSolubility).
+ *
+ * Liuennut määrä kerätään ja luovutetaan kemialle tikeittäin (onDissolve(gas, mol)),
+ * jotta pH-animaatiota ei käynnistetä uudelleen joka framella. Liukenematta jäänyt osa kulkee
+ * samoin tikein lasin kaasutilaan (onUndissolved(gas, mol), ks. headspace.js).
+ */
+
+const REF_BUBBLE_RADIUS = 0.04;   // scene-yksikköä (~2 mm)
+const MIN_BUBBLE_RADIUS = 0.025;
+const MAX_BUBBLE_RADIUS = 0.075;
+const ML_PER_VISUAL_BUBBLE = 0.25; // yksi piirretty kupla edustaa tätä kaasumäärää
+const MAX_BUBBLES_PER_SEC = 30;
+
+export function createGasFlow({ maxFlowMlPerSec = GAS_FLOW_MAX_ML_S, molarVolumeMl = GAS_MOLAR_VOLUME_ML, tickSec = 0.1 } = {}) {
+  let pendingMol = 0;
+  let pendingUndissolvedMol = 0;
+  let tickTimer = 0;
+  const stats = { gas: null, flowMlPerSec: 0, deliveredMol: 0, dissolvedMol: 0, efficiency: 0 };
+
+  /**
+   * Kuplien säde (scene-yksikköä) ja syntytaajuus (1/s) virtausnopeudelle.
+   * @param {number} flowMlPerSec
+   */
+  function getBubbleParams(flowMlPerSec) {
+    const f = Math.max(0, Math.min(1, flowMlPerSec / Math.max(1e-6, maxFlowMlPerSec)));
+    if (f <= 0) return { radius: 0, ratePerSec: 0 };
+    return {
+      radius: MIN_BUBBLE_RADIUS + (MAX_BUBBLE_RADIUS - MIN_BUBBLE_RADIUS) * Math.sqrt(f),
+      ratePerSec: Math.min(MAX_BUBBLES_PER_SEC, flowMlPerSec / ML_PER_VISUAL_BUBBLE)
+    };
+  }
+
+  // Osuus kuplan kaasusta joka liukenee nousun aikana
+  function dissolvedFraction(gas, radius, chemistry, tempC) {
+    const sol = getGasSolubility(gas, tempC);
+    if (!sol) return 0;
+    const eff = 1 - Math.exp(-sol.transfer * (REF_BUBBLE_RADIUS / Math.max(1e-4, radius)));
+    let drive = 1;
+    if (sol.dissolved && chemistry && typeof chemistry.getSpecies === 'function') {
+      try {
+        const c = (chemistry.getSpecies()[sol.dissolved] || 0) / chemistry.getVolume();
+        drive = Math.max(0, 1 - c / sol.henry);
+      } catch {}
+    }
+    return eff * drive;
+  }
+
+  /**
+   * Per-frame päivitys.
+   * @param {number} dt
+   * @param {{ flowMlPerSec:number, gas:string, chemistry?:Object, onDissolve?:Function, onUndissolved?:Function, tempC?:number }} opts
+   */
+  function update(dt, { flowMlPerSec = 0, gas, chemistry, onDissolve, onUndissolved, tempC = 25 } = {}) {
+    // Kaasu vaihtui kesken tikin: luovuta kertynyt määrä vielä edelliselle kaasulle
+    if (gas !== stats.gas) flush(stats.gas, onDissolve, onUndissolved);
+    stats.gas = gas;
+    stats.flowMlPerSec = flowMlPerSec;
+    if (!(dt > 0)) return;
+    if (flowMlPerSec > 0) {
+      const mol = (flowMlPerSec * dt) / molarVolumeMl;
+      const { radius } = getBubbleParams(flowMlPerSec);
+      stats.efficiency = dissolvedFraction(gas, radius, chemistry, tempC);
+      stats.deliveredMol += mol;
+      pendingMol += mol * stats.efficiency;
+      pendingUndissolvedMol += mol * (1 - stats.efficiency);
+    } else {
+      stats.efficiency = 0;
+    }
+    tickTimer += dt;
+    if (tickTimer < tickSec) return;
+    tickTimer = 0;
+    flush(gas, onDissolve, onUndissolved);
+  }
+
+  function flush(gas, onDissolve, onUndissolved) {
+    const escaped = pendingUndissolvedMol;
+    pendingUndissolvedMol = 0;
+    if (escaped > 0 && gas && typeof onUndissolved === 'function') onUndissolved(gas, escaped);
+    if (!(pendingMol > 0)) return;
+    const mol = pendingMol;
+    pendingMol = 0;
+    stats.dissolvedMol += mol;
+    if (gas && typeof onDissolve === 'function') onDissolve(gas, mol);
+  }
+
+  function getStats() { return { ...stats }; }
+
+  function reset() {
+    pendingMol = 0;
+    pendingUndissolvedMol = 0;
+    tickTimer = 0;
+    Object.assign(stats, { gas: null, flowMlPerSec: 0, deliveredMol: 0, dissolvedMol: 0, efficiency: 0 });
+  }
+
+  return { update, getBubbleParams, getStats, reset };
+}
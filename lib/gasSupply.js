@@ -0,0 +1,122 @@
+import { GAS_CYLINDER_VOLUME_ML, GAS_CYLINDER_START_BAR, GAS_LOW_PRESSURE_BAR, GAS_REGULATOR_OUTLET_BAR } from './constants.js';
+
+/**
+ * Kaasupullojen sisältö ja paine
+ * ------------------------------------------------------------
+ * Jokaisella kaasulla on oma pullo, jonka paine (bar) laskee kaasun virratessa ideaalikaasuna:
+ *    ΔP = V_virrannut(1 atm) · P_atm / V_pullo
+ * Paineenalennin pitää ulostulon vakiona (GAS_REGULATOR_OUTLET_BAR), kunnes pullon paine putoaa sen alle;
+ * silloin virtaus heikkenee lineaarisesti ja loppuu kokonaan ilmanpaineessa.
+ * Matalan paineen raja (GAS_LOW_PRESSURE_BAR) ja tyhjä pullo (virtaus loppunut, paine ilmanpaineessa) ilmoitetaan kerran
+ * (onLow / onEmpty); täyttö virittää uudelleen.
+ *
+ *   const supply = createGasSupply({ onLow: (gas, bar) => notify.warn(...), onEmpty: (gas) => notify.warn(...) });
+ *   const flow = supply.consume('SO2', pyydettyMlS, dt);   // toteutunut virtaus (mL/s)
+ *   supply.setStartPressure('CO2', 50);                    // opettaja: alkupaine + täyttö
+ */
+
+const ATM_BAR = 1.01325;
+
+/**
+ * @param {{ volumeMl?: number, startBar?: number, startPressures?: Object<string, number>, onLow?: Function, onEmpty?: Function }} opts
+ */
+export function createGasSupply({
+  volumeMl = GAS_CYLINDER_VOLUME_ML,
+  startBar = GAS_CYLINDER_START_BAR,
+  startPressures = {},
+  onLow,
+  onEmpty
+} = {}) {
+  const start = { ...startPressures };  // kaasu -> alkupaine (bar); puuttuva = startBar
+  const pressure = {};                  // kaasu -> nykyinen paine (bar)
+  const warned = {};                    // kaasu -> 'low' | 'empty'
+
+  const startOf = (gas) => (typeof start[gas] === 'number' ? start[gas] : startBar);
+
+  function getPressure(gas) {
+    if (!gas) return 0;
+    if (typeof pressure[gas] !== 'number') pressure[gas] = startOf(gas);
+    return pressure[gas];
+  }
+
+  // Paineenalentimen läpi saatava osuus pyydetystä virtauksesta (0..1)
+  function flowFactor(gas) {
+    const p = getPressure(gas);
+    return Math.min(1, Math.max(0, (p - ATM_BAR) / (GAS_REGULATOR_OUTLET_BAR - ATM_BAR)));
+  }
+
+  /**
+   * Ota kaasua pullosta. Palauttaa toteutuneen virtauksen (mL/s), joka voi olla pyydettyä pienempi tyhjenevässä pullossa.
+   * @param {string} gas
+   * @param {number} flowMlPerSec venttiilin mukainen virtaus
+   * @param {number} dt
+   */
+  function consume(gas, flowMlPerSec, dt) {
+    if (!gas || !(flowMlPerSec > 0)) return 0;
+    const flow = flowMlPerSec * flowFactor(gas);
+    if (!(dt > 0) || flow <= 0) return flow;
+    const before = getPressure(gas);
+    let after = before - (flow * dt * ATM_BAR) / volumeMl;
+    if (after < ATM_BAR + 0.01) after = ATM_BAR; // loppu lähestyy ilmanpainetta eksponentiaalisesti -> katkaistaan
+    pressure[gas] = after;
+    if (after < GAS_LOW_PRESSURE_BAR && !warned[gas]) {
+      warned[gas] = 'low';
+      try { onLow && onLow(gas, after); } catch {}
+    }
+    if (flowFactor(gas) <= 0 && warned[gas] !== 'empty') {
+      warned[gas] = 'empty';
+      try { onEmpty && onEmpty(gas); } catch {}
+    }
+    return flow;
+  }
+
+  function refill(gas) {
+    pressure[gas] = startOf(gas);
+    delete warned[gas];
+  }
+
+  // Opettajan asetus: kaasun alkupaine (bar); pullo täytetään samalla
+  function setStartPressure(gas, bar) {
+    const p = Number(bar);
+    if (!gas || !Number.isFinite(p) || p <= 0) return;
+    start[gas] = p;
+    refill(gas);
+  }
+
+  // Alustus: kaikki pullot täyteen (opettajan alkupaineet säilyvät)
+  function reset() {
+    Object.keys(pressure).forEach(refill);
+  }
+
+  // Tilan tallennus / palautus (lab state)
+  function getSnapshot() {
+    return { start: { ...start }, pressure: { ...pressure } };
+  }
+
+  function restoreSnapshot(s = {}) {
+    Object.keys(start).forEach(k => { delete start[k]; });
+    Object.keys(pressure).forEach(k => { delete pressure[k]; });
+    Object.keys(warned).forEach(k => { delete warned[k]; });
+    Object.assign(start, s.start || {});
+    Object.entries(s.pressure || {}).forEach(([gas, p]) => {
+      if (typeof p !== 'number') return;
+      pressure[gas] = p;
+      // Valmiiksi matala pullo ei varoita uudelleen palautuksen jälkeen
+      if (flowFactor(gas) <= 0) warned[gas] = 'empty';
+      else if (p < GAS_LOW_PRESSURE_BAR) warned[gas] = 'low';
+    });
+  }
+
+  return {
+    consume,
+    getPressure,
+    getStartPressure: startOf,
+    flowFactor,
+    isEmpty: (gas) => flowFactor(gas) <= 0,
+    refill,
+    setStartPressure,
+    reset,
+    getSnapshot,
+    restoreSnapshot
+  };
+}
@@ -0,0 +1,253 @@
+// Guided lab mode: declarative lessons with step validation
+// ------------------------------------------------------------
+// A lesson is plain JSON (see lessons/happosade.json), so teachers can write their own:
+//
+//   {
+//     "version": 1, "title": "...", "intro": "...",
+//     "alwaysAllow": ["openGasMenu", "selectGas"],          // actions allowed in every step
+//     "steps": [
+//       { "id": "hose", "title": "Kiinnitä letku", "text": "...", "hint": "...",
+//         "allow": ["hose", "beaker"],                         // other actions are rejected (omit = allow all)
+//         "complete": { "path": "state.isHoseAttached", "eq": true },
+//         "holdSec": 0 }                                        // condition must hold this long
+//     ]
+//   }
+//
+// Conditions:
+//   { "path": "chem.pH", "lt": 6 }        ops: eq, ne, lt, lte, gt, gte, in (value in list), includes (list contains)
+//   { "event": "stir", "min": 1 }         action / event seen during the current step
+//   { "all": [...] } | { "any": [...] } | { "not": {...} }
+// Paths are read from getContext(), e.g. { state, chem: beaker.getChemState() }.
+//
+//   const guide = createGuidedLab({ getContext, notify, onChange: renderProgress });
+//   guide.load(parseLesson(json)); guide.start();
+//   im.setActionGuard((action) => guide.guardAction(action));
+//   guide.noteEvent('stir');   // from actions and scene callbacks
+//   guide.update(dt);          // every frame
+
+export const LESSON_VERSION = 1;
+
+const COMPARE_OPS = ['eq', 'ne', 'lt', 'lte', 'gt', 'gte', 'in', 'includes'];
+
+function readPath(obj, path) {
+  let cur = obj;
+  for (const key of String(path).split('.')) {
+    if (cur === null || cur === undefined) return undefined;
+    cur = cur[key];
+  }
+  return cur;
+}
+
+function compare(op, value, expected) {
+  switch (op) {
+    case 'eq': return value === expected;
+    case 'ne': return value !== expected;
+    case 'lt': return typeof value === 'number' && value < expected;
+    case 'lte': return typeof value === 'number' && value <= expected;
+    case 'gt': return typeof value === 'number' && value > expected;
+    case 'gte': return typeof value === 'number' && value >= expected;
+    case 'in': return Array.isArray(expected) && expected.includes(value);
+    case 'includes': return Array.isArray(value) && value.includes(expected);
+    default: return false;
+  }
+}
+
+/**
+ * Evaluate a lesson condition.
+ * @param {Object} cond
+ * @param {Object} ctx Values for `path` conditions
+ * @param {Map<string, number>} [events] Event counts during the current step
+ */
+export function evaluateCondition(cond, ctx, events = new Map()) {
+  if (!cond) return true;
+  if (Array.isArray(cond.all)) return cond.all.every(c => evaluateCondition(c, ctx, events));
+  if (Array.isArray(cond.any)) return cond.any.some(c => evaluateCondition(c, ctx, events));
+  if (cond.not) return !evaluateCondition(cond.not, ctx, events);
+  if (typeof cond.event === 'string') return (events.get(cond.event) || 0) >= (cond.min ?? 1);
+  if (typeof cond.path === 'string') {
+    const value = readPath(ctx, cond.path);
+    return COMPARE_OPS.filter(op => op in cond).every(op => compare(op, value, cond[op]));
+  }
+  return false;
+}
+
+function validateCondition(cond, where) {
+  if (!cond || typeof cond !== 'object') throw new Error(`${where}: ehto puuttuu`);
+  if (Array.isArray(cond.all) || Array.isArray(cond.any)) {
+    (cond.all || cond.any).forEach((c, i) => validateCondition(c, `${where}[${i}]`));
+    return;
+  }
+  if (cond.not) { validateCondition(cond.not, `${where}.not`); return; }
+  if (typeof cond.event === 'string') return;
+  if (typeof cond.path === 'string') {
+    if (!COMPARE_OPS.some(op => op in cond)) throw new Error(`${where}: vertailu puuttuu (${COMPARE_OPS.join(', ')})`);
+    return;
+  }
+  throw new Error(`${where}: tuntematon ehto`);
+}
+
+/**
+ * Parse and validate a lesson JSON string (or object).
+ * @returns {{ version:number, title:string, intro:string, alwaysAllow:string[], steps:Array }}
+ */
+export function parseLesson(input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!data || !Array.isArray(data.steps) || data.steps.length === 0) throw new Error('Virheellinen tuntitiedosto: steps puuttuu');
+  if ((data.version ?? LESSON_VERSION) !== LESSON_VERSION) throw new Error(`Tuntematon tuntiversio: ${data.version}`);
+  const steps = data.steps.map((s, i) => {
+    if (!s || typeof s.title !== 'string') throw new Error(`Vaihe ${i + 1}: title puuttuu`);
+    validateCondition(s.complete, `Vaihe ${i + 1}`);
+    return {
+      id: s.id || `step${i + 1}`,
+      title: s.title,
+      text: s.text || '',
+      hint: s.hint || '',
+      allow: Array.isArray(s.allow) ? s.allow : null,
+      complete: s.complete,
+      holdSec: Math.max(0, Number(s.holdSec) || 0),
+      rejectText: s.rejectText || '',
+      doneText: s.doneText || ''
+    };
+  });
+  return {
+    ...data,
+    version: LESSON_VERSION,
+    title: data.title || 'Ohjattu työ',
+    intro: data.intro || '',
+    alwaysAllow: Array.isArray(data.alwaysAllow) ? data.alwaysAllow : [],
+    steps
+  };
+}
+
+export async function loadLessonFromUrl(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Tuntia ei löytynyt: ${url}`);
+  return parseLesson(await res.text());
+}
+
+export function createGuidedLab({ getContext, notify, onChange } = {}) {
+  let lesson = null;
+  let index = 0;
+  let active = false;
+  let holdTimer = 0;
+  let events = new Map();
+
+  function currentStep() {
+    return active && lesson ? lesson.steps[index] || null : null;
+  }
+
+  function getProgress() {
+    return {
+      active,
+      lesson,
+      index,
+      total: lesson ? lesson.steps.length : 0,
+      step: currentStep(),
+      done: !!lesson && index >= lesson.steps.length
+    };
+  }
+
+  function emit() {
+    if (typeof onChange === 'function') { try { onChange(getProgress()); } catch {} }
+  }
+
+  function showStep() {
+    const step = currentStep();
+    if (!step) return;
+    try { notify?.info(`${index + 1}/${lesson.steps.length}: ${step.title}${step.text ? ' – ' + step.text : ''}`); } catch {}
+  }
+
+  function load(parsed) {
+    lesson = parsed;
+    index = 0;
+    active = false;
+    emit();
+  }
+
+  function start() {
+    if (!lesson) return;
+    index = 0;
+    holdTimer = 0;
+    events = new Map();
+    active = true;
+    if (lesson.intro) { try { notify?.info(lesson.intro, { duration: 3500 }); } catch {} }
+    setTimeout(showStep, lesson.intro ? 3600 : 0);
+    emit();
+  }
+
+  function stop() {
+    active = false;
+    emit();
+  }
+
+  /**
+   * Action guard for the interaction manager: returns false (and shows feedback) for
+   * actions that are not part of the current step.
+   */
+  function guardAction(action) {
+    const step = currentStep();
+    if (!step || !step.allow || !action) return true;
+    if (step.allow.includes(action) || lesson.alwaysAllow.includes(action)) return true;
+    const msg = step.rejectText || `Ei vielä. Vaihe ${index + 1}: ${step.title}${step.hint ? ' (' + step.hint + ')' : ''}`;
+    try { notify?.warn(msg, { duration: 2600 }); } catch {}
+    return false;
+  }
+
+  // Count actions / scene events during the current step (for `event` conditions)
+  function noteEvent(name) {
+    if (!active || !name) return;
+    events.set(name, (events.get(name) || 0) + 1);
+  }
+
+  function advance() {
+    const step = currentStep();
+    try { notify?.success(step.doneText || `✓ ${step.title}`, { duration: 1800 }); } catch {}
+    index++;
+    holdTimer = 0;
+    events = new Map();
+    if (index >= lesson.steps.length) {
+      active = false;
+      setTimeout(() => { try { notify?.success(lesson.doneText || `${lesson.title}: työ valmis!`, { duration: 4000 }); } catch {} }, 1900);
+    } else {
+      setTimeout(showStep, 1900);
+    }
+    emit();
+  }
+
+  function update(dt) {
+    const step = currentStep();
+    if (!step) return;
+    let ctx = {};
+    try { ctx = typeof getContext === 'function' ? getContext() : {}; } catch {}
+    if (!evaluateCondition(step.complete, ctx, events)) { holdTimer = 0; return; }
+    holdTimer += dt || 0;
+    if (holdTimer >= step.holdSec) advance();
+  }
+
+  return { load, start, stop, restart: start, guardAction, noteEvent, update, getProgress, isActive: () => active };
+}
+
+/**
+ * Render lesson progress into a panel element (title, step list with checkmarks, current step text).
+ */
+export function renderGuidePanel(el, progress) {
+  if (!el) return;
+  const { lesson, index, total, active, done } = progress;
+  if (!lesson || (!active && !done)) { el.style.display = 'none'; return; }
+  el.style.display = 'block';
+  const pct = total ? Math.round((Math.min(index, total) / total) * 100) : 0;
+  const items = lesson.steps.map((s, i) => {
+    const mark = i < index ? '✓' : (i === index ? '▶' : '·');
+    const style = i === index ? 'font-weight:bold;' : (i < index ? 'opacity:0.6;' : '');
+    return `<li style="${style}">${mark} ${escapeHtml(s.title)}</li>`;
+  }).join('');
+  const step = lesson.steps[index];
+  el.querySelector('[data-guide="title"]').textContent = lesson.title;
+  el.querySelector('[data-guide="bar"]').style.width = `${pct}%`;
+  el.querySelector('[data-guide="steps"]').innerHTML = items;
+  el.querySelector('[data-guide="text"]').textContent = done ? 'Kaikki vaiheet tehty.' : (step?.text || '');
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
@@ -0,0 +1,141 @@
+import { getGasSolubility } from './chemistry.js';
+import { reagentGasColor } from './reagents.js';
+import { GAS_MOLAR_VOLUME_ML, HEADSPACE_ESCAPE_TAU_S, HEADSPACE_LID_LEAK_TAU_S, HEADSPACE_ABSORB_PER_TRANSFER, HEADSPACE_COLOR_REF_MOL_L } from './constants.js';
+
+/**
+ * Lasin kaasutila (veden yläpuolinen ilma)
+ * ------------------------------------------------------------
+ * Kuplista liukenematta jäänyt kaasu kertyy kaasutilaan (add). Sieltä se
+ *  - karkaa avoimesta lasista (aikavakio HEADSPACE_ESCAPE_TAU_S); kellolasin alta vuotaa vain hitaasti (HEADSPACE_LID_LEAK_TAU_S)
+ *  - liukenee takaisin veteen pinnan kautta nopeudella transfer · HEADSPACE_ABSORB_PER_TRANSFER · ajava voima, jossa
+ *      ajava voima = 1 - c / (henry · p)       (p = osapaine kaasutilassa, atm; kyllästyvät lajit kuten CO2)
+ *    Reagoiva kaasu (dissolved: null, esim. NO2) liukenee aina täydellä ajavalla voimalla. Liuoksesta kaasutilaan
+ *    vapautumista ei mallinneta (ajava voima ≥ 0).
+ * Liuennut määrä luovutetaan kemialle tikeittäin (onAbsorb(gas, mol)) kuten gasFlow.js.
+ * Värillisen kaasun (reagents.js gasColor) pitoisuus antaa kaasutilan värin ja peittävyyden (getVisual).
+ *
+ *   const head = createHeadspace();
+ *   head.add('NO2', 2e-4);
+ *   head.update(dt, { headVolumeL, waterVolumeL, chemistry, tempC, lid: false, onAbsorb: (gas, mol) => beaker.addAcidicGas(gas, mol) });
+ */
+
+const MIN_MOL = 1e-9;           // tätä pienempi määrä poistetaan kaasutilasta
+const MAX_OPACITY = 0.85;
+
+export function createHeadspace({ tickSec = 0.25 } = {}) {
+  const moles = {};       // kaasu -> ainemäärä kaasutilassa (mol)
+  const pending = {};     // kaasu -> liuennut, luovuttamatta (mol)
+  let tickTimer = 0;
+  const stats = { escapedMol: 0, absorbedMol: 0 };
+
+  function add(gas, mol) {
+    if (!gas || !(mol > 0)) return;
+    moles[gas] = (moles[gas] || 0) + mol;
+  }
+
+  // Osapaine (atm) ideaalikaasuna 25 °C:ssa
+  function partialPressure(gas, headVolumeL) {
+    return ((moles[gas] || 0) * GAS_MOLAR_VOLUME_ML / 1000) / Math.max(0.02, headVolumeL);
+  }
+
+  function absorbRate(gas, { headVolumeL, waterVolumeL, chemistry, tempC }) {
+    if (!(waterVolumeL > 1e-3)) return 0;
+    const sol = getGasSolubility(gas, tempC);
+    if (!sol) return 0;
+    let drive = 1;
+    if (sol.dissolved && chemistry && typeof chemistry.getSpecies === 'function') {
+      try {
+        const c = (chemistry.getSpecies()[sol.dissolved] || 0) / chemistry.getVolume();
+        const cSat = sol.henry * partialPressure(gas, headVolumeL);
+        drive = cSat > 0 ? Math.max(0, 1 - c / cSat) : 0;
+      } catch {}
+    }
+    return sol.transfer * HEADSPACE_ABSORB_PER_TRANSFER * drive;
+  }
+
+  /**
+   * Per-frame päivitys.
+   * @param {number} dt
+   * @param {{ headVolumeL:number, waterVolumeL:number, chemistry?:Object, tempC?:number, lid?:boolean, onAbsorb?:Function }} opts
+   */
+  function update(dt, { headVolumeL = 0.5, waterVolumeL = 0, chemistry, tempC = 25, lid = false, onAbsorb } = {}) {
+    if (!(dt > 0)) return;
+    const escape = 1 / (lid ? HEADSPACE_LID_LEAK_TAU_S : HEADSPACE_ESCAPE_TAU_S);
+    for (const gas of Object.keys(moles)) {
+      const n = moles[gas];
+      const absorb = absorbRate(gas, { headVolumeL, waterVolumeL, chemistry, tempC });
+      const lost = n * (1 - Math.exp(-(escape + absorb) * dt));
+      const absorbed = lost * absorb / (escape + absorb);
+      stats.escapedMol += lost - absorbed;
+      if (absorbed > 0) pending[gas] = (pending[gas] || 0) + absorbed;
+      moles[gas] = n - lost;
+      if (moles[gas] < MIN_MOL) delete moles[gas];
+    }
+    tickTimer += dt;
+    if (tickTimer < tickSec) return;
+    tickTimer = 0;
+    flush(onAbsorb);
+  }
+
+  function flush(onAbsorb) {
+    for (const gas of Object.keys(pending)) {
+      const mol = pending[gas];
+      delete pending[gas];
+      stats.absorbedMol += mol;
+      if (typeof onAbsorb === 'function') onAbsorb(gas, mol);
+    }
+  }
+
+  /**
+   * Kaasutilan väri ja peittävyys värillisten kaasujen pitoisuuksista (värit painotettuna pitoisuudella).
+   * @param {number} headVolumeL
+   * @returns {{ color: number, opacity: number }}
+   */
+  function getVisual(headVolumeL) {
+    let total = 0, r = 0, g = 0, b = 0;
+    for (const gas of Object.keys(moles)) {
+      const hex = reagentGasColor(gas);
+      if (hex === null) continue;
+      const c = moles[gas] / Math.max(0.02, headVolumeL);
+      total += c;
+      r += c * ((hex >> 16) & 255);
+      g += c * ((hex >> 8) & 255);
+      b += c * (hex & 255);
+    }
+    if (!(total > 0)) return { color: 0xffffff, opacity: 0 };
+    const color = (Math.round(r / total) << 16) | (Math.round(g / total) << 8) | Math.round(b / total);
+    return { color, opacity: MAX_OPACITY * (1 - Math.exp(-total / HEADSPACE_COLOR_REF_MOL_L)) };
+  }
+
+  function getGases() { return { ...moles }; }
+  function getStats() { return { ...stats }; }
+
+  function reset() {
+    Object.keys(moles).forEach(k => { delete moles[k]; });
+    Object.keys(pending).forEach(k => { delete pending[k]; });
+    tickTimer = 0;
+    Object.assign(stats, { escapedMol: 0, absorbedMol: 0 });
+  }
+
+  // Tilan tallennus / palautus (lasin snapshot)
+  function getSnapshot() {
+    return { gases: { ...moles } };
+  }
+
+  function restoreSnapshot(s = {}) {
+    reset();
+    Object.entries(s.gases || {}).forEach(([gas, mol]) => add(gas, mol));
+  }
+
+  return {
+    add,
+    update,
+    partialPressure,
+    getVisual,
+    getGases,
+    getStats,
+    reset,
+    getSnapshot,
+    restoreSnapshot
+  };
+}
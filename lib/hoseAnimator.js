@@ -3,6 +3,7 @@ import * as THREE from 'three';
 // Animator for hose movements/attachments
 // Usage:
 //   const hoseAnimator = createHoseAnimator({ hoseEndPointRef, hoseRestingPointRef, updateCallback, beakerNozzle });
+//   (beakerNozzle voi olla myös funktio, joka palauttaa kohdelasin suuttimen)
 //   await hoseAnimator.liftTip(1.0, 200);
 //   await hoseAnimator.attachToNozzle();
 //   await hoseAnimator.detachToRest();
@@ -32,9 +33,10 @@ export function createHoseAnimator({ hoseEndPointRef, hoseRestingPointRef, updat
   }
 
   async function attachToNozzle() {
-    if (!beakerNozzle) return;
+    const nozzle = typeof beakerNozzle === 'function' ? beakerNozzle() : beakerNozzle;
+    if (!nozzle) return;
     const world = new THREE.Vector3();
-    beakerNozzle.getWorldPosition(world);
+    nozzle.getWorldPosition(world);
     hoseEndPointRef.copy(world);
     if (typeof updateCallback === 'function') updateCallback();
   }
@@ -0,0 +1,56 @@
+// Hover highlight for interactive objects (emissive tint, restored on leave)
+// Usage:
+//   const hover = createHoverHighlighter();
+//   hover.set(spatula.spatulaGroup);   // highlight (previous one is restored)
+//   hover.set(null);                   // clear
+// Materials may be shared between meshes; original emissive values are stored per material.
+// A material whose emissive was changed by someone else while hovered (e.g. a tool's setHighlight on click)
+// keeps that colour on leave; only the hover tint itself is undone.
+
+import * as THREE from 'three';
+
+export function createHoverHighlighter({ color = 0x2f6f4f, intensity = 0.6, dropColor = 0x1d4ed8 } = {}) {
+  const saved = new Map(); // material -> { emissive: Color, intensity: number }
+  let current = null;
+  let currentDrop = false;
+  const tint = new THREE.Color(color);
+  const dropTint = new THREE.Color(dropColor);
+
+  function restore() {
+    const applied = currentDrop ? dropTint : tint;
+    saved.forEach((orig, mat) => {
+      try {
+        if (!mat.emissive.equals(applied)) return;
+        mat.emissive.copy(orig.emissive);
+        if (mat.emissiveIntensity === intensity) mat.emissiveIntensity = orig.intensity;
+      } catch {}
+    });
+    saved.clear();
+  }
+
+  /**
+   * @param {THREE.Object3D|null} object
+   * @param {{ asDropTarget?: boolean }} [opts]
+   */
+  function set(object, { asDropTarget = false } = {}) {
+    // Sama kohde: väri vaihtuu vain, jos se muuttuu pudotuskohteeksi tai takaisin
+    if (object === current && saved.size > 0 && !!asDropTarget === currentDrop) return;
+    restore();
+    current = object || null;
+    currentDrop = !!asDropTarget;
+    if (!current) return;
+    const c = currentDrop ? dropTint : tint;
+    current.traverse(o => {
+      if (!o.isMesh || !o.material) return;
+      const mats = Array.isArray(o.material) ? o.material : [o.material];
+      for (const m of mats) {
+        if (!m || !m.emissive || saved.has(m)) continue;
+        saved.set(m, { emissive: m.emissive.clone(), intensity: m.emissiveIntensity ?? 1 });
+        m.emissive.copy(c);
+        m.emissiveIntensity = intensity;
+      }
+    });
+  }
+
+  return { set, clear: () => set(null) };
+}
@@ -0,0 +1,140 @@
+import * as THREE from 'three';
+
+/**
+ * pH-indikaattorikirjasto
+ * ------------------------------------------------------------
+ * Jokaisella indikaattorilla on vaihtoalue (range, pH) ja väriliukuma (stops).
+ * Liukuman pisteet: { pH, color, strength } jossa strength (0..1) kertoo kuinka voimakkaasti
+ * indikaattori värjää veden (esim. fenoliftaleiini on happamassa väritön -> strength 0).
+ * Alueen ulkopuolella käytetään lähimmän pään väriä.
+ *
+ * Shaderit lukevat värin 1D-rampista (createIndicatorRamp), jonka x-akseli on pH välillä
+ * PH_RAMP_MIN..PH_RAMP_MAX; alpha-kanava = strength.
+ */
+
+export const PH_RAMP_MIN = 0.0;
+export const PH_RAMP_MAX = 14.0;
+const RAMP_SIZE = 256;
+
+export const INDICATORS = {
+  BTB: {
+    name: 'Bromitymolisini',
+    label: 'BTS',
+    range: [6.0, 7.6],
+    bottleColor: 0x004d00,
+    stops: [
+      { pH: 6.0, color: 0xffc107 },
+      { pH: 6.9, color: 0x00b15a },
+      { pH: 7.6, color: 0x0066ff }
+    ]
+  },
+  PHENOLPHTHALEIN: {
+    name: 'Fenoliftaleiini',
+    label: 'FFT',
+    range: [8.2, 10.0],
+    bottleColor: 0xe9eef0,
+    stops: [
+      { pH: 8.2, color: 0xffffff, strength: 0.0 },
+      { pH: 9.0, color: 0xf06ab4, strength: 0.6 },
+      { pH: 10.0, color: 0xd4127e, strength: 1.0 }
+    ]
+  },
+  METHYL_ORANGE: {
+    name: 'Metyylioranssi',
+    label: 'MO',
+    range: [3.1, 4.4],
+    bottleColor: 0xe65100,
+    stops: [
+      { pH: 3.1, color: 0xd7191c },
+      { pH: 3.8, color: 0xf4621b },
+      { pH: 4.4, color: 0xffb300 }
+    ]
+  },
+  UNIVERSAL: {
+    name: 'Yleisindikaattori',
+    label: 'YI',
+    range: [3.0, 11.0],
+    bottleColor: 0x2e7d32,
+    stops: [
+      { pH: 3.0, color: 0xd7191c },
+      { pH: 4.0, color: 0xf46d1b },
+      { pH: 5.0, color: 0xffa000 },
+      { pH: 6.0, color: 0xffe01a },
+      { pH: 7.0, color: 0x00b15a },
+      { pH: 8.0, color: 0x1a9fd6 },
+      { pH: 9.0, color: 0x1f4fd8 },
+      { pH: 10.0, color: 0x4b2aa8 },
+      { pH: 11.0, color: 0x6a1b9a }
+    ]
+  }
+};
+
+export const DEFAULT_INDICATOR = 'BTB';
+
+export function getIndicator(id) {
+  return INDICATORS[id] || INDICATORS[DEFAULT_INDICATOR];
+}
+
+const _ca = new THREE.Color();
+const _cb = new THREE.Color();
+
+/**
+ * Indikaattorin väri annetussa pH:ssa.
+ * @param {string} id Indikaattorin tunnus (INDICATORS-avain)
+ * @param {number} pH
+ * @returns {{ color: THREE.Color, strength: number, hex: number }}
+ */
+export function indicatorColorAt(id, pH) {
+  const stops = getIndicator(id).stops;
+  const first = stops[0], last = stops[stops.length - 1];
+  let a = first, b = first, t = 0;
+  if (pH >= last.pH) { a = b = last; }
+  else if (pH > first.pH) {
+    for (let i = 1; i < stops.length; i++) {
+      if (pH <= stops[i].pH) {
+        a = stops[i - 1]; b = stops[i];
+        t = (pH - a.pH) / Math.max(1e-6, b.pH - a.pH);
+        break;
+      }
+    }
+  }
+  _ca.setHex(a.color); _cb.setHex(b.color);
+  const color = _ca.clone().lerp(_cb, t);
+  const sa = a.strength ?? 1.0, sb = b.strength ?? 1.0;
+  return { color, strength: sa + (sb - sa) * t, hex: color.getHex() };
+}
+
+function fillRamp(data, id) {
+  for (let i = 0; i < RAMP_SIZE; i++) {
+    const pH = PH_RAMP_MIN + (PH_RAMP_MAX - PH_RAMP_MIN) * (i / (RAMP_SIZE - 1));
+    const { color, strength } = indicatorColorAt(id, pH);
+    data[i * 4] = Math.round(color.r * 255);
+    data[i * 4 + 1] = Math.round(color.g * 255);
+    data[i * 4 + 2] = Math.round(color.b * 255);
+    data[i * 4 + 3] = Math.round(strength * 255);
+  }
+}
+
+/**
+ * 1D-väriramppi (DataTexture RAMP_SIZE x 1) shadereille. x = (pH - PH_RAMP_MIN) / (PH_RAMP_MAX - PH_RAMP_MIN).
+ * Arvot ovat samassa työväriavaruudessa kuin THREE.Color-uniformit (tekstuurille ei värinmuunnosta).
+ */
+export function createIndicatorRamp(id = DEFAULT_INDICATOR) {
+  const data = new Uint8Array(RAMP_SIZE * 4);
+  fillRamp(data, id);
+  const tex = new THREE.DataTexture(data, RAMP_SIZE, 1, THREE.RGBAFormat);
+  tex.magFilter = THREE.LinearFilter;
+  tex.minFilter = THREE.LinearFilter;
+  tex.wrapS = THREE.ClampToEdgeWrapping;
+  tex.userData.indicatorId = id;
+  tex.needsUpdate = true;
+  return tex;
+}
+
+// Päivitä olemassa oleva ramppi toiselle indikaattorille (uniformit voivat pitää saman tekstuurin)
+export function updateIndicatorRamp(tex, id) {
+  if (!tex || !tex.image || !tex.image.data) return;
+  fillRamp(tex.image.data, id);
+  tex.userData.indicatorId = id;
+  tex.needsUpdate = true;
+}
@@ -3,16 +3,52 @@
 //   const im = createInteractionManager({ scene, camera });
 //   im.onName('beakerGroup', (ctx) => { ...; return true; }, { priority: 10 });
 //   im.onPredicate(ctx => ctx.hasName('solidSample'), handler, { priority: 20 });
+//   (ctx.point = clicked world point of the intersected object, null for trigger())
 //   im.attach(); // starts listening to window clicks
 //   im.dispose(); // removes listeners
+// Actions (session recording / replay):
+//   im.onName('gasValveHandle', handler, { priority: 60, action: 'gasValve' });
+//   im.setActionListener((action) => recorder.record(action)); // called when a click handler with an action consumes the click
+//   im.trigger('gasValve'); // run the same handler without a click (replay)
+//   im.setEnabled(false);   // ignore user clicks (e.g. during replay)
+//   im.setActionGuard((action) => allowed); // return false to reject a click before its handler runs (guided lab)
+// Pointer drag (click handlers keep working; a drag starts after DRAG_THRESHOLD_PX of movement):
+//   im.onDrag('spatulaGroup', {
+//     onStart: (ctx) => spatulaGroup,           // return the dragged root (excluded from drop targets) or false to decline
+//     onMove: (ctx) => { const p = ctx.pointOnPlane(1.2); ... },
+//     onDrop: (ctx) => { if (ctx.target.hasName('beakerGroup')) ctx.perform('beaker'); }
+//   }, { priority: 40, action: 'spatula' });
+//   im.setHoverListener(({ action, dragging, object }) => ...); // hovered action (or drop target while dragging), null when none
+//   im.setDragStateListener((busy) => controls.enabled = !busy);
+//   im.perform('beaker'); // like trigger() but passes the action guard and notifies the action listener
+//   im.onAction('fillBurette', handler); // action without a clicked object (menu button), reached only via perform()/trigger()
+// Pointer follow (no button held, e.g. free-form stirring): called on every pointer move until cleared
+//   im.setPointerFollower((ctx) => { const p = ctx.pointOnPlane(1.5); ... }); im.setPointerFollower(null);
 
 import * as THREE from 'three';
 
+const DRAG_THRESHOLD_PX = 6;
+const HOVER_INTERVAL_MS = 50;
+
 export function createInteractionManager({ scene, camera, dom = window } = {}) {
   const raycaster = new THREE.Raycaster();
   const mouse = new THREE.Vector2();
-  const handlers = []; // { predicate, handler, priority }
+  const handlers = []; // { predicate, handler, priority, action }; predicate null = perform-only action
+  const dragHandlers = []; // { predicate, drag: { onStart, onMove, onDrop }, priority, action }
   let attached = false;
+  let enabled = true;
+  let actionListener = null;
+  let actionGuard = null;
+  let hoverListener = null;
+  let dragStateListener = null;
+  let pointerFollower = null;
+  const followPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+  let hoveredAction = null;
+  let hoveredObject = null;
+  let lastHoverAt = 0;
+  let pointer = null;          // { x, y, candidates, drag, exclude } while a button is down over a draggable
+  let suppressClick = false;   // click event that follows a drag is ignored
+  let gestureMoved = false;    // pointer moved past the drag threshold over a draggable (drag or declined drag)
 
   function _buildContextFromObject(event, object) {
     const width = window.innerWidth;
@@ -49,26 +85,45 @@ export function createInteractionManager({ scene, camera, dom = window } = {}) {
     return ctx;
   }
 
-  function _dispatchMulti(event, intersects) {
-    // Build a candidate list across intersects with priorities
+  // Build a candidate list across intersects with priorities (optionally skipping excluded objects)
+  function _collectCandidates(event, intersects, list, exclude = null) {
     const candidates = [];
     for (let idx = 0; idx < intersects.length; idx++) {
       const obj = intersects[idx].object;
+      if (exclude && exclude(obj)) continue;
       const ctx = _buildContextFromObject(event, obj);
-      for (const h of handlers) {
+      ctx.point = intersects[idx].point; // osumakohta (maailma); trigger()-kontekstissa null
+      for (const h of list) {
+        if (!h.predicate) continue;
         let match = false;
         try { match = h.predicate(ctx); } catch { match = false; }
         if (match) {
-          candidates.push({ ctx, handler: h.handler, priority: h.priority || 0, depthIndex: idx });
+          candidates.push({ ctx, handler: h.handler, drag: h.drag, priority: h.priority || 0, action: h.action, depthIndex: idx });
         }
       }
     }
     // Sort by priority desc, then by depth (prefer closer intersect first on tie)
     candidates.sort((a, b) => (b.priority - a.priority) || (a.depthIndex - b.depthIndex));
+    return candidates;
+  }
+
+  function _isAllowed(action, ctx) {
+    if (!action || typeof actionGuard !== 'function') return true;
+    try { return actionGuard(action, ctx) !== false; } catch { return true; }
+  }
+
+  function _dispatchMulti(event, intersects) {
+    const candidates = _collectCandidates(event, intersects, handlers);
     for (const c of candidates) {
+      if (!_isAllowed(c.action, c.ctx)) return true; // rejected: consume the click
       try {
         const res = c.handler(c.ctx);
-        if (res === true) return true;
+        if (res === true) {
+          if (c.action && typeof actionListener === 'function') {
+            try { actionListener(c.action); } catch {}
+          }
+          return true;
+        }
       } catch (e) {
         console.warn('Interaction handler error', e);
       }
@@ -76,40 +131,275 @@ export function createInteractionManager({ scene, camera, dom = window } = {}) {
     return false;
   }
 
-  function _onClick(event) {
+  function _raycast(event) {
     const width = window.innerWidth;
     const height = window.innerHeight;
     mouse.x = (event.clientX / width) * 2 - 1;
     mouse.y = -(event.clientY / height) * 2 + 1;
     raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObjects(scene.children, true);
-    if (!intersects || intersects.length === 0) return;
+    return raycaster.intersectObjects(scene.children, true) || [];
+  }
+
+  function _onClick(event) {
+    if (suppressClick) { suppressClick = false; return; }
+    if (!enabled) return;
+    const intersects = _raycast(event);
+    if (intersects.length === 0) return;
     _dispatchMulti(event, intersects);
   }
 
-  function onPredicate(predicate, handler, { priority = 0 } = {}) {
-    handlers.push({ predicate, handler, priority });
+  function _setHover(action, info = {}) {
+    // Sama toiminto eri objektilla (esim. toinen dekantterilasi) päivittää korostuksen
+    const object = info.object || null;
+    if (action === hoveredAction && object === hoveredObject && !info.force) return;
+    hoveredAction = action;
+    hoveredObject = object;
+    if (typeof hoverListener === 'function') {
+      try { hoverListener(action ? { action, ...info } : null); } catch {}
+    }
+  }
+
+  // Drag context: pointer ray helpers + drop target under the pointer (dragged object excluded)
+  function _buildDragContext(event, intersects) {
+    const excluded = pointer && pointer.exclude;
+    const hit = intersects.find(i => !(excluded && excluded(i.object)));
+    const targetCtx = hit ? _buildContextFromObject(event, hit.object) : null;
+    const targetNames = targetCtx ? targetCtx.names : new Set();
+    const targetAction = (_collectCandidates(event, intersects, handlers, excluded)[0] || {}).action || null;
+    const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+    return {
+      event,
+      raycaster,
+      mouse,
+      intersects,
+      target: {
+        object: hit ? hit.object : null,
+        point: hit ? hit.point.clone() : null,
+        names: targetNames,
+        action: targetAction,
+        hasName: (name) => targetNames.has(name)
+      },
+      // Pointer ray intersection with the horizontal plane y = planeY (null if parallel / behind)
+      pointOnPlane: (planeY = 0) => {
+        plane.constant = -planeY;
+        return raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+      },
+      perform,
+      isAllowed: (action) => _isAllowed(action, null)
+    };
+  }
+
+  function _endPointer() {
+    if (!pointer) return;
+    pointer = null;
+    if (typeof dragStateListener === 'function') { try { dragStateListener(false); } catch {} }
+  }
+
+  function _onPointerDown(event) {
+    if (!enabled || event.button !== 0 || dragHandlers.length === 0) return;
+    if (event.target && event.target.tagName && event.target.tagName !== 'CANVAS') return; // UI-napit ym.
+    const intersects = _raycast(event);
+    if (intersects.length === 0) return;
+    const candidates = _collectCandidates(event, intersects, dragHandlers);
+    if (candidates.length === 0) return;
+    gestureMoved = false;
+    pointer = { x: event.clientX, y: event.clientY, candidates, drag: null, exclude: null };
+    // Pysäytä kameran kierto heti, jottei se ehdi liikkua ennen vetoa
+    if (typeof dragStateListener === 'function') { try { dragStateListener(true); } catch {} }
+  }
+
+  function _onPointerMove(event) {
+    if (!enabled) return;
+    if (pointer && !pointer.drag) {
+      if (Math.hypot(event.clientX - pointer.x, event.clientY - pointer.y) < DRAG_THRESHOLD_PX) return;
+      gestureMoved = true;
+      for (const c of pointer.candidates) {
+        if (!_isAllowed(c.action, c.ctx)) { pointer.candidates = []; break; }
+        let res = false;
+        try { res = c.drag.onStart ? c.drag.onStart({ ...c.ctx, perform, isAllowed: (a) => _isAllowed(a, null) }) : true; } catch (e) { console.warn('Drag start error', e); }
+        if (!res) continue;
+        pointer.drag = c.drag;
+        pointer.action = c.action;
+        if (res && res.isObject3D) {
+          const root = res;
+          pointer.exclude = (obj) => { for (let o = obj; o; o = o.parent) if (o === root) return true; return false; };
+        } else if (typeof res === 'function') {
+          pointer.exclude = res;
+        }
+        break;
+      }
+      if (!pointer.drag) { _endPointer(); return; }
+    }
+    if (pointer && pointer.drag) {
+      const ctx = _buildDragContext(event, _raycast(event));
+      try { pointer.drag.onMove && pointer.drag.onMove(ctx); } catch (e) { console.warn('Drag move error', e); }
+      _setHover(ctx.target.action, { dragging: true, source: pointer.action, object: ctx.target.object });
+      return;
+    }
+    // Pointer follower: plain moves only (a held button orbits the camera)
+    if (pointerFollower && !event.buttons) {
+      const width = window.innerWidth;
+      const height = window.innerHeight;
+      mouse.x = (event.clientX / width) * 2 - 1;
+      mouse.y = -(event.clientY / height) * 2 + 1;
+      raycaster.setFromCamera(mouse, camera);
+      try {
+        pointerFollower({
+          event,
+          raycaster,
+          mouse,
+          pointOnPlane: (planeY = 0) => {
+            followPlane.constant = -planeY;
+            return raycaster.ray.intersectPlane(followPlane, new THREE.Vector3());
+          }
+        });
+      } catch (e) { console.warn('Pointer follower error', e); }
+    }
+    // Hover (throttled)
+    const now = performance.now();
+    if (now - lastHoverAt < HOVER_INTERVAL_MS) return;
+    lastHoverAt = now;
+    const intersects = _raycast(event);
+    const top = _collectCandidates(event, intersects, [...handlers, ...dragHandlers])[0];
+    _setHover(top ? top.action : null, { dragging: false, object: top ? top.ctx.object : null });
+  }
+
+  function _onPointerUp(event) {
+    if (gestureMoved) {
+      // Liikkunut painallus ei ole klikkaus (myös hylätty veto)
+      gestureMoved = false;
+      suppressClick = true;
+      setTimeout(() => { suppressClick = false; }, 0);
+    }
+    if (!pointer) return;
+    if (pointer.drag) {
+      const ctx = _buildDragContext(event, _raycast(event));
+      try { pointer.drag.onDrop && pointer.drag.onDrop(ctx); } catch (e) { console.warn('Drag drop error', e); }
+      _setHover(null);
+    }
+    _endPointer();
+  }
+
+  function onPredicate(predicate, handler, { priority = 0, action = null } = {}) {
+    handlers.push({ predicate, handler, priority, action });
     return () => {
       const idx = handlers.findIndex(h => h.predicate === predicate && h.handler === handler);
       if (idx >= 0) handlers.splice(idx, 1);
     };
   }
 
-  function onName(name, handler, { priority = 0 } = {}) {
-    return onPredicate((ctx) => ctx.hasName(name), handler, { priority });
+  function onName(name, handler, { priority = 0, action = null } = {}) {
+    return onPredicate((ctx) => ctx.hasName(name), handler, { priority, action });
+  }
+
+  // Action with no scene object (e.g. a menu button): never matches a click, runs via perform() / trigger()
+  function onAction(action, handler, { priority = 0 } = {}) {
+    if (!action) return () => {};
+    return onPredicate(null, handler, { priority, action });
+  }
+
+  /**
+   * Register a drag handler for objects matching a name or predicate.
+   * @param {string|Function} nameOrPredicate
+   * @param {{ onStart?:Function, onMove?:Function, onDrop?:Function }} drag
+   */
+  function onDrag(nameOrPredicate, drag, { priority = 0, action = null } = {}) {
+    const predicate = typeof nameOrPredicate === 'function' ? nameOrPredicate : (ctx) => ctx.hasName(nameOrPredicate);
+    const entry = { predicate, drag: drag || {}, priority, action };
+    dragHandlers.push(entry);
+    return () => {
+      const idx = dragHandlers.indexOf(entry);
+      if (idx >= 0) dragHandlers.splice(idx, 1);
+    };
+  }
+
+  // Run the (highest priority) handler registered for an action without raycasting.
+  // Handlers receive a synthetic context with no clicked object; `names` can be given for ctx.hasName checks.
+  function trigger(action, { names = [] } = {}) {
+    const h = handlers
+      .filter(x => x.action === action)
+      .sort((a, b) => b.priority - a.priority)[0];
+    if (!h) return false;
+    const nameSet = new Set(names);
+    const ctx = {
+      event: null,
+      raycaster,
+      mouse,
+      intersects: [],
+      object: null,
+      point: null,
+      ancestors: [],
+      names: nameSet,
+      hasName: (name) => nameSet.has(name),
+      firstByName: () => null,
+      setInfo: (text) => {
+        const el = document.getElementById('info');
+        if (el) el.innerText = text;
+      }
+    };
+    try {
+      return h.handler(ctx) === true;
+    } catch (e) {
+      console.warn('Interaction handler error', e);
+      return false;
+    }
+  }
+
+  // trigger() for user-initiated actions outside clicks (drag & drop): respects the guard and is recorded
+  function perform(action, opts) {
+    if (!_isAllowed(action, null)) return false;
+    const ok = trigger(action, opts);
+    if (ok && typeof actionListener === 'function') {
+      try { actionListener(action); } catch {}
+    }
+    return ok;
+  }
+
+  function setHoverListener(fn) {
+    hoverListener = typeof fn === 'function' ? fn : null;
+  }
+
+  function setPointerFollower(fn) {
+    pointerFollower = typeof fn === 'function' ? fn : null;
+  }
+
+  function setDragStateListener(fn) {
+    dragStateListener = typeof fn === 'function' ? fn : null;
+  }
+
+  function setActionListener(fn) {
+    actionListener = typeof fn === 'function' ? fn : null;
+  }
+
+  function setActionGuard(fn) {
+    actionGuard = typeof fn === 'function' ? fn : null;
+  }
+
+  function setEnabled(on) {
+    enabled = !!on;
+    if (!enabled) { _endPointer(); _setHover(null); }
   }
 
   function attach() {
     if (attached) return;
     dom.addEventListener('click', _onClick);
+    // Capture phase: runs before OrbitControls so a drag can disable it before the camera starts rotating
+    dom.addEventListener('pointerdown', _onPointerDown, true);
+    dom.addEventListener('pointermove', _onPointerMove);
+    dom.addEventListener('pointerup', _onPointerUp);
+    dom.addEventListener('pointercancel', _endPointer);
     attached = true;
   }
 
   function dispose() {
     if (!attached) return;
     dom.removeEventListener('click', _onClick);
+    dom.removeEventListener('pointerdown', _onPointerDown, true);
+    dom.removeEventListener('pointermove', _onPointerMove);
+    dom.removeEventListener('pointerup', _onPointerUp);
+    dom.removeEventListener('pointercancel', _endPointer);
     attached = false;
   }
 
-  return { onPredicate, onName, attach, dispose };
+  return { onPredicate, onName, onAction, onDrag, attach, dispose, trigger, perform, setActionListener, setActionGuard, setHoverListener, setDragStateListener, setPointerFollower, setEnabled };
 }
@@ -0,0 +1,122 @@
+// Lab state snapshots (save / restore the whole lab)
+// ------------------------------------------------------------
+// Modules register a named part with save() -> JSON-able data and load(data) (may return a Promise).
+// A snapshot is { version, savedAt, parts: { <key>: data } }; parts are restored in registration order,
+// unknown keys are ignored and missing parts keep their current (reset) state.
+//
+//   const store = createLabStateStore();
+//   store.register('beaker', { save: () => beaker.getSnapshot(), load: (s) => beaker.restoreSnapshot(s) });
+//   store.saveToStorage('manual');             // localStorage
+//   await store.restore(store.loadFromStorage('manual'));
+//   store.download();                          // -> labratila-<aika>.json
+//   await store.restore(parseLabState(jsonText));
+
+export const LAB_STATE_VERSION = 1;
+const STORAGE_PREFIX = 'kaasulabra.tila.';
+
+export function createLabStateStore({ storage = (typeof window !== 'undefined' ? window.localStorage : null), prefix = STORAGE_PREFIX } = {}) {
+  const parts = []; // { key, save, load }
+
+  function register(key, { save, load } = {}) {
+    if (!key || typeof save !== 'function' || typeof load !== 'function') throw new Error(`Invalid lab state part: ${key}`);
+    const idx = parts.findIndex(p => p.key === key);
+    if (idx >= 0) parts.splice(idx, 1);
+    parts.push({ key, save, load });
+  }
+
+  function capture(meta = {}) {
+    const out = { version: LAB_STATE_VERSION, savedAt: new Date().toISOString(), ...meta, parts: {} };
+    for (const p of parts) {
+      try { out.parts[p.key] = p.save(); } catch (e) { console.warn('Lab state save failed', p.key, e); }
+    }
+    return out;
+  }
+
+  /**
+   * Restore a snapshot. Resolves with the list of restored part keys.
+   * @param {{ parts: Object }} snapshot
+   */
+  async function restore(snapshot) {
+    if (!snapshot || !snapshot.parts) return [];
+    const restored = [];
+    for (const p of parts) {
+      if (!(p.key in snapshot.parts)) continue;
+      try {
+        await p.load(snapshot.parts[p.key]);
+        restored.push(p.key);
+      } catch (e) {
+        console.warn('Lab state restore failed', p.key, e);
+      }
+    }
+    return restored;
+  }
+
+  function saveToStorage(slot = 'manual', meta = {}) {
+    if (!storage) return null;
+    const snap = capture({ slot, ...meta });
+    try {
+      storage.setItem(prefix + slot, JSON.stringify(snap));
+      return snap;
+    } catch (e) {
+      console.warn('Lab state storage failed', e);
+      return null;
+    }
+  }
+
+  function loadFromStorage(slot = 'manual') {
+    if (!storage) return null;
+    try {
+      const raw = storage.getItem(prefix + slot);
+      return raw ? parseLabState(raw) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Uusin tallennus annetuista paikoista (esim. käsin tallennettu vs. automaattinen)
+  function loadLatest(slots = ['manual', 'autosave']) {
+    return slots
+      .map(loadFromStorage)
+      .filter(Boolean)
+      .sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)))[0] || null;
+  }
+
+  function removeFromStorage(slot) {
+    try { storage && storage.removeItem(prefix + slot); } catch {}
+  }
+
+  function exportJSON(meta) {
+    return JSON.stringify(capture(meta));
+  }
+
+  function download(filename) {
+    const name = filename || `labratila-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    const blob = new Blob([exportJSON()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  return { register, capture, restore, saveToStorage, loadFromStorage, loadLatest, removeFromStorage, exportJSON, download };
+}
+
+/**
+ * Parse and validate a lab state JSON string (or object).
+ */
+export function parseLabState(input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!data || typeof data.parts !== 'object' || data.parts === null) throw new Error('Virheellinen tilatiedosto: parts puuttuu');
+  if (data.version !== LAB_STATE_VERSION) throw new Error(`Tuntematon tilaversio: ${data.version}`);
+  return data;
+}
+
+export async function loadLabStateFromUrl(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Tilatiedostoa ei löytynyt: ${url}`);
+  return parseLabState(await res.text());
+}
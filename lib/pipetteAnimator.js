@@ -3,9 +3,10 @@ import { runPipetteTransfer } from './pipettePath.js';
 
 // Animator for pipette/dropper related movements
 // Usage:
-//   const anim = createPipetteAnimator({ scene, dropperBottleGroup, bottleHeight, beakerGroup, beakerHeight, water, waterHeight, meniscus, meniscusUnder, beakerRadius, modelScale, addIndicatorAt, addDiffusionSource, refillPipetteLiquid });
+//   const anim = createPipetteAnimator({ scene, dropperBottleGroup, bottleHeight, beakerGroup, beakerHeight, water, waterHeight, getWaterSurfaceY, meniscus, meniscusUnder, beakerRadius, modelScale, addIndicatorAt, addDiffusionSource, refillPipetteLiquid });
 //   await anim.raise();
-//   await anim.transfer();
+//   await anim.transfer();                 // oletuslasiin
+//   await anim.transfer({ beakerGroup, beakerHeight, beakerRadius, water, getWaterSurfaceY, addIndicatorAt, addDiffusionSource }); // valittuun lasiin
 //   await anim.lower();
 export function createPipetteAnimator(deps) {
   const {
@@ -16,6 +17,7 @@ export function createPipetteAnimator(deps) {
     beakerHeight,
     water,
     waterHeight,
+    getWaterSurfaceY,
     meniscus,
     meniscusUnder,
     beakerRadius,
@@ -51,7 +53,8 @@ export function createPipetteAnimator(deps) {
     await tweenTo(assembly.position, { y: bottleHeight }, 300, TWEEN.Easing.Bounce.Out);
   }
 
-  function transfer() {
+  // target: kohdelasin kentät (korvaavat luonnissa annetut)
+  function transfer(target = {}) {
     return runPipetteTransfer({
       scene,
       dropperBottleGroup,
@@ -60,13 +63,15 @@ export function createPipetteAnimator(deps) {
       beakerHeight,
       water,
       waterHeight,
+      getWaterSurfaceY,
       meniscus,
       meniscusUnder,
       beakerRadius,
       modelScale,
       addIndicatorAt,
       addDiffusionSource,
-      refillPipetteLiquid
+      refillPipetteLiquid,
+      ...target
     });
   }
 
@@ -6,6 +6,7 @@ import { TIP_CLEARANCE_ABOVE_WATER, OBSTACLE_MARGIN, MOVE_UP_MS, MOVE_ACROSS_MS,
 // Inputs:
 // - scene, dropperBottleGroup, beakerGroup
 // - bottleHeight, beakerHeight, water, waterHeight, meniscus, meniscusUnder, beakerRadius
+// - getWaterSurfaceY (optional): live water level when the volume changes (else water.position.y + waterHeight / 2)
 // - modelScale, addIndicatorAt
 // - refillPipetteLiquid: function(mesh)
 // Behavior: Clone pipette assembly, follow safe path (up -> across -> hover drop -> back across -> down),
@@ -18,6 +19,7 @@ export function runPipetteTransfer({
   beakerHeight,
   water,
   waterHeight,
+  getWaterSurfaceY,
   meniscus,
   meniscusUnder,
   beakerRadius,
@@ -79,7 +81,8 @@ export function runPipetteTransfer({
     const tipObjForAim = animatedPipette.getObjectByName('tipEnd') || animatedPipette.getObjectByName('pipetteTip') || animatedPipette.getObjectByName('pipette');
     const tipStart = new THREE.Vector3();
     tipObjForAim.getWorldPosition(tipStart);
-    const desiredTipY = water.position.y + waterHeight / 2 + TIP_CLEARANCE_ABOVE_WATER;
+    const waterTopY = beakerWorldPos.y + (typeof getWaterSurfaceY === 'function' ? getWaterSurfaceY() : water.position.y + waterHeight / 2);
+    const desiredTipY = waterTopY + TIP_CLEARANCE_ABOVE_WATER;
     const deltaY = desiredTipY - tipStart.y;
     const targetPosition = new THREE.Vector3(beakerWorldPos.x, startPosition.y + deltaY, beakerWorldPos.z);
 
@@ -87,7 +90,7 @@ export function runPipetteTransfer({
     const bottleTopWorldY = dropperBottleGroup.position.y + bottleHeight;
     const beakerTopWorldY = beakerWorldPos.y + beakerHeight;
     const tipOffsetY = tipStart.y - animatedPipette.position.y; // usually negative
-    const obstacleTop = Math.max(bottleTopWorldY, beakerTopWorldY, water.position.y + waterHeight / 2 + 0.5);
+    const obstacleTop = Math.max(bottleTopWorldY, beakerTopWorldY, waterTopY + 0.5);
     const clearanceY = obstacleTop + OBSTACLE_MARGIN - tipOffsetY;
 
     const moveUpToClearance = new TWEEN.Tween(animatedPipette.position)
@@ -106,6 +109,7 @@ export function runPipetteTransfer({
           water,
           beakerGroup,
           waterHeight,
+          getWaterSurfaceY,
           beakerRadius,
           meniscus,
           meniscusUnder,
@@ -0,0 +1,262 @@
+import * as THREE from 'three';
+import { tweenTo, tweenQuatTo } from './animUtils.js';
+import { POUR_LIFT } from './constants.js';
+
+// Lasin kaato toiseen astiaan
+// - lift(beaker): lasi nousee pöydältä; carryTo(x, z) kuljettaa nostettua lasia vedossa
+// - pourInto(target, opts): lasi siirtyy kohteen viereen, kallistuu kohteen puolelle ja liuos valuu suihkuna
+//   kohteen veteen; osumakohdassa roiskeita ja väreitä (onImpact -> triggerRipple)
+// - Siirretty määrä raportoidaan onFlow(mL)-kutsuilla (dekantterilasi.pourOut -> receiveSolution)
+// Usage:
+//   const pour = createPourAnimator({ scene });
+//   await pour.lift(vesselA.beaker);
+//   const ml = await pour.pourInto(vesselB.beaker, { ml: 100, flowMlPerSec: 45, color, onFlow, onImpact });
+//   pour.update(dt);                   // per frame (roiskeet)
+export function createPourAnimator({ scene }) {
+  const UP = new THREE.Vector3(0, 1, 0);
+  const SPLASH_COUNT = 48;
+  const SPLASH_GRAVITY = 9.0;
+  const RIPPLE_INTERVAL_S = 0.3;
+
+  // Suihku (maailmakoordinaateissa, venytetään nokasta osumakohtaan)
+  const streamMat = new THREE.MeshStandardMaterial({ color: 0xcfe9ff, transparent: true, opacity: 0.6, roughness: 0.1, depthWrite: false });
+  const stream = new THREE.Mesh(new THREE.CylinderGeometry(0.045, 0.03, 1, 12, 1, true), streamMat);
+  stream.name = 'pourStream';
+  stream.visible = false;
+  scene.add(stream);
+
+  // Roiskeet: pisarat lentävät osumakohdasta ja putoavat takaisin veteen
+  const splashPos = new Float32Array(SPLASH_COUNT * 3);
+  const splashVel = new Float32Array(SPLASH_COUNT * 3);
+  const splashLife = new Float32Array(SPLASH_COUNT);
+  const splashFloor = new Float32Array(SPLASH_COUNT);
+  const splashGeo = new THREE.BufferGeometry();
+  splashGeo.setAttribute('position', new THREE.BufferAttribute(splashPos, 3));
+  const splashMat = new THREE.PointsMaterial({ color: 0xe0f2ff, size: 0.05, transparent: true, opacity: 0.8, depthWrite: false });
+  const splashes = new THREE.Points(splashGeo, splashMat);
+  splashes.name = 'pourSplashes';
+  splashes.frustumCulled = false;
+  splashes.visible = false;
+  scene.add(splashes);
+  let nextSplash = 0;
+
+  let lifted = null;   // { beaker, restPosition, restQuaternion }
+  let pouring = false;
+  let flowTween = null; // käynnissä oleva suihku (reset pysäyttää)
+
+  function spawnSplashes(at, count) {
+    for (let n = 0; n < count; n++) {
+      const i = nextSplash;
+      nextSplash = (nextSplash + 1) % SPLASH_COUNT;
+      const a = Math.random() * Math.PI * 2;
+      const sp = 0.4 + Math.random() * 0.8;
+      splashPos[i * 3] = at.x;
+      splashPos[i * 3 + 1] = at.y;
+      splashPos[i * 3 + 2] = at.z;
+      splashVel[i * 3] = Math.cos(a) * sp;
+      splashVel[i * 3 + 1] = 1.2 + Math.random() * 1.3;
+      splashVel[i * 3 + 2] = Math.sin(a) * sp;
+      splashLife[i] = 0.6;
+      splashFloor[i] = at.y;
+    }
+    splashes.visible = true;
+  }
+
+  // Per-frame: roiskepisaroiden lento (pisara katoaa pudotessaan takaisin pintaan)
+  function update(dt) {
+    if (!splashes.visible || !(dt > 0)) return;
+    let alive = 0;
+    for (let i = 0; i < SPLASH_COUNT; i++) {
+      if (splashLife[i] <= 0) continue;
+      splashLife[i] -= dt;
+      splashVel[i * 3 + 1] -= SPLASH_GRAVITY * dt;
+      splashPos[i * 3] += splashVel[i * 3] * dt;
+      splashPos[i * 3 + 1] += splashVel[i * 3 + 1] * dt;
+      splashPos[i * 3 + 2] += splashVel[i * 3 + 2] * dt;
+      if (splashPos[i * 3 + 1] < splashFloor[i]) splashLife[i] = 0;
+      if (splashLife[i] > 0) alive++;
+      // Kuollut pisara piiloon pinnan alle
+      else splashPos[i * 3 + 1] = splashFloor[i] - 10;
+    }
+    splashGeo.attributes.position.needsUpdate = true;
+    if (alive === 0) splashes.visible = false;
+  }
+
+  function setStream(fromWorld, toWorld) {
+    const d = new THREE.Vector3().subVectors(toWorld, fromWorld);
+    const len = Math.max(0.01, d.length());
+    stream.scale.set(1, len, 1);
+    stream.position.copy(fromWorld).addScaledVector(d, 0.5);
+    // Sylinterin akseli (+y) osoittaa osumakohdasta nokkaan
+    stream.quaternion.setFromUnitVectors(UP, d.multiplyScalar(-1 / len));
+    stream.visible = true;
+  }
+
+  /**
+   * Nosta lasi pöydältä (lepopaikka muistetaan palautusta varten).
+   * @param {Object} beaker createDekantterilasi(...)-olio
+   */
+  async function lift(beaker) {
+    if (lifted || pouring || !beaker) return false;
+    const group = beaker.beakerGroup;
+    lifted = { beaker, restPosition: group.position.clone(), restQuaternion: group.quaternion.clone() };
+    await tweenTo(group.position, { y: lifted.restPosition.y + POUR_LIFT }, 300, TWEEN.Easing.Quadratic.Out);
+    return true;
+  }
+
+  // Veto: nostettu lasi seuraa osoitinta vaakatasossa
+  function carryTo(x, z) {
+    if (!lifted || pouring) return;
+    lifted.beaker.beakerGroup.position.x = x;
+    lifted.beaker.beakerGroup.position.z = z;
+  }
+
+  // Reset kesken liikkeen: lasi takaisin lepoasentoon (kesken jäänyt tween on voinut siirtää sitä)
+  function aborted(run) {
+    if (lifted === run) return false;
+    run.beaker.beakerGroup.position.copy(run.restPosition);
+    run.beaker.beakerGroup.quaternion.copy(run.restQuaternion);
+    return true;
+  }
+
+  async function returnToRest() {
+    const run = lifted;
+    if (!run) return;
+    const { beaker, restPosition, restQuaternion } = run;
+    const group = beaker.beakerGroup;
+    const clearY = Math.max(group.position.y, restPosition.y + POUR_LIFT);
+    await tweenTo(group.position, { y: clearY }, 250, TWEEN.Easing.Quadratic.Out);
+    if (aborted(run)) return;
+    await Promise.all([
+      tweenTo(group.position, { x: restPosition.x, z: restPosition.z }, 650),
+      tweenQuatTo(group, restQuaternion, 650)
+    ]);
+    if (aborted(run)) return;
+    await tweenTo(group.position, { y: restPosition.y }, 300, TWEEN.Easing.Quadratic.In);
+    if (aborted(run)) return;
+    lifted = null;
+  }
+
+  /**
+   * Kaada nostetusta lasista kohdelasiin ja palauta lasi lepopaikalleen.
+   * Kallistus riippuu täytöstä: vajaata lasia on kallistettava enemmän, jotta pinta ulottuu nokkaan.
+   * @param {Object} target kohdelasi (createDekantterilasi-olio)
+   * @param {{ ml: number, flowMlPerSec: number, color?: number, onFlow: (ml: number, impactWorld: THREE.Vector3) => number,
+   *   onImpact?: (impactWorld: THREE.Vector3) => void }} opts onFlow palauttaa siirretyn määrän (0 = lähde tyhjä / kohde täynnä)
+   * @returns {Promise<number>} kaadettu määrä (mL)
+   */
+  async function pourInto(target, { ml = 100, flowMlPerSec = 45, color = 0xcfe9ff, onFlow, onImpact } = {}) {
+    if (!lifted || pouring || !target) return 0;
+    pouring = true;
+    const run = lifted;
+    const source = run.beaker;
+    const group = source.beakerGroup;
+    const R = source.beakerRadius;
+    const H = source.beakerHeight;
+    const targetBase = new THREE.Vector3();
+    target.beakerGroup.getWorldPosition(targetBase);
+    // Kaatosuunta vaakatasossa lähteestä kohteeseen
+    const dir = new THREE.Vector3(targetBase.x - group.position.x, 0, targetBase.z - group.position.z);
+    if (dir.lengthSq() < 1e-6) dir.set(1, 0, 0);
+    dir.normalize();
+    const tilt = THREE.MathUtils.clamp(Math.atan2(H - source.getWaterSurfaceY(), R) + 0.2, 0.45, 1.35);
+    // Hana (paikallinen +x) poispäin kohteesta, sitten kallistus akselin UP × dir ympäri (yläreuna kohti kohdetta)
+    const qYaw = new THREE.Quaternion().setFromAxisAngle(UP, Math.atan2(dir.z, -dir.x));
+    const axis = new THREE.Vector3().crossVectors(UP, dir).normalize();
+    const qPour = new THREE.Quaternion().setFromAxisAngle(axis, tilt).multiply(qYaw);
+    // Nokka = yläreunan piste kohteen puolella (paikallinen -x); se viedään kohteen reunan sisäpuolelle.
+    // Lasin kylki laskee nokasta cot(kallistus) vaakayksikköä kohden, joten nokka nostetaan niin ettei kylki osu kohteen reunaan.
+    const lipLocal = new THREE.Vector3(-R, H, 0);
+    const lipOffset = lipLocal.clone().applyQuaternion(qPour);
+    const inset = 0.45;
+    const lipY = targetBase.y + target.beakerHeight + Math.max(0.3, inset / Math.tan(tilt) + 0.15);
+    const lipX = targetBase.x - dir.x * (target.beakerRadius - inset);
+    const lipZ = targetBase.z - dir.z * (target.beakerRadius - inset);
+    const pourPos = new THREE.Vector3(lipX - lipOffset.x, lipY - lipOffset.y, lipZ - lipOffset.z);
+    const clearY = Math.max(group.position.y, pourPos.y, targetBase.y + target.beakerHeight + 0.3);
+    let poured = 0;
+    try {
+      await tweenTo(group.position, { y: clearY }, 250, TWEEN.Easing.Quadratic.Out);
+      if (aborted(run)) return poured;
+      await Promise.all([
+        tweenTo(group.position, { x: pourPos.x, z: pourPos.z }, 700),
+        tweenQuatTo(group, qYaw, 700)
+      ]);
+      if (aborted(run)) return poured;
+      await Promise.all([
+        tweenTo(group.position, { y: pourPos.y }, 600),
+        tweenQuatTo(group, qPour, 600)
+      ]);
+      if (aborted(run)) return poured;
+      // Suihku nokasta kohteen pintaan (hieman kaatosuuntaan), kunnes annos on siirretty tai lähde / kohde loppuu
+      streamMat.color.setHex(color);
+      const lipWorld = new THREE.Vector3(lipX, lipY, lipZ);
+      const impact = new THREE.Vector3(lipX + dir.x * 0.12, 0, lipZ + dir.z * 0.12);
+      const surfaceY = () => targetBase.y + (typeof target.getWaterSurfaceY === 'function' ? target.getWaterSurfaceY() : 0);
+      impact.y = surfaceY();
+      if (typeof onImpact === 'function') { try { onImpact(impact.clone()); } catch {} }
+      const flow = { ml: 0 };
+      let last = 0;
+      let sinceRipple = 0;
+      await new Promise((resolve) => {
+        const tween = flowTween = new TWEEN.Tween(flow)
+          .to({ ml }, Math.max(300, (ml / Math.max(1e-3, flowMlPerSec)) * 1000))
+          .easing(TWEEN.Easing.Linear.None)
+          .onUpdate(() => {
+            const step = flow.ml - last;
+            last = flow.ml;
+            if (!(step > 0)) return;
+            impact.y = surfaceY();
+            const moved = typeof onFlow === 'function' ? (onFlow(step, impact.clone()) || 0) : step;
+            poured += moved;
+            if (!(moved > 0)) { tween.stop(); return; }
+            setStream(lipWorld, impact);
+            spawnSplashes(impact, 2);
+            sinceRipple += step / Math.max(1e-3, flowMlPerSec);
+            if (sinceRipple >= RIPPLE_INTERVAL_S && typeof onImpact === 'function') {
+              sinceRipple = 0;
+              try { onImpact(impact.clone()); } catch {}
+            }
+          })
+          .onStop(() => { if (flowTween === tween) flowTween = null; resolve(); })
+          .onComplete(() => { if (flowTween === tween) flowTween = null; resolve(); })
+          .start();
+      });
+      stream.visible = false;
+      if (aborted(run)) return poured;
+      await tweenQuatTo(group, qYaw, 500);
+      if (aborted(run)) return poured;
+      await returnToRest();
+    } finally {
+      stream.visible = false;
+      if (lifted === run || !lifted) pouring = false;
+    }
+    return poured;
+  }
+
+  // Palauta heti lepoon (reset)
+  function reset() {
+    if (flowTween) { try { flowTween.stop(); } catch {} flowTween = null; }
+    if (lifted) {
+      lifted.beaker.beakerGroup.position.copy(lifted.restPosition);
+      lifted.beaker.beakerGroup.quaternion.copy(lifted.restQuaternion);
+    }
+    lifted = null;
+    pouring = false;
+    stream.visible = false;
+    splashLife.fill(0);
+    splashes.visible = false;
+  }
+
+  return {
+    lift,
+    carryTo,
+    returnToRest,
+    pourInto,
+    update,
+    reset,
+    getLifted: () => (lifted ? lifted.beaker : null),
+    isLifted: (beaker) => !!lifted && lifted.beaker === beaker,
+    isPouring: () => pouring
+  };
+}
@@ -19,11 +19,23 @@ import * as THREE from 'three';
  * Muut:
  *  - Swirl tyhjentää plumen (clearPlume kutsutaan diffusionista erillisessä logiikassa aikaisemmin) vähentämään visuaalista sotkua.
  *  - plumePerBurst on pienehkö (18) ja varsinainen hiukkasmäärä rajataan diffusion puolella spawnRate + maxActive parametreilla.
+ *
+ * Sekoitus:
+ *  - setStirField(field) liittää yhteisen sekoituskentän (lib/stirField.js). Kun sauva pyörittää vettä, pohjalle
+ *    asettunut jauhe seuraa virtausta ja alkaa liueta; liukeneminen etenee sekoituksen voimakkuuden mukaan
+ *    (seisovassa vedessä hitaasti), joten pidempi ja nopeampi sekoitus liuottaa nopeammin.
+ *  - startSwirl(...) on vanha ajastettu pyörre (käytössä vain ilman sekoituskenttää).
+ *
+ * Lämpötila:
+ *  - setTemperature(°C) skaalaa liukenemisnopeutta (Q10 ≈ 1.25 / 10 °C), rajattuna välille 0.5–3×:
+ *    25 -> 100 °C antaisi 1.25^7.5 ≈ 5.3×, mutta kerroin saavuttaa ylärajan 3× jo noin 74 °C:ssa.
+ *    dissolveDurationSec on annettu huoneenlämmössä; kuumassa vedessä jauhe katoaa nopeammin.
  */
 
 try { window.__POWDER_FILE_PATH = import.meta && import.meta.url ? import.meta.url : '(no import.meta.url)'; } catch {}
 // Powder particle system (batches of simple points) – haze & trail poistettu.
-// API: const powder = createPowder(scene, { count, size, color });
+// API: const powder = createPowder(scene, { count, size, color, getPostMixColorHex });
+// getPostMixColorHex: oman lasin sekoituksen jälkeinen väri plumeille (jokaisella lasilla oma jauhejärjestelmä)
 
 export function createPowder(scene, opts = {}) {
   const count = opts.count ?? 600;
@@ -33,6 +45,14 @@ export function createPowder(scene, opts = {}) {
   const defaultVelocityYRange = opts.velocityYRange ?? [-0.2, 0.25];
   const defaultRadialJitter = opts.radialJitter ?? 0.35;
   const batches = [];
+  let dissolveRate = 1.0; // liukenemisnopeuden kerroin veden lämpötilasta (1 = 25 °C)
+  let stirField = null;
+  const STIR_THRESHOLD = 0.05;       // sekoituskentän voimakkuus, jonka yli jauhe lähtee liikkeelle
+  const STIR_DISSOLVE_SEC = 2.0;     // liukenemisaika täydellä sekoituksella (25 °C)
+  const UNSTIRRED_DISSOLVE = 0.15;   // liukenemisnopeus seisovassa vedessä (osuus täydestä)
+  const FLOW_COUPLING = 4.0;         // 1/s, jauhe omaksuu veden nopeuden
+  const _p = new THREE.Vector3();
+  const _flow = new THREE.Vector3();
 
   // Trail/bloom poistettu → ei ylimääräistä Points-shaderia.
 
@@ -64,6 +84,7 @@ export function createPowder(scene, opts = {}) {
       swirlInward: 0.0,
   swirlDrag: 1.2,
   swirlDir: 1.0, // +1 = CCW, -1 = CW
+      fieldStirring: false, // sekoituskenttä (setStirField) liikuttaa jauhetta
       // Dissolve is independent of swirling so fade can continue after motion stops
       dissolveActive: false,
       dissolveElapsed: 0,
@@ -142,6 +163,30 @@ export function createPowder(scene, opts = {}) {
   const plumeRadiusJitter = 0.18;  // scatter around cluster center
   function setDiffusionManager(d) { diffusion = d; }
 
+  // Veden lämpötila (°C) -> liukenemisnopeus (Q10-sääntö, rajattu järkevälle välille)
+  function setTemperature(tempC) {
+    if (typeof tempC !== 'number' || !isFinite(tempC)) return;
+    dissolveRate = Math.min(3.0, Math.max(0.5, Math.pow(1.25, (tempC - 25) / 10)));
+  }
+
+  function setStirField(field) { stirField = field || null; }
+
+  // Sekoitus alkoi: pohjaplume häivytetään (kuten startSwirl) ja jauhe alkaa liueta
+  function beginFieldStir(b) {
+    const { state, material } = b;
+    state.fieldStirring = true;
+    if (!state.dissolveActive) {
+      state.dissolveActive = true;
+      state.dissolveElapsed = 0;
+      state.dissolveDurationSec = STIR_DISSOLVE_SEC;
+      material.opacity = 1.0;
+    }
+    try {
+      if (diffusion && typeof diffusion.disableBottomPlumes === 'function') diffusion.disableBottomPlumes({ clearExistingQueue: true });
+      if (diffusion && typeof diffusion.fadeOutBottomPlumes === 'function') diffusion.fadeOutBottomPlumes(2.0);
+    } catch {}
+  }
+
   function startSwirl({ centerWorld, durationSec = 1.4, strength = 0.35, inward = 0.08, drag = 1.2, dissolve = false, dissolveDurationSec = null, direction = 'ccw', bottomPlumeFadeSec = null } = {}) {
     for (const b of batches) {
       const { state, material, points } = b;
@@ -257,8 +302,15 @@ export function createPowder(scene, opts = {}) {
         }
       }
 
+      // Sekoituskenttä: liike alkaa kun pyörre on riittävän voimakas ja loppuu sen hiivuttua
+      const stirIntensity = stirField ? stirField.getIntensity() : 0;
+      if (stirField && !state.dropping && points.visible) {
+        if (!state.fieldStirring && stirIntensity > STIR_THRESHOLD) beginFieldStir(b);
+        else if (state.fieldStirring && stirIntensity <= STIR_THRESHOLD * 0.5) state.fieldStirring = false;
+      }
+
       // Swirl motion
-      if (!state.dropping && state.swirling) {
+      if (!state.dropping && (state.swirling || state.fieldStirring)) {
         const bottomY = state.bottomYWorld || 0;
         const eps = 0.01;
         const maxR = Math.max(0.0, state.beakerRadius - 0.06);
@@ -272,6 +324,8 @@ export function createPowder(scene, opts = {}) {
         const strength = state.swirlStrength * fade;
         const inward = state.swirlInward * fade;
         const drag = Math.max(0.0, state.swirlDrag);
+        const useField = state.fieldStirring;
+        const couple = 1 - Math.exp(-FLOW_COUPLING * dt);
         for (let i = 0; i < count; i++) {
           const worldY = points.position.y + positions[i * 3 + 1];
           if (worldY <= bottomY + eps) {
@@ -280,15 +334,22 @@ export function createPowder(scene, opts = {}) {
           }
           const worldX = points.position.x + positions[i * 3 + 0];
           const worldZ = points.position.z + positions[i * 3 + 2];
-          const dx = worldX - state.swirlCenterWorld.x;
-          const dz = worldZ - state.swirlCenterWorld.z;
-          const r = Math.hypot(dx, dz) + 1e-6;
-          // Tangent (CCW) = (-dz, dx); apply direction multiplier for CW inversion
-          const dirMul = state.swirlDir;
-          const tx = (-dz / r) * dirMul;
-          const tz = (dx / r) * dirMul;
-          velocities[i * 3 + 0] += (tx * strength - (dx / r) * inward) * dt;
-          velocities[i * 3 + 2] += (tz * strength - (dz / r) * inward) * dt;
+          if (useField) {
+            // Jauhe seuraa veden virtausta (pyörre + pohjan sisäänpäin suuntautuva virtaus)
+            stirField.velocityAtWorld(_p.set(worldX, points.position.y + positions[i * 3 + 1], worldZ), _flow);
+            velocities[i * 3 + 0] += (_flow.x - velocities[i * 3 + 0]) * couple;
+            velocities[i * 3 + 2] += (_flow.z - velocities[i * 3 + 2]) * couple;
+          } else {
+            const dx = worldX - state.swirlCenterWorld.x;
+            const dz = worldZ - state.swirlCenterWorld.z;
+            const r = Math.hypot(dx, dz) + 1e-6;
+            // Tangent (CCW) = (-dz, dx); apply direction multiplier for CW inversion
+            const dirMul = state.swirlDir;
+            const tx = (-dz / r) * dirMul;
+            const tz = (dx / r) * dirMul;
+            velocities[i * 3 + 0] += (tx * strength - (dx / r) * inward) * dt;
+            velocities[i * 3 + 2] += (tz * strength - (dz / r) * inward) * dt;
+          }
           positions[i * 3 + 0] += velocities[i * 3 + 0] * dt;
           positions[i * 3 + 2] += velocities[i * 3 + 2] * dt;
           const newWorldX = points.position.x + positions[i * 3 + 0];
@@ -305,20 +366,26 @@ export function createPowder(scene, opts = {}) {
             velocities[i * 3 + 0] *= 0.85;
             velocities[i * 3 + 2] *= 0.85;
           }
-          const damp = Math.exp(-drag * dt);
-          velocities[i * 3 + 0] *= damp;
-          velocities[i * 3 + 2] *= damp;
+          if (!useField) {
+            const damp = Math.exp(-drag * dt);
+            velocities[i * 3 + 0] *= damp;
+            velocities[i * 3 + 2] *= damp;
+          }
         }
         geometry.attributes.position.needsUpdate = true;
-        state.swirlElapsed += dt;
-        if (state.swirlElapsed >= state.swirlDuration) {
-          state.swirling = false;
+        if (state.swirling) {
+          state.swirlElapsed += dt;
+          if (state.swirlElapsed >= state.swirlDuration) {
+            state.swirling = false;
+          }
         }
       }
 
       // Dissolve fade independent of swirling
       if (state.dissolveActive) {
-        state.dissolveElapsed += dt;
+        // Sekoituskentän kanssa liukeneminen etenee sekoituksen voimakkuuden mukaan
+        const mix = (stirField && !state.swirling) ? Math.min(1.0, UNSTIRRED_DISSOLVE + stirIntensity) : 1.0;
+        state.dissolveElapsed += dt * dissolveRate * mix;
         const dur = Math.max(0.001, state.dissolveDurationSec || 1.0);
         const k = Math.min(1.0, state.dissolveElapsed / dur);
         const newOpacity = Math.max(0.0, 1.0 - k);
@@ -341,7 +408,7 @@ export function createPowder(scene, opts = {}) {
 
     // Emit diffusion plume sources from settled powder clusters near bottom (if diffusion present and not swirling)
     if (diffusion) {
-      let anySwirling = batches.some(b => b.state.swirling);
+      let anySwirling = batches.some(b => b.state.swirling || b.state.fieldStirring);
       if (!anySwirling) {
         plumeSpawnAccum += dt;
         if (plumeSpawnAccum >= plumeSpawnInterval) {
@@ -391,22 +458,12 @@ export function createPowder(scene, opts = {}) {
                 }
                 // Convert world coordinates of centroid to beaker-local (diffusion expects local XZ)
                 // Dynamic plume color: should match eventual mixed solution color.
-                // Simplified logic for BASE powder being added:
-                //  - If current solution is acidic (pHScore > 0) choose green (approaching neutralization)
-                //  - Otherwise (neutral or already basic) choose blue.
+                // The beaker knows the active indicator and resulting pH (getPostMixColorHex).
                 // If chem state unavailable, fall back to blue.
                 let reactionColor = 0x0b3c88; // blue (basic / neutral outcome)
                 try {
-                  const st = window.currentBeaker && typeof window.currentBeaker.getChemState === 'function'
-                    ? window.currentBeaker.getChemState() : null;
-                  if (st && typeof st.pHScore === 'number') {
-                    if (st.pHScore > 0.15) { // acidic threshold
-                      // Use same green as water's uGreenColor default (indicator acid-side transition toward neutral)
-                      reactionColor = 0x00b15a;
-                    } else {
-                      reactionColor = 0x0b3c88; // blue target for base/neutral
-                    }
-                  }
+                  const getColor = opts.getPostMixColorHex;
+                  if (typeof getColor === 'function') reactionColor = getColor();
                 } catch {}
                 diffusion.addBottomSource(lx, lz, plumePerBurst, {
                   color: reactionColor,
@@ -433,14 +490,57 @@ export function createPowder(scene, opts = {}) {
     }
   }
 
+  // Tallennettava tila: näkyvät erät (partikkelien paikat pyöristettynä, pohja ja lasin geometria)
+  function getSnapshot() {
+    return batches.filter(b => !b.state.dead && b.points.visible).map(b => ({
+      origin: b.points.position.toArray(),
+      positions: Array.from(b.positions, v => Math.round(v * 1000) / 1000),
+      opacity: b.material.opacity,
+      color: b.material.color.getHex(),
+      bottomYWorld: b.state.bottomYWorld,
+      waterSurfaceY: isFinite(b.state.waterSurfaceY) ? b.state.waterSurfaceY : null,
+      beakerCenterWorld: b.state.beakerCenterWorld.toArray(),
+      beakerRadius: b.state.beakerRadius
+    }));
+  }
+
+  // Palautus: erät jatkavat putoamista tallennetuista paikoista (pohjalla olevat pysyvät pohjalla)
+  function restoreSnapshot(list = []) {
+    clear();
+    for (const s of list) {
+      if (!s || !Array.isArray(s.positions) || s.positions.length !== count * 3) continue;
+      const b = makeBatch({});
+      batches.push(b);
+      b.positions.set(s.positions);
+      b.velocities.fill(0);
+      b.geometry.attributes.position.needsUpdate = true;
+      b.points.position.fromArray(s.origin || [0, 0, 0]);
+      b.points.visible = true;
+      b.material.opacity = typeof s.opacity === 'number' ? s.opacity : 1.0;
+      if (typeof s.color === 'number') b.material.color.setHex(s.color);
+      const st = b.state;
+      st.bottomYWorld = s.bottomYWorld || 0;
+      st.waterSurfaceY = typeof s.waterSurfaceY === 'number' ? s.waterSurfaceY : Infinity;
+      if (Array.isArray(s.beakerCenterWorld)) st.beakerCenterWorld.fromArray(s.beakerCenterWorld);
+      if (typeof s.beakerRadius === 'number') st.beakerRadius = s.beakerRadius;
+      st.enterNotified = true;
+      st.dropping = true;
+      st.dropElapsed = 0;
+    }
+  }
+
   return {
     hasPowder,
     clear,
     spawnAt,
     startSwirl,
     stopSwirl,
+    setStirField,
     update,
   setDiffusionManager,
+    setTemperature,
+    getSnapshot,
+    restoreSnapshot,
     // Removed haze-related API methods; keep placeholder for getActiveHazeCount returning 0
     setHazeColor: () => {},
     getActiveHazeCount: () => 0,
@@ -0,0 +1,291 @@
+import * as THREE from 'three';
+
+/**
+ * Sakka (precipitate) järjestelmä
+ * ------------------------------------------------------------
+ * Visualisoi kemian niukkaliukoiset suolat (CaSO3, CaCO3) partikkeleina dekantterilasin vedessä.
+ *  - sync(precipitates) vertaa kemian saostuneita ainemääriä (mol) partikkelimääriin:
+ *      * uusia partikkeleita ydintyy vesipatsaaseen (kaasu kohtaa Ca2+ -ionit) ja ne laskeutuvat pohjalle
+ *      * jos sakka liukenee (esim. happo), partikkelit häivytetään
+ *  - setStirField(field) liittää yhteisen sekoituskentän (lib/stirField.js): suspensio seuraa virtausta ja
+ *    riittävän voimakas pohjavirtaus nostaa laskeutuneen sakan takaisin suspensioon
+ *  - startSwirl(...) vanha ajastettu pyörre (ilman sekoituskenttää)
+ *  - getTurbidity() palauttaa suspensiossa olevien partikkelien osuuden (0..1) unified water -shaderille
+ *  - restoreSettled(precipitates) palauttaa tallennetun tilan: partikkelit suoraan pohjalle
+ *  - setWaterLevel(surfaceY) seuraa vaihtelevaa vesimäärää (täyttö / valutus)
+ *
+ * Kaikki koordinaatit ovat beakerGroupin paikallisia (pohja y=0, pinta y=waterSurfaceY).
+ */
+
+const KIND_COLORS = {
+  CaSO3: [0.96, 0.96, 0.93],
+  CaCO3: [1.0, 1.0, 1.0]
+};
+const PHASE_DEAD = 0, PHASE_SUSPENDED = 1, PHASE_SETTLED = 2, PHASE_DISSOLVING = 3;
+const RESUSPEND_SPEED = 0.3;   // pohjavirtauksen nopeus (yksikköä/s), jonka yli sakka alkaa nousta
+const FLOW_COUPLING = 3.0;     // 1/s, kuinka nopeasti partikkeli omaksuu veden nopeuden
+
+export function createPrecipitate({ beakerGroup, beakerRadius, waterSurfaceY, waterHeight, maxParticles = 1500, particlesPerMmol = 400, size = 0.028 } = {}) {
+  const kinds = Object.keys(KIND_COLORS);
+  const floorY = Math.max(0.0, waterSurfaceY - (waterHeight || waterSurfaceY)) + 0.012;
+  const maxR = Math.max(0.05, beakerRadius - 0.08);
+
+  const positions = new Float32Array(maxParticles * 3);
+  const velocities = new Float32Array(maxParticles * 3);
+  const colors = new Float32Array(maxParticles * 4);
+  const kindOf = new Int8Array(maxParticles).fill(-1);
+  const phase = new Uint8Array(maxParticles);
+  const counts = new Array(kinds.length).fill(0);   // elävät partikkelit lajeittain (ei liukenevia)
+  const pending = new Array(kinds.length).fill(0);  // ydintymistä odottavat
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 4));
+  const material = new THREE.PointsMaterial({ size, vertexColors: true, transparent: true, opacity: 0.95, depthWrite: false });
+  const points = new THREE.Points(geometry, material);
+  points.name = 'precipitateParticles';
+  points.frustumCulled = false;
+  points.renderOrder = 2.4;
+  beakerGroup.add(points);
+
+  const swirl = {
+    active: false,
+    elapsed: 0,
+    duration: 0,
+    strength: 0,
+    inward: 0,
+    drag: 1.0,
+    dir: 1.0,
+    centerLocal: new THREE.Vector3()
+  };
+  let turbidity = 0;
+  let stirField = null;
+  const flow = new THREE.Vector3();
+
+  function setStirField(field) { stirField = field || null; }
+
+  function freeIndex() {
+    for (let i = 0; i < maxParticles; i++) if (phase[i] === PHASE_DEAD) return i;
+    return -1;
+  }
+
+  function spawn(k) {
+    const i = freeIndex();
+    if (i < 0) return false;
+    const r = Math.sqrt(Math.random()) * maxR * 0.92;
+    const a = Math.random() * Math.PI * 2;
+    const j = i * 3;
+    positions[j] = Math.cos(a) * r;
+    positions[j + 1] = floorY + 0.1 + Math.random() * Math.max(0.05, waterSurfaceY - floorY - 0.2);
+    positions[j + 2] = Math.sin(a) * r;
+    velocities[j] = (Math.random() - 0.5) * 0.02;
+    velocities[j + 1] = -0.02 * Math.random();
+    velocities[j + 2] = (Math.random() - 0.5) * 0.02;
+    const c = KIND_COLORS[kinds[k]];
+    const jc = i * 4;
+    colors[jc] = c[0]; colors[jc + 1] = c[1]; colors[jc + 2] = c[2];
+    colors[jc + 3] = 0.0; // fade in
+    kindOf[i] = k;
+    phase[i] = PHASE_SUSPENDED;
+    counts[k]++;
+    return true;
+  }
+
+  // Liuota n partikkelia lajista k (suspensiossa olevat ensin)
+  function dissolve(k, n) {
+    for (const pref of [PHASE_SUSPENDED, PHASE_SETTLED]) {
+      for (let i = 0; i < maxParticles && n > 0; i++) {
+        if (kindOf[i] !== k || phase[i] !== pref) continue;
+        phase[i] = PHASE_DISSOLVING;
+        counts[k]--;
+        n--;
+      }
+    }
+  }
+
+  /**
+   * Synkronoi partikkelimäärät kemian sakkamääriin.
+   * @param {Object<string, number>} precipitates esim. { CaSO3: mol, CaCO3: mol }
+   */
+  function sync(precipitates = {}) {
+    const perKindCap = Math.floor(maxParticles / kinds.length);
+    kinds.forEach((name, k) => {
+      const mol = precipitates[name] || 0;
+      const target = Math.min(perKindCap, Math.round(mol * 1000 * particlesPerMmol));
+      const have = counts[k] + pending[k];
+      if (target > have) pending[k] += target - have;
+      else if (target < have) {
+        const drop = have - target;
+        const fromPending = Math.min(pending[k], drop);
+        pending[k] -= fromPending;
+        if (drop > fromPending) dissolve(k, drop - fromPending);
+      }
+    });
+  }
+
+  function startSwirl({ centerWorld, durationSec = 1.4, strength = 0.35, inward = 0.08, drag = 1.2, direction = 'ccw' } = {}) {
+    if (centerWorld) {
+      swirl.centerLocal.copy(centerWorld);
+      beakerGroup.worldToLocal(swirl.centerLocal);
+    } else {
+      swirl.centerLocal.set(0, 0, 0);
+    }
+    swirl.active = true;
+    swirl.elapsed = 0;
+    swirl.duration = Math.max(0.2, durationSec + 1.0);
+    swirl.strength = Math.max(0, strength);
+    swirl.inward = Math.max(0, inward);
+    swirl.drag = Math.max(0, drag);
+    swirl.dir = (direction === 'cw') ? -1.0 : 1.0;
+    // Pyörre nostaa pohjalle laskeutuneen sakan takaisin suspensioon
+    for (let i = 0; i < maxParticles; i++) {
+      if (phase[i] !== PHASE_SETTLED) continue;
+      phase[i] = PHASE_SUSPENDED;
+      velocities[i * 3 + 1] = (0.15 + Math.random() * 0.45) * swirl.strength * 2.0;
+    }
+  }
+
+  function update(dt) {
+    if (!(dt > 0)) return;
+    // Ydintyminen vähitellen (max ~60 partikkelia/s per laji)
+    const spawnBudget = Math.max(1, Math.round(60 * dt));
+    for (let k = 0; k < kinds.length; k++) {
+      let n = Math.min(pending[k], spawnBudget);
+      while (n > 0 && spawn(k)) { pending[k]--; n--; }
+    }
+
+    let strength = 0, inward = 0;
+    if (swirl.active) {
+      const T = Math.max(0.001, swirl.duration);
+      const t = swirl.elapsed;
+      const fade = t > T * 0.7 ? Math.max(0.0, 1.0 - (t - T * 0.7) / (T * 0.3)) : 1.0;
+      strength = swirl.strength * fade;
+      inward = swirl.inward * fade;
+      swirl.elapsed += dt;
+      if (swirl.elapsed >= swirl.duration) swirl.active = false;
+    }
+    const damp = Math.exp(-(swirl.active ? swirl.drag : 2.5) * dt);
+    const settleSpeed = 0.12; // terminaalinen laskeutumisnopeus (yksikköä/s)
+    const stirring = !!stirField && stirField.getOmega() !== 0;
+    const couple = 1 - Math.exp(-FLOW_COUPLING * dt);
+
+    let suspended = 0, alive = 0;
+    for (let i = 0; i < maxParticles; i++) {
+      const p = phase[i];
+      if (p === PHASE_DEAD) continue;
+      const j = i * 3, jc = i * 4;
+      if (p === PHASE_DISSOLVING) {
+        colors[jc + 3] -= dt * 0.8;
+        if (colors[jc + 3] <= 0.0) { colors[jc + 3] = 0.0; phase[i] = PHASE_DEAD; kindOf[i] = -1; }
+        continue;
+      }
+      alive++;
+      if (colors[jc + 3] < 1.0) colors[jc + 3] = Math.min(1.0, colors[jc + 3] + dt * 1.5);
+      if (p === PHASE_SETTLED) {
+        if (!stirring) continue;
+        // Pohjan virtaus nostaa sakkaa sitä todennäköisemmin mitä nopeampi se on
+        stirField.velocityAt(positions[j], positions[j + 1], positions[j + 2], flow);
+        const excess = Math.hypot(flow.x, flow.z) - RESUSPEND_SPEED;
+        if (excess <= 0 || Math.random() > excess * 2.0 * dt) continue;
+        phase[i] = PHASE_SUSPENDED;
+        velocities[j + 1] = 0.15 + Math.random() * 0.35;
+      }
+      suspended++;
+      if (strength > 0) {
+        const dx = positions[j] - swirl.centerLocal.x;
+        const dz = positions[j + 2] - swirl.centerLocal.z;
+        const r = Math.hypot(dx, dz) + 1e-6;
+        velocities[j] += ((-dz / r) * swirl.dir * strength - (dx / r) * inward) * dt;
+        velocities[j + 2] += ((dx / r) * swirl.dir * strength - (dz / r) * inward) * dt;
+      }
+      if (stirring) stirField.velocityAt(positions[j], positions[j + 1], positions[j + 2], flow);
+      else flow.set(0, 0, 0);
+      // Laskeutuminen kohti terminaalinopeutta (+ veden pystyvirtaus) + pieni Brownin liike
+      velocities[j + 1] += (flow.y - settleSpeed - velocities[j + 1]) * Math.min(1.0, 1.5 * dt);
+      velocities[j] += (Math.random() - 0.5) * 0.02 * dt;
+      velocities[j + 2] += (Math.random() - 0.5) * 0.02 * dt;
+      if (stirring) {
+        velocities[j] += (flow.x - velocities[j]) * couple;
+        velocities[j + 2] += (flow.z - velocities[j + 2]) * couple;
+      } else {
+        velocities[j] *= damp;
+        velocities[j + 2] *= damp;
+      }
+      positions[j] += velocities[j] * dt;
+      positions[j + 1] += velocities[j + 1] * dt;
+      positions[j + 2] += velocities[j + 2] * dt;
+      const top = waterSurfaceY - 0.02;
+      if (positions[j + 1] > top) { positions[j + 1] = top; velocities[j + 1] = 0; }
+      const r = Math.hypot(positions[j], positions[j + 2]);
+      if (r > maxR) {
+        const s = maxR / r;
+        positions[j] *= s; positions[j + 2] *= s;
+        velocities[j] *= 0.8; velocities[j + 2] *= 0.8;
+      }
+      if (positions[j + 1] <= floorY && velocities[j + 1] <= 0) {
+        positions[j + 1] = floorY + Math.random() * 0.01;
+        velocities[j] = velocities[j + 1] = velocities[j + 2] = 0;
+        phase[i] = PHASE_SETTLED;
+      }
+    }
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.color.needsUpdate = true;
+    points.visible = alive > 0 || pending.some(n => n > 0);
+
+    // Sameus: suspensiossa olevien partikkelien osuus, pehmeästi seuraten
+    const target = Math.min(1.0, (suspended / maxParticles) * 2.5);
+    turbidity += (target - turbidity) * Math.min(1.0, dt * 2.0);
+  }
+
+  // Tilan palautus: sakka on jo laskeutunut, joten partikkelit luodaan suoraan pohjalle
+  function restoreSettled(precipitates = {}) {
+    reset();
+    sync(precipitates);
+    for (let k = 0; k < kinds.length; k++) {
+      while (pending[k] > 0 && spawn(k)) pending[k]--;
+    }
+    for (let i = 0; i < maxParticles; i++) {
+      if (phase[i] !== PHASE_SUSPENDED) continue;
+      positions[i * 3 + 1] = floorY + Math.random() * 0.01;
+      velocities[i * 3] = velocities[i * 3 + 1] = velocities[i * 3 + 2] = 0;
+      colors[i * 4 + 3] = 1.0;
+      phase[i] = PHASE_SETTLED;
+    }
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.color.needsUpdate = true;
+    points.visible = counts.some(n => n > 0);
+  }
+
+  function getTurbidity() { return turbidity; }
+
+  // Vesimäärä muuttuu: suspensio pysyy pinnan alapuolella (pohja ei muutu)
+  function setWaterLevel(surfaceY) {
+    if (typeof surfaceY === 'number' && isFinite(surfaceY)) waterSurfaceY = Math.max(floorY + 0.05, surfaceY);
+  }
+
+  function getCounts() {
+    const out = {};
+    kinds.forEach((name, k) => { out[name] = counts[k]; });
+    return out;
+  }
+
+  function reset() {
+    phase.fill(PHASE_DEAD);
+    kindOf.fill(-1);
+    colors.fill(0);
+    counts.fill(0);
+    pending.fill(0);
+    swirl.active = false;
+    turbidity = 0;
+    geometry.attributes.color.needsUpdate = true;
+    points.visible = false;
+  }
+
+  function dispose() {
+    if (points.parent) points.parent.remove(points);
+    geometry.dispose();
+    material.dispose();
+  }
+
+  return { sync, startSwirl, setStirField, update, getTurbidity, setWaterLevel, getCounts, reset, restoreSettled, dispose, points };
+}
@@ -0,0 +1,227 @@
+/**
+ * Reagenssikatalogi (kaasut, kiinteät aineet ja byretin mittaliuokset)
+ * ------------------------------------------------------------
+ * Yksi paikka, josta valikot, kaasupullon tarra, jauheiden värit ja kemia lukevat aineen tiedot.
+ * Uusi aine lisätään tähän; jos se tuo uuden ionin, ionin happo–emäs-data lisätään chemistry.js:n
+ * taulukoihin (ACID_SYSTEMS / STRONG_ANIONS / CATIONS).
+ *
+ * Kentät:
+ *  - kind       : 'gas' | 'solid' | 'solution' (mittaliuos byretissä; pitoisuus valitaan täytettäessä)
+ *  - formula    : näyttömuoto (alaindeksit), name: suomenkielinen nimi
+ *  - color      : kaasuilla pullon olkapään tunnusväri (EN 1089-3), kiinteillä jauheen väri, liuoksilla nesteen sävy
+ *  - gasColor   : (kaasut) itse kaasun väri lasin kaasutilassa (NO₂ ruskea); puuttuu värittömältä kaasulta
+ *  - cylinder   : (kaasut) pullon runko (body) ja olkapään toinen vaara-väri (band: punainen = palava,
+ *                 vaaleansininen = hapettava), ks. kaasupullo.js
+ *  - molarMass  : g/mol
+ *  - behavior   : 'acid' | 'base' | 'amphoteric' | 'neutral' (happo–emäs-luonne vedessä)
+ *  - components : kemian komponentit (mol) yhtä liuennutta moolia kohden, ks. chemistry.js
+ *  - reactions  : reaktioyhtälöt näytettäväksi
+ *  - solubility : (kaasut) henry (mol/L/atm), transfer (massansiirto, dimensioton), dissolved (kyllästyvä
+ *                 neutraali laji tai null jos reagoi kokonaan), vantHoff (K), ks. gasFlow.js
+ */
+
+export const REAGENTS = {
+  O2: {
+    kind: 'gas',
+    formula: 'O₂',
+    name: 'Happi',
+    color: 0xf5f5f5,
+    cylinder: { body: 0x1f2937 },
+    molarMass: 32.00,
+    behavior: 'neutral',
+    components: {},
+    reactions: [],
+    solubility: { henry: 1.3e-3, transfer: 0.02, dissolved: null, vantHoff: 1700 }
+  },
+  CO2: {
+    kind: 'gas',
+    formula: 'CO₂',
+    name: 'Hiilidioksidi',
+    color: 0x6b7280,
+    cylinder: { body: 0x6b7280 },
+    molarMass: 44.01,
+    behavior: 'acid',
+    components: { carbonate: 1 },
+    reactions: ['CO₂ + H₂O ⇌ H₂CO₃', 'H₂CO₃ ⇌ H⁺ + HCO₃⁻'],
+    solubility: { henry: 3.4e-2, transfer: 0.15, dissolved: 'H2CO3', vantHoff: 2400 }
+  },
+  SO2: {
+    kind: 'gas',
+    formula: 'SO₂',
+    name: 'Rikkidioksidi',
+    color: 0xeab308,
+    cylinder: { body: 0x374151 },
+    molarMass: 64.07,
+    behavior: 'acid',
+    components: { sulfite: 1 },
+    reactions: ['SO₂ + H₂O ⇌ H₂SO₃', 'H₂SO₃ ⇌ H⁺ + HSO₃⁻'],
+    solubility: { henry: 1.23, transfer: 2.5, dissolved: 'H2SO3', vantHoff: 3100 }
+  },
+  NO2: {
+    kind: 'gas',
+    formula: 'NO₂',
+    name: 'Typpidioksidi',
+    color: 0xca8a04,
+    gasColor: 0x9a3412,
+    cylinder: { body: 0x374151, band: 0x60a5fa },
+    molarMass: 46.01,
+    behavior: 'acid',
+    // 2 NO2 + H2O -> HNO2 + HNO3
+    components: { nitrite: 0.5, nitrate: 0.5 },
+    reactions: ['2 NO₂ + H₂O → HNO₂ + HNO₃'],
+    solubility: { henry: 1.2e-2, transfer: 0.6, dissolved: null, vantHoff: 2500 }
+  },
+  NH3: {
+    kind: 'gas',
+    formula: 'NH₃',
+    name: 'Ammoniakki',
+    color: 0xfacc15,
+    cylinder: { body: 0x374151, band: 0xdc2626 },
+    molarMass: 17.03,
+    behavior: 'base',
+    components: { ammonium: 1 },
+    reactions: ['NH₃ + H₂O ⇌ NH₄⁺ + OH⁻'],
+    solubility: { henry: 59, transfer: 3.0, dissolved: 'NH3', vantHoff: 4200 }
+  },
+  HCl: {
+    kind: 'gas',
+    formula: 'HCl',
+    name: 'Vetykloridi',
+    color: 0xfde047,
+    cylinder: { body: 0x374151 },
+    molarMass: 36.46,
+    behavior: 'acid',
+    components: { chloride: 1 },
+    reactions: ['HCl + H₂O → H₃O⁺ + Cl⁻'],
+    solubility: { henry: 1.9, transfer: 4.0, dissolved: null, vantHoff: 600 }
+  },
+  CaO: {
+    kind: 'solid',
+    formula: 'CaO',
+    name: 'Kalsiumoksidi',
+    color: 0xffffff,
+    molarMass: 56.08,
+    behavior: 'base',
+    components: { Ca: 1 },
+    reactions: ['CaO + H₂O → Ca²⁺ + 2 OH⁻']
+  },
+  Na2O: {
+    kind: 'solid',
+    formula: 'Na₂O',
+    name: 'Natriumoksidi',
+    color: 0xfff2a8,
+    molarMass: 61.98,
+    behavior: 'base',
+    components: { Na: 2 },
+    reactions: ['Na₂O + H₂O → 2 Na⁺ + 2 OH⁻']
+  },
+  MgO: {
+    kind: 'solid',
+    formula: 'MgO',
+    name: 'Magnesiumoksidi',
+    color: 0xf7f7f7,
+    molarMass: 40.30,
+    behavior: 'base',
+    components: { Mg: 1 },
+    reactions: ['MgO + H₂O → Mg²⁺ + 2 OH⁻']
+  },
+  CaOH2: {
+    kind: 'solid',
+    formula: 'Ca(OH)₂',
+    name: 'Kalsiumhydroksidi',
+    color: 0xfafafa,
+    molarMass: 74.09,
+    behavior: 'base',
+    components: { Ca: 1 },
+    reactions: ['Ca(OH)₂ → Ca²⁺ + 2 OH⁻']
+  },
+  NaHCO3: {
+    kind: 'solid',
+    formula: 'NaHCO₃',
+    name: 'Natriumvetykarbonaatti',
+    color: 0xfdfdfb,
+    molarMass: 84.01,
+    behavior: 'amphoteric',
+    components: { Na: 1, carbonate: 1 },
+    reactions: ['NaHCO₃ → Na⁺ + HCO₃⁻', 'HCO₃⁻ + H⁺ ⇌ H₂CO₃ → CO₂ + H₂O']
+  },
+  HClaq: {
+    kind: 'solution',
+    formula: 'HCl',
+    name: 'Suolahappo',
+    color: 0xeef6ff,
+    molarMass: 36.46,
+    behavior: 'acid',
+    components: { chloride: 1 },
+    reactions: ['HCl + H₂O → H₃O⁺ + Cl⁻', 'H₃O⁺ + OH⁻ → 2 H₂O']
+  },
+  CH3COOHaq: {
+    kind: 'solution',
+    formula: 'CH₃COOH',
+    name: 'Etikkahappo',
+    color: 0xf3f7ff,
+    molarMass: 60.05,
+    behavior: 'acid',
+    components: { acetate: 1 },
+    reactions: ['CH₃COOH + H₂O ⇌ H₃O⁺ + CH₃COO⁻']
+  },
+  NaOHaq: {
+    kind: 'solution',
+    formula: 'NaOH',
+    name: 'Natriumhydroksidi',
+    color: 0xf5f9ff,
+    molarMass: 40.00,
+    behavior: 'base',
+    components: { Na: 1 },
+    reactions: ['NaOH → Na⁺ + OH⁻', 'H₃O⁺ + OH⁻ → 2 H₂O']
+  },
+  NH3aq: {
+    kind: 'solution',
+    formula: 'NH₃',
+    name: 'Ammoniakkivesi',
+    color: 0xf1f7fb,
+    molarMass: 17.03,
+    behavior: 'base',
+    components: { ammonium: 1 },
+    reactions: ['NH₃ + H₂O ⇌ NH₄⁺ + OH⁻']
+  }
+};
+
+export const DEFAULT_GAS = 'O2';
+export const DEFAULT_SOLID = 'CaO';
+export const DEFAULT_TITRANT = 'HClaq';
+
+/**
+ * Aineen tiedot tunnuksella (REAGENTS-avain).
+ * @param {string} id
+ * @returns {Object|null} { id, kind, formula, name, ... } tai null tuntemattomalle
+ */
+export function getReagent(id) {
+  const r = REAGENTS[id];
+  return r ? { id, ...r } : null;
+}
+
+/**
+ * Katalogin aineet lajeittain määrittelyjärjestyksessä (valikot).
+ * @param {'gas'|'solid'|'solution'} [kind]
+ */
+export function listReagents(kind) {
+  return Object.keys(REAGENTS).filter(id => !kind || REAGENTS[id].kind === kind).map(getReagent);
+}
+
+// Näyttönimi valikoihin ja ilmoituksiin, esim. "Rikkidioksidi (SO₂)"
+export function reagentLabel(id) {
+  const r = REAGENTS[id];
+  return r ? `${r.name} (${r.formula})` : String(id);
+}
+
+// Aineen väri (hex); tuntemattomalle valkoinen
+export function reagentColor(id) {
+  return REAGENTS[id] ? REAGENTS[id].color : 0xffffff;
+}
+
+// Kaasun oma väri (hex) tai null värittömälle
+export function reagentGasColor(id) {
+  const r = REAGENTS[id];
+  return r && typeof r.gasColor === 'number' ? r.gasColor : null;
+}
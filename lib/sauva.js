@@ -5,8 +5,14 @@ import { tweenTo, tweenQuatTo } from './animUtils.js';
 // API:
 //   const sauva = createSauva(scene);
 //   sauva.placeOnTable(pos, { yaw, tiltX, tiltZ });
-//   await runSauvaSequence({ sauva, beakerGroup, beakerRadius, waterSurfaceY, durationSec });
+//   await runSauvaSequence({ sauva, beakerGroup, beakerRadius, waterSurfaceY, beakerHeight, durationSec });
+//   (waterSurfaceY = current water level and beakerHeight in beakerGroup-local y; beakerHeight defaults to the old
+//   half-full assumption waterSurfaceY * 2. The beaker may stand on something, e.g. the hot plate.)
 //   sauva.update(dt);
+//   sauva.getTipWorld(target);   // rod's lower end in world space (drives the beaker's stirring field)
+//   await startSauvaFreeStir({ sauva, beakerGroup, beakerRadius, waterSurfaceY, beakerHeight });
+//   sauva.stirTo(worldPoint);     // free-form stirring: rod follows the pointer inside the beaker
+//   await finishSauvaFreeStir({ sauva });
 
 export function createSauva(scene) {
     const sauvaGroup = new THREE.Group();
@@ -35,6 +41,8 @@ export function createSauva(scene) {
         restPosition: new THREE.Vector3(),
         restQuaternion: new THREE.Quaternion(),
         stirring: false,
+        freeStirring: false, // interactive stirring: rod follows stirTo() targets inside the beaker
+        freeStir: null,
         stirElapsed: 0,
         stirDuration: 0,
         // stirring parameters
@@ -49,6 +57,8 @@ export function createSauva(scene) {
     function placeOnTable(position, optionsOrYaw = 0) {
         const opts = (typeof optionsOrYaw === 'number') ? { yaw: optionsOrYaw } : (optionsOrYaw || {});
         const yaw = opts.yaw || 0;
+        state.freeStirring = false;
+        state.freeStir = null;
         const tiltX = opts.tiltX ?? 0; // small pitch tweak
         const tiltZ = opts.tiltZ ?? 0; // small roll tweak
         sauvaGroup.position.copy(position);
@@ -67,7 +77,59 @@ export function createSauva(scene) {
         sauvaGroup.getWorldQuaternion(state.restQuaternion);
     }
 
+    // Free-form stirring: the rod follows the pointer target (critically damped, speed-limited, leans into the motion)
+    const FOLLOW_OMEGA = 18;      // 1/s
+    const MAX_ROD_SPEED = 8;      // units/s
+    const _leanAxis = new THREE.Vector3();
+    const _qLean = new THREE.Quaternion();
+    const _up = new THREE.Vector3(0, 1, 0);
+
+    // Target for the rod centre line (world point; only x/z are used, clamped inside the beaker)
+    function stirTo(point) {
+        const fs = state.freeStir;
+        if (!state.freeStirring || !fs || !point) return;
+        let dx = point.x - fs.center.x;
+        let dz = point.z - fs.center.z;
+        const r = Math.hypot(dx, dz);
+        if (r > fs.maxR) { dx *= fs.maxR / r; dz *= fs.maxR / r; }
+        fs.target.set(fs.center.x + dx, fs.center.y, fs.center.z + dz);
+    }
+
+    function updateFreeStir(dt) {
+        const fs = state.freeStir;
+        const pos = sauvaGroup.position;
+        const v = fs.velocity;
+        const k = FOLLOW_OMEGA;
+        // Substeps keep the spring stable on slow frames
+        const n = Math.min(8, Math.ceil(dt * 120));
+        const h = dt / n;
+        for (let i = 0; i < n; i++) {
+            v.x += (k * k * (fs.target.x - pos.x) - 2 * k * v.x) * h;
+            v.z += (k * k * (fs.target.z - pos.z) - 2 * k * v.z) * h;
+            const sp = Math.hypot(v.x, v.z);
+            if (sp > MAX_ROD_SPEED) { v.x *= MAX_ROD_SPEED / sp; v.z *= MAX_ROD_SPEED / sp; }
+            pos.x += v.x * h;
+            pos.z += v.z * h;
+        }
+        const speed = Math.hypot(v.x, v.z);
+        // Stay inside the glass even when overshooting
+        const dx = pos.x - fs.center.x, dz = pos.z - fs.center.z;
+        const r = Math.hypot(dx, dz);
+        if (r > fs.maxR) { pos.x = fs.center.x + dx * fs.maxR / r; pos.z = fs.center.z + dz * fs.maxR / r; }
+        pos.y = fs.center.y;
+        // Top of the rod trails behind the tip (water drag)
+        const lean = Math.min(0.1, speed * 0.02);
+        if (speed > 1e-3) {
+            _leanAxis.set(v.x, 0, v.z).cross(_up).normalize();
+            _qLean.setFromAxisAngle(_leanAxis, lean);
+            sauvaGroup.quaternion.copy(_qLean).multiply(fs.upright);
+        } else {
+            sauvaGroup.quaternion.slerp(fs.upright, Math.min(1, dt * 6));
+        }
+    }
+
     function update(dt) {
+        if (state.freeStirring && state.freeStir && dt > 0) { updateFreeStir(dt); return; }
         if (!state.stirring) return;
         state.stirElapsed += dt;
         // Spin around pivot Y
@@ -96,6 +158,13 @@ export function createSauva(scene) {
         }
     }
 
+    // Lower end of the rod (the part that moves the water)
+    const tipLocal = new THREE.Vector3(0, -LENGTH / 2, 0);
+    function getTipWorld(target = new THREE.Vector3()) {
+        rod.updateWorldMatrix(true, false);
+        return rod.localToWorld(target.copy(tipLocal));
+    }
+
     function select() {
         if (state.isAnimating) return false;
         if (state.isSelected) return true;
@@ -125,44 +194,72 @@ export function createSauva(scene) {
             .then(() => { state.isAnimating = false; state.pendingReturn = false; return true; });
     }
 
-    return { sauvaGroup, rod, placeOnTable, update, state, stirPivot, select, returnToRest };
+    return { sauvaGroup, rod, placeOnTable, update, getTipWorld, stirTo, state, stirPivot, select, returnToRest };
+}
+
+// Rod from the table upright into the beaker (steps shared by the canned and the free-form stir)
+function moveIntoBeaker({ sauva, beakerGroup, waterSurfaceY, beakerHeight }) {
+    const { sauvaGroup } = sauva;
+    const beakerWorld = new THREE.Vector3();
+    beakerGroup.getWorldPosition(beakerWorld);
+    const beakerCenterXZ = { x: beakerWorld.x, z: beakerWorld.z };
+    // Ensure travel height clears the beaker rim noticeably to avoid sidewall intersection
+    const beakerTopY = beakerWorld.y + (beakerHeight ?? waterSurfaceY * 2.0);
+    const baseSafe = Math.max(sauvaGroup.position.y + 0.8, beakerWorld.y + waterSurfaceY + 1.2);
+    const safeY = Math.max(baseSafe, beakerTopY + 2.3); // go above rim by 0.3
+    // Immersion depth follows the water level, but the rod tip never goes below the beaker bottom
+    const rodHalf = (sauva.rod?.geometry?.parameters?.height || 3.2) / 2;
+    const insertY = beakerWorld.y + Math.max(waterSurfaceY + 0.35, rodHalf);
+
+    const easeInOut = TWEEN.Easing.Quadratic.InOut;
+    const easeOut = TWEEN.Easing.Quadratic.Out;
+    const tweenPos = (to, dur, ease) => tweenTo(sauvaGroup.position, to, dur, ease);
+    // 1) Rotate upright first (preserving current yaw)
+    const qVertical = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, sauvaGroup.rotation.y, 0));
+    return tweenQuatTo(sauvaGroup, qVertical, 350, easeInOut)
+        // 2) Rise up to safe height
+        .then(() => tweenPos({ y: safeY }, 300, easeOut))
+        // 3) Move above beaker (no intersection with glass)
+        .then(() => tweenPos({ x: beakerCenterXZ.x, z: beakerCenterXZ.z }, 650, easeInOut))
+        // 4) Lower into liquid
+        .then(() => tweenPos({ y: insertY }, 350, easeOut))
+        .then(() => ({ beakerCenterXZ, safeY, insertY, qVertical, surfaceWorldY: beakerWorld.y + waterSurfaceY }));
+}
+
+// Lift out of the beaker and put the rod back to its rest pose on the table
+function moveBackToRest({ sauva, safeY }) {
+    const { sauvaGroup, state } = sauva;
+    const easeInOut = TWEEN.Easing.Quadratic.InOut;
+    const easeOut = TWEEN.Easing.Quadratic.Out;
+    const tweenPos = (to, dur, ease) => tweenTo(sauvaGroup.position, to, dur, ease);
+    // 6) Lift out to safe height
+    return tweenPos({ y: safeY }, 350, easeOut)
+        .then(() => {
+            // Signal powder system to stop swirl/dissolve (water returns to unstirred)
+            try { (window._vessels?.list?.() || []).forEach(v => v.powder?.stopSwirl?.()); } catch {}
+        })
+        // 7) Move back above original rest position
+        .then(() => tweenPos({ x: state.restPosition.x, z: state.restPosition.z }, 700, easeInOut))
+        // 8) Rotate back to rest orientation
+        .then(() => tweenQuatTo(sauvaGroup, state.restQuaternion, 350, easeInOut))
+        // 9) Lower to table
+        .then(() => tweenPos({ y: state.restPosition.y }, 300, easeOut));
 }
 
 // Move rod from table to beaker and start stirring animation
-export function runSauvaSequence({ sauva, beakerGroup, beakerRadius, waterSurfaceY, durationSec = 5 }) {
+export function runSauvaSequence({ sauva, beakerGroup, beakerRadius, waterSurfaceY, beakerHeight, durationSec = 5 }) {
     return new Promise((resolve) => {
         if (!sauva || sauva.state.isAnimating) return resolve();
         const { sauvaGroup, stirPivot, state } = sauva;
         state.isAnimating = true;
-
-        // Targets
-        const beakerWorld = new THREE.Vector3();
-        beakerGroup.getWorldPosition(beakerWorld);
-        const beakerCenterXZ = { x: beakerWorld.x, z: beakerWorld.z };
-        // Ensure travel height clears the beaker rim noticeably to avoid sidewall intersection
-        const beakerTopY = waterSurfaceY * 2.0;
-        const baseSafe = Math.max(sauvaGroup.position.y + 0.8, waterSurfaceY + 1.2);
-        const safeY = Math.max(baseSafe, beakerTopY + 2.3); // go above rim by 0.3
-        const insertY = waterSurfaceY + 0.35; // immersion depth
-
-        // Easing helpers
-        const easeInOut = TWEEN.Easing.Quadratic.InOut;
-        const easeOut = TWEEN.Easing.Quadratic.Out;
         const easeLinear = (k) => k;
-        const tweenPos = (to, dur, ease) => tweenTo(sauvaGroup.position, to, dur, ease);
-
-        // 1) Rotate upright first (preserving current yaw)
-        const qVertical = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, sauvaGroup.rotation.y, 0));
-
-    tweenQuatTo(sauvaGroup, qVertical, 350, easeInOut)
-            // 2) Rise up to safe height
-            .then(() => tweenPos({ y: safeY }, 300, easeOut))
-            // 3) Move above beaker (no intersection with glass)
-            .then(() => tweenPos({ x: beakerCenterXZ.x, z: beakerCenterXZ.z }, 650, easeInOut))
-            // 4) Lower into liquid
-            .then(() => tweenPos({ y: insertY }, 350, easeOut))
+        let safeY = 0;
+
+        moveIntoBeaker({ sauva, beakerGroup, waterSurfaceY, beakerHeight })
             // 5) Stir exactly two fast rotations with slight tilt and top-end circle
-            .then(() => new Promise((res) => {
+            .then((placed) => new Promise((res) => {
+                safeY = placed.safeY;
+                const { beakerCenterXZ, insertY } = placed;
                 // Prepare pivot at beaker center
                 stirPivot.position.set(beakerCenterXZ.x, insertY, beakerCenterXZ.z);
                 stirPivot.rotation.set(0, 0, 0);
@@ -189,7 +286,7 @@ export function runSauvaSequence({ sauva, beakerGroup, beakerRadius, waterSurfac
                 // Spin pivot: 2 full turns
                 const startYRot = stirPivot.rotation.y;
                 const targetYRot = startYRot + Math.PI * 4; // two rotations
-                const tween = new TWEEN.Tween(stirPivot.rotation)
+                new TWEEN.Tween(stirPivot.rotation)
                     .to({ y: targetYRot }, 1200)
                     .easing(easeLinear)
                     .onComplete(() => {
@@ -210,18 +307,7 @@ export function runSauvaSequence({ sauva, beakerGroup, beakerRadius, waterSurfac
                     })
                     .start();
             }))
-            // 6) Lift out to safe height
-            .then(() => tweenPos({ y: safeY }, 350, easeOut))
-            .then(() => {
-                // Signal powder system to stop swirl/dissolve (water returns to unstirred)
-                try { if (window && window._powder && typeof window._powder.stopSwirl === 'function') window._powder.stopSwirl(); } catch {}
-            })
-            // 7) Move back above original rest position
-            .then(() => tweenPos({ x: state.restPosition.x, z: state.restPosition.z }, 700, easeInOut))
-            // 8) Rotate back to rest orientation
-            .then(() => tweenQuatTo(sauvaGroup, state.restQuaternion, 350, easeInOut))
-            // 9) Lower to table
-            .then(() => tweenPos({ y: state.restPosition.y }, 300, easeOut))
+            .then(() => moveBackToRest({ sauva, safeY }))
             .then(() => {
                 state.isAnimating = false;
                 state.isSelected = false;
@@ -230,11 +316,53 @@ export function runSauvaSequence({ sauva, beakerGroup, beakerRadius, waterSurfac
     });
 }
 
+// Free-form stirring: the rod goes into the beaker and then follows the student's pointer (sauva.stirTo)
+// until finishSauvaFreeStir lifts it out. The rod tip drives the beaker's stirring field like any other motion.
+export function startSauvaFreeStir({ sauva, beakerGroup, beakerRadius, waterSurfaceY, beakerHeight }) {
+    if (!sauva || sauva.state.isAnimating || sauva.state.freeStirring) return Promise.resolve(false);
+    const { state } = sauva;
+    state.isAnimating = true;
+    return moveIntoBeaker({ sauva, beakerGroup, waterSurfaceY, beakerHeight }).then((placed) => {
+        state.isAnimating = false;
+        state.freeStirring = true;
+        state.freeStir = {
+            center: new THREE.Vector3(placed.beakerCenterXZ.x, placed.insertY, placed.beakerCenterXZ.z),
+            // Rod (and its leaning tip) stays off the glass wall
+            maxR: Math.max(0.05, beakerRadius - 0.3),
+            safeY: placed.safeY,
+            followY: placed.surfaceWorldY, // pointer is projected onto the water surface plane
+            upright: placed.qVertical.clone(),
+            target: new THREE.Vector3(placed.beakerCenterXZ.x, placed.insertY, placed.beakerCenterXZ.z),
+            velocity: new THREE.Vector3()
+        };
+        return true;
+    });
+}
+
+export function finishSauvaFreeStir({ sauva }) {
+    if (!sauva || !sauva.state.freeStirring) return Promise.resolve(false);
+    const { sauvaGroup, state } = sauva;
+    const { safeY, upright } = state.freeStir;
+    state.freeStirring = false;
+    state.isAnimating = true;
+    return tweenQuatTo(sauvaGroup, upright, 200, TWEEN.Easing.Quadratic.Out)
+        .then(() => moveBackToRest({ sauva, safeY }))
+        .then(() => {
+            state.freeStir = null;
+            state.isAnimating = false;
+            state.isSelected = false;
+            return true;
+        });
+}
+
 // Animator factory for sauva to encapsulate animation entry points
 export function createSauvaAnimator(sauva, defaultOptions = {}) {
     return {
         // Start the standard beaker stirring sequence; options can override durationSec, etc.
         stirAtBeaker: (args = {}) => runSauvaSequence({ sauva, ...defaultOptions, ...args }),
+        // Interactive stirring: rod into the beaker, then sauva.stirTo(point) moves it until finishFreeStir()
+        startFreeStir: (args = {}) => startSauvaFreeStir({ sauva, ...defaultOptions, ...args }),
+        finishFreeStir: () => finishSauvaFreeStir({ sauva }),
         setOptions: (opts) => Object.assign(defaultOptions, opts),
         getOptions: () => ({ ...defaultOptions })
     };
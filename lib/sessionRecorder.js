@@ -0,0 +1,151 @@
+// Session recording and replay for lab actions
+// ------------------------------------------------------------
+// Recorder: every student action (interaction handler with an `action` id, menu selection, reset)
+// is stored with a timestamp (ms since start), its parameters and a snapshot of the lab selections.
+//
+//   const recorder = createSessionRecorder({ getParams: () => ({ selectedGas: state.selectedGas, ... }), animationManager });
+//   recorder.start();
+//   recorder.record('selectGas', { value: 'SO2' });
+//   recorder.download();            // -> sessio-<aika>.json
+//
+// Replayer: runs the events in order through animationManager (actor 'replay'). Each event waits
+// for its recorded time offset AND until animations that were idle when it was recorded have finished,
+// so the replay follows the same sequence even if frame timing differs from the original session.
+//
+//   const replayer = createSessionReplayer({ animationManager, perform: (ev) => ..., onStart, onEnd });
+//   replayer.replay(parseSession(jsonText));
+
+export const SESSION_VERSION = 1;
+
+export function createSessionRecorder({ getParams, animationManager, now = () => performance.now() } = {}) {
+  let events = [];
+  let t0 = 0;
+  let recording = false;
+  let paused = false;
+  let meta = {};
+
+  function snapshot() {
+    try { return typeof getParams === 'function' ? { ...getParams() } : {}; } catch { return {}; }
+  }
+
+  function start(extraMeta = {}) {
+    events = [];
+    t0 = now();
+    recording = true;
+    paused = false;
+    meta = { startedAt: new Date().toISOString(), initial: snapshot(), ...extraMeta };
+  }
+
+  function stop() { recording = false; }
+
+  // Pause while replaying so replayed actions are not recorded again
+  function setPaused(p) { paused = !!p; }
+
+  /**
+   * Record one action.
+   * @param {string} type Action id (e.g. 'gasValve', 'beaker', 'selectGas')
+   * @param {Object} [params] Action specific parameters
+   */
+  function record(type, params = {}) {
+    if (!recording || paused || !type) return null;
+    const ev = {
+      t: Math.round(now() - t0),
+      type,
+      params: { ...params },
+      state: snapshot(),
+      busy: animationManager && animationManager.activeActors ? animationManager.activeActors() : []
+    };
+    events.push(ev);
+    return ev;
+  }
+
+  function getSession() {
+    return { version: SESSION_VERSION, ...meta, durationMs: Math.round(now() - t0), events: events.map(e => ({ ...e })) };
+  }
+
+  function exportJSON() {
+    return JSON.stringify(getSession(), null, 2);
+  }
+
+  function download(filename) {
+    const name = filename || `sessio-${(meta.startedAt || new Date().toISOString()).replace(/[:.]/g, '-')}.json`;
+    const blob = new Blob([exportJSON()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  return { start, stop, setPaused, record, getSession, exportJSON, download, isRecording: () => recording && !paused };
+}
+
+/**
+ * Parse and validate a session JSON string (or object).
+ * @returns {{ version:number, initial:Object, events:Array }}
+ */
+export function parseSession(input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!data || !Array.isArray(data.events)) throw new Error('Virheellinen istuntotiedosto: events puuttuu');
+  if (data.version !== SESSION_VERSION) throw new Error(`Tuntematon istuntoversio: ${data.version}`);
+  const events = data.events
+    .filter(e => e && typeof e.type === 'string' && typeof e.t === 'number')
+    .sort((a, b) => a.t - b.t);
+  return { ...data, initial: data.initial || {}, events };
+}
+
+export function createSessionReplayer({ animationManager, perform, onStart, onEnd, speed = 1.0, pollMs = 50 } = {}) {
+  let replaying = false;
+  let cancelled = false;
+
+  const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+  // Wait until every actor that is running now was also running when the event was recorded
+  async function waitForIdle(busy) {
+    const allowed = new Set(busy || []);
+    for (;;) {
+      if (cancelled) return;
+      const running = animationManager.activeActors().filter(a => a !== 'replay' && !allowed.has(a));
+      if (running.length === 0) return;
+      await sleep(pollMs);
+    }
+  }
+
+  /**
+   * Replay a parsed session. Resolves when all events have been performed (or replay stopped).
+   * @param {ReturnType<typeof parseSession>} session
+   */
+  function replay(session) {
+    if (replaying) return Promise.reject(new Error('Toisto on jo käynnissä'));
+    return animationManager.run('replay', async () => {
+      replaying = true;
+      cancelled = false;
+      try {
+        if (typeof onStart === 'function') await onStart(session);
+        // Keep recorded gaps between consecutive events (an idle wait shifts the rest of the timeline)
+        let prevT = 0;
+        let prevWall = performance.now();
+        for (const ev of session.events) {
+          if (cancelled) break;
+          const wait = prevWall + (ev.t - prevT) / Math.max(0.01, speed) - performance.now();
+          if (wait > 0) await sleep(wait);
+          await waitForIdle(ev.busy);
+          if (cancelled) break;
+          prevT = ev.t;
+          prevWall = performance.now();
+          try { await perform(ev); } catch (e) { console.warn('Replay action failed', ev, e); }
+        }
+      } finally {
+        replaying = false;
+        if (typeof onEnd === 'function') { try { onEnd({ cancelled }); } catch {} }
+      }
+    }, { queue: false });
+  }
+
+  function stop() { cancelled = true; }
+
+  return { replay, stop, isReplaying: () => replaying };
+}
@@ -1,10 +1,13 @@
 import * as THREE from 'three';
 import { tweenTo, tweenQuatTo } from './animUtils.js';
+import { SCOOP_MASS_G } from './constants.js';
 
 // Spaatteli (lusikka) + jauhepartikkelit kapseloituna moduliksi
 // Käyttö:
 //   const spatula = createSpaatteli(scene);
-//   await runSpaatteliSequence({ spatula, solidMesh, beakerGroup, beakerRadius, waterSurfaceY });
+//   await runSpaatteliSequence({ spatula, solidMesh, beakerGroup, beakerRadius, waterSurfaceY, beakerHeight, solidCode, depth, onScoop });
+//     depth 0..1: kuinka syvälle lusikka painuu jauheeseen; onScoop(depth) -> otettu massa (g), 0 = purkki tyhjä
+//   spatula.state.scoopG / scoopCode: lusikalla oleva jauhe (kaadon yhteydessä kemiaan)
 //   animaatioloopissa: spatula.update(dt)
 
 // Pieni apu satunnaisuuteen (deterministinen siemen kahdesta kokonaisluvusta)
@@ -159,10 +162,22 @@ export function createSpaatteli(scene) {
         beakerCenterWorld: new THREE.Vector3(),
         beakerRadius: 0.95,
         hasFlipped: false,
-        hasPowder: false
+        hasPowder: false,
+        scoopG: 0,
+        scoopCode: null
     };
     function update(dt) { /* powder removed; no-op for now */ }
 
+    // Lusikallisen koko näkyy kummun koossa: tilavuus ~ massa (leveys ~ s^½, korkeus ~ s², s = ∛(g / vakiolusikallinen))
+    function setScoopAmount(grams, code = null) {
+        state.scoopG = grams > 0 ? grams : 0;
+        state.scoopCode = state.scoopG > 0 ? code : null;
+        const s = Math.cbrt(Math.max(1e-3, state.scoopG) / SCOOP_MASS_G);
+        const wide = Math.min(1.2, Math.max(0.6, Math.sqrt(s)));
+        const tall = Math.min(2.5, Math.max(0.4, s * s));
+        powderOnBlade.scale.set(0.7 * wide, tall, wide);
+    }
+
     function placeOnTable(position, optionsOrYaw = 0) {
         // Lay on the table at given position with configurable yaw and subtle tilts for realism
         const opts = (typeof optionsOrYaw === 'number') ? { yaw: optionsOrYaw } : (optionsOrYaw || {});
@@ -254,14 +269,15 @@ export function createSpaatteli(scene) {
             .then(() => { state.isAnimating = false; state.pendingReturn = false; return true; });
     }
 
-    return { spatulaGroup, powderOnBlade, update, state, placeOnTable, select, returnToRest };
+    return { spatulaGroup, powderOnBlade, update, state, placeOnTable, select, returnToRest, setScoopAmount };
 }
 
 // Suorita koko kauhaisun ja kaadon animaatio
-function runSpaatteliSequenceWithOptions({ spatula, solidMesh, beakerGroup, beakerRadius, waterSurfaceY }, opts = {}) {
+function runSpaatteliSequenceWithOptions({ spatula, solidMesh, beakerGroup, beakerRadius, waterSurfaceY, beakerHeight, solidCode = null, depth = 0.5, onScoop = null }, opts = {}) {
     const cfg = {
         pitchAngleDeg: 75,         
         descentOffset: 0.12,        // distance above powder
+        scoopDepthRange: 0.3,       // lisäsyvyys täydellä painalluksella (depth = 1)
         durations: {
             moveAboveJar: 900,
             pitchAtJar: 280,
@@ -284,11 +300,14 @@ function runSpaatteliSequenceWithOptions({ spatula, solidMesh, beakerGroup, beak
         // Paikat
         const solidTop = new THREE.Vector3();
         solidMesh.getWorldPosition(solidTop);
+        // Jauheen pinta (kerros madaltuu käytössä)
+        const powderTopY = new THREE.Box3().setFromObject(solidMesh).max.y;
+        const scoopDepth = Math.max(0, Math.min(1, depth));
         const beakerPos = new THREE.Vector3();
         beakerGroup.getWorldPosition(beakerPos);
-    const beakerDropPos = new THREE.Vector3(beakerPos.x, waterSurfaceY + 0.2, beakerPos.z);
+    const beakerDropPos = new THREE.Vector3(beakerPos.x, beakerPos.y + waterSurfaceY + 0.2, beakerPos.z);
 
-    const beakerTopY = waterSurfaceY * 2.0;
+    const beakerTopY = beakerPos.y + (beakerHeight ?? waterSurfaceY * 2.0); // vesimäärä vaihtelee -> lasin korkeus jos annettu
         const startY = Math.max(spatulaGroup.position.y, beakerTopY + 0.5, solidTop.y + 2.5);
         const safeY = Math.max(startY, beakerTopY + 0.5, solidTop.y + 2.5);
 
@@ -342,11 +361,14 @@ function runSpaatteliSequenceWithOptions({ spatula, solidMesh, beakerGroup, beak
                 const chosen = cand[bestIdx];
                 return tweenQuatTo(spatulaGroup, chosen, cfg.durations.pitchAtJar, easeOut);
             })
-            .then(() => tweenPos({ y: solidTop.y + cfg.descentOffset }, ENTRY_MS, easeCubicOut))
+            .then(() => tweenPos({ y: powderTopY + cfg.descentOffset - scoopDepth * cfg.scoopDepthRange }, ENTRY_MS, easeCubicOut))
             .then(() => {
                 // Begin lift and simultaneously level the spatula back to horizontal during the lift
-                powderOnBlade.visible = true;
-                state.hasPowder = true; // merkitään että lusikka on ladattu jauheella
+                let grams = SCOOP_MASS_G;
+                if (typeof onScoop === 'function') { try { grams = onScoop(scoopDepth); } catch { grams = 0; } }
+                spatula.setScoopAmount(grams, solidCode);
+                powderOnBlade.visible = state.scoopG > 0;
+                state.hasPowder = state.scoopG > 0; // merkitään että lusikka on ladattu jauheella (tyhjästä purkista ei tule mitään)
                 // Inherit current jar powder color if available
                 try {
                     const src = solidMesh && solidMesh.material ? solidMesh.material.color : null;
@@ -382,7 +404,7 @@ export function runSpaatteliPour({ spatula, beakerGroup, beakerRadius, waterSurf
 
         const beakerPos = new THREE.Vector3();
         beakerGroup.getWorldPosition(beakerPos);
-        const beakerDropPos = new THREE.Vector3(beakerPos.x, waterSurfaceY + 0.2, beakerPos.z);
+        const beakerDropPos = new THREE.Vector3(beakerPos.x, beakerPos.y + waterSurfaceY + 0.2, beakerPos.z);
         const T = (typeof window !== 'undefined' && window.TWEEN) ? window.TWEEN : null;
         const easeInOut = T ? T.Easing.Quadratic.InOut : ((k)=>k);
         const ROTATE_MS = (opts.durations?.pourTilt) || 500;
@@ -419,6 +441,7 @@ export function runSpaatteliPour({ spatula, beakerGroup, beakerRadius, waterSurf
                 state.hasPowder = false; // kaadon jälkeen tyhjä
                 const hit = new THREE.Vector3(worldUnder.x, worldUnder.y - 0.02, worldUnder.z);
                 if (typeof onPour === 'function') { try { onPour(hit.clone()); } catch {} }
+                spatula.setScoopAmount(0); // onPour luki lusikallisen (scoopG / scoopCode)
                 const restPos = spatula.state.restPosition.clone();
                 // Kaatoflip palauttaa orientaation mahdollisesti alkuperäiseen tai invertteriin riippuen aiemmasta tilasta.
                 // Joka tapauksessa varmistetaan että ennen pöydälle laskua mennään lepokvaternioniin.
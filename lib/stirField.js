@@ -0,0 +1,190 @@
+import * as THREE from 'three';
+
+/**
+ * Sekoituskenttä (yhteinen pyörre dekantterilasissa)
+ * ------------------------------------------------------------
+ * Sauvan todellinen liike pyörittää vettä: kärjen paikka vedessä luetaan joka frame, ja sen kulmanopeus lasin
+ * akselin ympäri kiihdyttää pyörrettä (spin-up). Kun sauva nousee pois tai pysähtyy, pyörre hiipuu viskoosisesti.
+ * Kaikki veden mukana liikkuvat järjestelmät lukevat saman kentän:
+ *  - powder: jauhe pyörii ja liukenee sekoituksen voimakkuuden mukaan
+ *  - precipitate: sakka nousee pohjalta suspensioon ja kerääntyy keskelle (teelehti-ilmiö)
+ *  - diffusion: plumet ajautuvat virran mukana, indikaattorikenttä advektoituu pyörteessä
+ *  - bubbles: kuplat ajautuvat pyörteen mukana noustessaan
+ *
+ * Virtausmalli:
+ *  - Rankinen pyörre lasin akselilla: jäykkä pyöriminen ytimessä (r < core), ω·core²/r ulkopuolella; core seuraa
+ *    sauvan kiertosädettä. Seinällä nopeus vaimenee nollaan (no-slip).
+ *  - Sekundaarivirtaus: pohjan rajakerroksessa sisäänpäin, keskellä ylöspäin.
+ *  - Sauvan heiluttelu ilman kiertoa kasvattaa turbulenssia (agitation): sekoittaa, mutta ei pyöritä.
+ *
+ * Koordinaatit ovat beakerGroupin paikallisia (pohja y = 0), nopeudet yksikköä/s (1 yksikkö = 5 cm).
+ *
+ *   const field = createStirField({ beakerGroup, radius, getWaterSurfaceY });
+ *   field.update(dt, rodTipWorld);            // per frame; rodTipWorld = null kun sauvaa ei ole
+ *   field.velocityAt(x, y, z, out);           // paikallinen nopeus
+ *   field.velocityAtWorld(worldPos, out);     // maailmakoordinaatit
+ *   field.getIntensity();                     // sekoituksen voimakkuus 0..1
+ *   field.setListeners({ onStart, onStop });
+ *   field.getDose();                          // ∫ voimakkuus dt tämän sekoituksen alusta
+ */
+
+const SPIN_UP_TAU = 0.4;      // s, sauva kiihdyttää vettä
+const SPIN_DOWN_TAU = 3.5;    // s, pyörre hiipuu (viskoosi vaimeneminen)
+const ROD_COUPLING = 0.85;    // osuus sauvan kulmanopeudesta, jonka ydin saavuttaa
+const MAX_OMEGA = 15;         // rad/s
+const OMEGA_REF = 8;          // rad/s, täysi sekoitusvoimakkuus
+const AGITATION_REF = 2.0;    // yksikköä/s, sauvan edestakainen nopeus täydelle turbulenssille
+const AGITATION_TAU = 1.5;    // s
+const SECONDARY = 0.12;       // sekundaarivirtauksen osuus tangentiaalinopeudesta
+const BOUNDARY_LAYER = 0.25;  // pohjan rajakerroksen paksuus (yksikköä)
+const WALL_LAYER = 0.1;       // seinän vaimennusvyöhyke
+const START_INTENSITY = 0.1;
+const STOP_INTENSITY = 0.02;
+
+export function createStirField({ beakerGroup, radius = 0.95, getWaterSurfaceY = null } = {}) {
+  let omega = 0;          // pyörteen kulmanopeus (rad/s, + = vastapäivään ylhäältä katsottuna)
+  let core = radius * 0.4;
+  let agitation = 0;      // 0..1
+  let dose = 0;           // sekoitusannos tämän sekoituksen alusta
+  let active = false;
+  let listeners = {};
+  const rod = { has: false, angle: 0, x: 0, z: 0, omega: 0 };
+  const _local = new THREE.Vector3();
+  const _out = new THREE.Vector3();
+  const _invMatrix = new THREE.Matrix4();
+  const _quat = new THREE.Quaternion();
+
+  function surfaceY() {
+    const y = typeof getWaterSurfaceY === 'function' ? getWaterSurfaceY() : Infinity;
+    return typeof y === 'number' && isFinite(y) ? y : Infinity;
+  }
+
+  function emit(name) {
+    const fn = listeners[name];
+    if (typeof fn === 'function') { try { fn(api); } catch {} }
+  }
+
+  /**
+   * Per-frame päivitys.
+   * @param {number} dt
+   * @param {THREE.Vector3|null} rodTipWorld sauvan alapään paikka (null = ei sauvaa)
+   */
+  function update(dt, rodTipWorld = null) {
+    if (!(dt > 0)) return;
+    beakerGroup.updateWorldMatrix(true, false);
+    _invMatrix.copy(beakerGroup.matrixWorld).invert();
+    beakerGroup.getWorldQuaternion(_quat);
+
+    let immersed = false;
+    if (rodTipWorld) {
+      _local.copy(rodTipWorld).applyMatrix4(_invMatrix);
+      const r = Math.hypot(_local.x, _local.z);
+      immersed = _local.y > -0.05 && _local.y < surfaceY() && r < radius;
+      if (immersed) {
+        const angle = Math.atan2(_local.z, _local.x);
+        if (rod.has) {
+          let dTheta = angle - rod.angle;
+          if (dTheta > Math.PI) dTheta -= Math.PI * 2;
+          else if (dTheta < -Math.PI) dTheta += Math.PI * 2;
+          // Akselin lähellä kulma on epävakaa -> ei kiertoa
+          const rodOmega = r > 0.05 ? dTheta / dt : 0;
+          rod.omega += (rodOmega - rod.omega) * Math.min(1, dt / 0.1);
+          const speed = Math.hypot(_local.x - rod.x, _local.z - rod.z) / dt;
+          const residual = Math.max(0, speed - Math.abs(rod.omega) * r);
+          const target = Math.min(1, residual / AGITATION_REF);
+          if (target > agitation) agitation += (target - agitation) * Math.min(1, dt / 0.3);
+          core += (Math.min(radius * 0.8, Math.max(radius * 0.2, r)) - core) * Math.min(1, dt / 0.5);
+        }
+        rod.has = true;
+        rod.angle = angle;
+        rod.x = _local.x;
+        rod.z = _local.z;
+      }
+    }
+    if (!immersed) { rod.has = false; rod.omega = 0; }
+
+    // Sauva kiihdyttää pyörrettä vain kiertosuuntaansa ja nopeammin kuin vesi jo pyörii; muuten hiipuminen
+    const target = Math.max(-MAX_OMEGA, Math.min(MAX_OMEGA, rod.omega * ROD_COUPLING));
+    const driving = immersed && (Math.sign(target) !== Math.sign(omega) || Math.abs(target) > Math.abs(omega)) && target !== 0;
+    if (driving) omega += (target - omega) * (1 - Math.exp(-dt / SPIN_UP_TAU));
+    else omega *= Math.exp(-dt / SPIN_DOWN_TAU);
+    if (Math.abs(omega) < 0.02) omega = 0;
+    agitation *= Math.exp(-dt / AGITATION_TAU);
+    if (agitation < 0.005) agitation = 0;
+
+    const intensity = getIntensity();
+    if (!active && intensity > START_INTENSITY) {
+      active = true;
+      dose = 0;
+      emit('onStart');
+    }
+    if (active) {
+      dose += intensity * dt;
+      if (intensity < STOP_INTENSITY) { active = false; emit('onStop'); }
+    }
+  }
+
+  /**
+   * Virtausnopeus paikallisessa pisteessä.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {THREE.Vector3} [out]
+   * @returns {THREE.Vector3}
+   */
+  function velocityAt(x, y, z, out = new THREE.Vector3()) {
+    out.set(0, 0, 0);
+    if (omega === 0) return out;
+    const r = Math.hypot(x, z);
+    if (r < 1e-5 || r >= radius) return out;
+    const wall = Math.min(1, (radius - r) / WALL_LAYER);
+    const vt = omega * (r < core ? r : (core * core) / r) * wall;
+    // Sekundaarivirtaus: pohjalla sisään (keskihakuvoiman ja kitkan epätasapaino), keskellä ylös
+    const bottom = Math.max(0, 1 - Math.max(0, y) / BOUNDARY_LAYER);
+    const vr = -SECONDARY * Math.abs(vt) * bottom;
+    out.x = (-z / r) * vt + (x / r) * vr;
+    out.z = (x / r) * vt + (z / r) * vr;
+    out.y = r < core ? SECONDARY * Math.abs(omega) * core * (1 - r / core) * 0.5 : 0;
+    return out;
+  }
+
+  // Sama maailmakoordinaateissa (lasin paikka ja kierto päivitetään update()-kutsussa)
+  function velocityAtWorld(worldPos, out = new THREE.Vector3()) {
+    _local.copy(worldPos).applyMatrix4(_invMatrix);
+    velocityAt(_local.x, _local.y, _local.z, _out);
+    return out.copy(_out).applyQuaternion(_quat);
+  }
+
+  // 0..1: pyörteen ja turbulenssin yhteinen sekoitusvoimakkuus
+  function getIntensity() {
+    return Math.min(1, Math.abs(omega) / OMEGA_REF + agitation);
+  }
+
+  function setListeners(handlers = {}) { listeners = { ...handlers }; }
+
+  function reset() {
+    omega = 0;
+    agitation = 0;
+    dose = 0;
+    core = radius * 0.4;
+    active = false;
+    rod.has = false;
+    rod.omega = 0;
+  }
+
+  const api = {
+    radius,
+    update,
+    velocityAt,
+    velocityAtWorld,
+    getIntensity,
+    getOmega: () => omega,
+    getCoreRadius: () => core,
+    getAgitation: () => agitation,
+    getDose: () => dose,
+    isActive: () => active,
+    setListeners,
+    reset
+  };
+  return api;
+}
@@ -0,0 +1,80 @@
+import { AMBIENT_TEMP_C, HEATING_SPEEDUP } from './constants.js';
+
+/**
+ * Veden lämpötila (lumped-malli)
+ * ------------------------------------------------------------
+ * Dekantterilasin vesi on yksi lämpökapasiteetti m·c (c = 4186 J/(kg·K), 1 L ≈ 1 kg):
+ *   m·c · dT/dt = K_PLATE · (T_levy − T) − K_LOSS · (T − T_huone)
+ * Kiehumispisteessä (100 °C) ylimääräinen teho höyrystää vettä (L = 2.26 MJ/kg).
+ * Aika on nopeutettu (HEATING_SPEEDUP), jotta lämpeneminen näkyy muutamassa kymmenessä sekunnissa.
+ *
+ * Konvektio: levyn ja veden lämpötilaero (ja kiehuminen) -> voimakkuus 0..1 diffuusioplumeille.
+ *
+ *   const temp = createWaterTemperature();
+ *   const { evaporatedMl } = temp.update(dt, { plateC: 180, volumeL: 0.49 });
+ *   temp.getTemperature(); temp.getConvection();
+ */
+
+const WATER_HEAT_CAPACITY = 4186;   // J/(kg·K)
+const VAPORIZATION_HEAT = 2.26e6;   // J/kg
+const BOILING_C = 100;
+const K_PLATE = 2.0;                // W/K (levy -> lasin pohja -> vesi)
+const K_LOSS = 0.8;                 // W/K (pinta + kyljet huoneeseen)
+
+export function createWaterTemperature({ ambientC = AMBIENT_TEMP_C, speedup = HEATING_SPEEDUP } = {}) {
+  let tempC = ambientC;
+  let convection = 0;
+  let boiling = false;
+
+  /**
+   * @param {number} dt
+   * @param {{ plateC?: number, volumeL: number }} opts
+   * @returns {{ tempC: number, evaporatedMl: number }}
+   */
+  function update(dt, { plateC = ambientC, volumeL = 0.5 } = {}) {
+    if (!(dt > 0)) return { tempC, evaporatedMl: 0 };
+    const mass = Math.max(0.01, volumeL);
+    const heatIn = K_PLATE * Math.max(0, plateC - tempC);
+    const heatOut = K_LOSS * (tempC - ambientC);
+    const dT = (heatIn - heatOut) * dt * speedup / (mass * WATER_HEAT_CAPACITY);
+    let evaporatedMl = 0;
+    tempC += dT;
+    if (tempC >= BOILING_C) {
+      // Ylimääräinen lämpö höyrystää vettä (kg -> mL)
+      const excessJ = (tempC - BOILING_C) * mass * WATER_HEAT_CAPACITY;
+      evaporatedMl = (excessJ / VAPORIZATION_HEAT) * 1000;
+      tempC = BOILING_C;
+    }
+    boiling = tempC >= BOILING_C - 0.05 && heatIn > heatOut;
+    // Konvektio kasvaa levyn ja veden lämpötilaerosta; kiehuva vesi kiertää voimakkaimmin
+    const target = boiling ? 1 : Math.min(1, Math.max(0, (plateC - tempC) / 150));
+    convection += (target - convection) * Math.min(1, dt * 0.8);
+    return { tempC, evaporatedMl };
+  }
+
+  function getTemperature() { return tempC; }
+  function getConvection() { return convection; }
+  function isBoiling() { return boiling; }
+
+  // Toisesta astiasta kaadettu vesi sekoittuu (share = tulevan veden osuus uudesta tilavuudesta)
+  function mixIn(inC, share) {
+    if (!(share > 0) || !Number.isFinite(inC)) return;
+    tempC += (Math.min(BOILING_C, inC) - tempC) * Math.min(1, share);
+  }
+
+  function reset() {
+    tempC = ambientC;
+    convection = 0;
+    boiling = false;
+  }
+
+  function getSnapshot() { return { tempC, convection }; }
+
+  function restoreSnapshot(s = {}) {
+    reset();
+    if (typeof s.tempC === 'number' && isFinite(s.tempC)) tempC = Math.min(BOILING_C, s.tempC);
+    if (typeof s.convection === 'number' && isFinite(s.convection)) convection = s.convection;
+  }
+
+  return { update, getTemperature, getConvection, isBoiling, mixIn, reset, getSnapshot, restoreSnapshot, ambientC };
+}
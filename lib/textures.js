@@ -1,18 +1,21 @@
 import * as THREE from 'three';
 
 // Create a labeled gas cylinder texture with a simple frame and centered text
-export function createGasTexture(gasName) {
+// color: pullon tunnusväri (reagenssikatalogista); vaalealla pohjalla teksti ja kehys tummina
+export function createGasTexture(gasName, color = 0x0077be) {
   const canvas = document.createElement('canvas');
   canvas.width = 1024;
   canvas.height = 512;
   const ctx = canvas.getContext('2d');
-  ctx.fillStyle = '#0077be';
+  const bg = new THREE.Color(color);
+  const ink = (0.299 * bg.r + 0.587 * bg.g + 0.114 * bg.b) > 0.6 ? '#222' : '#fff';
+  ctx.fillStyle = '#' + bg.getHexString();
   ctx.fillRect(0, 0, canvas.width, canvas.height);
-  ctx.strokeStyle = '#fff';
+  ctx.strokeStyle = ink;
   ctx.lineWidth = 16;
   ctx.strokeRect(64, 64, canvas.width - 128, canvas.height - 128);
   ctx.font = 'bold 180px Arial';
-  ctx.fillStyle = '#fff';
+  ctx.fillStyle = ink;
   ctx.textAlign = 'center';
   ctx.textBaseline = 'middle';
   ctx.fillText(gasName, canvas.width * 0.2, canvas.height / 2);
@@ -22,3 +25,28 @@ export function createGasTexture(gasName) {
   texture.repeat.set(1, 1);
   return texture;
 }
+
+// Kaasupullon tarra (valkoinen, kaava isolla ja nimi pienellä); kiertää pullosta vain 120°, joten teksti keskitetään
+export function createCylinderLabelTexture(formula, name = '') {
+  const canvas = document.createElement('canvas');
+  canvas.width = 512;
+  canvas.height = 256;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#f8fafc';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.strokeStyle = '#222';
+  ctx.lineWidth = 10;
+  ctx.strokeRect(20, 20, canvas.width - 40, canvas.height - 40);
+  ctx.fillStyle = '#222';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.font = 'bold 120px Arial';
+  ctx.fillText(formula, canvas.width / 2, canvas.height * 0.44);
+  if (name) {
+    ctx.font = 'bold 40px Arial';
+    ctx.fillText(name, canvas.width / 2, canvas.height * 0.8);
+  }
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
@@ -1,7 +1,39 @@
-// Simple UI menus initializer for gas and solid selection
-export function initMenus({ onGasChange, onSolidChange, notify }) {
+import { listReagents, reagentLabel, DEFAULT_GAS, DEFAULT_SOLID, DEFAULT_TITRANT } from './reagents.js';
+import { INDICATORS, DEFAULT_INDICATOR } from './indicators.js';
+import { TITRANT_CONCENTRATIONS, DEFAULT_TITRANT_CONC, GAS_CYLINDER_PRESSURES, GAS_CYLINDER_START_BAR } from './constants.js';
+
+// Täytä valikko reagenssikatalogin aineilla (kind: 'gas' | 'solid' | 'solution')
+function fillReagentOptions(select, kind, selected) {
+  select.innerHTML = '';
+  for (const r of listReagents(kind)) {
+    const opt = document.createElement('option');
+    opt.value = r.id;
+    opt.textContent = reagentLabel(r.id);
+    if (r.id === selected) opt.selected = true;
+    select.appendChild(opt);
+  }
+}
+
+// Täytä indikaattorivalikko indikaattorikirjastosta (nimi, lyhenne ja vaihtoalue)
+function fillIndicatorOptions(select, selected) {
+  select.innerHTML = '';
+  for (const [id, ind] of Object.entries(INDICATORS)) {
+    const [lo, hi] = ind.range.map(v => v.toFixed(1).replace('.', ','));
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = `${ind.name} (${ind.label}, pH ${lo}–${hi})`;
+    if (id === selected) opt.selected = true;
+    select.appendChild(opt);
+  }
+}
+
+// Simple UI menus initializer for gas, solid, indicator and burette titrant selection
+// Kaasu-, kiinteä- ja mittaliuosvalikon vaihtoehdot tulevat reagenssikatalogista (reagents.js),
+// indikaattorivalikon vaihtoehdot indikaattorikirjastosta (indicators.js)
+export function initMenus({ onGasChange, onGasPressureChange, onSolidChange, onIndicatorChange, onTitrantChange, onTitrantConcChange, onFillBurette, notify }) {
   try {
     const gasSelect = document.getElementById('gasSelect');
+    if (gasSelect) fillReagentOptions(gasSelect, 'gas', DEFAULT_GAS);
     const closeGasMenu = document.getElementById('closeGasMenu');
     if (gasSelect) {
       gasSelect.addEventListener('change', (e) => {
@@ -9,6 +41,22 @@ export function initMenus({ onGasChange, onSolidChange, notify }) {
         try { onGasChange && onGasChange(val); } catch {}
       });
     }
+    // Opettaja: valitun kaasun pullon alkupaine (pullo täytetään tähän paineeseen)
+    const pressureSelect = document.getElementById('gasPressureSelect');
+    if (pressureSelect) {
+      pressureSelect.innerHTML = '';
+      for (const bar of GAS_CYLINDER_PRESSURES) {
+        const opt = document.createElement('option');
+        opt.value = String(bar);
+        opt.textContent = `${bar} bar`;
+        if (bar === GAS_CYLINDER_START_BAR) opt.selected = true;
+        pressureSelect.appendChild(opt);
+      }
+      pressureSelect.addEventListener('change', (e) => {
+        const val = parseFloat(e.target.value);
+        try { onGasPressureChange && onGasPressureChange(val); } catch {}
+      });
+    }
     if (closeGasMenu) {
       closeGasMenu.addEventListener('click', function() {
         const menu = document.getElementById('gasMenu');
@@ -19,6 +67,7 @@ export function initMenus({ onGasChange, onSolidChange, notify }) {
 
   try {
     const solidSelect = document.getElementById('solidSelect');
+    if (solidSelect) fillReagentOptions(solidSelect, 'solid', DEFAULT_SOLID);
     const closeSolidMenu = document.getElementById('closeSolidMenu');
     if (solidSelect) {
       solidSelect.addEventListener('change', (e) => {
@@ -33,4 +82,62 @@ export function initMenus({ onGasChange, onSolidChange, notify }) {
       });
     }
   } catch {}
+
+  try {
+    const indicatorSelect = document.getElementById('indicatorSelect');
+    if (indicatorSelect) fillIndicatorOptions(indicatorSelect, DEFAULT_INDICATOR);
+    const closeIndicatorMenu = document.getElementById('closeIndicatorMenu');
+    if (indicatorSelect) {
+      indicatorSelect.addEventListener('change', (e) => {
+        const val = e.target.value;
+        try { onIndicatorChange && onIndicatorChange(val); } catch {}
+      });
+    }
+    if (closeIndicatorMenu) {
+      closeIndicatorMenu.addEventListener('click', function() {
+        const menu = document.getElementById('indicatorMenu');
+        if (menu) menu.style.display = 'none';
+      });
+    }
+  } catch {}
+
+  // Byretti: mittaliuos + pitoisuus, täyttö napista (valikko suljetaan täytön jälkeen)
+  try {
+    const titrantSelect = document.getElementById('titrantSelect');
+    if (titrantSelect) {
+      fillReagentOptions(titrantSelect, 'solution', DEFAULT_TITRANT);
+      titrantSelect.addEventListener('change', (e) => {
+        const val = e.target.value;
+        try { onTitrantChange && onTitrantChange(val); } catch {}
+      });
+    }
+    const concSelect = document.getElementById('titrantConcSelect');
+    if (concSelect) {
+      concSelect.innerHTML = '';
+      for (const c of TITRANT_CONCENTRATIONS) {
+        const opt = document.createElement('option');
+        opt.value = String(c);
+        opt.textContent = `${String(c).replace('.', ',')} mol/l`;
+        if (c === DEFAULT_TITRANT_CONC) opt.selected = true;
+        concSelect.appendChild(opt);
+      }
+      concSelect.addEventListener('change', (e) => {
+        const val = parseFloat(e.target.value);
+        try { onTitrantConcChange && onTitrantConcChange(val); } catch {}
+      });
+    }
+    const fillBtn = document.getElementById('fillBuretteBtn');
+    const closeBuretteMenu = document.getElementById('closeBuretteMenu');
+    const hide = () => {
+      const menu = document.getElementById('buretteMenu');
+      if (menu) menu.style.display = 'none';
+    };
+    if (fillBtn) {
+      fillBtn.addEventListener('click', () => {
+        try { onFillBurette && onFillBurette(); } catch {}
+        hide();
+      });
+    }
+    if (closeBuretteMenu) closeBuretteMenu.addEventListener('click', hide);
+  } catch {}
 }
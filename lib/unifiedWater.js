@@ -1,9 +1,15 @@
 import * as THREE from 'three';
+import { createIndicatorRamp, updateIndicatorRamp, DEFAULT_INDICATOR, PH_RAMP_MIN, PH_RAMP_MAX } from './indicators.js';
+
+// Aika (s), jonka voimakkaampi väre saa näkyä ennen kuin heikompi (kuplan puhkeaminen) voi korvata sen
+const RIPPLE_HOLD_S = 1.5;
 
 // Unified water mesh: volume side + top cap in one geometry.
 // aCapFlag (1 = top surface vertex, 0 = side) → ripple displacement & fresnel only on cap.
-// (Refactored) Removed turbidity/scatter/extra alpha so look matches root water (almost clear with indicator tint).
-export function createUnifiedWater({ radius, height, radialSegments = 64, capRings = 40, indicatorTex, diffusionUniformProxy }) {
+// (Refactored) Removed scatter/extra alpha so look matches root water (almost clear with indicator tint);
+// only precipitate turbidity (uTurbidity) adds milkiness back.
+
+export function createUnifiedWater({ radius, height, radialSegments = 64, capRings = 40, indicatorTex, indicator, diffusionUniformProxy }) {
   const halfHeight = height / 2;
   // Build cylinder side (open top/bottom).
   const sideGeo = new THREE.CylinderGeometry(radius, radius, height, radialSegments, 1, true);
@@ -152,18 +158,19 @@ export function createUnifiedWater({ radius, height, radialSegments = 64, capRin
 
   const fallbackTex = new THREE.DataTexture(new Uint8Array([0,0,0,0]),1,1);
   fallbackTex.needsUpdate = true;
+  const indicatorRamp = createIndicatorRamp(indicator || DEFAULT_INDICATOR);
 
   const uniforms = {
     uBaseWaterColor: { value: new THREE.Color(0xf2fbff) },            // very light tint
-    uGreenColor: { value: new THREE.Color(0x00b15a) },                // indicator neutral
-    uYellowColor: { value: new THREE.Color(0xffc107) },               // acidic
-    uBlueColor: { value: new THREE.Color(0x0066ff) },                 // basic
+    uIndicatorRamp: { value: indicatorRamp },                         // valitun indikaattorin väri pH:n funktiona (lib/indicators.js)
+    uPHRange: { value: new THREE.Vector2(PH_RAMP_MIN, PH_RAMP_MAX) },  // rampin pH-akseli
+    uPH: { value: 7.0 },                                              // näytettävä pH (animoitu)
     uRadius: { value: radius },
     uHalfHeight: { value: halfHeight },
     uIndicatorMap: { value: indicatorTex || fallbackTex },
     uGlobalConc: { value: 0.0 },
     uIndicatorEnabled: { value: 0.0 },
-    uPHScore: { value: 0.0 },
+    uPHScore: { value: 0.0 },                                         // looginen happamuusasteikko (ei enää shaderissa; muut moduulit lukevat)
     uLightDir: { value: new THREE.Vector3(0.5,1.0,0.3).normalize() },
     uAmbient: { value: 0.35 },                                        // match root water ambient
     uTime: { value: 0.0 },
@@ -193,7 +200,9 @@ export function createUnifiedWater({ radius, height, radialSegments = 64, capRin
     uSurfaceGloss: { value: 0.38 },                                    // pseudo specular amplitude
     uSurfaceGlossPower: { value: 42.0 },                               // higher → tighter highlight
     uEdgeVignette: { value: 0.55 },                                    // darken extreme rim on cap
-    uDepthSaturation: { value: 0.35 }                                   // deepen color with depth
+    uDepthSaturation: { value: 0.35 },                                  // deepen color with depth
+    uTurbidity: { value: 0.0 },                                        // sakan sameus 0..1 (precipitate)
+    uTurbidityColor: { value: new THREE.Color(0xf4f4ee) }               // maitomainen valkoinen
   };
 
   // Vertex shader: displace only cap vertices (aCapFlag==1) using ripple function with edge fade.
@@ -260,13 +269,14 @@ export function createUnifiedWater({ radius, height, radialSegments = 64, capRin
   const frag = `
     precision mediump float;
     precision mediump int;
-    uniform vec3 uBaseWaterColor, uGreenColor, uYellowColor, uBlueColor;
-    uniform float uRadius, uHalfHeight, uGlobalConc, uIndicatorEnabled, uPHScore, uOpacity, uAmbient, uFresnel;
-    uniform sampler2D uIndicatorMap;
+    uniform vec3 uBaseWaterColor;
+    uniform float uRadius, uHalfHeight, uGlobalConc, uIndicatorEnabled, uPH, uOpacity, uAmbient, uFresnel;
+    uniform sampler2D uIndicatorMap; uniform sampler2D uIndicatorRamp; uniform vec2 uPHRange;
     uniform vec3 uLightDir;
   uniform float uRippleContrast; uniform float uEdgeDarkening;
   uniform vec3 uSurfaceTint; uniform float uSurfaceTintStrength; uniform float uSurfaceFresnelBoost;
   uniform float uSurfaceGloss; uniform float uSurfaceGlossPower; uniform float uEdgeVignette; uniform float uDepthSaturation;
+  uniform float uTurbidity; uniform vec3 uTurbidityColor;
   varying vec3 vPosLocal; varying vec3 vNormalWorld; varying float vCap; varying vec3 vPosWorld; varying float vRippleH;
     float sat(float x){ return clamp(x,0.0,1.0); }
     void main(){
@@ -277,15 +287,18 @@ export function createUnifiedWater({ radius, height, radialSegments = 64, capRin
       float conc = sat(max(localDiff, globalB));
       float dCenter = length(vPosLocal.xz) / uRadius;
       conc = sat(conc + localDiff * (1.0 - dCenter) * 0.3);
-      float acidMix = smoothstep(0.0, 1.0, uPHScore);
-      float baseMix = smoothstep(0.0, 1.0, -uPHScore);
-      float neutralMix = 1.0 - max(acidMix, baseMix);
-      vec3 indicatorColor = neutralMix * uGreenColor + acidMix * uYellowColor + baseMix * uBlueColor;
-      float mixAmt = (uIndicatorEnabled > 0.5) ? conc : 0.0;
+      // Indikaattorin väri rampista; alpha = värjäysvoimakkuus (esim. fenoliftaleiini väritön happamassa)
+      float rampX = clamp((uPH - uPHRange.x) / max(0.001, uPHRange.y - uPHRange.x), 0.0, 1.0);
+      vec4 ramp = texture2D(uIndicatorRamp, vec2(rampX, 0.5));
+      vec3 indicatorColor = ramp.rgb;
+      float mixAmt = (uIndicatorEnabled > 0.5) ? conc * ramp.a : 0.0;
   vec3 baseColor = mix(uBaseWaterColor, indicatorColor, sat(mixAmt));
   // Depth saturation (y downwards from surface)
   float depthFactor = clamp((uHalfHeight - (vPosLocal.y + uHalfHeight)) / (2.0*uHalfHeight), 0.0, 1.0);
   baseColor = mix(baseColor, baseColor * (1.0 + 0.45 * uDepthSaturation), depthFactor);
+  // Sameus (suspensiossa oleva sakka): maitomainen, syvemmällä hieman tiheämpi
+  float turb = sat(uTurbidity) * mix(0.75, 1.0, depthFactor);
+  baseColor = mix(baseColor, uTurbidityColor, turb * 0.7);
       vec3 N = normalize(vNormalWorld);
       vec3 L = normalize(uLightDir);
       float lambertWrap = sat(dot(N,L)*0.5 + 0.5);
@@ -323,7 +336,7 @@ export function createUnifiedWater({ radius, height, radialSegments = 64, capRin
         float edgeFactor = mix(1.0, 0.95 + 0.05 * radial, clamp(uEdgeDarkening,0.0,1.0));
         finalCol *= edgeFactor;
       }
-      gl_FragColor = vec4(finalCol, uOpacity);
+      gl_FragColor = vec4(finalCol, sat(uOpacity + sat(uTurbidity) * 0.45));
     }
   `;
 
@@ -402,7 +415,12 @@ export function createUnifiedWater({ radius, height, radialSegments = 64, capRin
   // ----------------------------------------------------------------
 
   function updateTime(t){ uniforms.uTime.value = t; }
-  function triggerRipple(worldPos, beakerGroup){
+  // strength: väreen voimakkuus (1 = roiske/kaato; kuplan puhkeaminen pienempi). Heikompi väre ei katkaise
+  // vielä näkyvää voimakkaampaa (shaderissa on yksi väre kerrallaan).
+  function triggerRipple(worldPos, beakerGroup, strength = 1.0){
+    const now = uniforms.uTime.value;
+    if (strength < uniforms.uRippleStrength.value && now - uniforms.uStartTime.value < RIPPLE_HOLD_S) return;
+    uniforms.uRippleStrength.value = strength;
     // convert to local XZ (beaker local space)
     const local = beakerGroup.worldToLocal(worldPos.clone());
     // Clamp ripple center inside radius to avoid extreme distances
@@ -418,15 +436,36 @@ export function createUnifiedWater({ radius, height, radialSegments = 64, capRin
     uniforms.uStartTime.value = t;
     uniforms.uStartTimeReflect.value = t + 0.15;
   }
+  // Vaihteleva vesimäärä: siirrä sivun ylä-/alarengas ja pinta uuteen korkeuteen (mesh.position.y = height/2 asetetaan kutsujassa).
+  // Normaalit eivät muutu (sivut pystysuoria, pinta vaakasuora), joten riittää kirjoittaa y-koordinaatit uudelleen.
+  const vertexSide = new Float32Array(totalCount); // +1 = ylä (sivun yläreuna + pinta), -1 = pohja
+  for (let i = 0; i < totalCount; i++) vertexSide[i] = (aCapFlag[i] > 0.5 || positions[i * 3 + 1] > 0) ? 1 : -1;
+  function setHeight(height){
+    const half = Math.max(1e-4, height / 2);
+    const targets = [unified];
+    if (depthPrePass) targets.push(depthPrePass.geometry);
+    for (const geo of targets) {
+      const posAttr = geo.getAttribute('position');
+      for (let i = 0; i < totalCount; i++) posAttr.setY(i, vertexSide[i] * half);
+      posAttr.needsUpdate = true;
+      geo.computeBoundingSphere();
+      geo.computeBoundingBox();
+    }
+    uniforms.uHalfHeight.value = half;
+  }
   function setIndicatorMap(tex){ uniforms.uIndicatorMap.value = tex || fallbackTex; }
-  function setChem({ globalConc, enabled, ph }) {
+  // Vaihda indikaattori (päivittää rampin paikallaan; plume-shaderit jakavat saman tekstuurin)
+  function setIndicator(id){ updateIndicatorRamp(indicatorRamp, id); }
+  function setChem({ globalConc, enabled, ph, pHValue, turbidity }) {
     if (globalConc !== undefined) uniforms.uGlobalConc.value = globalConc;
+    if (turbidity !== undefined) uniforms.uTurbidity.value = turbidity;
     if (enabled !== undefined) uniforms.uIndicatorEnabled.value = enabled ? 1.0 : 0.0;
     if (ph !== undefined) uniforms.uPHScore.value = ph;
+    if (pHValue !== undefined) uniforms.uPH.value = pHValue;
   }
   function dispose(){
     if (depthPrePass){ depthPrePass.geometry.dispose(); depthPrePass.material.dispose(); }
-    unified.dispose(); material.dispose(); fallbackTex.dispose();
+    unified.dispose(); material.dispose(); fallbackTex.dispose(); indicatorRamp.dispose();
   }
 
   return {
@@ -435,7 +474,9 @@ export function createUnifiedWater({ radius, height, radialSegments = 64, capRin
     updateTime,
     triggerRipple,
     setIndicatorMap,
+    setIndicator,
     setChem,
+    setHeight,
     setRenderConfig: mesh.userData.setRenderConfig,
     cycleRenderModes: mesh.userData.cycleRenderModes,
     dispose
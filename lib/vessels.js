@@ -0,0 +1,73 @@
+/**
+ * Astiarekisteri (useita dekantterilaseja pöydällä)
+ * ------------------------------------------------------------
+ * Jokaisella astialla on oma vesi, kemia, diffuusio, jauhe ja kuplat; rekisteri pitää kirjaa astioista
+ * ja siitä, mihin astiaan työvälineet (letku, lusikka, pipetti, sauva, anturit) viimeksi kohdistettiin.
+ * Astia tunnistetaan klikatusta objektista: beakerGroup.userData.vesselId (ks. dekantterilasi.js).
+ *
+ *   const vessels = createVesselRegistry();
+ *   vessels.add({ id: 'A', label: 'Lasi A', beaker, powder, bubbles });
+ *   vessels.fromObject(ctx.object);  // klikatun objektin astia tai null
+ *   vessels.setActive('B'); vessels.getActive();
+ */
+
+export function createVesselRegistry() {
+  const list = [];
+  let activeId = null;
+  let listener = null;
+
+  /**
+   * Lisää astia. Ensimmäisestä tulee aktiivinen.
+   * @param {{ id: string, label?: string, beaker: Object }} vessel beaker = createDekantterilasi(...)-olio
+   * @returns {Object} sama astia (kentät: tapOpen = hanan tila)
+   */
+  function add(vessel) {
+    if (!vessel || !vessel.id || get(vessel.id)) return null;
+    vessel.label = vessel.label || vessel.id;
+    vessel.tapOpen = !!vessel.tapOpen;
+    list.push(vessel);
+    if (!activeId) activeId = vessel.id;
+    return vessel;
+  }
+
+  function get(id) {
+    return list.find(v => v.id === id) || null;
+  }
+
+  // Klikatun / pudotuskohteen objektin astia (kulkee vanhempia pitkin beakerGroupiin asti)
+  function fromObject(object) {
+    let cur = object;
+    while (cur) {
+      const id = cur.userData && cur.userData.vesselId;
+      if (id) return get(id);
+      cur = cur.parent;
+    }
+    return null;
+  }
+
+  function getActive() {
+    return get(activeId) || list[0] || null;
+  }
+
+  function setActive(id) {
+    const v = get(id);
+    if (!v) return null;
+    const changed = v.id !== activeId;
+    activeId = v.id;
+    if (changed && typeof listener === 'function') { try { listener(v); } catch {} }
+    return v;
+  }
+
+  function setListener(fn) { listener = typeof fn === 'function' ? fn : null; }
+
+  return {
+    add,
+    get,
+    fromObject,
+    getActive,
+    setActive,
+    setListener,
+    list: () => list.slice(),
+    forEach: (fn) => list.forEach(fn)
+  };
+}
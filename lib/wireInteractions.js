@@ -1,3 +1,5 @@
+import { GAS_VALVE_STEPS, GAS_FLOW_MAX_ML_S, HOT_PLATE_STEPS } from './constants.js';
+import { reagentLabel } from './reagents.js';
 // Centralized interaction wiring
 // Expects an interaction manager (im) and necessary objects/managers
 /**
@@ -7,28 +9,40 @@
  * @param {import('three').Scene} params.scene - Three.js scene
  * @param {{ info:Function, success:Function, clear:Function }} params.notify - Notifier API
  * @param {Object} params.objects - Scene objects used in interactions
- * @param {import('three').Group} params.objects.gasCylinderGroup
- * @param {import('three').Group} params.objects.beakerGroup
- * @param {import('three').Object3D} params.objects.beakerNozzle
- * @param {import('three').Mesh} params.objects.meniscus
- * @param {import('three').Mesh} params.objects.meniscusUnder
+ * @param {Object} params.objects.gasRack - Gas cylinder rack (kaasupullo.js): one cylinder per gas, the regulator and hose sit on the selected one
  * @param {import('three').Group} params.objects.dropperBottleGroup
  * @param {Object} params.objects.solidJar
  * @param {import('three').Mesh} params.objects.solidSample
  * @param {Object} params.objects.spatula
  * @param {Object} params.objects.sauva
  * @param {import('three').Vector3} params.objects.hoseRestingPoint
+ * @param {Object} [params.objects.phMeter] - pH meter (probe select / dip / return)
+ * @param {Object} [params.objects.washBottle] - Wash bottle (select / squirt water into the beaker / return)
+ * @param {Object} [params.objects.hotPlate] - Hot plate under the beaker (dial click cycles the heat setting)
+ * @param {Object} [params.objects.thermometer] - Thermometer (select / dip / return, like the pH probe)
+ * @param {Object} [params.objects.balance] - Lab balance with weighing boat (tare / weigh spatula scoops / pour the boat)
+ * @param {Object} [params.objects.burette] - Burette on a stand (stopcock cycles closed / drops / stream, tip click = one drop)
+ * @param {Object} [params.objects.gasSupply] - Gas cylinder contents and pressure (lib/gasSupply.js); an empty cylinder gives no flow
+ * @param {Object} [params.objects.condMeter] - Conductivity meter (probe select / dip / return; ION button toggles the ion view)
+ * @param {Object} [params.objects.watchGlass] - Watch glass lid (select, then a beaker click covers it; a click on the lid returns it)
+ * @param {Object} [params.objects.vessels] - Vessel registry (lib/vessels.js); a click or drop on a beaker makes it the active vessel
  * @param {Object} params.managers - Helper managers and utilities
  * @param {Object} params.managers.animationManager
  * @param {Object} params.managers.hoseAnimator
  * @param {Object} params.managers.pipetteAnimator
- * @param {Object} params.managers.powder
+ * @param {Object} [params.managers.pourAnimator] - Lifts a beaker and pours it into another (lib/pourAnimator.js)
  * @param {Function} params.managers.tweenTo
  * @param {Object} params.callbacks - Callback hooks and shared state
  * @param {Object} params.callbacks.state - Shared mutable state (hose/taps/valve and selections)
- * @param {Function} params.callbacks.runSpaatteliSequence - Starts the scoop animation sequence
- * @param {Function} params.callbacks.onBeakerClick - Beaker click handler (stir/pour/hose attach/pipette)
+ * @param {Function} params.callbacks.runSpaatteliSequence - Starts the scoop animation sequence ({ depth } 0..1)
+ * @param {Function} [params.callbacks.pourSpatulaToBoat] - Pours the loaded spatula into the weighing boat on the balance
+ * @param {Function} params.callbacks.onBeakerClick - Beaker click handler for the active vessel (stir/pour/hose attach/pipette;
+ *   without a selected tool the beaker is lifted, and a click on another beaker pours into it)
+ * @param {Function} [params.callbacks.canLiftVessel] - Whether a vessel can be lifted for pouring (no tool selected, nothing in it)
  * @param {Function} params.callbacks.onDropperClick - Dropper bottle click handler
+ * @param {Function} [params.callbacks.selectGas] - Selects a gas like the gas menu (moves the regulator and hose to its cylinder)
+ * @param {Function} [params.callbacks.isPipetteRaised] - Whether the pipette is lifted (dropper drag)
+ * @param {Function} [params.callbacks.finishFreeStir] - Ends free-form stirring (rod out of the beaker)
  */
 export function wireInteractions({
   im,
@@ -39,24 +53,30 @@ export function wireInteractions({
   callbacks
 }) {
   const {
-    gasCylinderGroup,
-    beakerGroup,
-    beakerNozzle,
-    meniscus,
-    meniscusUnder,
+    gasRack,
     dropperBottleGroup,
     solidJar,
     solidSample,
     spatula,
     sauva,
-    hoseRestingPoint
+    hoseRestingPoint,
+    phMeter,
+    washBottle,
+    hotPlate,
+    thermometer,
+    balance,
+    burette,
+    condMeter,
+    watchGlass,
+    gasSupply,
+    vessels
   } = objects;
 
   const {
     animationManager,
     hoseAnimator,
     pipetteAnimator,
-  powder,
+    pourAnimator,
   tweenTo
   } = managers;
 
@@ -64,12 +84,28 @@ export function wireInteractions({
     state
   } = callbacks;
 
-  // Gas cylinder group: open menu
+  // Klikattu / pudotuskohteen lasi aktiiviseksi; toistossa (ei objektia) aktiivinen lasi on jo asetettu
+  const targetVessel = (object) => {
+    if (!vessels) return null;
+    const v = vessels.fromObject(object);
+    if (v) vessels.setActive(v.id);
+    return vessels.getActive();
+  };
+
+  // Another gas's cylinder on the rack: move the regulator and hose to it (the selection itself is recorded as selectGas)
+  im.onPredicate(ctx => ctx.hasName('gasCylinderGroup'), (ctx) => {
+    const cyl = gasRack.cylinderFromObject(ctx.object);
+    if (!cyl || cyl.gas === gasRack.getConnectedGas()) return false;
+    callbacks.selectGas?.(cyl.gas);
+    return true;
+  }, { priority: 12, action: 'connectCylinder' });
+
+  // Connected gas cylinder (or its regulator): open menu
   im.onName('gasCylinderGroup', (ctx) => {
     if (ctx.hasName('gasValveHandle')) return false;
     document.getElementById('gasMenu').style.display = 'block';
     return true;
-  }, { priority: 10 });
+  }, { priority: 10, action: 'openGasMenu' });
 
   // Hose click (toggle select / attach / return)
   im.onPredicate(ctx => ctx.object?.name === 'hoseMesh', () => {
@@ -102,7 +138,96 @@ export function wireInteractions({
     animationManager.run('hose', () => hoseAnimator.liftTip(1.0, 200));
     notify.info('Letku valittu. Klikkaa dekantterilasia kiinnittääksesi tai letkua uudelleen palauttaaksesi.', { duration: 3000 });
     return true;
-  }, { priority: 60 });
+  }, { priority: 60, action: 'hose' });
+
+  // pH meter probe (select / return; dipping happens on beaker click like hose attach)
+  im.onPredicate(ctx => ctx.hasName('phProbe') || ctx.hasName('phMeterGroup'), () => {
+    if (!phMeter || animationManager.isRunning('phProbe')) return true;
+    if (phMeter.isDipped() || state.isPhProbeSelected) {
+      state.isPhProbeSelected = false;
+      phMeter.setHighlight(false);
+      animationManager.run('phProbe', () => phMeter.returnToRest()).then(() => {
+        notify.info('pH-anturi palautettu telineeseen.', { duration: 1300 });
+      });
+      return true;
+    }
+    state.isPhProbeSelected = true;
+    phMeter.setHighlight(true);
+    animationManager.run('phProbe', () => phMeter.lift(0.4, 200));
+    notify.info('pH-anturi valittu. Klikkaa dekantterilasia upottaaksesi sen veteen.', { duration: 3000 });
+    return true;
+  }, { priority: 55, action: 'phProbe' });
+
+  // Thermometer (select / return; dipping happens on beaker click like the pH probe)
+  if (thermometer) {
+    im.onPredicate(ctx => ctx.hasName('thermometer') || ctx.hasName('thermometerStand'), () => {
+      if (animationManager.isRunning('thermometer')) return true;
+      if (thermometer.isDipped() || state.isThermometerSelected) {
+        state.isThermometerSelected = false;
+        thermometer.setHighlight(false);
+        animationManager.run('thermometer', () => thermometer.returnToRest()).then(() => {
+          notify.info('Lämpömittari palautettu telineeseen.', { duration: 1300 });
+        });
+        return true;
+      }
+      state.isThermometerSelected = true;
+      thermometer.setHighlight(true);
+      animationManager.run('thermometer', () => thermometer.lift(0.4, 200));
+      notify.info('Lämpömittari valittu. Klikkaa dekantterilasia upottaaksesi sen veteen.', { duration: 3000 });
+      return true;
+    }, { priority: 55, action: 'thermometer' });
+  }
+
+  // Conductivity probe (select / return like the pH probe) and the ION button on the meter unit
+  if (condMeter) {
+    im.onPredicate(ctx => ctx.hasName('conductivityIonButton'), () => {
+      state.ionView = !state.ionView;
+      condMeter.setIonView(state.ionView);
+      vessels?.forEach(v => v.beaker.setIonView(state.ionView));
+      notify.info(state.ionView ? 'Ioninäkymä päällä: liuenneet ionit näkyvät värillisinä hiukkasina.' : 'Ioninäkymä pois.', { duration: 2000 });
+      return true;
+    }, { priority: 60, action: 'ionView' });
+
+    im.onPredicate(ctx => ctx.hasName('conductivityProbe') || ctx.hasName('conductivityMeterGroup'), () => {
+      if (animationManager.isRunning('condProbe')) return true;
+      if (condMeter.isDipped() || state.isCondProbeSelected) {
+        state.isCondProbeSelected = false;
+        condMeter.setHighlight(false);
+        animationManager.run('condProbe', () => condMeter.returnToRest()).then(() => {
+          notify.info('Johtokykykenno palautettu telineeseen.', { duration: 1300 });
+        });
+        return true;
+      }
+      state.isCondProbeSelected = true;
+      condMeter.setHighlight(true);
+      animationManager.run('condProbe', () => condMeter.lift(0.4, 200));
+      notify.info('Johtokykykenno valittu. Klikkaa dekantterilasia upottaaksesi sen veteen.', { duration: 3000 });
+      return true;
+    }, { priority: 55, action: 'condProbe' });
+  }
+
+  // Watch glass: select from the table / lift off the covered beaker (placing happens via the beaker click)
+  if (watchGlass) {
+    im.onPredicate(ctx => ctx.hasName('watchGlassGroup'), () => {
+      if (animationManager.isRunning('watchGlass')) return true;
+      if (watchGlass.isPlaced() || state.isWatchGlassSelected) {
+        const covered = state.lidVessel && vessels?.get(state.lidVessel);
+        if (covered) covered.beaker.setLid(false);
+        state.lidVessel = null;
+        state.isWatchGlassSelected = false;
+        watchGlass.setHighlight(false);
+        animationManager.run('watchGlass', () => watchGlass.returnToRest()).then(() => {
+          if (covered) notify.info(`Kellolasi poistettu lasin ${covered.id} päältä – kaasut pääsevät karkaamaan.`, { duration: 1800 });
+        });
+        return true;
+      }
+      state.isWatchGlassSelected = true;
+      watchGlass.setHighlight(true);
+      animationManager.run('watchGlass', () => watchGlass.lift(0.4, 200));
+      notify.info('Kellolasi valittu. Klikkaa dekantterilasia peittääksesi sen.', { duration: 3000 });
+      return true;
+    }, { priority: 55, action: 'watchGlass' });
+  }
 
   // Spatula select / toggle return
   im.onPredicate(ctx => ctx.hasName('spatulaGroup'), () => {
@@ -123,16 +248,21 @@ export function wireInteractions({
       }
     } else {
       if (spatula.select && spatula.select()) {
-        notify.info('Lusikka valittu. Klikkaa lusikkaa uudelleen palauttaaksesi tai jauhetta kauhaistaksesi.', { duration: 2600 });
+        notify.info('Lusikka valittu. Klikkaa jauhepurkkia kauhaistaksesi (mitä alempaa, sitä syvempi kauhaisu) tai lusikkaa uudelleen palauttaaksesi.', { duration: 2600 });
       }
     }
     return true;
-  }, { priority: 40 });
+  }, { priority: 40, action: 'spatula' });
 
   // Sauva select / toggle return
   im.onPredicate(ctx => ctx.hasName('sauvaGroup'), () => {
     if (!sauva) return true;
     const st = sauva.state;
+    // Vapaa sekoitus käynnissä: sauvan klikkaus lopettaa sen
+    if (st.freeStirring) {
+      if (typeof callbacks.finishFreeStir === 'function') callbacks.finishFreeStir();
+      return true;
+    }
     if (st.isAnimating) {
       if (st.isSelected) {
         st.pendingReturn = true;
@@ -151,44 +281,395 @@ export function wireInteractions({
       if (sel) notify.info('Sauva valittu. Klikkaa keitinlasia sekoittaaksesi tai sauvaa uudelleen palauttaaksesi.', { duration: 2600 });
     }
     return true;
-  }, { priority: 40 });
+  }, { priority: 40, action: 'sauva' });
 
   // Solid sample interactions
-  im.onPredicate(ctx => ctx.hasName('solidSample'), () => {
+  // Kauhaisun syvyys: klikkauskohdan korkeus purkissa jauheen pintaan nähden (toistossa tallennettu arvo)
+  const scoopLabel = (d) => (d < 0.34 ? 'matala' : d < 0.67 ? 'keskisyvä' : 'syvä');
+  im.onPredicate(ctx => ctx.hasName('solidSample'), (ctx) => {
     if (spatula.state.isSelected && !spatula.state.isAnimating) {
-      animationManager.run('spatula', () => callbacks.runSpaatteliSequence()).then(() => {
-        notify.success('Kauhaistu. Klikkaa keitinlasia kaataaksesi.', { duration: 2800 });
+      if (ctx.point && solidJar?.depthAt) state.scoopDepth = solidJar.depthAt(ctx.point);
+      const depth = typeof state.scoopDepth === 'number' ? state.scoopDepth : 0.5;
+      animationManager.run('spatula', () => callbacks.runSpaatteliSequence({ depth })).then(() => {
+        if (!spatula.state.hasPowder) {
+          notify.warn('Purkki on tyhjä – valitse toinen aine tai aloita alusta.', { duration: 2400 });
+          return;
+        }
+        notify.success(`Kauhaistu (${scoopLabel(depth)} kauhaisu). Klikkaa keitinlasia kaataaksesi tai vaakaa punnitaksesi.`, { duration: 2800 });
       });
     } else {
       document.getElementById('solidMenu').style.display = 'block';
       notify.info('Valitse kiinteä aine valikosta.');
     }
     return true;
-  }, { priority: 35 });
+  }, { priority: 35, action: 'solidSample' });
 
-  // Gas valve toggle
-  im.onName('gasValveHandle', () => {
-    state.isGasValveOpen = !state.isGasValveOpen;
-    const valveHandle = scene.getObjectByName('gasValveHandle');
-    const targetRotationY = state.isGasValveOpen ? Math.PI / 2 : 0;
+  // Gas valve: each click opens one step further (¼ → ½ → full → closed); flow follows the handle angle
+  im.onName('gasValveHandle', (ctx) => {
+    // Only the cylinder carrying the regulator is used; another cylinder's valve falls through to connectCylinder
+    const clicked = ctx.firstByName('gasValveHandle');
+    if (clicked && clicked !== gasRack.getValveHandle()) return false;
+    if (gasRack.isMoving()) return false;
+    const steps = GAS_VALVE_STEPS;
+    const current = state.gasValveOpening || 0;
+    const next = steps.find(s => s > current + 1e-6);
+    state.gasValveOpening = (next === undefined) ? 0 : next;
+    state.isGasValveOpen = state.gasValveOpening > 0;
+    const valveHandle = gasRack.getValveHandle();
+    const targetRotationY = state.gasValveOpening * (Math.PI / 2);
     animationManager.run('gasValve', () => tweenTo(valveHandle.rotation, { y: targetRotationY }, 300, TWEEN.Easing.Quadratic.Out));
+    try {
+      const bar = gasSupply ? gasSupply.getPressure(state.selectedGas) : null;
+      if (state.isGasValveOpen && gasSupply?.isEmpty(state.selectedGas)) notify.warn(`Kaasupullo (${reagentLabel(state.selectedGas)}) on tyhjä – kaasua ei virtaa.`, { duration: 2400 });
+      else if (state.isGasValveOpen) notify.info(`Kaasuvirtaus ${(state.gasValveOpening * GAS_FLOW_MAX_ML_S).toFixed(1)} mL/s${bar !== null ? ` (pullon paine ${Math.round(bar)} bar)` : ''}`, { duration: 1400 });
+      else notify.info('Kaasuventtiili suljettu', { duration: 1200 });
+    } catch {}
     return true;
-  }, { priority: 60 });
+  }, { priority: 60, action: 'gasValve' });
+
+  // Hot plate dial: each click turns the heat one step up (off → 1 → 2 → 3 → off)
+  if (hotPlate) {
+    im.onName('hotPlateDial', () => {
+      const { level, targetC } = hotPlate.cycleLevel();
+      try {
+        if (level > 0) notify.info(`Keittolevy teho ${level}/${HOT_PLATE_STEPS.length - 1} (levy ~${Math.round(targetC)} °C)`, { duration: 1600 });
+        else notify.info('Keittolevy pois päältä', { duration: 1200 });
+      } catch {}
+      return true;
+    }, { priority: 60, action: 'hotPlate' });
+  }
 
-  // Beaker tap toggle
-  im.onName('beakerTapHandle', () => {
-    state.isBeakerTapOpen = !state.isBeakerTapOpen;
-    const tapHandle = scene.getObjectByName('beakerTapHandle');
-    const targetY = state.isBeakerTapOpen ? Math.PI / 2 : 0;
+  // Beaker tap toggle (with the hose attached gas flows in; without it the solution drains out); every vessel has its own tap
+  im.onName('beakerTapHandle', (ctx) => {
+    const vessel = targetVessel(ctx.object);
+    if (vessel && state.pourVessel === vessel.id) return true; // nostetun lasin hana pysyy kiinni
+    const open = vessel ? (vessel.tapOpen = !vessel.tapOpen) : !state.isBeakerTapOpen;
+    state.isBeakerTapOpen = open;
+    const tapHandle = vessel ? vessel.beaker.beakerTapHandle : scene.getObjectByName('beakerTapHandle');
+    const targetY = open ? Math.PI / 2 : 0;
     animationManager.run('beakerTap', () => tweenTo(tapHandle.rotation, { y: targetY }, 200, TWEEN.Easing.Quadratic.Out));
+    const hoseHere = state.isHoseAttached && (!vessel || state.hoseVessel === vessel.id);
+    if (open && !hoseHere) {
+      try { notify.info('Hana auki – liuos valuu pois hanan korkeudelle asti.', { duration: 2000 }); } catch {}
+    }
     return true;
-  }, { priority: 30 });
+  }, { priority: 30, action: 'beakerTap' });
+
+  // Wash bottle select / toggle return (squirting happens on beaker click like stirring)
+  if (washBottle) {
+    im.onName('washBottle', () => {
+      const st = washBottle.state;
+      if (st.isAnimating) return true;
+      if (st.isSelected) {
+        animationManager.run('washBottle', () => washBottle.returnToRest()).then(() => {
+          notify.info('Pesupullo palautettu pöydälle.', { duration: 1200 });
+        });
+      } else if (washBottle.select()) {
+        notify.info('Pesupullo valittu. Klikkaa dekantterilasia lisätäksesi vettä tai pulloa uudelleen palauttaaksesi.', { duration: 2600 });
+      }
+      return true;
+    }, { priority: 40, action: 'washBottle' });
+  }
+
+  // Lab balance: TARE zeroes the display; a click with a loaded spatula pours the scoop into the boat,
+  // otherwise the boat is lifted (pour it into the beaker with a beaker click) or put back on the pan
+  if (balance) {
+    im.onName('balanceTare', () => {
+      if (!balance.state.boatOnPan && !balance.state.boatSelected) return true; // vene matkalla
+      balance.tare();
+      notify.info('Vaaka taarattu (0.000 g).', { duration: 1200 });
+      return true;
+    }, { priority: 60, action: 'balanceTare' });
+
+    im.onPredicate(ctx => ctx.hasName('balanceGroup') || ctx.hasName('weighBoat'), () => {
+      if (spatula?.state?.isSelected && spatula.state.hasPowder) {
+        if (!spatula.state.isAnimating && typeof callbacks.pourSpatulaToBoat === 'function') callbacks.pourSpatulaToBoat();
+        return true;
+      }
+      const st = balance.state;
+      if (st.isAnimating || animationManager.isRunning('weighBoat')) return true;
+      if (st.boatSelected) {
+        balance.setHighlight(false);
+        animationManager.run('weighBoat', () => balance.returnBoat()).then(() => {
+          notify.info('Punnitusvene palautettu vaa\'alle.', { duration: 1200 });
+        });
+        return true;
+      }
+      const { code, grams } = balance.getBoatContents();
+      if (!(grams > 0)) {
+        notify.info('Punnitusvene on tyhjä. Kauhaise jauhetta lusikalla ja klikkaa vaakaa kaataaksesi sen veneeseen.', { duration: 3000 });
+        return true;
+      }
+      balance.setHighlight(true);
+      animationManager.run('weighBoat', () => balance.selectBoat());
+      notify.info(`Punnitusvene valittu (${grams.toFixed(3)} g ${code}). Klikkaa dekantterilasia kaataaksesi.`, { duration: 3000 });
+      return true;
+    }, { priority: 45, action: 'balance' });
+  }
+
+  // Burette: stand/tube click opens the titrant menu, the stopcock cycles closed -> drops -> stream -> closed,
+  // the tip releases a single drop. Filling comes from the menu button (perform('fillBurette'), recorded like clicks).
+  if (burette) {
+    im.onName('buretteStopcock', () => {
+      if (!burette.isFilled()) {
+        notify.info('Byretti on tyhjä. Klikkaa byrettiä ja täytä se mittaliuoksella.', { duration: 2500 });
+        return true;
+      }
+      const mode = burette.cycleStopcock();
+      const msg = { closed: 'Byretin hana suljettu', drops: 'Byretin hana auki: tipoittain', stream: 'Byretin hana auki: virtaus' }[mode];
+      notify.info(`${msg} (lukema ${burette.readScale().toFixed(2).replace('.', ',')} mL)`, { duration: 1800 });
+      return true;
+    }, { priority: 60, action: 'buretteStopcock' });
+
+    im.onName('buretteTip', () => {
+      if (!burette.isFilled()) return true;
+      if (burette.isOpen()) return true; // hana jo auki, tipat tulevat itsestään
+      burette.releaseDrop();
+      return true;
+    }, { priority: 55, action: 'buretteDrop' });
+
+    im.onName('buretteGroup', () => {
+      if (burette.isOpen()) {
+        notify.info('Sulje byretin hana ennen täyttöä.', { duration: 2000 });
+        return true;
+      }
+      document.getElementById('buretteMenu').style.display = 'block';
+      return true;
+    }, { priority: 25, action: 'openBuretteMenu' });
+
+    im.onAction('fillBurette', () => {
+      if (burette.isOpen()) return false;
+      if (!burette.fill(state.selectedTitrant, state.titrantConc)) return false;
+      notify.success(`Byretti täytetty: ${reagentLabel(state.selectedTitrant)} ${String(state.titrantConc).replace('.', ',')} mol/l, lukema 0,00 mL`, { duration: 2500 });
+      return true;
+    });
+  }
 
   // Beaker group interactions (hose attach, stir, pour, pipette transfer handled externally)
-  im.onName('beakerGroup', () => callbacks.onBeakerClick(), { priority: 20 });
+  im.onName('beakerGroup', (ctx) => {
+    targetVessel(ctx.object);
+    return callbacks.onBeakerClick();
+  }, { priority: 20, action: 'beaker' });
+
+  // Dropper label: open indicator menu (like gasMenu)
+  im.onName('indicatorLabel', () => {
+    document.getElementById('indicatorMenu').style.display = 'block';
+    return true;
+  }, { priority: 25, action: 'openIndicatorMenu' });
 
   // Dropper bottle
-  im.onName('dropperBottle', () => { callbacks.onDropperClick(); return true; }, { priority: 20 });
+  im.onName('dropperBottle', () => { callbacks.onDropperClick(); return true; }, { priority: 20, action: 'dropper' });
+
+  // --- Drag & drop: tools follow the pointer and run the same actions as the click sequences on drop ---
+  // Dropping over a target performs the click action (recorded/guarded like clicks); elsewhere the tool returns.
+  // Pudotus lasin päälle valitsee lasin kohteeksi
+  const overBeaker = (ctx) => {
+    if (!ctx.target.hasName('beakerGroup')) return false;
+    targetVessel(ctx.target.object);
+    return true;
+  };
+
+  if (spatula) {
+    im.onDrag('spatulaGroup', {
+      onStart: (ctx) => {
+        const st = spatula.state;
+        if (st.isAnimating && !st.isSelected) return false;
+        if (!st.isSelected && !ctx.perform('spatula')) return false;
+        return spatula.spatulaGroup;
+      },
+      onMove: (ctx) => {
+        const p = ctx.pointOnPlane(spatula.state.restPosition.y + 0.35);
+        if (p) { spatula.spatulaGroup.position.x = p.x; spatula.spatulaGroup.position.z = p.z; }
+      },
+      onDrop: (ctx) => {
+        const st = spatula.state;
+        const overBalance = ctx.target.hasName('balanceGroup') || ctx.target.hasName('weighBoat');
+        if (ctx.target.hasName('solidSample') && !st.hasPowder) {
+          // Pudotuskohdan korkeus purkissa = kauhaisun syvyys
+          if (ctx.target.point && solidJar?.depthAt) state.scoopDepth = solidJar.depthAt(ctx.target.point);
+          ctx.perform('solidSample');
+        }
+        else if (overBalance && st.hasPowder) ctx.perform('balance');
+        else if (st.hasPowder && overBeaker(ctx)) ctx.perform('beaker');
+        else ctx.perform('spatula');
+      }
+    }, { priority: 40, action: 'spatula' });
+  }
+
+  if (sauva) {
+    im.onDrag('sauvaGroup', {
+      onStart: (ctx) => {
+        const st = sauva.state;
+        if (st.freeStirring) return sauva.sauvaGroup; // sekoitus vetämällä lasin sisällä
+        if (st.isAnimating || st.stirring) return false;
+        if (!st.isSelected && !ctx.perform('sauva')) return false;
+        return sauva.sauvaGroup;
+      },
+      onMove: (ctx) => {
+        const st = sauva.state;
+        if (st.freeStirring) {
+          const p = ctx.pointOnPlane(st.freeStir.followY);
+          if (p) sauva.stirTo(p);
+          return;
+        }
+        const p = ctx.pointOnPlane(sauva.sauvaGroup.position.y);
+        if (p) { sauva.sauvaGroup.position.x = p.x; sauva.sauvaGroup.position.z = p.z; }
+      },
+      onDrop: (ctx) => {
+        if (sauva.state.freeStirring) return; // sauva jää lasiin
+        if (overBeaker(ctx)) ctx.perform('beaker');
+        else ctx.perform('sauva');
+      }
+    }, { priority: 40, action: 'sauva' });
+  }
+
+  // Hose tip: carry to the beaker nozzle (an attached hose is detached by clicking)
+  im.onDrag(ctx => ctx.object?.name === 'hoseMesh', {
+    onStart: (ctx) => {
+      if (state.isHoseAttached || animationManager.isRunning('hoseReturn')) return false;
+      if (!state.isHoseSelected && !ctx.perform('hose')) return false;
+      return (obj) => obj.name === 'hoseMesh';
+    },
+    onMove: (ctx) => {
+      const p = ctx.pointOnPlane(state.hoseEndPoint.y);
+      if (p) { state.hoseEndPoint.x = p.x; state.hoseEndPoint.z = p.z; }
+    },
+    onDrop: (ctx) => {
+      if (overBeaker(ctx)) ctx.perform('beaker');
+      else ctx.perform('hose');
+    }
+  }, { priority: 60, action: 'hose' });
+
+  if (phMeter) {
+    im.onDrag('phProbe', {
+      onStart: (ctx) => {
+        if (phMeter.isDipped() || animationManager.isRunning('phProbe')) return false;
+        if (!state.isPhProbeSelected && !ctx.perform('phProbe')) return false;
+        return phMeter.probe;
+      },
+      onMove: (ctx) => {
+        if (animationManager.isRunning('phProbe')) return; // nosto kesken
+        const p = ctx.pointOnPlane(phMeter.probe.position.y);
+        if (p) { phMeter.probe.position.x = p.x; phMeter.probe.position.z = p.z; }
+      },
+      onDrop: (ctx) => {
+        // Odota mahdollinen nosto loppuun ennen upotusta / palautusta
+        animationManager.run('phProbe', () => {}).then(() => {
+          if (overBeaker(ctx)) ctx.perform('beaker');
+          else ctx.perform('phProbe');
+        });
+      }
+    }, { priority: 55, action: 'phProbe' });
+  }
+
+  if (thermometer) {
+    im.onDrag('thermometer', {
+      onStart: (ctx) => {
+        if (thermometer.isDipped() || animationManager.isRunning('thermometer')) return false;
+        if (!state.isThermometerSelected && !ctx.perform('thermometer')) return false;
+        return thermometer.thermometer;
+      },
+      onMove: (ctx) => {
+        if (animationManager.isRunning('thermometer')) return; // nosto kesken
+        const p = ctx.pointOnPlane(thermometer.thermometer.position.y);
+        if (p) { thermometer.thermometer.position.x = p.x; thermometer.thermometer.position.z = p.z; }
+      },
+      onDrop: (ctx) => {
+        animationManager.run('thermometer', () => {}).then(() => {
+          if (overBeaker(ctx)) ctx.perform('beaker');
+          else ctx.perform('thermometer');
+        });
+      }
+    }, { priority: 55, action: 'thermometer' });
+  }
+
+  if (condMeter) {
+    im.onDrag('conductivityProbe', {
+      onStart: (ctx) => {
+        if (condMeter.isDipped() || animationManager.isRunning('condProbe')) return false;
+        if (!state.isCondProbeSelected && !ctx.perform('condProbe')) return false;
+        return condMeter.probe;
+      },
+      onMove: (ctx) => {
+        if (animationManager.isRunning('condProbe')) return; // nosto kesken
+        const p = ctx.pointOnPlane(condMeter.probe.position.y);
+        if (p) { condMeter.probe.position.x = p.x; condMeter.probe.position.z = p.z; }
+      },
+      onDrop: (ctx) => {
+        animationManager.run('condProbe', () => {}).then(() => {
+          if (overBeaker(ctx)) ctx.perform('beaker');
+          else ctx.perform('condProbe');
+        });
+      }
+    }, { priority: 55, action: 'condProbe' });
+  }
+
+  if (washBottle) {
+    im.onDrag('washBottle', {
+      onStart: (ctx) => {
+        const st = washBottle.state;
+        if (st.isAnimating || animationManager.isRunning('washBottle')) return false;
+        if (!st.isSelected && !ctx.perform('washBottle')) return false;
+        return washBottle.bottleGroup;
+      },
+      onMove: (ctx) => {
+        const p = ctx.pointOnPlane(washBottle.bottleGroup.position.y);
+        if (p) { washBottle.bottleGroup.position.x = p.x; washBottle.bottleGroup.position.z = p.z; }
+      },
+      onDrop: (ctx) => {
+        animationManager.run('washBottle', () => {}).then(() => {
+          if (overBeaker(ctx)) ctx.perform('beaker');
+          else ctx.perform('washBottle');
+        });
+      }
+    }, { priority: 40, action: 'washBottle' });
+  }
+
+  // Beaker pour: drag a beaker (no tool selected) over another beaker to pour into it; elsewhere it is put back
+  if (vessels && pourAnimator && typeof callbacks.canLiftVessel === 'function') {
+    im.onDrag('beakerGroup', {
+      onStart: (ctx) => {
+        const v = vessels.fromObject(ctx.object);
+        if (!v) return false;
+        if (state.pourVessel !== v.id) {
+          if (!callbacks.canLiftVessel(v)) return false;
+          vessels.setActive(v.id);
+          if (!ctx.perform('beaker') || state.pourVessel !== v.id) return false;
+        }
+        return v.beaker.beakerGroup;
+      },
+      onMove: (ctx) => {
+        const lifted = pourAnimator.getLifted();
+        const p = lifted && ctx.pointOnPlane(lifted.beakerGroup.position.y);
+        if (p) pourAnimator.carryTo(p.x, p.z);
+      },
+      onDrop: (ctx) => {
+        const sourceId = state.pourVessel;
+        // Odota nosto loppuun; pudotus toisen lasin päälle kaataa, muualle laskee lasin takaisin
+        animationManager.run('pour', () => {}).then(() => {
+          if (!sourceId || state.pourVessel !== sourceId) return;
+          if (!overBeaker(ctx)) vessels.setActive(sourceId);
+          ctx.perform('beaker');
+        });
+      }
+    }, { priority: 20, action: 'beaker' });
+  }
+
+  // Pipette: drag from the dropper bottle onto the beaker (the transfer itself follows the pipette path)
+  im.onDrag(ctx => ctx.hasName('dropperBottle') && !ctx.hasName('indicatorLabel'), {
+    onStart: (ctx) => {
+      if (animationManager.isRunning('pipette')) return false;
+      const raised = typeof callbacks.isPipetteRaised === 'function' && callbacks.isPipetteRaised();
+      if (!raised && !ctx.perform('dropper')) return false;
+      return dropperBottleGroup;
+    },
+    onDrop: (ctx) => {
+      animationManager.run('pipette', () => {}).then(() => {
+        if (overBeaker(ctx)) ctx.perform('beaker');
+        else ctx.perform('dropper');
+      });
+    }
+  }, { priority: 20, action: 'dropper' });
 
   im.attach();
 }
@@ -0,0 +1,194 @@
+import * as THREE from 'three';
+import { tweenTo, tweenQuatTo } from './lib/animUtils.js';
+// Pesupullo (tislattu vesi): puristettava muovipullo taivutetulla suuttimella
+// - Klikkaus valitsee pullon (nousee ja korostuu), dekantterilasin klikkaus suihkuttaa vettä lasiin
+// - Suihkutus: pullo siirtyy lasin reunalle suutin lasin päälle, suihku näkyy kunnes annos on lisätty
+// - Lisätty vesimäärä raportoidaan onFlow(mL)-kutsuilla (dekantterilasi.addWater)
+
+function createLabelTexture() {
+	const canvas = document.createElement('canvas');
+	canvas.width = 256;
+	canvas.height = 128;
+	const ctx = canvas.getContext('2d');
+	ctx.fillStyle = '#ffffff';
+	ctx.fillRect(0, 0, canvas.width, canvas.height);
+	ctx.fillStyle = '#1d4ed8';
+	ctx.fillRect(0, 0, canvas.width, 18);
+	ctx.fillStyle = '#111827';
+	ctx.textAlign = 'center';
+	ctx.textBaseline = 'middle';
+	ctx.font = 'bold 46px Arial';
+	ctx.fillText('H₂O', canvas.width / 2, 58);
+	ctx.font = '22px Arial';
+	ctx.fillText('Tislattu vesi', canvas.width / 2, 102);
+	const tex = new THREE.CanvasTexture(canvas);
+	tex.colorSpace = THREE.SRGBColorSpace;
+	return tex;
+}
+
+export function createPesupullo(scene, { position = new THREE.Vector3(1.9, 0, -1.3) } = {}) {
+	const bottleGroup = new THREE.Group();
+	bottleGroup.name = 'washBottle';
+
+	const bodyRadius = 0.42;
+	const bodyHeight = 1.1;
+	const shoulderHeight = 0.2;
+	const capHeight = 0.15;
+	const topY = bodyHeight + shoulderHeight + capHeight;
+
+	// LDPE-muovi: maitomainen, hieman läpikuultava
+	const plasticMat = new THREE.MeshStandardMaterial({ color: 0xf3f5f0, roughness: 0.6, metalness: 0.0, transparent: true, opacity: 0.92 });
+	const capMat = new THREE.MeshStandardMaterial({ color: 0x2563eb, roughness: 0.5, metalness: 0.0 });
+	const waterMat = new THREE.MeshStandardMaterial({ color: 0xcfe9ff, transparent: true, opacity: 0.55, roughness: 0.1, depthWrite: false });
+
+	const body = new THREE.Mesh(new THREE.CylinderGeometry(bodyRadius, bodyRadius, bodyHeight, 32), plasticMat);
+	body.position.y = bodyHeight / 2;
+	body.castShadow = true;
+	const shoulder = new THREE.Mesh(new THREE.CylinderGeometry(0.2, bodyRadius, shoulderHeight, 32), plasticMat);
+	shoulder.position.y = bodyHeight + shoulderHeight / 2;
+	const cap = new THREE.Mesh(new THREE.CylinderGeometry(0.2, 0.2, capHeight, 24), capMat);
+	cap.position.y = bodyHeight + shoulderHeight + capHeight / 2;
+	// Tarra pullon kyljessä (kameran puolella)
+	const label = new THREE.Mesh(
+		new THREE.CylinderGeometry(bodyRadius + 0.004, bodyRadius + 0.004, 0.42, 24, 1, true, -0.8, 1.6),
+		new THREE.MeshStandardMaterial({ map: createLabelTexture(), roughness: 0.7 })
+	);
+	label.position.y = bodyHeight * 0.5;
+
+	// Taivutettu suutinputki: ylös korkista, kaari ulospäin (+x) ja kärki alaspäin
+	const nozzleCurve = new THREE.CatmullRomCurve3([
+		new THREE.Vector3(0, topY - 0.05, 0),
+		new THREE.Vector3(0, topY + 0.35, 0),
+		new THREE.Vector3(0.15, topY + 0.52, 0),
+		new THREE.Vector3(0.45, topY + 0.46, 0),
+		new THREE.Vector3(0.62, topY + 0.3, 0)
+	]);
+	const nozzle = new THREE.Mesh(new THREE.TubeGeometry(nozzleCurve, 32, 0.025, 10, false), plasticMat);
+	nozzle.name = 'washBottleNozzle';
+	const tip = new THREE.Object3D();
+	tip.name = 'washBottleTip';
+	tip.position.copy(nozzleCurve.getPoint(1));
+
+	bottleGroup.add(body, shoulder, cap, label, nozzle, tip);
+	bottleGroup.position.copy(position);
+	// Suutin osoittaa oletuksena dekantterilasin suuntaan (+x)
+	scene.add(bottleGroup);
+
+	// Suihku (maailmakoordinaateissa, venytetään kärjestä vedenpintaan)
+	const stream = new THREE.Mesh(new THREE.CylinderGeometry(0.018, 0.012, 1, 10, 1, true), waterMat);
+	stream.name = 'washBottleStream';
+	stream.visible = false;
+	scene.add(stream);
+
+	const state = {
+		isSelected: false,
+		isAnimating: false,
+		restPosition: bottleGroup.position.clone(),
+		restQuaternion: bottleGroup.quaternion.clone()
+	};
+
+	function setHighlight(on) {
+		plasticMat.emissive.setHex(on ? 0x1f6f1f : 0x000000);
+	}
+
+	function setStream(fromWorld, toY) {
+		const len = Math.max(0.01, fromWorld.y - toY);
+		stream.scale.set(1, len, 1);
+		stream.position.set(fromWorld.x, fromWorld.y - len / 2, fromWorld.z);
+		stream.visible = true;
+	}
+
+	function select() {
+		if (state.isAnimating || state.isSelected) return false;
+		state.isSelected = true;
+		setHighlight(true);
+		tweenTo(bottleGroup.position, { y: state.restPosition.y + 0.3 }, 200, TWEEN.Easing.Quadratic.Out);
+		return true;
+	}
+
+	async function returnToRest() {
+		state.isSelected = false;
+		setHighlight(false);
+		stream.visible = false;
+		const clearY = Math.max(bottleGroup.position.y, state.restPosition.y + 0.6);
+		await tweenTo(bottleGroup.position, { y: clearY }, 250, TWEEN.Easing.Quadratic.Out);
+		await Promise.all([
+			tweenTo(bottleGroup.position, { x: state.restPosition.x, z: state.restPosition.z }, 650),
+			tweenQuatTo(bottleGroup, state.restQuaternion, 650)
+		]);
+		await tweenTo(bottleGroup.position, { y: state.restPosition.y }, 300, TWEEN.Easing.Quadratic.In);
+	}
+
+	/**
+	 * Suihkuta vettä dekantterilasiin ja palaa lepoon.
+	 * @param {{ beakerGroup: THREE.Object3D, beakerHeight: number, beakerRadius: number, getWaterSurfaceY: () => number,
+	 *   ml: number, flowMlPerSec: number, onFlow: (ml: number) => number, onStart?: (impactWorld: THREE.Vector3) => void }} opts
+	 */
+	async function squirtInto({ beakerGroup, beakerHeight, beakerRadius, getWaterSurfaceY, ml = 50, flowMlPerSec = 40, onFlow, onStart }) {
+		if (state.isAnimating) return 0;
+		state.isAnimating = true;
+		const base = new THREE.Vector3();
+		beakerGroup.getWorldPosition(base);
+		// Pullo lasin viereen siltä puolelta missä se on nyt; suutin (+x) kääntyy lasin keskelle
+		const dir = new THREE.Vector3(bottleGroup.position.x - base.x, 0, bottleGroup.position.z - base.z);
+		if (dir.lengthSq() < 1e-6) dir.set(-1, 0, 0);
+		dir.normalize();
+		const spot = base.clone().addScaledVector(dir, beakerRadius + 0.5);
+		const yaw = Math.atan2(dir.z, -dir.x);
+		const qTarget = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, yaw, 0));
+		// Suuttimen kärki hieman lasin reunan yläpuolelle
+		const pourY = base.y + beakerHeight + 0.25 - tip.position.y;
+		const clearY = Math.max(bottleGroup.position.y, pourY) + 0.3;
+		let added = 0;
+		try {
+			await tweenTo(bottleGroup.position, { y: clearY }, 300, TWEEN.Easing.Quadratic.Out);
+			await Promise.all([
+				tweenTo(bottleGroup.position, { x: spot.x, z: spot.z }, 700),
+				tweenQuatTo(bottleGroup, qTarget, 700)
+			]);
+			await tweenTo(bottleGroup.position, { y: pourY }, 300, TWEEN.Easing.Quadratic.In);
+			// Puristus: pullo litistyy hieman ja suihku virtaa kunnes annos on lisätty
+			const tipWorld = new THREE.Vector3();
+			tip.getWorldPosition(tipWorld);
+			const surfaceWorldY = () => base.y + (typeof getWaterSurfaceY === 'function' ? getWaterSurfaceY() : 0);
+			if (typeof onStart === 'function') { try { onStart(new THREE.Vector3(tipWorld.x, surfaceWorldY(), tipWorld.z)); } catch {} }
+			const flow = { ml: 0 };
+			let last = 0;
+			await new Promise((resolve) => {
+				new TWEEN.Tween(flow)
+					.to({ ml }, Math.max(200, (ml / Math.max(1e-3, flowMlPerSec)) * 1000))
+					.easing(TWEEN.Easing.Linear.None)
+					.onUpdate(() => {
+						const step = flow.ml - last;
+						last = flow.ml;
+						if (step > 0 && typeof onFlow === 'function') added += onFlow(step) || 0;
+						setStream(tipWorld, surfaceWorldY());
+						body.scale.set(0.9, 1, 0.9);
+					})
+					.onComplete(resolve)
+					.start();
+			});
+			stream.visible = false;
+			body.scale.set(1, 1, 1);
+			await returnToRest();
+		} finally {
+			stream.visible = false;
+			body.scale.set(1, 1, 1);
+			state.isAnimating = false;
+		}
+		return added;
+	}
+
+	// Palauta heti lepoon (reset)
+	function reset() {
+		state.isSelected = false;
+		state.isAnimating = false;
+		setHighlight(false);
+		stream.visible = false;
+		body.scale.set(1, 1, 1);
+		bottleGroup.position.copy(state.restPosition);
+		bottleGroup.quaternion.copy(state.restQuaternion);
+	}
+
+	return { bottleGroup, tip, state, select, returnToRest, squirtInto, setHighlight, reset };
+}
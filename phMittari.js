@@ -0,0 +1,264 @@
+import * as THREE from 'three';
+// pH-mittari: näyttöyksikkö + anturi (lasielektrodi) johdolla
+// - Anturi lepää telineessä; klikkaus valitsee sen ja dekantterilasin klikkaus upottaa sen veteen
+// - Lukema asettuu viiveellä (elektrodin vaste: nopea + hidas aikavakio), näyttö on canvas-tekstuuri
+// - Ilmassa elektrodi palautuu kohti säilytysliuoksen pH:ta (~7) ja näyttö näyttää "-.--"
+// - Anturissa on lämpötila-anturi (ATC): näytön alarivi näyttää näytteen lämpötilan
+
+// Elektrodin vaste: 70 % nopealla aikavakiolla, loput hitaalla (todellinen mittari "ryömii" viimeiset desimaalit)
+const FAST_TAU = 1.0;
+const SLOW_TAU = 8.0;
+const FAST_WEIGHT = 0.7;
+const STORAGE_PH = 7.0;
+const DISPLAY_REFRESH_SEC = 0.2;
+
+// Näytön piirto (kuten createGasTexture: canvas -> CanvasTexture)
+function drawDisplay(ctx, { text, stable, tempC }) {
+	const w = ctx.canvas.width, h = ctx.canvas.height;
+	ctx.fillStyle = '#b9c9a3';
+	ctx.fillRect(0, 0, w, h);
+	ctx.strokeStyle = '#55624a';
+	ctx.lineWidth = 6;
+	ctx.strokeRect(8, 8, w - 16, h - 16);
+	ctx.fillStyle = '#1c2418';
+	ctx.textBaseline = 'middle';
+	ctx.textAlign = 'right';
+	ctx.font = 'bold 120px monospace';
+	ctx.fillText(text, w - 110, h * 0.44);
+	ctx.textAlign = 'left';
+	ctx.font = 'bold 48px Arial';
+	ctx.fillText('pH', w - 100, h * 0.48);
+	ctx.font = 'bold 30px monospace';
+	ctx.fillText(`${tempC.toFixed(1)} °C`, 28, h - 40);
+	if (stable) {
+		ctx.textAlign = 'right';
+		ctx.fillText('STAB', w - 28, h - 40);
+	}
+}
+
+export function createPhMittari(scene, { position = new THREE.Vector3(6.4, 0, 2.4) } = {}) {
+	const meterGroup = new THREE.Group();
+	meterGroup.name = 'phMeterGroup';
+
+	// Näyttöyksikkö
+	const caseMat = new THREE.MeshStandardMaterial({ color: 0x2f3437, metalness: 0.1, roughness: 0.6 });
+	const unitW = 1.0, unitH = 0.45, unitD = 0.7;
+	const unit = new THREE.Mesh(new THREE.BoxGeometry(unitW, unitH, unitD), caseMat);
+	unit.name = 'phMeterUnit';
+	unit.position.y = unitH / 2;
+	unit.castShadow = true;
+	meterGroup.add(unit);
+
+	const displayCanvas = document.createElement('canvas');
+	displayCanvas.width = 512;
+	displayCanvas.height = 256;
+	const displayCtx = displayCanvas.getContext('2d');
+	drawDisplay(displayCtx, { text: '-.--', stable: false, tempC: 25.0 });
+	const displayTex = new THREE.CanvasTexture(displayCanvas);
+	const displayMesh = new THREE.Mesh(
+		new THREE.PlaneGeometry(unitW * 0.8, unitW * 0.4),
+		new THREE.MeshBasicMaterial({ map: displayTex })
+	);
+	displayMesh.name = 'phMeterDisplay';
+	// Kallistettu yläpinta kohti katsojaa
+	displayMesh.position.set(0, unitH + 0.002, 0.02);
+	displayMesh.rotation.x = -Math.PI / 2 + 0.35;
+	displayMesh.position.y += 0.06;
+	meterGroup.add(displayMesh);
+
+	// Anturiteline
+	const standMat = new THREE.MeshStandardMaterial({ color: 0xc0c0c0, metalness: 0.8, roughness: 0.3 });
+	const stand = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.03, 2.0, 12), standMat);
+	stand.position.set(-0.75, 1.0, 0);
+	stand.castShadow = true;
+	const standBase = new THREE.Mesh(new THREE.CylinderGeometry(0.22, 0.25, 0.06, 24), caseMat);
+	standBase.position.set(-0.75, 0.03, 0);
+	const clamp = new THREE.Mesh(new THREE.BoxGeometry(0.22, 0.06, 0.08), standMat);
+	clamp.position.set(-0.85, 1.8, 0);
+	meterGroup.add(stand, standBase, clamp);
+
+	meterGroup.position.copy(position);
+	meterGroup.position.y += 0.01;
+	scene.add(meterGroup);
+
+	// Anturi (lasielektrodi): oma ryhmä sceneen, jotta se voi liikkua dekantterilasiin
+	const probeLength = 2.4;
+	const probe = new THREE.Group();
+	probe.name = 'phProbe';
+	const probeBodyMat = new THREE.MeshStandardMaterial({ color: 0x1e1e1e, metalness: 0.0, roughness: 0.5 });
+	const probeBody = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.06, probeLength * 0.8, 16), probeBodyMat);
+	probeBody.position.y = probeLength * 0.1;
+	probeBody.castShadow = true;
+	const stemMat = new THREE.MeshPhysicalMaterial({ color: 0xe8f4f8, roughness: 0.05, transmission: 0.9, transparent: true, thickness: 0.05, ior: 1.5, depthWrite: false });
+	const stem = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, probeLength * 0.2, 16), stemMat);
+	stem.position.y = -probeLength * 0.4;
+	const bulb = new THREE.Mesh(new THREE.SphereGeometry(0.055, 16, 12), stemMat);
+	bulb.position.y = -probeLength / 2;
+	const probeTip = new THREE.Object3D();
+	probeTip.name = 'phProbeTip';
+	probeTip.position.y = -probeLength / 2 - 0.05;
+	const probeTop = new THREE.Object3D();
+	probeTop.position.y = probeLength / 2;
+	probe.add(probeBody, stem, bulb, probeTip, probeTop);
+	const probeRestPosition = new THREE.Vector3(-0.85, 1.8 - 0.35, 0.12).add(meterGroup.position);
+	probe.position.copy(probeRestPosition);
+	scene.add(probe);
+
+	// Johto näyttöyksiköstä anturin yläpäähän (taipuva käyrä)
+	const cableSegments = 24;
+	const cableGeo = new THREE.BufferGeometry();
+	cableGeo.setAttribute('position', new THREE.BufferAttribute(new Float32Array((cableSegments + 1) * 3), 3));
+	const cable = new THREE.Line(cableGeo, new THREE.LineBasicMaterial({ color: 0x111111 }));
+	cable.name = 'phMeterCable';
+	cable.frustumCulled = false;
+	scene.add(cable);
+	const cablePort = new THREE.Object3D();
+	cablePort.position.set(-unitW / 2, unitH * 0.6, -unitD * 0.25);
+	meterGroup.add(cablePort);
+	const _a = new THREE.Vector3(), _b = new THREE.Vector3(), _c = new THREE.Vector3(), _p = new THREE.Vector3();
+	function updateCable() {
+		cablePort.getWorldPosition(_a);
+		probeTop.getWorldPosition(_b);
+		// Ohjauspiste: keskikohta hieman alempana (painovoima)
+		_c.addVectors(_a, _b).multiplyScalar(0.5);
+		_c.y = Math.min(_a.y, _b.y) - 0.3;
+		const curve = new THREE.QuadraticBezierCurve3(_a, _c, _b);
+		const arr = cableGeo.attributes.position.array;
+		for (let i = 0; i <= cableSegments; i++) {
+			curve.getPoint(i / cableSegments, _p);
+			arr[i * 3] = _p.x; arr[i * 3 + 1] = _p.y; arr[i * 3 + 2] = _p.z;
+		}
+		cableGeo.attributes.position.needsUpdate = true;
+	}
+	updateCable();
+
+	// Elektrodin tila
+	let fast = STORAGE_PH, slow = STORAGE_PH;
+	let dipped = false;
+	let refreshTimer = 0;
+	let stableTimer = 0;
+	let lastShown = null;
+
+	function getReading() {
+		return FAST_WEIGHT * fast + (1 - FAST_WEIGHT) * slow;
+	}
+
+	/**
+	 * Per-frame päivitys.
+	 * @param {number} dt
+	 * @param {number|null} samplePH Mitattavan liuoksen pH (null jos ei saatavilla)
+	 * @param {number} [sampleTempC=25] Näytteen lämpötila (°C), näytetään upotettuna
+	 */
+	function update(dt, samplePH = null, sampleTempC = 25.0) {
+		updateCable();
+		if (!(dt > 0)) return;
+		const measuring = dipped && typeof samplePH === 'number' && isFinite(samplePH);
+		const target = measuring ? samplePH : STORAGE_PH;
+		const prev = getReading();
+		fast += (target - fast) * (1 - Math.exp(-dt / FAST_TAU));
+		slow += (target - slow) * (1 - Math.exp(-dt / (measuring ? SLOW_TAU : SLOW_TAU * 2)));
+		const rate = Math.abs(getReading() - prev) / dt;
+		stableTimer = (measuring && rate < 0.01) ? stableTimer + dt : 0;
+		refreshTimer += dt;
+		if (refreshTimer < DISPLAY_REFRESH_SEC) return;
+		refreshTimer = 0;
+		// Pieni kohina viimeisessä desimaalissa
+		const noisy = getReading() + (measuring ? (Math.random() - 0.5) * 0.008 : 0);
+		const text = measuring ? Math.min(14, Math.max(0, noisy)).toFixed(2) : '-.--';
+		const stable = stableTimer > 1.5;
+		const tempC = measuring && typeof sampleTempC === 'number' && isFinite(sampleTempC) ? sampleTempC : 25.0;
+		const key = text + (stable ? 's' : '') + tempC.toFixed(1);
+		if (key === lastShown) return;
+		lastShown = key;
+		drawDisplay(displayCtx, { text, stable, tempC });
+		displayTex.needsUpdate = true;
+	}
+
+	function tweenProbe(to, duration, easing) {
+		return new Promise((resolve) => {
+			new TWEEN.Tween(probe.position)
+				.to({ x: to.x, y: to.y, z: to.z }, duration)
+				.easing(easing || TWEEN.Easing.Quadratic.InOut)
+				.onComplete(resolve)
+				.start();
+		});
+	}
+
+	// Nosta anturi hieman telineestä (valittu-tila)
+	function lift(deltaY = 0.4, duration = 200) {
+		return tweenProbe(probeRestPosition.clone().setY(probeRestPosition.y + deltaY), duration, TWEEN.Easing.Quadratic.Out);
+	}
+
+	/**
+	 * Upota anturi dekantterilasiin: nosto reunan yli -> siirto -> lasku veteen.
+	 * @param {{ beakerGroup: THREE.Object3D, beakerHeight: number, beakerRadius: number, waterSurfaceY: number }} opts
+	 */
+	async function dipInto({ beakerGroup, beakerHeight, beakerRadius, waterSurfaceY }) {
+		const base = new THREE.Vector3();
+		beakerGroup.getWorldPosition(base);
+		// Sivuun keskeltä, ettei osu sekoitussauvaan tai letkuun
+		const spot = new THREE.Vector3(base.x + beakerRadius * 0.5, 0, base.z + beakerRadius * 0.45);
+		const clearY = base.y + beakerHeight + 0.3 + probeLength / 2;
+		const dipY = base.y + Math.max(0.25, waterSurfaceY - 0.8) + 0.05 + probeLength / 2;
+		await tweenProbe(probe.position.clone().setY(clearY), 350, TWEEN.Easing.Quadratic.Out);
+		await tweenProbe(spot.clone().setY(clearY), 700);
+		await tweenProbe(spot.clone().setY(dipY), 450, TWEEN.Easing.Quadratic.In);
+		dipped = true;
+	}
+
+	async function returnToRest() {
+		dipped = false;
+		const clearY = Math.max(probe.position.y, probeRestPosition.y) + 1.4;
+		await tweenProbe(probe.position.clone().setY(clearY), 350, TWEEN.Easing.Quadratic.Out);
+		await tweenProbe(probeRestPosition.clone().setY(clearY), 700);
+		await tweenProbe(probeRestPosition, 350, TWEEN.Easing.Quadratic.In);
+	}
+
+	// Palauta heti lepoon (reset)
+	function reset() {
+		dipped = false;
+		probe.position.copy(probeRestPosition);
+		fast = slow = STORAGE_PH;
+		stableTimer = 0;
+		lastShown = null;
+		refreshTimer = DISPLAY_REFRESH_SEC;
+		updateCable();
+	}
+
+	// Tilan tallennus / palautus (lab state)
+	function getSnapshot() {
+		return { dipped, position: probe.position.toArray(), fast, slow };
+	}
+
+	function restoreSnapshot(s = {}) {
+		dipped = !!s.dipped;
+		if (Array.isArray(s.position)) probe.position.fromArray(s.position);
+		if (typeof s.fast === 'number') fast = s.fast;
+		if (typeof s.slow === 'number') slow = s.slow;
+		stableTimer = 0;
+		lastShown = null;
+		refreshTimer = DISPLAY_REFRESH_SEC;
+		updateCable();
+	}
+
+	function setHighlight(on) {
+		probeBodyMat.emissive.setHex(on ? 0x1f6f1f : 0x000000);
+	}
+
+	return {
+		meterGroup,
+		probe,
+		probeTip,
+		probeRestPosition,
+		update,
+		getReading,
+		isDipped: () => dipped,
+		lift,
+		dipInto,
+		returnToRest,
+		setHighlight,
+		reset,
+		getSnapshot,
+		restoreSnapshot
+	};
+}
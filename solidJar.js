@@ -1,6 +1,14 @@
 import * as THREE from 'three';
+import { SCOOP_MIN_G, SCOOP_MAX_G, JAR_FILL_G } from './lib/constants.js';
+import { listReagents, reagentColor } from './lib/reagents.js';
+
+// Täyden jauhekerroksen paksuus ja lusikan suurin uppoamissyvyys jauheeseen (yksikköä)
+const POWDER_LAYER = 0.35;
+const SCOOP_REACH = 0.3;
 
 // Luo kiinteän aineen purkki (jauhepurkki) ja palauta olio, jossa on geometria, jauhe, ja label-funktiot
+// - Jokaisella aineella on oma täyttö (g); valitun aineen jauhekerros madaltuu kun sitä kauhaistaan
+// - Kauhaisun koko riippuu siitä, kuinka syvälle lusikka painetaan jauheeseen (takeScoop)
 export function createSolidJar({ position = new THREE.Vector3(0, 0, 0), radius = 0.8, height = 1.4, solidCode = 'CaO' } = {}) {
     const group = new THREE.Group();
     // Keep legacy name for interaction targeting
@@ -34,32 +42,100 @@ export function createSolidJar({ position = new THREE.Vector3(0, 0, 0), radius =
     jarBottom.receiveShadow = true;
     group.add(jarBottom);
     // Jauhe
-    const powderColors = {
-        CaO: 0xffffff,
-        Na2O: 0xfff2a8,
-        MgO: 0xf7f7f7
-    };
-    const powderMat = new THREE.MeshStandardMaterial({ color: powderColors[solidCode] || 0xffffff, roughness: 0.9, metalness: 0.0 });
-    const powderGeom = new THREE.CylinderGeometry(radius - 0.05, radius - 0.05, 0.35, 32);
+    const powderMat = new THREE.MeshStandardMaterial({ color: reagentColor(solidCode), roughness: 0.9, metalness: 0.0 });
+    const powderGeom = new THREE.CylinderGeometry(radius - 0.05, radius - 0.05, POWDER_LAYER, 32);
     const powderMesh = new THREE.Mesh(powderGeom, powderMat);
     // Legacy-compatible name so raycaster predicates keep working
     powderMesh.name = 'solidSample';
+    const powderBottomY = -height / 2 + 0.2 - POWDER_LAYER / 2;
     powderMesh.position.y = -height / 2 + 0.2;
     powderMesh.castShadow = true;
     group.add(powderMesh);
     // Sijoitus
     group.position.copy(position);
+
+    // Täyttö aineittain (g, kaikki katalogin kiinteät aineet); näkyvä kerros on valitun aineen
+    const fills = {};
+    for (const r of listReagents('solid')) fills[r.id] = JAR_FILL_G;
+    let currentCode = solidCode;
+
+    function powderTopLocalY() {
+        return powderBottomY + POWDER_LAYER * powderMesh.scale.y;
+    }
+
+    function applyLevel() {
+        const f = Math.max(0, Math.min(1, (fills[currentCode] ?? 0) / JAR_FILL_G));
+        powderMesh.visible = f > 0.001;
+        powderMesh.scale.y = Math.max(0.02, f);
+        powderMesh.position.y = powderBottomY + (POWDER_LAYER * powderMesh.scale.y) / 2;
+    }
+
     // Label-funktio (jos halutaan lisätä tarra myöhemmin)
     function setPowderType(code) {
-        powderMesh.material.color.setHex(powderColors[code] || 0xffffff);
+        if (code) currentCode = code;
+        powderMesh.material.color.setHex(reagentColor(code));
         powderMesh.material.needsUpdate = true;
+        applyLevel();
+    }
+
+    /**
+     * Kauhaisun syvyys osoitetusta pisteestä: jauheen pinnan yläpuolella 0 (matala), SCOOP_REACH alempana 1 (syvä).
+     * @param {THREE.Vector3|null} worldPoint esim. klikkauskohta purkin kyljessä
+     * @returns {number} 0..1
+     */
+    function depthAt(worldPoint) {
+        if (!worldPoint) return 0.5;
+        const topWorld = group.localToWorld(new THREE.Vector3(0, powderTopLocalY(), 0));
+        return Math.max(0, Math.min(1, (topWorld.y - worldPoint.y) / SCOOP_REACH));
     }
+
+    /**
+     * Ota lusikallinen purkista: massa kasvaa syvyyden mukaan (SCOOP_MIN_G … SCOOP_MAX_G), enintään jäljellä oleva.
+     * @param {string} code
+     * @param {number} depth 0..1
+     * @returns {number} otettu massa (g), 0 jos purkki on tyhjä
+     */
+    function takeScoop(code = currentCode, depth = 0.5) {
+        const left = fills[code] ?? 0;
+        if (!(left > 0)) return 0;
+        const d = Math.max(0, Math.min(1, depth));
+        const grams = Math.min(left, SCOOP_MIN_G + (SCOOP_MAX_G - SCOOP_MIN_G) * Math.pow(d, 1.5));
+        fills[code] = left - grams;
+        if (fills[code] < 1e-6) fills[code] = 0;
+        if (code === currentCode) applyLevel();
+        return grams;
+    }
+
+    function reset() {
+        for (const code of Object.keys(fills)) fills[code] = JAR_FILL_G;
+        applyLevel();
+    }
+
+    function getSnapshot() {
+        return { fills: { ...fills } };
+    }
+
+    function restoreSnapshot(s = {}) {
+        reset();
+        for (const [code, g] of Object.entries(s.fills || {})) {
+            if (code in fills && typeof g === 'number' && isFinite(g)) fills[code] = Math.max(0, Math.min(JAR_FILL_G, g));
+        }
+        applyLevel();
+    }
+
     return {
         group,
         jarMesh,
         jarBottom,
         powderMesh,
         setPowderType,
+        depthAt,
+        takeScoop,
+        getFill: (code = currentCode) => fills[code] ?? 0,
+        getPowderTopWorldY: () => group.localToWorld(new THREE.Vector3(0, powderTopLocalY(), 0)).y,
+        reset,
+        getSnapshot,
+        restoreSnapshot,
         radius,
         height
     };
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getIndicator, DEFAULT_INDICATOR } from './lib/indicators.js';
 
 // Tippapullo oikealla mallilla (pipetti.html logiikan ja geometrian mukaan)
 export function createTippapullo(scene, dropperOriginPosition) {
@@ -103,13 +104,16 @@ export function createTippapullo(scene, dropperOriginPosition) {
 	bottleMesh.name = 'bottleMesh';
 	dropperBottleGroup.add(bottleMesh);
 
-	// Tarra "BTS"
+	// Tarra: valitun indikaattorin lyhenne (oletus "BTS"); klikkaamalla avautuu indikaattorivalikko
 	const labelCanvas = document.createElement('canvas');
 	const ctx = labelCanvas.getContext('2d');
 	labelCanvas.width = 256; labelCanvas.height = 128;
-	ctx.fillStyle = 'white'; ctx.fillRect(0, 0, labelCanvas.width, labelCanvas.height);
-	ctx.font = 'bold 60px Arial'; ctx.fillStyle = 'black'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
-	ctx.fillText('BTS', labelCanvas.width / 2, labelCanvas.height / 2);
+	function drawLabel(text) {
+		ctx.fillStyle = 'white'; ctx.fillRect(0, 0, labelCanvas.width, labelCanvas.height);
+		ctx.font = 'bold 60px Arial'; ctx.fillStyle = 'black'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+		ctx.fillText(text, labelCanvas.width / 2, labelCanvas.height / 2);
+	}
+	drawLabel(getIndicator(DEFAULT_INDICATOR).label);
 	const labelTexture = new THREE.CanvasTexture(labelCanvas);
 	const labelMaterial = new THREE.MeshBasicMaterial({ map: labelTexture, side: THREE.FrontSide });
 	const labelRadius = bodyRadius + 0.01 * scaleFactor;
@@ -118,6 +122,7 @@ export function createTippapullo(scene, dropperOriginPosition) {
 	// Siirrä etiketti pullon vastakkaiselle puolelle (180° käännös)
 	const labelGeometry = new THREE.CylinderGeometry(labelRadius, labelRadius, labelHeight, 32, 1, true, Math.PI/2 - labelAngle / 2, labelAngle);
 	const labelMesh = new THREE.Mesh(labelGeometry, labelMaterial);
+	labelMesh.name = 'indicatorLabel';
 	labelMesh.position.y = bodyHeight / 2;
 	dropperBottleGroup.add(labelMesh);
 
@@ -198,8 +203,16 @@ export function createTippapullo(scene, dropperOriginPosition) {
 	// Shadows for all parts of the bottle
 	try { dropperBottleGroup.traverse(o => { if (o.isMesh) { o.castShadow = true; } }); } catch {}
 
+	// Vaihda pullon indikaattori: tarra + nesteen väri
+	function setIndicator(id) {
+		const ind = getIndicator(id);
+		drawLabel(ind.label);
+		labelTexture.needsUpdate = true;
+		liquidMaterial.color.setHex(ind.bottleColor);
+	}
+
 	// Palauta pullon yläpinnan korkeus index.html:lle
-	return { dropperBottleGroup, pipetteAssembly, bottleHeight: bottleTopY, pipetteLiquid, modelScale: scaleFactor };
+	return { dropperBottleGroup, pipetteAssembly, bottleHeight: bottleTopY, pipetteLiquid, modelScale: scaleFactor, setIndicator };
 }
 
 // Vähennä pipetin nesteen määrää: skaalaa korkeutta ja kompensoi y-sijaintia niin, että alapinta pysyy paikallaan
@@ -0,0 +1,312 @@
+import * as THREE from 'three';
+import { getReagent, reagentColor } from './lib/reagents.js';
+// Laboratoriovaaka (0,001 g) ja punnitusvene
+// - Lusikallinen kaadetaan veneeseen (vaa'an klikkaus valittu lusikka kädessä); näyttö näyttää massan taaran jälkeen
+// - TARE-painike nollaa näytön (veneen oma massa pois); lukema asettuu viiveellä ja "STAB" kertoo vakaan lukeman
+// - Veneen klikkaus nostaa sen; dekantterilasin klikkaus kaataa punnitun jauheen lasiin ja vene palaa vaa'alle
+// - Veneessä on yksi aine kerrallaan (massa grammoina, kemiaan mooleina kaadon yhteydessä)
+
+const BOAT_MASS_G = 0.852;
+const SETTLE_TAU = 0.35;      // s
+const STABLE_EPS_G = 0.0004;
+const DISPLAY_REFRESH_SEC = 0.1;
+const CAPACITY_G = 220;
+
+function drawDisplay(ctx, { grams, stable }) {
+	const w = ctx.canvas.width, h = ctx.canvas.height;
+	ctx.fillStyle = '#0f1a14';
+	ctx.fillRect(0, 0, w, h);
+	ctx.fillStyle = '#5cf29a';
+	ctx.textBaseline = 'middle';
+	ctx.textAlign = 'right';
+	ctx.font = 'bold 96px monospace';
+	const over = grams > CAPACITY_G;
+	ctx.fillText(over ? '-OL-' : grams.toFixed(3), w - 90, h * 0.5);
+	ctx.textAlign = 'left';
+	ctx.font = 'bold 56px Arial';
+	ctx.fillText('g', w - 76, h * 0.54);
+	if (stable) {
+		ctx.font = 'bold 26px monospace';
+		ctx.fillText('STAB', 18, 28);
+	}
+}
+
+// Punnitusvene: matala nelikulmainen kaukalo (katkaistu pyramidi), keskellä jauhekumpu
+function createBoat() {
+	const boatGroup = new THREE.Group();
+	boatGroup.name = 'weighBoat';
+	const boatMat = new THREE.MeshStandardMaterial({ color: 0xf1f5f9, roughness: 0.55, metalness: 0.0, side: THREE.DoubleSide });
+	const wall = new THREE.Mesh(new THREE.CylinderGeometry(0.36, 0.26, 0.1, 4, 1, true), boatMat);
+	wall.rotation.y = Math.PI / 4;
+	wall.position.y = 0.05;
+	const floor = new THREE.Mesh(new THREE.PlaneGeometry(0.37, 0.37), boatMat);
+	floor.rotation.x = -Math.PI / 2;
+	floor.position.y = 0.002;
+	const moundMat = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.95, metalness: 0.0 });
+	const mound = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.16, 0.07, 20), moundMat);
+	mound.name = 'weighBoatPowder';
+	mound.position.y = 0.035;
+	mound.visible = false;
+	boatGroup.add(wall, floor, mound);
+	boatGroup.traverse(o => { if (o.isMesh) o.castShadow = true; });
+	return { boatGroup, boatMat, mound, moundMat };
+}
+
+export function createVaaka(scene, { position = new THREE.Vector3(9.2, 0, -2.0) } = {}) {
+	const balanceGroup = new THREE.Group();
+	balanceGroup.name = 'balanceGroup';
+	const caseMat = new THREE.MeshStandardMaterial({ color: 0xe5e7eb, roughness: 0.5, metalness: 0.05 });
+	const darkMat = new THREE.MeshStandardMaterial({ color: 0x30363d, roughness: 0.6, metalness: 0.1 });
+	const steelMat = new THREE.MeshStandardMaterial({ color: 0xc8ccd0, roughness: 0.25, metalness: 0.85 });
+
+	const bodyW = 1.3, bodyH = 0.28, bodyD = 1.5;
+	const body = new THREE.Mesh(new THREE.BoxGeometry(bodyW, bodyH, bodyD), caseMat);
+	body.name = 'balanceBody';
+	body.position.y = bodyH / 2;
+	body.castShadow = true;
+	body.receiveShadow = true;
+	// Vaakakuppi takaosassa, näyttö ja painikkeet etureunan viisteessä (+z kohti kameraa)
+	const panY = bodyH + 0.03;
+	const panStem = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.06, 0.03, 12), darkMat);
+	panStem.position.set(0, bodyH + 0.015, -0.2);
+	const pan = new THREE.Mesh(new THREE.CylinderGeometry(0.48, 0.48, 0.02, 40), steelMat);
+	pan.name = 'balancePan';
+	pan.position.set(0, panY + 0.01, -0.2);
+	pan.receiveShadow = true;
+	const panel = new THREE.Mesh(new THREE.BoxGeometry(bodyW * 0.92, 0.08, 0.34), darkMat);
+	panel.position.set(0, bodyH + 0.02, bodyD / 2 - 0.2);
+	panel.rotation.x = 0.25;
+
+	const displayCanvas = document.createElement('canvas');
+	displayCanvas.width = 512;
+	displayCanvas.height = 160;
+	const displayCtx = displayCanvas.getContext('2d');
+	drawDisplay(displayCtx, { grams: 0, stable: true });
+	const displayTex = new THREE.CanvasTexture(displayCanvas);
+	displayTex.colorSpace = THREE.SRGBColorSpace;
+	const displayMesh = new THREE.Mesh(new THREE.PlaneGeometry(0.72, 0.225), new THREE.MeshBasicMaterial({ map: displayTex }));
+	displayMesh.name = 'balanceDisplay';
+	displayMesh.position.set(-0.12, bodyH + 0.065, bodyD / 2 - 0.19);
+	displayMesh.rotation.x = -Math.PI / 2 + 0.25;
+	// TARE-painike
+	const tareButton = new THREE.Mesh(new THREE.CylinderGeometry(0.07, 0.07, 0.04, 20), new THREE.MeshStandardMaterial({ color: 0x2563eb, roughness: 0.4 }));
+	tareButton.name = 'balanceTare';
+	tareButton.position.set(0.45, bodyH + 0.07, bodyD / 2 - 0.2);
+	tareButton.rotation.x = 0.25;
+	balanceGroup.add(body, panStem, pan, panel, displayMesh, tareButton);
+	balanceGroup.position.copy(position);
+	balanceGroup.position.y = 0;
+	scene.add(balanceGroup);
+
+	const { boatGroup, boatMat, mound, moundMat } = createBoat();
+	const boatRest = new THREE.Vector3(0, panY + 0.021, -0.2).add(balanceGroup.position);
+	boatGroup.position.copy(boatRest);
+	scene.add(boatGroup);
+
+	const state = {
+		isAnimating: false,
+		boatSelected: false,
+		boatOnPan: true
+	};
+	const boat = { code: null, grams: 0 };
+	let tareG = BOAT_MASS_G; // vaaka taarattu veneen kanssa valmiiksi
+	let shownG = 0;
+	let refreshTimer = 0;
+	let lastText = null;
+
+	function grossG() {
+		return state.boatOnPan ? BOAT_MASS_G + boat.grams : 0;
+	}
+	function getReading() { return grossG() - tareG; }
+
+	function applyMound() {
+		mound.visible = boat.grams > 1e-4;
+		if (!mound.visible) return;
+		moundMat.color.setHex(reagentColor(boat.code));
+		// Tilavuus ~ massa: ∛(g / 0,5 g)
+		const s = Math.min(1.6, Math.max(0.35, Math.cbrt(boat.grams / 0.5)));
+		mound.scale.set(s, s, s);
+		mound.position.y = 0.035 * s;
+	}
+
+	function redraw(force = false) {
+		const stable = Math.abs(shownG - getReading()) < STABLE_EPS_G;
+		const text = `${shownG.toFixed(3)}|${stable}`;
+		if (!force && text === lastText) return;
+		lastText = text;
+		drawDisplay(displayCtx, { grams: shownG, stable });
+		displayTex.needsUpdate = true;
+	}
+
+	// Per-frame: lukema asettuu kohti todellista massaa
+	function update(dt) {
+		if (!(dt > 0)) return;
+		const target = getReading();
+		shownG += (target - shownG) * (1 - Math.exp(-dt / SETTLE_TAU));
+		if (Math.abs(target - shownG) < 1e-4) shownG = target;
+		refreshTimer += dt;
+		if (refreshTimer < DISPLAY_REFRESH_SEC) return;
+		refreshTimer = 0;
+		redraw();
+	}
+
+	// Nollaa näyttö nykyisellä kuormalla
+	function tare() {
+		tareG = grossG();
+		redraw(true);
+		return tareG;
+	}
+
+	// Voiko veneeseen lisätä tätä ainetta (yksi aine kerrallaan, vene vaa'alla)
+	function canAdd(code) {
+		return state.boatOnPan && !state.isAnimating && (!boat.code || boat.code === code || boat.grams <= 1e-6);
+	}
+
+	/**
+	 * Lisää jauhetta veneeseen.
+	 * @param {string} code
+	 * @param {number} grams
+	 * @returns {boolean} false jos veneessä on eri aine tai vene ei ole vaa'alla
+	 */
+	function addToBoat(code, grams) {
+		if (!canAdd(code) || !(grams > 0)) return false;
+		boat.code = code;
+		boat.grams += grams;
+		applyMound();
+		return true;
+	}
+
+	function emptyBoat() {
+		const out = { code: boat.code, grams: boat.grams };
+		boat.code = null;
+		boat.grams = 0;
+		applyMound();
+		return out;
+	}
+
+	function tweenBoat(target, duration, easing) {
+		return new Promise((resolve) => {
+			new TWEEN.Tween(boatGroup.position)
+				.to({ x: target.x, y: target.y, z: target.z }, duration)
+				.easing(easing || TWEEN.Easing.Quadratic.InOut)
+				.onComplete(resolve)
+				.start();
+		});
+	}
+	function tweenBoatTilt(z, duration) {
+		return new Promise((resolve) => {
+			new TWEEN.Tween(boatGroup.rotation)
+				.to({ z }, duration)
+				.easing(TWEEN.Easing.Quadratic.InOut)
+				.onComplete(resolve)
+				.start();
+		});
+	}
+
+	// Nosta vene vaa'alta (valittu-tila); lukema putoaa miinukselle taaran verran
+	async function selectBoat() {
+		if (state.isAnimating || state.boatSelected) return false;
+		state.isAnimating = true;
+		state.boatSelected = true;
+		state.boatOnPan = false;
+		await tweenBoat(boatRest.clone().setY(boatRest.y + 0.5), 220, TWEEN.Easing.Quadratic.Out);
+		state.isAnimating = false;
+		return true;
+	}
+
+	async function returnBoat() {
+		if (state.isAnimating) return false;
+		state.isAnimating = true;
+		state.boatSelected = false;
+		await tweenBoat(boatRest.clone().setY(boatRest.y + 0.5), 400);
+		await tweenBoat(boatRest, 220, TWEEN.Easing.Quadratic.In);
+		boatGroup.rotation.set(0, 0, 0);
+		state.boatOnPan = true;
+		state.isAnimating = false;
+		return true;
+	}
+
+	/**
+	 * Kaada veneen sisältö dekantterilasiin: lasin reunan yli -> kallistus -> onPour(osumakohta, { code, grams }) -> takaisin vaa'alle.
+	 * @param {{ beakerGroup: THREE.Object3D, beakerHeight: number, beakerRadius: number, onPour?: Function }} opts
+	 */
+	async function pourInto({ beakerGroup, beakerHeight, beakerRadius, onPour }) {
+		if (state.isAnimating) return null;
+		state.isAnimating = true;
+		state.boatSelected = false;
+		state.boatOnPan = false;
+		const base = new THREE.Vector3();
+		beakerGroup.getWorldPosition(base);
+		const clearY = base.y + beakerHeight + 0.4;
+		// Vaa'an puoleiselle reunalle; kallistus kaataa kohti lasin keskustaa
+		const spot = new THREE.Vector3(base.x + beakerRadius * 0.45, clearY, base.z);
+		await tweenBoat(boatGroup.position.clone().setY(clearY), 300, TWEEN.Easing.Quadratic.Out);
+		await tweenBoat(spot, 800);
+		await tweenBoatTilt(Math.PI * 0.55, 450);
+		const contents = emptyBoat();
+		const hit = new THREE.Vector3(spot.x - 0.25, spot.y - 0.1, spot.z);
+		if (typeof onPour === 'function' && contents.grams > 0) { try { onPour(hit, contents); } catch {} }
+		await new Promise(r => setTimeout(r, 250));
+		await tweenBoatTilt(0, 350);
+		await tweenBoat(boatRest.clone().setY(clearY), 800);
+		await tweenBoat(boatRest, 300, TWEEN.Easing.Quadratic.In);
+		state.boatOnPan = true;
+		state.isAnimating = false;
+		return contents;
+	}
+
+	// Valittu (nostettu) vene korostetaan
+	function setHighlight(on) {
+		boatMat.emissive.setHex(on ? 0x1f6f1f : 0x000000);
+	}
+
+	function reset() {
+		setHighlight(false);
+		state.isAnimating = false;
+		state.boatSelected = false;
+		state.boatOnPan = true;
+		boatGroup.position.copy(boatRest);
+		boatGroup.rotation.set(0, 0, 0);
+		emptyBoat();
+		tareG = BOAT_MASS_G;
+		shownG = 0;
+		redraw(true);
+	}
+
+	// Tilan tallennus / palautus (lab state); nostettu vene palautetaan vaa'alle
+	function getSnapshot() {
+		return { boat: { ...boat }, tareG };
+	}
+
+	function restoreSnapshot(s = {}) {
+		reset();
+		if (s.boat && typeof s.boat.grams === 'number' && s.boat.grams > 0 && getReagent(s.boat.code)?.kind === 'solid') {
+			boat.code = s.boat.code;
+			boat.grams = s.boat.grams;
+			applyMound();
+		}
+		if (typeof s.tareG === 'number' && isFinite(s.tareG)) tareG = s.tareG;
+		shownG = getReading();
+		redraw(true);
+	}
+
+	return {
+		balanceGroup,
+		boatGroup,
+		tareButton,
+		state,
+		update,
+		tare,
+		getReading,
+		getBoatContents: () => ({ ...boat }),
+		canAdd,
+		addToBoat,
+		selectBoat,
+		returnBoat,
+		pourInto,
+		setHighlight,
+		reset,
+		getSnapshot,
+		restoreSnapshot
+	};
+}